@@ -5,7 +5,18 @@ class AnalysisController {
         this.dnsAnalyzer = dependencies.dnsAnalyzer || new DNSAnalyzer();
         this.serviceDetector = dependencies.serviceDetector || new ServiceDetectionEngine();
         this.dataProcessor = dependencies.dataProcessor || new DataProcessor();
-        this.uiRenderer = dependencies.uiRenderer || new UIRenderer();
+        
+        // UI and export are optional so the pipeline can run headless (e.g. from the Node CLI or a batch run) -
+        // an explicit null opts out even when a DOM is present
+        const hasDOM = typeof document !== 'undefined';
+        this.uiRenderer = dependencies.uiRenderer !== undefined ? dependencies.uiRenderer :
+            (hasDOM ? new UIRenderer() : null);
+        this.exportManager = dependencies.exportManager !== undefined ? dependencies.exportManager :
+            (typeof window !== 'undefined' ? window.exportManager || null : null);
+        
+        // Scan snapshots for drift detection - IndexedDB in the browser, the CLI injects a file-backed store
+        this.scanHistory = dependencies.scanHistory !== undefined ? dependencies.scanHistory :
+            (typeof indexedDB !== 'undefined' ? new ScanHistory(new IndexedDBSnapshotStore()) : null);
         
         // API notifications
         this.apiNotifications = [];
@@ -54,40 +65,44 @@ class AnalysisController {
             this.setupAPINotifications();
             
             // Phase 1: Analyze main domain (fast)
-            this.uiRenderer.updateProgress(10, 'Analyzing main domain...');
+            this.uiRenderer?.updateProgress(10, 'Analyzing main domain...');
             const mainDomainResults = await this.analyzeMainDomain(domain);
             
             // 🚀 SHOW IMMEDIATE RESULTS - Display main domain analysis right away
-            this.uiRenderer.updateProgress(15, 'Displaying initial results...');
+            this.uiRenderer?.updateProgress(15, 'Displaying initial results...');
             await this.displayProgressiveResults(mainDomainResults, [], [], {});
             
             // Phase 2: Discover subdomains (slow - can take 10-30 seconds)
-            this.uiRenderer.updateProgress(20, 'Discovering subdomains from multiple sources...');
+            this.uiRenderer?.updateProgress(20, 'Discovering subdomains from multiple sources...');
             const subdomains = await this.discoverSubdomainsWithProgress(domain);
             
             // Phase 3: Analyze subdomains progressively
-            this.uiRenderer.updateProgress(40, 'Analyzing discovered subdomains...');
+            this.uiRenderer?.updateProgress(40, 'Analyzing discovered subdomains...');
             const subdomainResults = await this.analyzeSubdomainsWithProgress(subdomains, mainDomainResults);
             
             // Phase 4: Get ASN information
-            this.uiRenderer.updateProgress(70, 'Getting network information...');
+            this.uiRenderer?.updateProgress(70, 'Getting network information...');
             await this.enrichWithASNInfo(subdomainResults);
             
             // Phase 5: Security analysis
-            this.uiRenderer.updateProgress(85, 'Performing security analysis...');
+            this.uiRenderer?.updateProgress(85, 'Performing security analysis...');
             const securityResults = await this.performSecurityAnalysis(mainDomainResults, subdomainResults);
             
             // Phase 6: Final processing and display
-            this.uiRenderer.updateProgress(95, 'Finalizing results...');
+            this.uiRenderer?.updateProgress(95, 'Finalizing results...');
             const processedData = this.processResults(mainDomainResults, subdomainResults, securityResults);
             
+            // Compare with the previous scan of this domain (null on the first scan)
+            processedData.drift = this.scanHistory ?
+                await this.scanHistory.record(domain, processedData, securityResults) : null;
+            
             // Phase 7: Show complete results
-            this.uiRenderer.updateProgress(100, 'Analysis complete!');
+            this.uiRenderer?.updateProgress(100, 'Analysis complete!');
             this.displayResults(processedData, securityResults);
             
             // Enable export functionality with enhanced data
-            console.log('🔍 Checking export manager availability:', !!window.exportManager);
-            if (window.exportManager) {
+            console.log('🔍 Checking export manager availability:', !!this.exportManager);
+            if (this.exportManager) {
                 console.log('📊 Setting analysis data for export...');
                 
                 // Add dataProcessor reference to processedData for export (same as UIRenderer)
@@ -96,23 +111,39 @@ class AnalysisController {
                     dataProcessor: this.dataProcessor
                 };
                 
-                window.exportManager.setAnalysisData(enhancedProcessedData, securityResults, domain);
+                this.exportManager.setAnalysisData(enhancedProcessedData, securityResults, domain);
                 console.log('✅ Export data set successfully');
             } else {
-                console.error('❌ Export manager not available');
+                console.log('ℹ️  No export manager attached - export data not set');
             }
             
             console.log(`🎉 Analysis complete for ${domain}!`);
             this.debug.logStats(processedData.stats);
             
+            return { processedData, securityResults };
+            
         } catch (error) {
             console.error('❌ Analysis failed:', error);
-            this.uiRenderer.showError('Analysis failed: ' + error.message);
+            this.uiRenderer?.showError('Analysis failed: ' + error.message);
+            return null;
+        }
+    }
+
+    // Discovery sources, DNS provider and subdomain depth for the next analyses (null = defaults, see Permalink.normalizeOptions)
+    setAnalysisOptions({ sources = null, dns = null, depth = null } = {}) {
+        this.dnsAnalyzer.setDiscoveryOptions({ sources, maxDepth: depth });
+        if (dns) {
+            this.dnsAnalyzer.setDNSServers([dns]);
+        } else {
+            this.dnsAnalyzer.resetDNSServers();
         }
     }
 
     // Setup debug mode
     setupDebugMode() {
+        // Headless runs keep the debug flag set by the caller
+        if (typeof document === 'undefined') return;
+        
         const debugCheckbox = document.getElementById('debugMode');
         this.debug.isEnabled = debugCheckbox ? debugCheckbox.checked : false;
         
@@ -147,7 +178,7 @@ class AnalysisController {
         
         // Detect services from main domain
         if (mainDomainResults.records) {
-            const services = this.serviceDetector.detectServices(mainDomainResults.records, domain);
+            const services = this.serviceDetector.detectServices(mainDomainResults.records, domain, mainDomainResults.spfTree);
             mainDomainResults.services = services;
             this.debug.logJSON('Services detected from main domain:', services);
             console.log(`✅ Found ${services.length} services from main domain`);
@@ -172,8 +203,9 @@ class AnalysisController {
         console.log(`🔍 Discovering subdomains for ${domain} with progress feedback...`);
         
         // Update progress for each source
-        this.uiRenderer.updateProgress(22, 'Querying Certificate Transparency logs...');
-        this.addAPINotification('Certificate Transparency', 'Querying crt.sh and other CT logs (may take 30-90 seconds)...', 'info');
+        this.uiRenderer?.updateProgress(22, 'Querying Certificate Transparency logs...');
+        const sourceNames = this.dnsAnalyzer.discoverySources.resolve(this.dnsAnalyzer.discoveryOptions.sources).map(source => source.name);
+        this.addAPINotification('Certificate Transparency', `Querying ${sourceNames.join(', ') || 'no sources'} (may take 30-90 seconds)...`, 'info');
         
         try {
             // Use the new optimized discovery approach
@@ -182,9 +214,18 @@ class AnalysisController {
             // Get final stats from discovery queue
             const discoveryStats = this.dnsAnalyzer.discoveryQueue.getStats();
             
-            this.uiRenderer.updateProgress(35, `Found ${discoveryStats.total} subdomains, processed ${discoveryStats.processed}`);
+            this.uiRenderer?.updateProgress(35, `Found ${discoveryStats.total} subdomains, processed ${discoveryStats.processed}`);
             this.addAPINotification('Subdomain Discovery', `Found ${discoveryStats.total} subdomains from Certificate Transparency logs`, 'success');
             
+            // Sources that failed or timed out did not stop discovery - say which ones so a thin result is explained
+            const apiStatuses = this.dnsAnalyzer.getCTApiStatuses();
+            if (apiStatuses.timeout.length > 0 || apiStatuses.failed.length > 0) {
+                const details = [];
+                if (apiStatuses.timeout.length > 0) details.push(`⏰ ${apiStatuses.timeout.join(', ')} timed out`);
+                if (apiStatuses.failed.length > 0) details.push(`❌ ${apiStatuses.failed.join(', ')} failed`);
+                this.addAPINotification('Subdomain Discovery', `${details.join('; ')} - results are from ${apiStatuses.completed.join(', ') || 'no sources'}`, 'warning');
+            }
+            
             this.debug.logJSON('Subdomains discovered:', subdomains);
             console.log(`✅ Found and processed ${subdomains.length} subdomains`);
             
@@ -270,7 +311,7 @@ class AnalysisController {
         console.log(`✅ Subdomains already processed via discovery queue, returning ${subdomains.length} results`);
         
         // Show progressive results with subdomains
-        this.uiRenderer.updateProgress(60, `Returning ${subdomains.length} processed subdomains...`);
+        this.uiRenderer?.updateProgress(60, `Returning ${subdomains.length} processed subdomains...`);
         await this.displayProgressiveResults(mainDomainResults, subdomains, [], {});
         
         this.addAPINotification('DNS Analysis', `Completed analysis of ${subdomains.length} subdomains`, 'success');
@@ -328,24 +369,34 @@ class AnalysisController {
 
         if (mainDomainResults?.records) {
             // DNS security issues
-            securityResults.dnsIssues = this.serviceDetector.detectDNSSecurityIssues(mainDomainResults.records);
+            securityResults.dnsIssues = this.serviceDetector.detectDNSSecurityIssues(
+                mainDomainResults.records, mainDomainResults.spfTree, mainDomainResults.dnssec);
             this.debug.logJSON('DNS security issues:', securityResults.dnsIssues);
             
             // Email security issues
-            securityResults.emailIssues = this.serviceDetector.detectEmailSecurityIssues(mainDomainResults.records);
+            securityResults.emailIssues = this.serviceDetector.detectEmailSecurityIssues(
+                mainDomainResults.records, mainDomainResults.dmarcAnalysis, mainDomainResults.mailPolicies);
             this.debug.logJSON('Email security issues:', securityResults.emailIssues);
             
             // Cloud security issues
             securityResults.cloudIssues = this.serviceDetector.detectCloudSecurityIssues(mainDomainResults.records, subdomainResults);
             this.debug.logJSON('Cloud security issues:', securityResults.cloudIssues);
             
-            // Subdomain takeover detection
-            if (mainDomainResults.records.CNAME) {
-                securityResults.takeovers = this.serviceDetector.detectTakeoverFromCNAME(mainDomainResults.records.CNAME);
-                this.debug.logJSON('Takeover vulnerabilities:', securityResults.takeovers);
+            // Takeover verification for the main domain's own CNAME records
+            for (const record of mainDomainResults.records.CNAME || []) {
+                const takeover = await this.dnsAnalyzer.takeoverEngine.checkCNAME(
+                    record.name.replace(/\.$/, ''), [record.data.replace(/\.$/, '')]);
+                if (takeover) securityResults.takeovers.push(takeover);
             }
         }
 
+        // Takeovers and lame/dangling NS delegations found during subdomain analysis
+        for (const subdomain of subdomainResults || []) {
+            if (subdomain.takeover) securityResults.takeovers.push(subdomain.takeover);
+            securityResults.takeovers.push(...(subdomain.delegation?.findings || []));
+        }
+        this.debug.logJSON('Takeover vulnerabilities:', securityResults.takeovers);
+
         // Wildcard certificate security analysis
         const wildcardCerts = this.dnsAnalyzer.getWildcardCertificates();
         if (wildcardCerts && wildcardCerts.length > 0) {
@@ -359,8 +410,14 @@ class AnalysisController {
         this.debug.logJSON('DNS records:', dnsRecords);
         
         securityResults.dnsRecords = dnsRecords;
+        securityResults.spfTree = mainDomainResults?.spfTree || null;
+        securityResults.dmarcAnalysis = mainDomainResults?.dmarcAnalysis || null;
+        securityResults.mailPolicies = mainDomainResults?.mailPolicies || null;
+        securityResults.dnssec = mainDomainResults?.dnssec || null;
 
-        const totalIssues = Object.values(securityResults).reduce((sum, issues) => sum + issues.length, 0);
+        const totalIssues = Object.values(securityResults)
+            .filter(issues => Array.isArray(issues))
+            .reduce((sum, issues) => sum + issues.length, 0);
         console.log(`✅ Security analysis complete: ${totalIssues} issues found`);
         
         return securityResults;
@@ -409,6 +466,8 @@ class AnalysisController {
 
     // Display progressive results (main domain first, then updates)
     async displayProgressiveResults(mainDomainResults, subdomainResults, historicalRecords, securityResults) {
+        if (!this.uiRenderer) return;
+        
         console.log(`🎨 Displaying progressive results (${subdomainResults.length} subdomains so far)...`);
         
         // Process available data
@@ -438,6 +497,8 @@ class AnalysisController {
 
     // Display all results
     displayResults(processedData, securityResults) {
+        if (!this.uiRenderer) return;
+        
         console.log(`🎨 Rendering results...`);
         
         // Get interesting findings
@@ -460,6 +521,30 @@ class AnalysisController {
         console.log(`✅ Results displayed successfully`);
     }
 
+    // Show a scan loaded from a JSON export (ExportManager.parseJSONExport) without querying anything
+    displayImportedResults(imported) {
+        const { domain, meta, processedData, securityResults } = imported;
+        console.log(`📂 Showing imported scan of ${domain} from ${meta.timestamp || 'an unknown date'}`);
+
+        this.dataProcessor.restoreProcessedData(processedData);
+        if (!processedData.stats) {
+            processedData.stats = this.dataProcessor.calculateStats();
+        }
+        this.apiNotifications = [];
+
+        this.uiRenderer?.clearResults();
+        this.uiRenderer?.updateProgress(100, `Imported scan of ${domain}${meta.formattedTimestamp ? ` from ${meta.formattedTimestamp}` : ''}`);
+        this.displayResults(processedData, securityResults);
+
+        // Re-exports keep the original scan time
+        this.exportManager?.setAnalysisData({
+            ...processedData,
+            dataProcessor: this.dataProcessor
+        }, securityResults, domain, meta.timestamp || new Date().toISOString());
+
+        return { processedData, securityResults };
+    }
+
     // Get interesting infrastructure findings (only from active subdomains)
     getInterestingFindings(processedData) {
         // Use the DataProcessor's method to get only active subdomains
@@ -14,7 +14,8 @@ class APIClient {
      * Make a DNS query via Worker or direct DoH
      */
     async queryDNS(domain, type = 'A', provider = 'cloudflare') {
-        const useWorker = this.config.features.useWorkerAPIs && this.config.workerUrl;
+        // The worker only proxies some providers (DNS_PROVIDERS worker flag) - it would answer the others from Cloudflare
+        const useWorker = this.config.features.useWorkerAPIs && this.config.workerUrl && DNS_PROVIDERS[provider]?.worker;
         
         if (useWorker) {
             try {
@@ -58,37 +59,17 @@ class APIClient {
     }
     
     /**
-     * Direct DNS over HTTPS query
+     * Direct DNS over HTTPS query through the provider's transport
+     * (JSON or RFC 8484 wire format - see dns-transport.js)
      */
     async queryDNSDirect(domain, type, provider) {
-        let dohUrl;
-        let headers = {
-            'Accept': 'application/dns-json',
-            'User-Agent': '3ptracer/2.0'
-        };
+        const transport = createDNSTransport(DNS_PROVIDERS[provider] ? provider : 'cloudflare');
         
-        switch (provider) {
-            case 'cloudflare':
-                dohUrl = `https://cloudflare-dns.com/dns-query?name=${domain}&type=${type}`;
-                break;
-            case 'google':
-                dohUrl = `https://dns.google/resolve?name=${domain}&type=${type}`;
-                break;
-            case 'quad9':
-                dohUrl = `https://dns.quad9.net:5053/dns-query?name=${domain}&type=${type}`;
-                headers.Accept = 'application/dns-json';
-                break;
-            default:
-                dohUrl = `https://cloudflare-dns.com/dns-query?name=${domain}&type=${type}`;
+        try {
+            return await transport.query(domain, type);
+        } catch (error) {
+            throw new Error(`Direct DNS query failed: ${error.message}`);
         }
-        
-        const response = await fetch(dohUrl, { headers });
-        
-        if (!response.ok) {
-            throw new Error(`Direct DNS query failed: ${response.status}`);
-        }
-        
-        return await response.json();
     }
     
     /**
@@ -97,6 +78,14 @@ class APIClient {
     async queryCT(domain, source) {
         const useWorker = this.config.features.useWorkerAPIs && this.config.workerUrl;
         
+        // Keyed sources only exist behind the worker, and their errors (no secret set, quota) say nothing about its health
+        if (DiscoverySourceRegistry.getDefault().get(source)?.auth?.required) {
+            if (!useWorker) {
+                throw new Error(`CT ${source} needs the 3ptracer worker`);
+            }
+            return await this.queryCTViaWorker(domain, source);
+        }
+        
         if (useWorker) {
             try {
                 if (this.workerHealthy === null) {
@@ -131,7 +120,9 @@ class APIClient {
         });
         
         if (!response.ok) {
-            throw new Error(`Worker CT ${source} query failed: ${response.status}`);
+            // The worker explains its errors (e.g. a keyed source without its secret) in a JSON body
+            const body = await response.json().catch(() => null);
+            throw new Error(`Worker CT ${source} query failed: ${response.status}${body?.error ? ` - ${body.error}` : ''}`);
         }
         
         const contentType = response.headers.get('content-type');
@@ -146,44 +137,152 @@ class APIClient {
      * Direct CT query
      */
     async queryCTDirect(domain, source) {
-        let url;
-        let headers = {
-            'Accept': 'application/json',
-            'User-Agent': '3ptracer/2.0'
-        };
-        
-        switch (source) {
-            case 'crtsh':
-                url = `https://crt.sh/?q=%25.${domain}&output=json`;
-                break;
-            case 'certspotter':
-                url = `https://certspotter.com/api/v0/certs?domain=${domain}`;
-                break;
-            case 'otx':
-                url = `https://otx.alienvault.com/api/v1/indicators/domain/${domain}/passive_dns`;
-                break;
-            case 'hackertarget':
-                url = `https://api.hackertarget.com/hostsearch/?q=${domain}`;
-                headers.Accept = 'text/plain';
-                break;
-            default:
-                throw new Error(`Unknown CT source: ${source}`);
+        const definition = DiscoverySourceRegistry.getDefault().get(source);
+        if (!definition) {
+            throw new Error(`Unknown CT source: ${source}`);
+        }
+        if (definition.auth?.required) {
+            throw new Error(`CT ${source} is only available through the worker`);
         }
         
-        const response = await fetch(url, { headers });
+        const response = await fetch(await definition.url(domain), {
+            headers: {
+                'Accept': definition.responseType === 'text' ? 'text/plain' : 'application/json',
+                'User-Agent': '3ptracer/2.0'
+            }
+        });
         
         if (!response.ok) {
             throw new Error(`Direct CT ${source} query failed: ${response.status}`);
         }
         
         const contentType = response.headers.get('content-type');
-        if (source === 'hackertarget' || (contentType && contentType.includes('text/plain'))) {
+        if (definition.responseType === 'text' || (contentType && contentType.includes('text/plain'))) {
             return await response.text();
         } else {
             return await response.json();
         }
     }
     
+    /**
+     * Which keyed discovery sources have their API key set as a worker secret
+     * Returns [{ id, name, enabled, secrets }], or null without a reachable worker
+     */
+    async getKeyedSourceStatus() {
+        if (!this.config.features.useWorkerAPIs || !this.config.workerUrl) {
+            return null;
+        }
+        
+        try {
+            const response = await fetch(`${this.config.workerUrl}/api/sources`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(`Worker sources query failed: ${response.status}`);
+            }
+            return (await response.json()).keyed || [];
+        } catch (error) {
+            console.warn('Keyed source status unavailable:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Fetch a domain's MTA-STS policy file via the Worker
+     * Returns { url, status, contentType, location, body }, or null without a usable worker
+     * (MailPolicyAnalyzer.fetchPolicy then fetches it directly)
+     */
+    async fetchMTASTSPolicy(domain) {
+        return await this.fetchViaWorker(`/api/mta-sts?domain=${encodeURIComponent(domain)}`, 'MTA-STS policy fetch');
+    }
+    
+    /**
+     * GET a worker endpoint that fetches a third-party host on the client's behalf - null without a usable worker
+     * Only transport failures and 5xx answers mark the worker unhealthy. The host being unreachable is reported by the
+     * worker as { error, message } and thrown here, so a dead or missing host doesn't disable the worker for the session.
+     */
+    async fetchViaWorker(path, label) {
+        if (!this.config.features.useWorkerAPIs || !this.config.workerUrl) {
+            return null;
+        }
+        
+        let response;
+        let data;
+        try {
+            if (this.workerHealthy === null) {
+                this.workerHealthy = await this.config.checkWorkerHealth();
+            }
+            if (!this.workerHealthy) {
+                return null;
+            }
+            
+            response = await fetch(`${this.config.workerUrl}${path}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': '3ptracer/2.0'
+                }
+            });
+            if (response.status >= 500) {
+                throw new Error(`Worker ${label} failed: ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            console.warn(`${label} via Worker failed, falling back to direct:`, error);
+            this.workerHealthy = false;
+            return null;
+        }
+        
+        if (!response.ok || data.error) {
+            throw new Error(`${label} failed: ${data.message || data.error || response.status}`);
+        }
+        return data;
+    }
+    
+    /**
+     * Probe a host's front page for takeover fingerprints via the Worker
+     * Returns { url, status, contentType, location, signature } - the first of the given body signatures found on the
+     * page, never the page itself - or null without a usable worker (TakeoverEngine.probeHTTP then fetches it directly)
+     */
+    async fetchHTTPProbe(host, signatures) {
+        const params = new URLSearchParams({ host });
+        signatures.forEach(signature => params.append('signature', signature));
+        return await this.fetchViaWorker(`/api/http-probe?${params}`, 'HTTP probe');
+    }
+    
+    /**
+     * Check a subdomain's NS delegation against the authoritative servers
+     * Needs the worker (raw DNS over TCP) - there is no direct fallback from the browser
+     */
+    async checkDelegation(name) {
+        const useWorker = this.config.features.useWorkerAPIs && this.config.workerUrl;
+        if (!useWorker) {
+            throw new Error('Delegation checks need the worker');
+        }
+        
+        if (this.workerHealthy === null) {
+            this.workerHealthy = await this.config.checkWorkerHealth();
+        }
+        if (!this.workerHealthy) {
+            throw new Error('Worker unavailable for delegation checks');
+        }
+        
+        const url = `${this.config.workerUrl}/api/delegation?name=${encodeURIComponent(name)}`;
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': '3ptracer/2.0'
+            }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Worker delegation check failed: ${response.status}`);
+        }
+        
+        return await response.json();
+    }
+    
     /**
      * Test connectivity to all services
      */
@@ -224,7 +323,7 @@ class APIClient {
         }
         
         // Test CT sources (using a simple domain)
-        for (const source of ['crtsh', 'certspotter', 'otx', 'hackertarget']) {
+        for (const { id: source } of DiscoverySourceRegistry.getDefault().resolve()) {
             try {
                 await this.queryCTDirect(testDomain, source);
                 results.ct[source] = true;
@@ -3,12 +3,66 @@ class App {
     constructor() {
         this.analysisController = AnalysisController.create();
         this.currentDomain = '';
+        this.currentOptions = null;
+        
+        // JSON exports of the analyses run in this tab, keyed by permalink fragment - back/forward shows them without re-scanning
+        this.scans = new Map();
     }
 
     // Main analysis function - now delegates to AnalysisController
-    async analyzeDomain(domain) {
-        this.currentDomain = domain;
-        await this.analysisController.analyzeDomain(domain);
+    // options: { domain, sources, dns, depth } (Permalink.normalizeOptions); a new history entry is added unless updateHistory is false
+    async analyzeDomain(options, { updateHistory = true } = {}) {
+        this.currentDomain = options.domain;
+        this.currentOptions = options;
+        this.analysisController.setAnalysisOptions(options);
+        
+        const results = await this.analysisController.analyzeDomain(options.domain);
+        const exportData = this.analysisController.exportManager?.buildJSONExport();
+        if (!results || !exportData) return;
+        
+        const fragment = Permalink.encodeOptions(options);
+        this.scans.set(fragment, exportData);
+        if (updateHistory && location.hash.slice(1) !== fragment) {
+            history.pushState(null, '', `#${fragment}`);
+        }
+    }
+
+    // Show what a permalink fragment points to - the scan from this tab's history, the result it carries, or a fresh analysis
+    // A carried result was produced by whoever shared the link, so it is only shown once the user agrees to it
+    async openPermalink(fragment) {
+        const link = await Permalink.decode(fragment);
+        if (!link) return;
+        
+        setAnalysisOptionsForm(link);
+        const key = Permalink.encodeOptions(link);
+        let exportData = this.scans.get(key);
+        if (!exportData && link.result) {
+            if (!confirm(`This link carries a shared analysis of ${link.domain}. It was not produced by this browser and may have been edited.\n\nShow it? Cancel only fills in the analysis options.`)) {
+                return;
+            }
+            exportData = link.result;
+        }
+        if (!exportData) {
+            await this.analyzeDomain(link, { updateHistory: false });
+            return;
+        }
+        
+        this.currentDomain = link.domain;
+        this.currentOptions = link;
+        this.scans.set(key, exportData);
+        document.getElementById('batchResults').style.display = 'none';
+        this.analysisController.displayImportedResults(ExportManager.parseJSONExport(exportData));
+    }
+
+    // Link to the analysis on screen, with the scan itself when it fits in a URL; null when nothing has been analyzed
+    async getPermalink(includeResult = true) {
+        const exportData = this.analysisController.exportManager?.buildJSONExport();
+        if (!this.currentOptions || !exportData) return null;
+        
+        const base = `${location.origin}${location.pathname}#`;
+        const url = base + await Permalink.encode(this.currentOptions, includeResult ? exportData : null);
+        return url.length <= PERMALINK_MAX_LENGTH ? { url, includesResult: includeResult } :
+            { url: base + Permalink.encodeOptions(this.currentOptions), includesResult: false };
     }
 
     // Save results to localStorage
@@ -54,6 +108,95 @@ function updateConfigDisplay() {
     const debugBtn = document.getElementById('debugToggle');
     debugBtn.textContent = config.features.enableDebugMode ? 'Debug Mode: ON' : 'Debug Mode: OFF';
     debugBtn.style.background = config.features.enableDebugMode ? '#FF9800' : '#2196F3';
+    
+    updateSignatureDisplay();
+    updateReportTemplateDisplay();
+}
+
+// Keyed discovery sources can only be selected once the worker holds their API key
+async function updateKeyedSourceStatus() {
+    const statusSpan = document.getElementById('keyedSourceStatus');
+    const statuses = await apiClient.getKeyedSourceStatus();
+    const enabled = new Set((statuses || []).filter(status => status.enabled).map(status => status.id));
+    
+    if (!statuses) {
+        statusSpan.textContent = 'N/A (API keys are held by the worker)';
+        statusSpan.style.color = '#666';
+    } else {
+        statusSpan.textContent = statuses
+            .map(status => status.enabled ? `✅ ${status.name}` : `⚪ ${status.name} (set ${status.secrets.join(', ')})`)
+            .join(', ');
+        statusSpan.style.color = '';
+    }
+    
+    for (const source of DiscoverySourceRegistry.getDefault().list().filter(source => source.auth?.required)) {
+        const input = document.querySelector(`input[name="discoverySource"][value="${source.id}"]`);
+        if (input && !enabled.has(source.id)) {
+            input.checked = false;
+            input.disabled = true;
+            input.closest('.source-option').title += ' - not configured on the worker';
+        }
+    }
+}
+
+function updateSignatureDisplay() {
+    const sources = SignatureDatabase.getDefault().getSources();
+    document.getElementById('signatureStatus').textContent = sources
+        .map(source => `${source.name} v${source.version}`)
+        .join(', ');
+}
+
+// Load a custom signature file (same JSON format as service-signatures.js) and keep it for later visits
+async function loadCustomSignatures(input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    try {
+        const signatures = JSON.parse(await file.text());
+        SignatureDatabase.getDefault().saveCustomSignatures(signatures);
+        updateSignatureDisplay();
+        alert(`Loaded custom signatures: ${signatures.name || file.name} v${signatures.version}`);
+    } catch (error) {
+        alert(`Could not load signatures: ${error.message}`);
+    } finally {
+        input.value = '';
+    }
+}
+
+function updateReportTemplateDisplay() {
+    const custom = Object.keys(ReportExporter.getStoredTemplates()).map(format => REPORT_FORMATS[format]?.label || format);
+    document.getElementById('reportTemplateStatus').textContent = custom.length > 0 ? `Custom (${custom.join(', ')})` : 'Default';
+}
+
+// Load a custom Markdown (.md) or HTML (.html) report template and keep it for later visits
+async function loadReportTemplate(input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    try {
+        const format = ReportExporter.getFormatForFile(file.name);
+        if (!format) {
+            throw new Error('use a .md file for Markdown or an .html file for HTML reports');
+        }
+        ReportExporter.saveTemplate(format, await file.text());
+        updateReportTemplateDisplay();
+        alert(`Loaded custom ${REPORT_FORMATS[format].label} report template: ${file.name}`);
+    } catch (error) {
+        alert(`Could not load report template: ${error.message}`);
+    } finally {
+        input.value = '';
+    }
+}
+
+function clearReportTemplates() {
+    ReportExporter.clearStoredTemplates();
+    updateReportTemplateDisplay();
+}
+
+function clearCustomSignatures() {
+    SignatureDatabase.clearCustomSignatures();
+    // Signatures are already merged into the running engines - reload to start from the defaults
+    location.reload();
 }
 
 function toggleDebugMode() {
@@ -113,7 +256,7 @@ async function testConnectivity() {
         
         resultsDiv.innerHTML = html;
     } catch (error) {
-        resultsDiv.innerHTML = `<p style="color: #F44336;">Error testing connectivity: ${error.message}</p>`;
+        resultsDiv.innerHTML = `<p style="color: #F44336;">Error testing connectivity: ${escapeMarkup(error.message)}</p>`;
     }
 }
 
@@ -121,33 +264,108 @@ async function testConnectivity() {
 document.addEventListener('DOMContentLoaded', function() {
     updateConfigDisplay();
     checkWorkerHealth();
+    renderAnalysisOptions();
+    updateKeyedSourceStatus();
     
     const domainInput = document.getElementById('domain');
     const savedDomain = localStorage.getItem('3ptracer_last_domain');
     if (savedDomain) {
         domainInput.value = savedDomain;
     }
+    
+    // A permalink opens its analysis right away
+    if (location.hash.length > 1) {
+        openPermalinkFromLocation();
+    }
 });
+// Analysis options form (discovery sources, DNS provider, subdomain depth)
+function renderAnalysisOptions() {
+    const dnsSelect = document.getElementById('dnsProvider');
+    for (const provider of Object.keys(DNS_PROVIDERS)) {
+        dnsSelect.add(new Option(provider, provider));
+    }
+    
+    document.getElementById('discoverySources').innerHTML = DiscoverySourceRegistry.getDefault().list().map(source => {
+        const limit = `${source.rateLimit.requests} request(s) per ${source.rateLimit.interval / 1000}s`;
+        const auth = source.auth ? `${source.auth.required ? 'requires' : 'optional'} API key (worker secret ${source.auth.secrets.join(', ')})` : 'no API key';
+        const optIn = source.optIn ? ', off by default (thousands of historical hosts)' : '';
+        return `
+        <span class="source-option" title="${source.description} - ${limit}, ${auth}${optIn}">
+            <label><input type="checkbox" name="discoverySource" value="${source.id}"${DiscoverySourceRegistry.isDefault(source) ? ' checked' : ''}> ${source.name}${source.auth?.required ? ' 🔑' : ''}</label>
+            <button type="button" class="source-move" onclick="moveDiscoverySource(this, -1)" aria-label="Raise ${source.name} priority">▲</button>
+            <button type="button" class="source-move" onclick="moveDiscoverySource(this, 1)" aria-label="Lower ${source.name} priority">▼</button>
+        </span>`;
+    }).join('');
+}
+
+// Sources are listed in priority order - the first source that finds a subdomain is credited with it
+function moveDiscoverySource(button, offset) {
+    const option = button.closest('.source-option');
+    const sibling = offset < 0 ? option.previousElementSibling : option.nextElementSibling;
+    if (sibling) {
+        option.parentNode.insertBefore(option, offset < 0 ? sibling : sibling.nextElementSibling);
+    }
+}
+
+// Current form values as normalized options (throws on an invalid domain)
+function getAnalysisOptionsForm() {
+    const depth = document.getElementById('subdomainDepth').value;
+    return Permalink.normalizeOptions({
+        domain: document.getElementById('domain').value,
+        sources: Array.from(document.querySelectorAll('input[name="discoverySource"]:checked')).map(input => input.value),
+        dns: document.getElementById('dnsProvider').value || null,
+        depth: depth === '' ? null : parseInt(depth, 10)
+    });
+}
+
+function setAnalysisOptionsForm(options) {
+    document.getElementById('domain').value = options.domain;
+    document.getElementById('dnsProvider').value = options.dns || '';
+    document.getElementById('subdomainDepth').value = options.depth === null ? '' : String(options.depth);
+    
+    // Selected sources first in their priority order, then the unselected ones
+    const container = document.getElementById('discoverySources');
+    const order = options.sources || DiscoverySourceRegistry.getDefault().resolve().map(source => source.id);
+    const rank = input => order.includes(input.value) ? order.indexOf(input.value) : order.length;
+    const inputs = Array.from(container.querySelectorAll('input[name="discoverySource"]'));
+    inputs.sort((a, b) => rank(a) - rank(b));
+    inputs.forEach(input => {
+        input.checked = order.includes(input.value);
+        container.appendChild(input.closest('.source-option'));
+    });
+}
+
 // Main analysis function (called from HTML)
 async function analyzeDomain() {
-    const domainInput = document.getElementById('domain');
     const analyzeBtn = document.querySelector('.analyze-btn');
-    const domain = domainInput.value.trim();
     
-    if (!domain) {
+    if (!document.getElementById('domain').value.trim()) {
         alert('Please enter a domain name');
         return;
     }
     
+    let options;
+    try {
+        options = getAnalysisOptionsForm();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    if (options.sources?.length === 0 && options.depth !== 0) {
+        alert('Select at least one discovery source, or set the subdomain depth to 0 to analyze the main domain only');
+        return;
+    }
+    
     // Disable button and show progress
     analyzeBtn.disabled = true;
     analyzeBtn.textContent = 'Analyzing...';
     
     // Hide previous results
     document.getElementById('results').style.display = 'none';
+    document.getElementById('batchResults').style.display = 'none';
     
     try {
-        await app.analyzeDomain(domain);
+        await app.analyzeDomain(options);
         app.saveResults();
     } catch (error) {
         console.error('Analysis failed:', error);
@@ -158,6 +376,151 @@ async function analyzeDomain() {
     }
 }
 
+// Copy a link that opens the analysis on screen (with its results when they fit in a URL)
+async function copyPermalink() {
+    try {
+        const permalink = await app.getPermalink();
+        if (!permalink) {
+            alert('Analyze a domain first');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(permalink.url);
+            alert(permalink.includesResult ?
+                'Link copied - it opens these results without re-scanning' :
+                'Link copied - the results are too large for a link, so it re-runs the analysis with the same options (use Export as JSON to share the results)');
+        } catch {
+            prompt('Copy this link:', permalink.url);
+        }
+    } catch (error) {
+        console.error('Permalink failed:', error);
+        alert(`Could not create the link: ${error.message}`);
+    }
+}
+
+// Open the analysis in the URL fragment (page load, back/forward)
+async function openPermalinkFromLocation() {
+    try {
+        await app.openPermalink(location.hash);
+    } catch (error) {
+        console.error('Could not open link:', error);
+        alert(`Could not open this link: ${error.message}`);
+    }
+}
+
+window.addEventListener('popstate', openPermalinkFromLocation);
+
+// Show a scan from a JSON export (Export as JSON) - e.g. one a colleague ran - without re-querying anything
+async function importAnalysis(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    try {
+        const imported = ExportManager.parseJSONExport(await file.text());
+
+        document.getElementById('batchResults').style.display = 'none';
+        document.getElementById('domain').value = imported.domain;
+        app.currentDomain = imported.domain;
+        app.currentOptions = Permalink.normalizeOptions({ domain: imported.domain });
+        app.analysisController.displayImportedResults(imported);
+    } catch (error) {
+        console.error('Import failed:', error);
+        alert(`Could not import ${file.name}: ${error.message}`);
+    } finally {
+        input.value = '';
+    }
+}
+
+// Batch mode functions
+function toggleBatchPanel() {
+    const content = document.getElementById('batchContent');
+    const toggle = document.getElementById('batchToggle');
+    const expanded = content.style.display === 'none';
+    
+    content.style.display = expanded ? 'block' : 'none';
+    toggle.textContent = expanded ? '▲' : '▼';
+}
+
+// Read an uploaded CSV/text file into the batch textarea
+async function loadBatchFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    
+    try {
+        document.getElementById('batchDomains').value = await file.text();
+    } catch (error) {
+        alert(`Could not read ${file.name}: ${error.message}`);
+    } finally {
+        input.value = '';
+    }
+}
+
+// Analyze every domain in the batch textarea and show the portfolio report
+async function analyzeBatch() {
+    const { domains, invalid } = BatchAnalyzer.parseDomainList(document.getElementById('batchDomains').value);
+    
+    if (domains.length === 0) {
+        alert('Please enter at least one domain name');
+        return;
+    }
+    if (invalid.length > 0 && !confirm(`Skipping ${invalid.length} invalid entr${invalid.length === 1 ? 'y' : 'ies'}: ${invalid.slice(0, 5).join(', ')}${invalid.length > 5 ? ', ...' : ''}\n\nAnalyze the remaining ${domains.length} domains?`)) {
+        return;
+    }
+    
+    const runBtn = document.getElementById('batchRunBtn');
+    const stopBtn = document.getElementById('batchStopBtn');
+    const renderer = app.analysisController.uiRenderer;
+    runBtn.disabled = true;
+    stopBtn.disabled = false;
+    document.getElementById('results').style.display = 'none';
+    
+    app.batchAnalyzer = new BatchAnalyzer({
+        concurrency: parseInt(document.getElementById('batchConcurrency').value, 10)
+    });
+    
+    try {
+        const progress = [];
+        renderer.updateProgress(0, `Analyzing ${domains.length} domains...`);
+        app.batchReport = await app.batchAnalyzer.run(domains, (result, completed, total) => {
+            progress.push(result);
+            renderer.updateProgress(Math.round(completed / total * 100), `Analyzed ${completed} of ${total} domains (last: ${result.domain})`);
+            renderer.displayBatchProgress(progress, total);
+        });
+        renderer.displayBatchReport(app.batchReport);
+    } catch (error) {
+        console.error('Batch analysis failed:', error);
+        alert(`Batch analysis failed: ${error.message}`);
+    } finally {
+        runBtn.disabled = false;
+        stopBtn.disabled = true;
+        app.batchAnalyzer = null;
+    }
+}
+
+function stopBatch() {
+    if (app.batchAnalyzer) {
+        app.batchAnalyzer.cancel();
+        document.getElementById('batchStopBtn').disabled = true;
+        document.getElementById('progressText').textContent = 'Stopping - waiting for running domains to finish...';
+    }
+}
+
+// Download the last batch report as JSON
+function exportBatchReport() {
+    if (!app.batchReport) return;
+    
+    const blob = new Blob([JSON.stringify(app.batchReport, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `3rd-party-portfolio-${app.batchReport.generatedAt.split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 // Handle Enter key in input field
 document.getElementById('domain').addEventListener('keypress', function(e) {
     if (e.key === 'Enter') {
@@ -0,0 +1,226 @@
+// Batch Analyzer - Runs a list of domains through a concurrency-limited queue and builds a portfolio report
+// Each domain gets its own headless AnalysisController; all of them share one RateLimiter and one LookupCache,
+// so DNS and ASN answers for shared infrastructure (mail providers, CDNs, SPF includes) are fetched once
+
+const BATCH_DEFAULT_CONCURRENCY = 3;
+const BATCH_DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+const BATCH_DOMAIN_COLUMNS = ['domain', 'domains', 'hostname', 'host', 'website', 'url'];
+
+// Promise cache for lookups shared between analyzers - concurrent requests for the same key share one call
+class LookupCache {
+    constructor() {
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    // Cached value for key, produced once; failures are not cached so a later request can retry
+    async get(key, producer) {
+        if (this.entries.has(key)) {
+            this.hits++;
+        } else {
+            this.misses++;
+            const promise = Promise.resolve().then(producer);
+            promise.catch(() => this.entries.delete(key));
+            this.entries.set(key, promise);
+        }
+
+        // Callers get their own copy - analyzers annotate the records they receive
+        const value = await this.entries.get(key);
+        return value === undefined || value === null ? value : structuredClone(value);
+    }
+
+    getStats() {
+        return { entries: this.entries.size, hits: this.hits, misses: this.misses };
+    }
+}
+
+class BatchAnalyzer {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || BATCH_DEFAULT_CONCURRENCY);
+        this.rateLimiter = options.rateLimiter || new RateLimiter(10, 1000);
+        this.lookupCache = options.lookupCache || new LookupCache();
+        this.controllerFactory = options.createController || (() => this.createDefaultController());
+        this.cancelled = false;
+    }
+
+    // Parse pasted text or an uploaded CSV into unique domain names
+    // A header row naming a domain column (domain, hostname, url, ...) selects that column; otherwise every cell is read
+    static parseDomainList(text) {
+        const domains = [];
+        const invalid = [];
+        const splitCells = (line, separator) => line.split(separator).map(cell => cell.trim().replace(/^["']|["']$/g, ''));
+
+        const lines = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+
+        const column = lines.length > 0 ?
+            splitCells(lines[0], /[,;\t]/).findIndex(cell => BATCH_DOMAIN_COLUMNS.includes(cell.toLowerCase())) : -1;
+
+        lines.slice(column >= 0 ? 1 : 0).forEach(line => {
+            const cells = column >= 0 ?
+                [splitCells(line, /[,;\t]/)[column]] :
+                splitCells(line, /[,;\s]+/);
+
+            for (const cell of cells.filter(cell => cell)) {
+                const domain = BatchAnalyzer.normalizeDomain(cell);
+                if (!BATCH_DOMAIN_PATTERN.test(domain)) {
+                    invalid.push(cell);
+                } else if (!domains.includes(domain)) {
+                    domains.push(domain);
+                }
+            }
+        });
+
+        return { domains, invalid };
+    }
+
+    // Strip scheme, path, port, wildcard label and trailing dot from a pasted value
+    static normalizeDomain(value) {
+        return value.toLowerCase()
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+            .replace(/[/?#].*$/, '')
+            .replace(/:\d+$/, '')
+            .replace(/^\*\./, '')
+            .replace(/\.$/, '');
+    }
+
+    // Headless controller with its own analyzer state (discovery queue, processed data)
+    createDefaultController() {
+        return new AnalysisController({
+            dnsAnalyzer: new DNSAnalyzer(),
+            serviceDetector: new ServiceDetectionEngine(),
+            dataProcessor: new DataProcessor(),
+            uiRenderer: null,
+            exportManager: null
+        });
+    }
+
+    // Stop starting new domains - the ones already running finish
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // Analyze every domain, at most `concurrency` at a time; onProgress(result, completed, total) after each one
+    async run(domains, onProgress = null) {
+        this.cancelled = false;
+        const startTime = Date.now();
+        const results = new Array(domains.length);
+        let next = 0;
+        let completed = 0;
+
+        console.log(`📋 Starting batch analysis of ${domains.length} domains (concurrency ${this.concurrency})`);
+
+        const worker = async () => {
+            while (next < domains.length) {
+                const index = next++;
+                results[index] = this.cancelled ?
+                    { domain: domains[index], status: 'skipped' } :
+                    await this.analyzeOne(domains[index]);
+                completed++;
+                onProgress?.(results[index], completed, domains.length);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, domains.length) }, worker));
+
+        const report = this.buildReport(results, Date.now() - startTime);
+        console.log(`📋 Batch complete: ${report.stats.completed}/${domains.length} domains, ${report.sharedVendors.length} shared vendors`);
+        return report;
+    }
+
+    // Run one domain through its own controller and keep only the summary the report needs
+    async analyzeOne(domain) {
+        const startTime = Date.now();
+        try {
+            const controller = this.controllerFactory();
+            controller.dnsAnalyzer.useSharedResources(this.rateLimiter, this.lookupCache);
+
+            const results = await controller.analyzeDomain(domain);
+            if (!results) {
+                throw new Error('Analysis failed');
+            }
+            return {
+                ...BatchAnalyzer.summarize(domain, results.processedData, results.securityResults),
+                durationMs: Date.now() - startTime
+            };
+        } catch (error) {
+            console.warn(`⚠️  Batch analysis of ${domain} failed: ${error.message}`);
+            return { domain, status: 'failed', error: error.message, durationMs: Date.now() - startTime };
+        }
+    }
+
+    // Per-domain counts plus the third-party vendors it depends on (detected services and hosting providers)
+    static summarize(domain, processedData, securityResults = {}) {
+        const vendors = new Map();
+        const addVendor = (name, category) => {
+            if (name && name !== 'Unknown' && !vendors.has(name.toLowerCase())) {
+                vendors.set(name.toLowerCase(), { name, category: category || 'Unknown' });
+            }
+        };
+
+        Array.from(processedData.services.values()).forEach(service => addVendor(service.name, service.category));
+        const subdomains = Array.from(processedData.subdomains.values()).filter(subdomain => subdomain.status !== 'historical');
+        subdomains.forEach(subdomain => addVendor(subdomain.vendor?.vendor, subdomain.vendor?.category));
+
+        const issues = { high: 0, medium: 0, low: 0 };
+        [
+            ...(securityResults.takeovers || []),
+            ...(securityResults.dnsIssues || []),
+            ...(securityResults.emailIssues || []),
+            ...(securityResults.cloudIssues || [])
+        ].forEach(issue => {
+            if (issue.risk in issues) issues[issue.risk]++;
+        });
+
+        return {
+            domain,
+            status: 'complete',
+            subdomains: subdomains.length,
+            services: processedData.services.size,
+            issues,
+            vendors: Array.from(vendors.values()).sort((a, b) => a.name.localeCompare(b.name))
+        };
+    }
+
+    // Cross-domain view: every vendor with the domains that use it, shared ones (2+ domains) first by reach
+    buildReport(results, durationMs) {
+        const completed = results.filter(result => result.status === 'complete');
+        const vendors = new Map();
+
+        for (const result of completed) {
+            for (const vendor of result.vendors) {
+                const key = vendor.name.toLowerCase();
+                if (!vendors.has(key)) {
+                    vendors.set(key, { name: vendor.name, category: vendor.category, domains: [] });
+                }
+                vendors.get(key).domains.push(result.domain);
+            }
+        }
+
+        const allVendors = Array.from(vendors.values())
+            .map(vendor => ({
+                ...vendor,
+                count: vendor.domains.length,
+                share: completed.length > 0 ? vendor.domains.length / completed.length : 0
+            }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            domains: results,
+            vendors: allVendors,
+            sharedVendors: allVendors.filter(vendor => vendor.count > 1),
+            stats: {
+                total: results.length,
+                completed: completed.length,
+                failed: results.filter(result => result.status === 'failed').length,
+                skipped: results.filter(result => result.status === 'skipped').length,
+                durationMs,
+                concurrency: this.concurrency,
+                lookupCache: this.lookupCache.getStats()
+            }
+        };
+    }
+}
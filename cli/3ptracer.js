@@ -0,0 +1,488 @@
+#!/usr/bin/env node
+/**
+ * 3ptracer Command Line Interface
+ * Runs the full AnalysisController pipeline headless (no DOM) and writes the
+ * same JSON document ExportManager.exportToJSON produces in the browser (or its relationship
+ * graph or a SARIF / JUnit report, --format), or a portfolio report for a list of domains (--batch).
+ * With --policy the run exits with status 3 when an issue fails the CI policy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModules } = require('./module-loader');
+const { FileSnapshotStore } = require('./snapshot-store');
+const { CIPolicy, CIReportExporter } = require('./ci-report');
+const { version } = require('../package.json');
+
+const EXPORT_FORMATS = ['json', 'markdown', 'html', 'graphml', 'gexf', 'neo4j', 'stix', 'cyclonedx', 'sarif', 'junit'];
+const POLICY_FAILED_EXIT_CODE = 3;
+
+const USAGE = `Usage: 3ptracer <domain> [options]
+       3ptracer --batch <file> [options]
+
+Options:
+  -o, --output <file>   Write the JSON export to <file> instead of stdout
+      --format <format> Export format: json (default), markdown or html (report), graphml, gexf, neo4j,
+                        stix (STIX 2.1 bundle), cyclonedx (CycloneDX 1.5 services BOM), sarif or junit
+                        (CI reports, issue levels set by the policy).
+                        neo4j writes <file>-nodes.csv and <file>-relationships.csv and needs --output
+      --template <file> Render the markdown or html report with this template instead of the default
+      --policy <file>   Fail the run (exit status 3) when an issue fails this CI policy file
+                        (sarif and junit use cli/ci-policy.json when no policy is given)
+      --batch <file>    Analyze every domain in <file> (one per line, or a CSV with a domain column)
+                        and write the cross-domain vendor report instead of a single export
+      --concurrency <n> Domains analyzed in parallel in batch mode (default 3)
+      --resolver <doh>  DNS resolver to use instead of the defaults (repeatable, tried in order).
+                        A provider name (google, cloudflare, quad9, powerdns, alidns, dohpub)
+                        or any RFC 8484 DoH URL, e.g. https://doh.example.net/dns-query
+      --sources <ids>   Comma-separated discovery sources to query, highest priority first
+                        (default: every source that needs no key and is not opt-in, see --list-sources)
+      --list-sources    List the discovery sources with their rate limits and exit. Sources that need an
+                        API key are queried through the 3ptracer worker only, so the CLI cannot use them
+      --signatures <file>
+                        Load a custom signature file on top of the defaults (repeatable)
+      --record <file>   Capture every upstream response (DoH, CT sources, ASN lookups) into a fixture bundle
+      --replay <file>   Replay a fixture bundle instead of touching the network
+      --history <dir>   Keep a snapshot of each scan in <dir> and report changes since the
+                        previous scan of the same domain (added to the export as processedData.drift)
+      --debug           Enable AnalysisController debug output (implies --verbose)
+  -v, --verbose         Show analysis progress logs on stderr
+  -h, --help            Show this help
+`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        domain: null,
+        output: null,
+        format: 'json',
+        resolvers: [],
+        sources: null,
+        listSources: false,
+        signatures: [],
+        record: null,
+        replay: null,
+        history: null,
+        policy: null,
+        template: null,
+        batch: null,
+        concurrency: 3,
+        debug: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-o':
+            case '--output':
+                options.output = argv[++i];
+                if (!options.output) {
+                    throw new Error(`${arg} requires a file path`);
+                }
+                break;
+            case '--format':
+                options.format = (argv[++i] || '').toLowerCase();
+                if (!EXPORT_FORMATS.includes(options.format)) {
+                    throw new Error(`${arg} must be one of: ${EXPORT_FORMATS.join(', ')}`);
+                }
+                break;
+            case '--resolver': {
+                const resolver = argv[++i];
+                if (!resolver) {
+                    throw new Error(`${arg} requires a provider name or DoH URL`);
+                }
+                options.resolvers.push(resolver);
+                break;
+            }
+            case '--sources':
+                options.sources = (argv[++i] || '').split(',').map(source => source.trim()).filter(source => source);
+                if (options.sources.length === 0) {
+                    throw new Error(`${arg} requires a comma-separated list of source ids`);
+                }
+                break;
+            case '--list-sources':
+                options.listSources = true;
+                break;
+            case '--signatures': {
+                const file = argv[++i];
+                if (!file) {
+                    throw new Error(`${arg} requires a file path`);
+                }
+                options.signatures.push(file);
+                break;
+            }
+            case '--concurrency':
+                options.concurrency = parseInt(argv[++i], 10);
+                if (!(options.concurrency > 0)) {
+                    throw new Error(`${arg} requires a positive number`);
+                }
+                break;
+            case '--record':
+            case '--replay':
+            case '--history':
+            case '--policy':
+            case '--template':
+            case '--batch':
+                options[arg.slice(2)] = argv[++i];
+                if (!options[arg.slice(2)]) {
+                    throw new Error(`${arg} requires a ${arg === '--history' ? 'directory' : 'file path'}`);
+                }
+                break;
+            case '--debug':
+                options.debug = true;
+                options.verbose = true;
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                if (options.domain) {
+                    throw new Error(`Unexpected argument: ${arg} (only one domain per run)`);
+                }
+                options.domain = arg.trim().toLowerCase();
+        }
+    }
+
+    if (options.record && options.replay) {
+        throw new Error('--record and --replay cannot be combined');
+    }
+    if (options.batch && options.domain) {
+        throw new Error('Pass either a domain or --batch, not both');
+    }
+    if (options.batch && options.format !== 'json') {
+        throw new Error('--format is not supported with --batch (the portfolio report is JSON)');
+    }
+    if (options.template && options.format !== 'markdown' && options.format !== 'html') {
+        throw new Error('--template needs --format markdown or --format html');
+    }
+    if (options.batch && options.policy) {
+        throw new Error('--policy is not supported with --batch');
+    }
+    if (options.format === 'neo4j' && !options.output) {
+        throw new Error('--format neo4j writes two files and needs --output');
+    }
+
+    return options;
+}
+
+/**
+ * Keep stdout clean for the JSON document - the modules log heavily via console.log
+ */
+function configureConsole(verbose) {
+    const toStderr = (...args) => console.error(...args);
+    const silent = () => {};
+
+    console.log = verbose ? toStderr : silent;
+    console.info = verbose ? toStderr : silent;
+    console.debug = verbose ? toStderr : silent;
+    if (!verbose) {
+        console.warn = silent;
+    }
+}
+
+/**
+ * Build a headless AnalysisController wired to a standalone ExportManager
+ */
+function createController(modules, options) {
+    const { AnalysisController, DNSAnalyzer, ServiceDetectionEngine, DataProcessor, ExportManager } = modules;
+
+    const exportManager = new ExportManager();
+    const dnsAnalyzer = new DNSAnalyzer();
+    if (options.resolvers?.length > 0) {
+        dnsAnalyzer.setDNSServers(options.resolvers);
+    }
+    if (options.fixtures) {
+        dnsAnalyzer.setFixtureStore(options.fixtures);
+    }
+    if (options.sources) {
+        dnsAnalyzer.setDiscoveryOptions({ sources: options.sources });
+    }
+
+    const controller = new AnalysisController({
+        dnsAnalyzer,
+        serviceDetector: new ServiceDetectionEngine(),
+        dataProcessor: new DataProcessor(),
+        uiRenderer: null,
+        exportManager,
+        scanHistory: options.history ? new modules.ScanHistory(new FileSnapshotStore(options.history)) : null
+    });
+    controller.debug.isEnabled = options.debug;
+
+    return { controller, exportManager };
+}
+
+/**
+ * Merge custom signature files into the shared signature database (throws on schema errors)
+ */
+function loadCustomSignatures(modules, files) {
+    const database = modules.SignatureDatabase.getDefault();
+    for (const file of files) {
+        const signatures = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+        database.load(signatures, path.basename(file));
+    }
+    return database;
+}
+
+/**
+ * Create the fixture store for --record / --replay (null for live runs)
+ */
+function createFixtureStore(modules, options) {
+    if (options.replay) {
+        const bundle = JSON.parse(fs.readFileSync(path.resolve(options.replay), 'utf8'));
+        return modules.FixtureStore.fromBundle(bundle);
+    }
+    if (options.record) {
+        const fixtures = new modules.FixtureStore('record');
+        fixtures.meta.domain = options.domain;
+        return fixtures;
+    }
+    return null;
+}
+
+/**
+ * Run one analysis and return the JSON export document
+ * (pass options.fixtures to record or replay upstream responses)
+ */
+async function analyze(domain, options = {}) {
+    const modules = loadBrowserModules();
+    const { controller, exportManager } = createController(modules, options);
+
+    const results = await controller.analyzeDomain(domain);
+    if (!results) {
+        throw new Error(`Analysis failed for ${domain}`);
+    }
+
+    return exportManager.buildJSONExport();
+}
+
+/**
+ * Serialize the JSON export document in the requested format as a list of { suffix, content } files -
+ * one file for JSON, reports, GraphML, GEXF, STIX, CycloneDX, SARIF and JUnit, a nodes/relationships pair for Neo4j
+ * (reports use the template when one is given, SARIF and JUnit the policy evaluation - the bundled policy by default)
+ */
+async function renderExport(modules, exportData, format, { policy = null, template = null } = {}) {
+    if (format === 'json') {
+        return [{ suffix: '', content: JSON.stringify(exportData, null, 2) + '\n' }];
+    }
+    if (format === 'markdown' || format === 'html') {
+        return [{ suffix: '', content: modules.ReportExporter.render(exportData, format, template) }];
+    }
+    if (format === 'sarif' || format === 'junit') {
+        const evaluation = (policy || CIPolicy.load()).evaluate(exportData);
+        return [{
+            suffix: '',
+            content: format === 'sarif' ?
+                JSON.stringify(CIReportExporter.toSARIF(evaluation, version), null, 2) + '\n' :
+                CIReportExporter.toJUnit(evaluation)
+        }];
+    }
+    if (format === 'stix') {
+        const { StixExporter } = modules;
+        const bundle = await StixExporter.build(exportData.processedData, exportData.securityResults, exportData.meta.domain);
+        const errors = StixExporter.validate(bundle);
+        if (errors.length > 0) {
+            throw new Error(`STIX bundle failed validation:\n  ${errors.join('\n  ')}`);
+        }
+        return [{ suffix: '', content: JSON.stringify(bundle, null, 2) + '\n' }];
+    }
+    if (format === 'cyclonedx') {
+        const { CycloneDXExporter } = modules;
+        const bom = CycloneDXExporter.build(exportData.processedData, exportData.meta.domain);
+        const errors = CycloneDXExporter.validate(bom);
+        if (errors.length > 0) {
+            throw new Error(`CycloneDX BOM failed validation:\n  ${errors.join('\n  ')}`);
+        }
+        return [{ suffix: '', content: JSON.stringify(bom, null, 2) + '\n' }];
+    }
+
+    const { GraphExporter } = modules;
+    const graph = GraphExporter.build(exportData.processedData, exportData.securityResults, exportData.meta.domain);
+    switch (format) {
+        case 'graphml':
+            return [{ suffix: '', content: GraphExporter.toGraphML(graph) }];
+        case 'gexf':
+            return [{ suffix: '', content: GraphExporter.toGEXF(graph) }];
+        case 'neo4j': {
+            const csv = GraphExporter.toNeo4jCSV(graph);
+            return [
+                { suffix: '-nodes.csv', content: csv.nodes },
+                { suffix: '-relationships.csv', content: csv.relationships }
+            ];
+        }
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * --policy: list the failing issues on stderr and set the CI exit status
+ */
+function reportPolicy(evaluation) {
+    const { policy, failed, ignored, results } = evaluation;
+    if (failed === 0) {
+        process.stderr.write(`✅ CI policy ${policy.name} passed (${results.length} issues, ${ignored} ignored)\n`);
+        return;
+    }
+
+    process.stderr.write(`🚨 CI policy ${policy.name} failed: ${failed} blocking issue${failed === 1 ? '' : 's'}\n`);
+    for (const result of results.filter(result => result.verdict === 'fail')) {
+        process.stderr.write(`   - [${result.risk}] ${result.type}${result.subject ? ` (${result.subject})` : ''}: ${result.description}\n`);
+    }
+    process.exitCode = POLICY_FAILED_EXIT_CODE;
+}
+
+/**
+ * Run a list of domains through BatchAnalyzer (shared rate limiter and lookup cache) and return the portfolio report
+ */
+async function analyzeBatch(domains, options = {}) {
+    const modules = loadBrowserModules();
+    const batch = new modules.BatchAnalyzer({
+        concurrency: options.concurrency,
+        createController: () => createController(modules, options).controller
+    });
+
+    return await batch.run(domains, (result, completed, total) => {
+        process.stderr.write(`  [${completed}/${total}] ${result.domain}: ${result.status}${result.error ? ` (${result.error})` : ''}\n`);
+    });
+}
+
+/**
+ * --batch: read the domain list, analyze it and write the portfolio report
+ */
+async function runBatch(modules, options) {
+    const { domains, invalid } = modules.BatchAnalyzer.parseDomainList(fs.readFileSync(path.resolve(options.batch), 'utf8'));
+    if (invalid.length > 0) {
+        process.stderr.write(`⚠️  Skipping ${invalid.length} invalid entr${invalid.length === 1 ? 'y' : 'ies'}: ${invalid.join(', ')}\n`);
+    }
+    if (domains.length === 0) {
+        throw new Error(`No domains found in ${options.batch}`);
+    }
+
+    process.stderr.write(`📋 Analyzing ${domains.length} domains (${options.concurrency} at a time)\n`);
+    const report = await analyzeBatch(domains, options);
+    const json = JSON.stringify(report, null, 2) + '\n';
+
+    if (options.output) {
+        fs.writeFileSync(path.resolve(options.output), json);
+        process.stderr.write(`✅ Wrote portfolio report for ${report.stats.completed}/${report.stats.total} domains to ${options.output}\n`);
+    } else {
+        process.stdout.write(json);
+    }
+    if (report.stats.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Discovery sources in default priority order, one per line (--list-sources)
+ */
+function formatSourceList(registry) {
+    return registry.list().map(source => {
+        const limit = `${source.rateLimit.requests}/${source.rateLimit.interval / 1000}s`;
+        const key = source.auth ? (source.auth.required ? 'key' : 'key opt.') : source.optIn ? 'opt-in' : '-';
+        const secrets = source.auth ? ` (worker secret ${source.auth.secrets.join(', ')})` : '';
+        return `${source.id.padEnd(16)}${source.name.padEnd(18)}${limit.padEnd(8)}${key.padEnd(10)}${source.description}${secrets}\n`;
+    }).join('');
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    if (options.listSources) {
+        configureConsole(options.verbose);
+        process.stdout.write(formatSourceList(loadBrowserModules().DiscoverySourceRegistry.getDefault()));
+        return;
+    }
+
+    if (!options.domain && !options.batch) {
+        process.stderr.write(USAGE);
+        process.exitCode = 2;
+        return;
+    }
+
+    configureConsole(options.verbose);
+
+    try {
+        const modules = loadBrowserModules();
+        loadCustomSignatures(modules, options.signatures);
+        const policy = options.policy ? CIPolicy.load(options.policy) : null;
+        const template = options.template ? fs.readFileSync(path.resolve(options.template), 'utf8') : null;
+        if (template) {
+            // Fail before the scan rather than after it
+            modules.ReportExporter.validateTemplate(template);
+        }
+        if (options.sources) {
+            // Unknown source ids fail here, before any domain is analyzed
+            modules.DiscoverySourceRegistry.getDefault().resolve(options.sources);
+        }
+        options.fixtures = createFixtureStore(modules, options);
+
+        if (options.batch) {
+            await runBatch(modules, options);
+        } else {
+            const exportData = await analyze(options.domain, options);
+            const files = await renderExport(modules, exportData, options.format, { policy, template });
+
+            if (options.output) {
+                // Multi-file formats use --output as the common prefix (a trailing .csv is dropped)
+                const base = files.length > 1 ? options.output.replace(/\.csv$/i, '') : options.output;
+                for (const file of files) {
+                    fs.writeFileSync(path.resolve(base + file.suffix), file.content);
+                    process.stderr.write(`✅ Wrote ${options.format} export for ${options.domain} to ${base + file.suffix}\n`);
+                }
+            } else {
+                process.stdout.write(files[0].content);
+            }
+
+            const drift = exportData.processedData?.drift;
+            if (drift) {
+                process.stderr.write(`🕑 ${drift.totalChanges} change${drift.totalChanges === 1 ? '' : 's'} since the scan on ${drift.previousScan}\n`);
+            }
+
+            if (policy) {
+                reportPolicy(policy.evaluate(exportData));
+            }
+        }
+
+        if (options.record) {
+            fs.writeFileSync(path.resolve(options.record), JSON.stringify(options.fixtures.toBundle(), null, 2) + '\n');
+            process.stderr.write(`📼 Recorded ${options.fixtures.entries.size} upstream responses to ${options.record}\n`);
+        }
+        if (options.replay && options.fixtures.misses.length > 0) {
+            process.stderr.write(`⚠️  ${options.fixtures.misses.length} requests had no recorded fixture (treated as failures)\n`);
+        }
+    } catch (error) {
+        process.stderr.write(`❌ ${error.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { analyze, analyzeBatch, renderExport, parseArgs, createController, createFixtureStore, loadCustomSignatures };
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Batch Lookup Cache Check
+ * Exercises the LookupCache batch runs share between domains: concurrent requests share one call, answers (including
+ * a confirmed "no records") are cached and handed out as copies, and failures are not cached - a resolver or ASN
+ * provider outage while one domain runs must not stick to every later domain of the batch.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+
+const DOMAIN = 'example.com';
+const IP = '192.0.2.10';
+
+async function main() {
+    const { expect, same, report } = createCheck('Batch lookup cache');
+
+    const { LookupCache, DNSAnalyzer } = loadBrowserModules();
+
+    // Concurrent requests for one key share a single call
+    const cache = new LookupCache();
+    let calls = 0;
+    const slow = () => new Promise(resolve => setTimeout(() => resolve({ calls: ++calls }), 10));
+    const [first, second] = await Promise.all([cache.get('a', slow), cache.get('a', slow)]);
+    expect(calls === 1 && same(first, second), `concurrent requests made ${calls} calls`);
+    expect(same(cache.getStats(), { entries: 1, hits: 1, misses: 1 }), `stats: ${JSON.stringify(cache.getStats())}`);
+
+    // Callers get copies - annotating a record doesn't change what the next caller sees
+    first.annotated = true;
+    expect(!(await cache.get('a', slow)).annotated, 'cached value shared between callers');
+
+    // A confirmed empty answer is cached, a failure is not
+    let emptyCalls = 0;
+    await cache.get('empty', async () => { emptyCalls++; return null; });
+    expect(await cache.get('empty', async () => { emptyCalls++; return ['retried']; }) === null && emptyCalls === 1, 'empty answer not cached');
+
+    let attempts = 0;
+    const flaky = async () => {
+        if (++attempts === 1) throw new Error('HTTP 503');
+        return ['answer'];
+    };
+    const failed = await cache.get('flaky', flaky).then(() => null, error => error.message);
+    expect(failed === 'HTTP 503', `failure not passed to the caller: ${failed}`);
+    expect(same(await cache.get('flaky', flaky), ['answer']) && attempts === 2, 'failure cached');
+
+    // Two analyzers sharing one cache, as in a batch: an outage during the first domain is retried by the second
+    const shared = new LookupCache();
+    let resolversDown = true;
+    let resolverQueries = 0;
+    const createAnalyzer = () => {
+        const analyzer = new DNSAnalyzer();
+        analyzer.useSharedResources(analyzer.rateLimiter, shared);
+        analyzer.queryDNSServer = async (name, type) => {
+            resolverQueries++;
+            if (resolversDown) throw new Error('HTTP 503');
+            return type === 'MX' ?
+                { Status: 0, Answer: [{ name, type: 15, TTL: 300, data: '10 aspmx.l.google.com.' }] } :
+                { Status: 0, Answer: [] };
+        };
+        return analyzer;
+    };
+    const [analyzerA, analyzerB, analyzerC] = [createAnalyzer(), createAnalyzer(), createAnalyzer()];
+
+    expect(await analyzerA.queryDNS(DOMAIN, 'MX') === null, 'outage not reported as null by queryDNS');
+    resolversDown = false;
+    const answer = await analyzerB.queryDNS(DOMAIN, 'MX');
+    expect(answer?.[0]?.data === '10 aspmx.l.google.com.', `second domain got the cached outage: ${JSON.stringify(answer)}`);
+
+    await analyzerB.queryDNS(DOMAIN, 'CAA');
+    const queriesBefore = resolverQueries;
+    expect(await analyzerC.queryDNS(DOMAIN, 'CAA') === null && resolverQueries === queriesBefore, 'no-records answer looked up again');
+
+    // Every ASN provider failing reports Unknown without caching it
+    let asnDown = true;
+    global.fetch = async () => {
+        if (asnDown) throw new Error('network unreachable');
+        return new Response(JSON.stringify({ org: 'AS13335 Cloudflare, Inc.', country: 'US' }), { status: 200 });
+    };
+    const unknown = await analyzerA.getASNInfo(IP);
+    expect(unknown.asn === 'Unknown' && unknown.country === 'Unknown', `ASN outage reported as ${JSON.stringify(unknown)}`);
+    asnDown = false;
+    const asn = await analyzerB.getASNInfo(IP);
+    expect(asn.asn === 'AS13335 Cloudflare, Inc.' && asn.country === 'US', `second domain got the cached ASN outage: ${JSON.stringify(asn)}`);
+
+    const { hits, misses } = shared.getStats();
+    report(`${hits} shared hits, ${misses} lookups`);
+}
+
+main();
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * CI Report Check
+ * Evaluates a synthetic scan (a dangling CNAME, a monitor-only DMARC policy and low-risk mail
+ * findings) against the bundled CI policy and a custom one, with and without a previous scan,
+ * and checks the verdicts and the SARIF and JUnit output.
+ */
+
+const { createCheck } = require('./check-helpers');
+const { CIPolicy, CIReportExporter } = require('./ci-report');
+
+const DOMAIN = 'example.com';
+
+/**
+ * JSON export document as the CLI hands it to renderExport (drift only when a previous scan is given)
+ */
+function createExport(previousIssueKeys = null) {
+    const exportData = {
+        meta: { domain: DOMAIN, exportedAt: '2026-01-01T00:00:00.000Z' },
+        processedData: {},
+        securityResults: {
+            takeovers: [{
+                type: 'dangling_cname', risk: 'high', confidence: 'likely', subdomain: `old.${DOMAIN}`,
+                description: `old.${DOMAIN} points to gone.azurewebsites.net, which does not resolve`, recommendation: 'Remove the CNAME record'
+            }],
+            dnsIssues: [],
+            emailIssues: [
+                { type: 'weak_dmarc', risk: 'medium', description: 'Weak DMARC policy - monitor only', recommendation: 'Use p=reject' },
+                { type: 'missing_tls_rpt', risk: 'low', domain: DOMAIN, description: 'No TLS-RPT record <_smtp._tls>' }
+            ],
+            cloudIssues: [],
+            wildcardCertificates: []
+        }
+    };
+
+    if (previousIssueKeys) {
+        const { ScanHistory } = require('./module-loader').loadBrowserModules();
+        const added = ScanHistory.createSnapshot(DOMAIN, exportData.processedData, exportData.securityResults).issues
+            .filter(entry => !previousIssueKeys.includes(entry.key));
+        exportData.processedData.drift = {
+            domain: DOMAIN,
+            previousScan: '2025-12-01T00:00:00.000Z',
+            changes: { issues: { added, removed: [] } },
+            totalChanges: added.length
+        };
+    }
+
+    return exportData;
+}
+
+function main() {
+    const { expect, report } = createCheck('CI report');
+
+    const verdicts = evaluation => Object.fromEntries(evaluation.results.map(result => [result.type, result.verdict]));
+
+    // Bundled policy: the dangling CNAME and p=none fail, the low-risk TLS-RPT finding does not
+    const evaluation = CIPolicy.load().evaluate(createExport());
+    expect(evaluation.failed === 2 && verdicts(evaluation).missing_tls_rpt === 'pass',
+        `bundled policy verdicts: ${JSON.stringify(verdicts(evaluation))}`);
+
+    const sarif = CIReportExporter.toSARIF(evaluation);
+    const run = sarif.runs[0];
+    const levels = Object.fromEntries(run.results.map(result => [result.ruleId, result.level]));
+    expect(sarif.version === '2.1.0' && run.tool.driver.rules.length === 3, 'SARIF log does not have version 2.1.0 and one rule per issue type');
+    expect(levels.dangling_cname === 'error' && levels.weak_dmarc === 'error' && levels.missing_tls_rpt === 'note',
+        `unexpected SARIF levels: ${JSON.stringify(levels)}`);
+    expect(run.results.every(result => run.tool.driver.rules[result.ruleIndex].id === result.ruleId && !('baselineState' in result)),
+        'SARIF ruleIndex does not point at the result rule (or a baselineState without a previous scan)');
+    expect(run.results[0].locations[0].logicalLocations[0].name === `old.${DOMAIN}` && run.results[1].locations[0].logicalLocations[0].name === DOMAIN,
+        'SARIF results are not located on the affected name (or the apex when there is none)');
+
+    const junit = CIReportExporter.toJUnit(evaluation);
+    const cases = junit.match(/<testcase /g) || [];
+    expect(/<testsuites name="3ptracer" tests="\d+" failures="2" errors="0" skipped="0"/.test(junit), 'JUnit testsuites counts are wrong');
+    expect(cases.length === 3 + evaluation.policy.failTypes.size - 2, `expected one test case per issue plus one per absent policy type, got ${cases.length}`);
+    expect(junit.includes('&lt;_smtp._tls&gt;') && !junit.includes('<_smtp'), 'JUnit output is not XML-escaped');
+    expect((junit.match(/<failure /g) || []).length === 2, 'JUnit output does not have one failure per failing issue');
+
+    // Custom policy: new issues only, ignore the DMARC finding, fail on low risk
+    const policy = new CIPolicy({
+        name: 'strict',
+        failOn: { risks: ['high', 'low'] },
+        ignore: [{ type: 'weak_dmarc' }, { subject: '*.internal.example.com' }],
+        newIssuesOnly: true
+    });
+    const regression = policy.evaluate(createExport([`dangling_cname|old.${DOMAIN}`]));
+    expect(JSON.stringify(verdicts(regression)) === JSON.stringify({ dangling_cname: 'pass', weak_dmarc: 'ignored', missing_tls_rpt: 'fail' }),
+        `newIssuesOnly verdicts: ${JSON.stringify(verdicts(regression))}`);
+    const regressionRun = CIReportExporter.toSARIF(regression).runs[0];
+    expect(regressionRun.results[0].baselineState === 'unchanged' && regressionRun.results[2].baselineState === 'new',
+        'SARIF baselineState does not follow the previous scan');
+    expect(regressionRun.results[1].suppressions?.[0].kind === 'external', 'ignored issues are not suppressed in SARIF');
+    expect(CIReportExporter.toJUnit(regression).includes('<skipped '), 'ignored issues are not skipped in JUnit');
+    expect(policy.isIgnored({ type: 'dangling_cname', subject: 'a.internal.example.com' }) && !policy.isIgnored({ type: 'dangling_cname', subject: 'internal.example.com.evil' }),
+        'subject wildcard ignore rules match the wrong names');
+
+    // Malformed policies must be rejected
+    for (const broken of [{ failOn: { risks: ['critical'] } }, { failon: {} }, { ignore: [{}] }]) {
+        let rejected = false;
+        try {
+            new CIPolicy(broken, 'broken');
+        } catch {
+            rejected = true;
+        }
+        expect(rejected, `malformed policy accepted: ${JSON.stringify(broken)}`);
+    }
+
+    report(`${run.results.length} SARIF results, ${cases.length} JUnit test cases`);
+}
+
+main();
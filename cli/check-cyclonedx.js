@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * CycloneDX Export Check
+ * Builds a services BOM from the shared synthetic scan (cli/check-helpers.js: MX-detected mail, a CNAME-detected
+ * storefront and IP-classified hosts), validates it with CycloneDXExporter.validate and checks the providers,
+ * endpoints, data flows and data-residency countries.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createScan, createCheck, DOMAIN } = require('./check-helpers');
+
+function main() {
+    const { failures, expect, report } = createCheck('CycloneDX');
+    const { DataProcessor, ExportManager, CycloneDXExporter } = loadBrowserModules();
+
+    const { processedData, dataProcessor } = createScan(DataProcessor);
+    const bom = CycloneDXExporter.build(processedData, DOMAIN, dataProcessor);
+    CycloneDXExporter.validate(bom).forEach(error => failures.push(`validation: ${error}`));
+
+    const service = name => bom.services.find(entry => entry.name === name);
+    const properties = (entry, name) => (entry?.properties || []).filter(property => property.name === name).map(property => property.value);
+    const google = service('Google Workspace');
+    const shopify = service('Shopify');
+    const hetzner = service('Hetzner');
+
+    // The storefront's CDN shows up as an IP-classified service of its own
+    expect(bom.services.length === 4 && google && shopify && hetzner && service('Cloudflare'),
+        `expected Google Workspace, Shopify, Cloudflare and Hetzner, got ${bom.services.map(entry => entry.name).join(', ')}`);
+    expect(google?.provider.name === 'Google' && shopify?.provider.name === 'Shopify', 'providers are not taken from the vendor (or the service name)');
+    expect(!google?.endpoints, 'apex services must not list the apex domain as an endpoint');
+    expect(JSON.stringify(shopify?.endpoints) === JSON.stringify([`https://shop.${DOMAIN}`, 'https://shops.myshopify.com', 'https://shops.cdn.example.net']),
+        `unexpected Shopify endpoints: ${JSON.stringify(shopify?.endpoints)}`);
+    expect(google?.data?.[0].flow === 'bi-directional' && shopify?.data?.some(flow => flow.classification === 'PCI') && hetzner?.data?.[0].classification === 'Confidential',
+        'data flows do not follow the service category');
+    expect(properties(shopify, '3ptracer:dataResidency').join() === 'US' && properties(hetzner, '3ptracer:dataResidency').join() === 'DE',
+        `unexpected data residency: Shopify ${properties(shopify, '3ptracer:dataResidency')}, Hetzner ${properties(hetzner, '3ptracer:dataResidency')}`);
+    expect(bom.dependencies[0].ref === bom.metadata.component['bom-ref'] && bom.dependencies[0].dependsOn.length === 4,
+        'the domain does not depend on every service');
+
+    // ExportManager stores the services map serialized; the BOM must not change
+    const exportManager = new ExportManager();
+    exportManager.setAnalysisData(processedData, {}, DOMAIN);
+    const exported = exportManager.buildCycloneDXExport();
+    expect(JSON.stringify(exported.services) === JSON.stringify(bom.services), 'the BOM differs when built from the serialized export data');
+
+    // A broken BOM must be rejected
+    const broken = JSON.parse(JSON.stringify(bom));
+    broken.serialNumber = 'not-a-urn';
+    broken.services[0].data[0].flow = 'sideways';
+    broken.services[1]['bom-ref'] = broken.services[0]['bom-ref'];
+    broken.services[1].endpoints = ['shop.example.com'];
+    delete broken.services[2].name;
+    expect(CycloneDXExporter.validate(broken).length >= 5, `validation missed errors in a broken BOM: ${JSON.stringify(CycloneDXExporter.validate(broken))}`);
+
+    report(`${bom.services.length} services`);
+}
+
+main();
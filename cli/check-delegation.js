@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Delegation Check
+ * Runs DelegationAnalyzer over stubbed resolver answers and worker delegation checks (healthy, lame, partially lame,
+ * dangling to a DNS provider, missing nameserver host, no worker) and checks which of them the bundled CI policy fails
+ * on, then runs the worker's delegation check (worker/delegation.js) against fake nameservers speaking DNS over TCP to
+ * cover the raw query and response parsing.
+ */
+
+const { loadBrowserModules, importWorkerModule } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+const { CIPolicy } = require('./ci-report');
+
+const DOMAIN = 'example.com';
+const SUBDOMAIN = `dev.${DOMAIN}`;
+const DNS_TYPE = { A: 1, NS: 2, SOA: 6 };
+
+/**
+ * Resolver answers for SUBDOMAIN - its NS set, or a failure status without one
+ */
+function resolverAnswer(nameservers, status = 0) {
+    return { Status: status, Answer: nameservers.map(host => ({ name: `${SUBDOMAIN}.`, type: DNS_TYPE.NS, TTL: 300, data: `${host}.` })) };
+}
+
+/**
+ * Worker delegation check result with one status per nameserver host
+ */
+function workerCheck(statuses, delegated = true) {
+    return {
+        name: SUBDOMAIN,
+        parent: DOMAIN,
+        parentServer: `ns1.${DOMAIN}`,
+        delegated,
+        nameservers: Object.entries(statuses).map(([host, status]) => ({ host, ip: status === 'nxdomain' ? null : '192.0.2.53', status }))
+    };
+}
+
+/**
+ * DelegationAnalyzer result for SUBDOMAIN - check is what the worker answers, or undefined without a worker
+ */
+async function analyzeDelegation(DNSAnalyzer, resolver, check) {
+    const analyzer = new DNSAnalyzer();
+    analyzer.queryDNSResponse = async (name, type) => resolver[`${name}:${type}`] || { Status: 0, Answer: [] };
+    analyzer.getAPIClient = () => check === undefined ? null : { checkDelegation: async () => check };
+    return await analyzer.delegationAnalyzer.analyze(SUBDOMAIN);
+}
+
+function encodeLabels(name) {
+    return [...name.split('.').flatMap(label => [label.length, ...Buffer.from(label)]), 0];
+}
+
+/**
+ * DNS response to a query: the question is echoed and every owner name is a compression pointer to it
+ */
+function buildResponse(query, { aa = false, rcode = 0, answer = [], authority = [] }) {
+    const record = ({ type, data }) => {
+        const rdata = type === DNS_TYPE.NS ? encodeLabels(data) : data;
+        return [0xc0, 0x0c, type >> 8, type & 0xff, 0, 1, 0, 0, 0x0e, 0x10, rdata.length >> 8, rdata.length & 0xff, ...rdata];
+    };
+    return new Uint8Array([
+        query[0], query[1], 0x80 | (aa ? 0x04 : 0), rcode, 0, 1, 0, answer.length, 0, authority.length, 0, 0,
+        ...query.slice(12),
+        ...answer.flatMap(record),
+        ...authority.flatMap(record)
+    ]);
+}
+
+/**
+ * cloudflare:sockets connect() stand-in - each server answers the query it was sent (null closes without a reply),
+ * with the length-prefixed response split across two reads
+ */
+function createConnect(servers, queries) {
+    return ({ hostname }) => {
+        let received;
+        const query = new Promise(resolve => {
+            received = resolve;
+        });
+        return {
+            writable: new WritableStream({
+                write(chunk) {
+                    const message = chunk.slice(2);
+                    queries.push({ hostname, message });
+                    received(message);
+                }
+            }),
+            readable: new ReadableStream({
+                async pull(controller) {
+                    const reply = servers[hostname](await query);
+                    if (reply) {
+                        const framed = new Uint8Array([reply.length >> 8, reply.length & 0xff, ...reply]);
+                        controller.enqueue(framed.slice(0, 7));
+                        controller.enqueue(framed.slice(7));
+                    }
+                    controller.close();
+                }
+            }),
+            close() {}
+        };
+    };
+}
+
+async function main() {
+    const { expect, same, report } = createCheck('Delegation');
+
+    const { DNSAnalyzer } = loadBrowserModules();
+    const { checkDelegation, encodeDNSQuery, parseDNSResponse } = await importWorkerModule('delegation.js');
+    const summarize = delegation => delegation?.findings.map(finding => `${finding.type} ${finding.risk} ${finding.confidence}`);
+
+    // Findings matrix over stubbed resolver answers and worker checks
+    const delegated = { [`${SUBDOMAIN}:NS`]: resolverAnswer(['ns-a.example.net', 'ns-b.example.net']) };
+    const servfail = { [`${SUBDOMAIN}:NS`]: resolverAnswer([], 2) };
+    const cases = [
+        {
+            name: 'healthy delegation',
+            resolver: delegated,
+            check: workerCheck({ 'ns-a.example.net': 'authoritative', 'ns-b.example.net': 'authoritative' }),
+            findings: []
+        },
+        {
+            name: 'lame delegation',
+            resolver: servfail,
+            check: workerCheck({ 'ns-a.example.net': 'refused', 'ns-b.example.net': 'servfail' }),
+            findings: ['lame_delegation high confirmed']
+        },
+        {
+            name: 'partially lame delegation',
+            resolver: delegated,
+            check: workerCheck({ 'ns-a.example.net': 'authoritative', 'ns-b.example.net': 'not-authoritative' }),
+            findings: ['lame_delegation medium confirmed'],
+            description: '1 of 2 nameservers'
+        },
+        {
+            name: 'dangling delegation to a DNS provider',
+            resolver: servfail,
+            check: workerCheck({ 'ns1-01.azure-dns.com': 'refused', 'ns2-01.azure-dns.net': 'refused' }),
+            findings: ['dangling_ns high confirmed'],
+            service: 'Azure DNS'
+        },
+        {
+            name: 'missing nameserver host',
+            resolver: delegated,
+            check: workerCheck({ 'ns-a.example.net': 'authoritative', 'ns.gone-example.org': 'nxdomain' }),
+            findings: ['lame_delegation high confirmed'],
+            description: 'ns.gone-example.org, which does not exist'
+        },
+        {
+            name: 'resolver failure without a delegation at the parent',
+            resolver: servfail,
+            check: workerCheck({}, false),
+            findings: null
+        },
+        {
+            name: 'lame delegation without the worker',
+            resolver: servfail,
+            check: undefined,
+            findings: ['delegation_indeterminate low possible'],
+            description: 'resolvers return SERVFAIL'
+        },
+        {
+            name: 'missing nameserver host without the worker',
+            resolver: { ...delegated, 'ns-b.example.net:A': { Status: 3 }, 'ns-a.example.net:A': { Status: 0, Answer: [{ name: 'ns-a.example.net.', type: DNS_TYPE.A, data: '192.0.2.53' }] } },
+            check: undefined,
+            findings: ['lame_delegation high confirmed'],
+            description: 'ns-b.example.net, which does not exist'
+        }
+    ];
+
+    for (const testCase of cases) {
+        const delegation = await analyzeDelegation(DNSAnalyzer, testCase.resolver, testCase.check);
+        expect(same(summarize(delegation) ?? null, testCase.findings), `${testCase.name}: ${JSON.stringify(summarize(delegation) ?? null)}`);
+        if (testCase.description) {
+            expect(delegation?.findings[0]?.description.includes(testCase.description), `${testCase.name}: ${delegation?.findings[0]?.description}`);
+        }
+        if (testCase.service) {
+            expect(delegation?.provider?.name === testCase.service && delegation.findings[0]?.service === testCase.service,
+                `${testCase.name}: provider ${JSON.stringify(delegation?.provider)}`);
+        }
+    }
+
+    // A resolver failure nobody could check must not fail the bundled CI policy, a confirmed lame delegation must
+    const verdicts = [];
+    for (const check of [undefined, workerCheck({ 'ns-a.example.net': 'refused', 'ns-b.example.net': 'servfail' })]) {
+        const delegation = await analyzeDelegation(DNSAnalyzer, servfail, check);
+        verdicts.push(CIPolicy.load().evaluate({ meta: { domain: DOMAIN }, securityResults: { takeovers: delegation.findings } }).failed);
+    }
+    expect(same(verdicts, [0, 1]), `CI policy failures without and with the worker: ${verdicts}`);
+
+    // Raw DNS: the query asks one question without recursion, names in responses may be compressed
+    const query = encodeDNSQuery(SUBDOMAIN, DNS_TYPE.SOA);
+    expect(same(query.slice(2, 12), [0, 0, 0, 1, 0, 0, 0, 0, 0, 0]), 'query header is not a single non-recursive question');
+    expect(same(query.slice(12), [...encodeLabels(SUBDOMAIN), 0, DNS_TYPE.SOA, 0, 1]), 'query question not encoded');
+    const referral = parseDNSResponse(buildResponse(query, { authority: [{ type: DNS_TYPE.NS, data: 'NS-A.example.net' }] }));
+    expect(!referral.aa && referral.rcode === 0 && same(referral.authority, [{ name: SUBDOMAIN, type: DNS_TYPE.NS, data: 'ns-a.example.net' }]),
+        `referral parsed as ${JSON.stringify(referral)}`);
+    const refused = parseDNSResponse(buildResponse(query, { aa: true, rcode: 5 }));
+    expect(refused.aa && refused.rcode === 5, 'AA flag or RCODE not parsed');
+    const loop = buildResponse(query, { authority: [{ type: DNS_TYPE.NS, data: 'ns' }] });
+    loop.set([0xc0, loop.length - 4], loop.length - 4);
+    let malformed = null;
+    try {
+        parseDNSResponse(loop);
+    } catch (error) {
+        malformed = error.message;
+    }
+    expect(malformed === 'Malformed name in DNS response', 'compression loop not rejected');
+
+    // Worker check against fake nameservers - referral, then one SOA query per delegated server
+    const doh = {
+        [`${DOMAIN}:NS`]: { Status: 0, Answer: [{ name: `${DOMAIN}.`, type: DNS_TYPE.NS, data: `ns1.${DOMAIN}.` }] },
+        [`ns1.${DOMAIN}:A`]: { Status: 0, Answer: [{ name: `ns1.${DOMAIN}.`, type: DNS_TYPE.A, data: '192.0.2.1' }] },
+        'ns-a.example.net:A': { Status: 0, Answer: [{ name: 'ns-a.example.net.', type: DNS_TYPE.A, data: '192.0.2.11' }] },
+        'ns-b.example.net:A': { Status: 0, Answer: [{ name: 'ns-b.example.net.', type: DNS_TYPE.A, data: '192.0.2.12' }] },
+        'ns-c.example.net:A': { Status: 0, Answer: [{ name: 'ns-c.example.net.', type: DNS_TYPE.A, data: '192.0.2.13' }] },
+        'ns-d.example.net:A': { Status: 0, Answer: [{ name: 'ns-d.example.net.', type: DNS_TYPE.A, data: '192.0.2.14' }] }
+    };
+    const fetch = async url => {
+        const { searchParams } = new URL(url);
+        return new Response(JSON.stringify(doh[`${searchParams.get('name')}:${searchParams.get('type')}`] || { Status: 3 }));
+    };
+    const nameservers = ['ns-a.example.net', 'ns-b.example.net', 'ns-c.example.net', 'ns-d.example.net', 'ns.gone-example.org'];
+    const servers = {
+        '192.0.2.1': message => buildResponse(message, { authority: nameservers.map(host => ({ type: DNS_TYPE.NS, data: host })) }),
+        '192.0.2.11': message => buildResponse(message, { aa: true, answer: [{ type: DNS_TYPE.SOA, data: [0, 0] }] }),
+        '192.0.2.12': message => buildResponse(message, { rcode: 5 }),
+        '192.0.2.13': () => null,
+        // Answers authoritatively, but to another query
+        '192.0.2.14': message => buildResponse([message[0] ^ 0xff, ...message.slice(1)], { aa: true, answer: [{ type: DNS_TYPE.SOA, data: [0, 0] }] })
+    };
+    const queries = [];
+    // Every query's timeout timer must be cleared once it is answered
+    const timers = new Set();
+    const { setTimeout: liveSetTimeout, clearTimeout: liveClearTimeout } = global;
+    global.setTimeout = (callback, delay) => {
+        const timer = liveSetTimeout(callback, delay);
+        timers.add(timer);
+        return timer;
+    };
+    global.clearTimeout = timer => {
+        timers.delete(timer);
+        liveClearTimeout(timer);
+    };
+    const check = await checkDelegation(SUBDOMAIN, { connect: createConnect(servers, queries), fetch });
+    Object.assign(global, { setTimeout: liveSetTimeout, clearTimeout: liveClearTimeout });
+    expect(timers.size === 0, `${timers.size} query timeout timers left running`);
+    expect(check.delegated && check.parent === DOMAIN && check.parentServer === `ns1.${DOMAIN}`, `referral not followed: ${JSON.stringify(check)}`);
+    expect(same(check.nameservers.map(server => `${server.host} ${server.status}`),
+        ['ns-a.example.net authoritative', 'ns-b.example.net refused', 'ns-c.example.net unreachable', 'ns-d.example.net unreachable', 'ns.gone-example.org nxdomain']),
+        `nameserver statuses: ${JSON.stringify(check.nameservers)}`);
+    expect(check.nameservers[3]?.error === 'DNS response ID does not match the query', `mismatched response ID: ${check.nameservers[3]?.error}`);
+    expect(same(queries.map(sent => `${sent.hostname} ${parseDNSResponse(sent.message).rcode} ${sent.message.at(-3)}`),
+        ['192.0.2.1 0 2', '192.0.2.11 0 6', '192.0.2.12 0 6', '192.0.2.13 0 6', '192.0.2.14 0 6']), 'unexpected queries sent to the nameservers');
+
+    // The worker's answer drives the findings
+    const fromWorker = await analyzeDelegation(DNSAnalyzer, servfail, JSON.parse(JSON.stringify(check)));
+    expect(same(summarize(fromWorker), ['lame_delegation high confirmed']) && fromWorker.findings[0].description.includes('ns.gone-example.org'),
+        `findings from the worker check: ${JSON.stringify(summarize(fromWorker))}`);
+
+    report(`${cases.length} delegations, ${queries.length} raw DNS queries`);
+}
+
+main();
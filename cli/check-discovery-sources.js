@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Discovery Source Check
+ * Validates the built-in discovery sources and their parsers against sample responses, then runs discovery with
+ * stubbed responses to check source priority, failures, per-source timeouts and rate limits, and the per-source
+ * stats reported by DNSAnalyzer.getCTApiStatuses - and that historical records name the sources of each subdomain.
+ * The worker's copy of the keyless sources (worker/passive-sources.js) is checked against these definitions.
+ */
+
+const { loadBrowserModules, importWorkerModule } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+
+const DOMAIN = 'example.com';
+// What a crafted domain parameter could try to smuggle into the upstream path or query
+const INJECTED_DOMAIN = 'example.com/../admin?x=1&limit=1#';
+
+// One sample response per built-in source, in the shape each API returns
+const SAMPLE_RESPONSES = {
+    crtsh: [{ name_value: `www.${DOMAIN}\n*.${DOMAIN}` }, { name_value: `${DOMAIN}` }, { name_value: 'www.example.org' }],
+    certspotter: [{ dns_names: [`api.${DOMAIN}`, `*.api.${DOMAIN}`] }],
+    otx: { passive_dns: [{ hostname: `Mail.${DOMAIN}` }, { hostname: 'evil-example.com' }] },
+    hackertarget: `vpn.${DOMAIN},192.0.2.1\n${DOMAIN},192.0.2.2\n`,
+    wayback: [['original'], [`http://old.${DOMAIN}:80/index.html`], [`${DOMAIN}/robots.txt`]],
+    urlscan: { results: [{ page: { domain: `app.${DOMAIN}` }, task: { domain: DOMAIN } }] },
+    rapiddns: `<tr><td>cdn.${DOMAIN}</td><td>CNAME</td></tr><tr><td>www.other.com</td></tr>`,
+    anubis: [`dev.${DOMAIN}`, 'dev.example.net'],
+    commoncrawl: `{"url": "https://blog.${DOMAIN}/post"}\nnot json\n`,
+    // Keyed sources answer through the worker with the names it collected (worker/keyed-sources.js)
+    securitytrails: { subdomains: [`st.${DOMAIN}`] },
+    virustotal: { subdomains: [`vt.${DOMAIN}`] },
+    shodan: { subdomains: [`shodan.${DOMAIN}`] },
+    censys: { subdomains: [`censys.${DOMAIN}`] }
+};
+const EXPECTED_NAMES = {
+    crtsh: [`www.${DOMAIN}`],
+    certspotter: [`api.${DOMAIN}`],
+    otx: [`mail.${DOMAIN}`],
+    hackertarget: [`vpn.${DOMAIN}`],
+    wayback: [`old.${DOMAIN}`],
+    urlscan: [`app.${DOMAIN}`],
+    rapiddns: [`cdn.${DOMAIN}`],
+    anubis: [`dev.${DOMAIN}`],
+    commoncrawl: [`blog.${DOMAIN}`],
+    securitytrails: [`st.${DOMAIN}`],
+    virustotal: [`vt.${DOMAIN}`],
+    shodan: [`shodan.${DOMAIN}`],
+    censys: [`censys.${DOMAIN}`]
+};
+
+/**
+ * Test source answering with the given names (or failing / answering late)
+ */
+function testSource(id, { names = [], fail = false, delay = 0, timeout } = {}) {
+    return {
+        id,
+        name: `Source ${id.toUpperCase()}`,
+        rateLimit: { requests: 10, interval: 1000 },
+        url: domain => `https://${id}.invalid/?q=${domain}`,
+        parse: data => data,
+        timeout,
+        respond: () => new Promise((resolve, reject) => setTimeout(() => {
+            if (fail) reject(new Error('Service unavailable (503)'));
+            else resolve(names);
+        }, delay))
+    };
+}
+
+/**
+ * Discovery with the test sources; returns the analyzer after the run
+ */
+async function runDiscovery(DNSAnalyzer, DiscoverySourceRegistry, sources, selection) {
+    const analyzer = new DNSAnalyzer();
+    analyzer.discoverySources = new DiscoverySourceRegistry(sources);
+    analyzer.discoverySources.fetchDirect = source => source.respond();
+    analyzer.setDiscoveryOptions({ sources: selection });
+    analyzer.analyzeSingleSubdomain = async subdomain => ({ subdomain });
+
+    await analyzer.getSubdomainsFromCT(DOMAIN);
+    return analyzer;
+}
+
+async function main() {
+    const { expect, same, report } = createCheck('Discovery source');
+
+    const { DataProcessor, DiscoverySourceRegistry, DNSAnalyzer } = loadBrowserModules();
+    const throws = action => {
+        try {
+            action();
+            return false;
+        } catch {
+            return true;
+        }
+    };
+
+    // Built-in sources
+    const registry = new DiscoverySourceRegistry();
+    const builtIn = registry.list();
+    expect(same(builtIn.map(source => source.id), Object.keys(SAMPLE_RESPONSES)), 'unexpected built-in sources or default order');
+
+    // Sources that look up their endpoint first (Common Crawl's index list) get a canned answer
+    global.fetch = async () => ({ ok: true, json: async () => [{ 'cdx-api': 'https://index.commoncrawl.org/CC-MAIN-2024-33-index' }] });
+    for (const source of builtIn) {
+        const errors = DiscoverySourceRegistry.validate(source);
+        expect(errors.length === 0, `${source.id}: ${errors.join('; ')}`);
+        if (!source.auth?.required) {
+            const url = await source.url(DOMAIN);
+            expect(url.startsWith('https://') && url.includes(DOMAIN), `${source.id}: URL does not carry the domain`);
+        }
+
+        const names = DiscoverySourceRegistry.extractSubdomains(source, SAMPLE_RESPONSES[source.id], DOMAIN);
+        expect(same(names, EXPECTED_NAMES[source.id]), `${source.id} parsed ${JSON.stringify(names)}`);
+        expect(same(DiscoverySourceRegistry.extractSubdomains(source, null, DOMAIN), []), `${source.id} does not tolerate an empty response`);
+    }
+
+    // The worker proxies and monitors the keyless sources from its own table - same ids, names, upstream URLs, response
+    // types, optional key secrets and, where it parses responses itself, the same names
+    const { PASSIVE_SOURCES, passiveSourceRequest } = await importWorkerModule('passive-sources.js');
+    const keyless = builtIn.filter(source => !source.auth?.required);
+    expect(same(Object.keys(PASSIVE_SOURCES), keyless.map(source => source.id)), `worker passive sources: ${Object.keys(PASSIVE_SOURCES).join(', ')}`);
+    for (const source of keyless) {
+        const workerSource = PASSIVE_SOURCES[source.id];
+        if (!workerSource) continue;
+
+        expect(workerSource.name === source.name, `${source.id}: worker name ${workerSource.name}`);
+        const workerURL = await workerSource.url(DOMAIN, {});
+        expect(workerURL === await source.url(DOMAIN), `${source.id}: worker queries ${workerURL}`);
+        const injectedURL = await workerSource.url(INJECTED_DOMAIN, {});
+        expect(injectedURL === await source.url(INJECTED_DOMAIN) && !injectedURL.includes(INJECTED_DOMAIN),
+            `${source.id}: domain is not encoded into ${injectedURL}`);
+        expect((workerSource.contentType === 'application/json') === (source.responseType === 'json'), `${source.id}: worker content type ${workerSource.contentType}`);
+        const secrets = Object.fromEntries((source.auth?.secrets || []).map(secret => [secret, `${secret}-value`]));
+        const keyHeaders = Object.values(passiveSourceRequest(workerSource, secrets).headers).filter(value => value.endsWith('-value'));
+        expect(keyHeaders.length === Object.keys(secrets).length, `${source.id}: worker does not send the API key secrets ${Object.keys(secrets).join(', ')}`);
+        if (workerSource.parse) {
+            expect(same(workerSource.parse(SAMPLE_RESPONSES[source.id]), source.parse(SAMPLE_RESPONSES[source.id], DOMAIN)), `${source.id}: worker parses differently`);
+        }
+    }
+
+    // Definitions and selections the registry must refuse
+    expect(DiscoverySourceRegistry.validate({ id: 'Bad Id', name: '', rateLimit: { requests: 0 }, auth: { header: 1 }, url: 'x', optIn: 'yes' }).length === 7,
+        'invalid source definition not fully reported');
+    expect(throws(() => registry.register({ id: 'nope' })), 'invalid source registered');
+    expect(throws(() => registry.resolve(['crtsh', 'nope'])), 'unknown source id resolved');
+    expect(same(registry.resolve(['otx', 'crtsh', 'otx']).map(source => source.id), ['otx', 'crtsh']), 'selection order not kept');
+    // The archives returning thousands of historical hosts only run when asked for
+    expect(same(registry.resolve().map(source => source.id), ['crtsh', 'certspotter', 'otx', 'hackertarget', 'urlscan', 'rapiddns', 'anubis']),
+        `default selection: ${registry.resolve().map(source => source.id).join(', ')}`);
+    expect(same(registry.resolve(['wayback', 'commoncrawl']).map(source => source.id), ['wayback', 'commoncrawl']), 'opt-in sources cannot be selected');
+    registry.register({ ...testSource('extra'), auth: { required: true, secrets: ['EXTRA_API_KEY'] } });
+    expect(registry.list().pop().id === 'extra' && registry.get('extra').timeout > 0, 'registered source not appended with defaults');
+
+    // Rate limit - the second request within the interval waits, through the worker (APIClient.queryCT) and directly
+    for (const path of ['worker', 'direct']) {
+        const limited = new DNSAnalyzer();
+        limited.discoverySources = new DiscoverySourceRegistry([{ ...testSource('slow'), rateLimit: { requests: 1, interval: 150 } }]);
+        const requested = [];
+        limited.discoverySources.fetchDirect = async () => requested.push(Date.now()) && [];
+        limited.getAPIClient = () => path === 'worker' ? { queryCT: async () => requested.push(Date.now()) && [] } : null;
+        const source = limited.discoverySources.get('slow');
+        await limited.querySource(source, DOMAIN);
+        await limited.querySource(source, DOMAIN);
+        expect(requested.length === 2 && requested[1] - requested[0] >= 140, `rate limit not applied to ${path} requests`);
+    }
+
+    // Priority, failures and timeouts
+    const sources = [
+        testSource('a', { names: [`www.${DOMAIN}`, `shared.${DOMAIN}`] }),
+        testSource('b', { names: [`shared.${DOMAIN}`, `api.${DOMAIN}`] }),
+        testSource('c', { fail: true }),
+        testSource('d', { names: [`late.${DOMAIN}`], delay: 500, timeout: 50 })
+    ];
+    const analyzer = await runDiscovery(DNSAnalyzer, DiscoverySourceRegistry, sources, ['b', 'a', 'c', 'd']);
+    const shared = analyzer.discoveryQueue.discoveredSubdomains.get(`shared.${DOMAIN}`);
+    expect(same(shared?.sources, ['Source B', 'Source A']), `shared subdomain not credited in priority order: ${JSON.stringify(shared?.sources)}`);
+    expect(!analyzer.discoveryQueue.discoveredSubdomains.has(`late.${DOMAIN}`), 'answer after the source timeout was used');
+
+    const statuses = analyzer.getCTApiStatuses();
+    expect(same(statuses.completed, ['Source B', 'Source A']) && same(statuses.failed, ['Source C']) && same(statuses.timeout, ['Source D']),
+        `unexpected statuses: ${JSON.stringify(statuses)}`);
+    const stat = id => statuses.sources.find(source => source.id === id);
+    expect(stat('b').entries === 2 && stat('b').added === 2 && stat('a').entries === 2 && stat('a').added === 1, 'entries/added not counted per source');
+    expect(stat('c').error === 'Service unavailable (503)' && stat('d').error.includes('timeout'), 'source errors not reported');
+    expect(statuses.sources.every(source => source.durationMs >= 0), 'durations missing');
+
+    // Provenance reaches the historical records
+    const processor = new DataProcessor();
+    const processed = processor.processAnalysisResults({ domain: DOMAIN }, analyzer.getProcessedSubdomainResults(), []);
+    const historical = processed.historicalRecords.find(record => record.subdomain === `shared.${DOMAIN}`);
+    expect(historical?.source === 'Source B, Source A', `historical record provenance: ${JSON.stringify(historical)}`);
+
+    const subset = await runDiscovery(DNSAnalyzer, DiscoverySourceRegistry, sources, ['a']);
+    expect(same(subset.getCTApiStatuses().sources.map(source => source.id), ['a']), 'disabled sources were queried');
+    expect(throws(() => new DNSAnalyzer().setDiscoveryOptions({ sources: ['nope'] })), 'unknown source accepted by the analyzer');
+
+    report(`${builtIn.length} built-in sources`);
+}
+
+main();
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * DNS Transport Check
+ * Encodes an RFC 8484 query and decodes canned application/dns-message answers (A, AAAA, a compressed CNAME chain,
+ * MX, multi-string TXT, CAA, NXDOMAIN, a truncated message) into the { name, type, TTL, data } records the JSON
+ * providers return, then checks which providers go through the worker's DNS proxy and which are queried directly.
+ */
+
+const { loadBrowserModules, loadDOMScript } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+
+const DOMAIN = 'example.com';
+const TTL = 300;
+const WORKER_URL = 'https://worker.example.net';
+
+/**
+ * Wire-format pieces - names are label sequences, pointer(offset) compresses the rest of a name (RFC 1035 4.1.4)
+ */
+const u16 = value => [(value >> 8) & 0xff, value & 0xff];
+const u32 = value => [...u16(value >>> 16), ...u16(value & 0xffff)];
+const labels = name => name.split('.').flatMap(label => [label.length, ...Buffer.from(label)]);
+const encodeName = name => [...labels(name), 0];
+const pointer = offset => [0xc0 | (offset >> 8), offset & 0xff];
+const characterString = text => [text.length, ...Buffer.from(text)];
+
+// Offset of the question name, which every answer below points back to
+const QUESTION_NAME = 12;
+
+/**
+ * Response message for a question about DOMAIN - records are [owner bytes, type, rdata bytes]
+ */
+function message(type, answers, { rcode = 0, flags = 0x8180, authority = [] } = {}) {
+    const record = ([owner, recordType, rdata]) => [...owner, ...u16(recordType), ...u16(1), ...u32(TTL), ...u16(rdata.length), ...rdata];
+    return new Uint8Array([
+        ...u16(0), ...u16(flags | rcode), ...u16(1), ...u16(answers.length), ...u16(authority.length), ...u16(0),
+        ...encodeName(DOMAIN), ...u16(type), ...u16(1),
+        ...answers.flatMap(record),
+        ...authority.flatMap(record)
+    ]);
+}
+
+/**
+ * Response as fetch returns it - the wire transports read arrayBuffer(), the JSON ones json()
+ */
+function fetchResponse(body) {
+    return {
+        ok: true,
+        status: 200,
+        arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength),
+        json: async () => ({ Status: 0, Answer: [{ name: `${DOMAIN}.`, type: 1, TTL, data: '192.0.2.1' }] })
+    };
+}
+
+async function main() {
+    const { expect, same, report } = createCheck('DNS transport');
+    const { DNS_PROVIDERS, DNSWireFormat, WireDoHTransport, DNSAnalyzer } = loadBrowserModules();
+
+    // Query: ID 0, RD, one question, an EDNS0 OPT record advertising 4096 bytes with the DO bit
+    const query = DNSWireFormat.encodeQuery(`www.${DOMAIN}`, 'AAAA', { dnssecOk: true });
+    expect(same(Array.from(query), [
+        ...u16(0), ...u16(0x0100), ...u16(1), ...u16(0), ...u16(0), ...u16(1),
+        ...encodeName(`www.${DOMAIN}`), ...u16(28), ...u16(1),
+        0, ...u16(41), ...u16(4096), 0, 0, 0x80, 0, ...u16(0)
+    ]), 'AAAA query with the DO bit is not encoded as RFC 8484 expects');
+    expect(!/[+/=]/.test(DNSWireFormat.bytesToBase64Url(query)), 'query is not base64url without padding');
+
+    // Answers, each decoded into the JSON provider shape
+    const cdnName = 12 + encodeName(DOMAIN).length + 4 + 2 + 10; // rdata of the CNAME record below
+    const cases = [
+        {
+            name: 'A',
+            type: 1,
+            message: message(1, [[pointer(QUESTION_NAME), 1, [192, 0, 2, 1]]]),
+            answer: [{ name: `${DOMAIN}.`, type: 1, TTL, data: '192.0.2.1' }]
+        },
+        {
+            name: 'AAAA',
+            type: 28,
+            message: message(28, [[pointer(QUESTION_NAME), 28, [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]]]),
+            answer: [{ name: `${DOMAIN}.`, type: 28, TTL, data: '2001:db8::1' }]
+        },
+        {
+            // The CNAME target compresses against the question, the A record's owner against the CNAME target
+            name: 'CNAME with name compression',
+            type: 1,
+            message: message(1, [
+                [pointer(QUESTION_NAME), 5, [...labels('cdn'), ...pointer(QUESTION_NAME)]],
+                [pointer(cdnName), 1, [198, 51, 100, 7]]
+            ]),
+            answer: [
+                { name: `${DOMAIN}.`, type: 5, TTL, data: `cdn.${DOMAIN}.` },
+                { name: `cdn.${DOMAIN}.`, type: 1, TTL, data: '198.51.100.7' }
+            ]
+        },
+        {
+            name: 'MX',
+            type: 15,
+            message: message(15, [[pointer(QUESTION_NAME), 15, [...u16(10), ...labels('mail'), ...pointer(QUESTION_NAME)]]]),
+            answer: [{ name: `${DOMAIN}.`, type: 15, TTL, data: `10 mail.${DOMAIN}.` }]
+        },
+        {
+            name: 'multi-string TXT',
+            type: 16,
+            message: message(16, [[pointer(QUESTION_NAME), 16, [...characterString('v=spf1 include:_spf.example.net '), ...characterString('-all')]]]),
+            answer: [{ name: `${DOMAIN}.`, type: 16, TTL, data: 'v=spf1 include:_spf.example.net -all' }]
+        },
+        {
+            name: 'CAA',
+            type: 257,
+            message: message(257, [[pointer(QUESTION_NAME), 257, [0, 5, ...Buffer.from('issue'), ...Buffer.from('letsencrypt.org')]]]),
+            answer: [{ name: `${DOMAIN}.`, type: 257, TTL, data: '0 issue "letsencrypt.org"' }]
+        }
+    ];
+
+    for (const { name, type, message: bytes, answer } of cases) {
+        const response = DNSWireFormat.decodeResponse(bytes);
+        expect(response.Status === 0 && !response.TC, `${name}: status or TC flag is wrong`);
+        expect(same(response.Question, [{ name: `${DOMAIN}.`, type }]), `${name}: question is not decoded`);
+        expect(same(response.Answer, answer), `${name}: answer is ${JSON.stringify(response.Answer)}`);
+    }
+
+    // NXDOMAIN: status 3, no answer, the SOA in the authority section
+    const soa = [...labels('ns1'), ...pointer(QUESTION_NAME), ...labels('hostmaster'), ...pointer(QUESTION_NAME), ...u32(2026101901), ...u32(7200), ...u32(3600), ...u32(1209600), ...u32(300)];
+    const nxdomain = DNSWireFormat.decodeResponse(message(1, [], { rcode: 3, authority: [[pointer(QUESTION_NAME), 6, soa]] }));
+    expect(nxdomain.Status === 3 && nxdomain.Answer === undefined, 'NXDOMAIN: status or answer is wrong');
+    expect(same(nxdomain.Authority, [{ name: `${DOMAIN}.`, type: 6, TTL, data: `ns1.${DOMAIN}. hostmaster.${DOMAIN}. 2026101901 7200 3600 1209600 300` }]),
+        `NXDOMAIN: authority is ${JSON.stringify(nxdomain.Authority)}`);
+
+    // Truncation: the TC flag is passed on, a message cut inside a record is rejected rather than misread
+    const full = message(1, [[pointer(QUESTION_NAME), 1, [192, 0, 2, 1]]], { flags: 0x8380 });
+    expect(DNSWireFormat.decodeResponse(full).TC === true, 'TC flag of a truncated answer is not reported');
+    for (const cut of [full.length - 2, 8]) {
+        let error = null;
+        try {
+            DNSWireFormat.decodeResponse(full.subarray(0, cut));
+        } catch (caught) {
+            error = caught;
+        }
+        expect(error, `message cut to ${cut} bytes is decoded`);
+    }
+
+    // The transport sends the query as ?dns= (GET) or as the body (POST) and decodes what comes back
+    const requests = [];
+    global.fetch = async (url, options) => {
+        requests.push({ url: String(url), options });
+        return fetchResponse(cases[0].message);
+    };
+    for (const method of ['GET', 'POST']) {
+        requests.length = 0;
+        const transport = new WireDoHTransport({ url: DNS_PROVIDERS.powerdns.url, method });
+        const response = await transport.query(DOMAIN, 'A');
+        const [request] = requests;
+        expect(same(response.Answer, cases[0].answer), `${method}: answer is not decoded`);
+        expect(request.options.headers.Accept === 'application/dns-message', `${method}: does not ask for application/dns-message`);
+        expect(method === 'GET'
+            ? new URL(request.url).searchParams.get('dns') === DNSWireFormat.bytesToBase64Url(DNSWireFormat.encodeQuery(DOMAIN, 'A'))
+            : same(Array.from(request.options.body), Array.from(DNSWireFormat.encodeQuery(DOMAIN, 'A'))), `${method}: query is not sent`);
+    }
+
+    // Routing: only the providers the worker proxies go through the API client, the others reach their own server
+    const proxied = [];
+    global.window = { APIClient: { queryDNS: async (domain, type, provider) => proxied.push(provider) && { Status: 0 } } };
+    const analyzer = new DNSAnalyzer();
+    for (const [provider, { url }] of Object.entries(DNS_PROVIDERS)) {
+        proxied.length = requests.length = 0;
+        await analyzer.queryDNSServer(DOMAIN, 'A', url);
+        const direct = requests.map(request => new URL(request.url).host);
+        expect(DNS_PROVIDERS[provider].worker
+            ? same(proxied, [provider]) && direct.length === 0
+            : proxied.length === 0 && same(direct, [new URL(url).host]), `${provider}: proxied ${JSON.stringify(proxied)}, fetched ${JSON.stringify(direct)}`);
+    }
+
+    // And the API client does not hand the worker a provider it would answer from Cloudflare
+    global.appConfig = { workerUrl: WORKER_URL, features: { useWorkerAPIs: true }, checkWorkerHealth: async () => true };
+    const APIClient = loadDOMScript('api-client.js', 'APIClient');
+    const client = new APIClient(global.appConfig);
+    for (const provider of Object.keys(DNS_PROVIDERS)) {
+        requests.length = 0;
+        await client.queryDNS(DOMAIN, 'A', provider);
+        const host = new URL(requests[0].url).host;
+        expect(host === (DNS_PROVIDERS[provider].worker ? new URL(WORKER_URL).host : new URL(DNS_PROVIDERS[provider].url).host),
+            `API client sends ${provider} queries to ${host}`);
+    }
+
+    report(`${cases.length + 2} answers decoded, ${Object.values(DNS_PROVIDERS).filter(provider => provider.worker).length} of ${Object.keys(DNS_PROVIDERS).length} providers proxied`);
+}
+
+main();
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * DNSSEC Check
+ * Signs a small hierarchy (., com., example.com.) with freshly generated ECDSAP256SHA256 keys, replays the signed
+ * answers through the fixture store and runs DNSSECValidator over a secure zone, a bogus signature, a missing DS
+ * record and an expired RRSIG - checking the chain statuses, the reasons and the resulting findings.
+ */
+
+const { webcrypto } = require('crypto');
+const { loadBrowserModules } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+
+const DOMAIN = 'example.com';
+const ZONES = ['.', 'com.', `${DOMAIN}.`];
+const RECORD_TYPES = { A: 1, SOA: 6, DS: 43, RRSIG: 46, DNSKEY: 48 };
+const TTL = 3600;
+const DAY = 86400;
+
+/**
+ * Key-signing key for one zone - the DNSKEY presentation format plus what the signer needs
+ */
+async function createZoneKey(validator, zone) {
+    const pair = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    // Raw export is 0x04 | x | y, DNSKEY carries x | y (RFC 6605)
+    const publicKey = new Uint8Array(await webcrypto.subtle.exportKey('raw', pair.publicKey)).slice(1);
+    const dnskey = `257 3 13 ${Buffer.from(publicKey).toString('base64')}`;
+    const parsed = validator.parseDNSKEY(dnskey);
+    const digest = await webcrypto.subtle.digest('SHA-256', validator.concatBytes([validator.encodeName(zone), parsed.rdata]));
+
+    return {
+        zone,
+        privateKey: pair.privateKey,
+        dnskey,
+        keyTag: parsed.keyTag,
+        ds: { keyTag: parsed.keyTag, algorithm: 13, digestType: 2, digest: Buffer.from(digest).toString('hex') }
+    };
+}
+
+/**
+ * RRSIG over an RRset in presentation format (times as epoch seconds)
+ */
+async function sign(validator, key, owner, type, records, { inception, expiration, corrupt = false }) {
+    const labels = owner.replace(/\.$/, '').split('.').filter(label => label.length > 0).length;
+    const rrsig = { algorithm: 13, labels, originalTTL: TTL, expiration, inception, keyTag: key.keyTag, signer: key.zone };
+    const signedData = validator.buildSignedData(owner, type, records.map(data => validator.encodeRDATA(type, data)), rrsig);
+    const signature = new Uint8Array(await webcrypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key.privateKey, signedData));
+    if (corrupt) signature[0] ^= 0xff;
+
+    return `${type} 13 ${labels} ${TTL} ${expiration} ${inception} ${key.keyTag} ${key.zone} ${Buffer.from(signature).toString('base64')}`;
+}
+
+/**
+ * DO-bit response with the RRset and its signature, as the DoH resolvers answer
+ */
+function response(owner, type, records, rrsig) {
+    const answer = records.map(data => ({ name: owner, type: RECORD_TYPES[type], TTL, data }));
+    if (rrsig) answer.push({ name: owner, type: RECORD_TYPES.RRSIG, TTL, data: rrsig });
+    return { value: { Status: 0, AD: false, Answer: answer } };
+}
+
+/**
+ * Fixture bundle for the signed hierarchy - the options break one part of the example.com zone
+ */
+async function createBundle(validator, keys, { missingDS = false, corruptSOA = false, expiredDNSKEY = false } = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const valid = { inception: now - DAY, expiration: now + 30 * DAY };
+    const expired = { inception: now - 40 * DAY, expiration: now - 10 * DAY };
+    const entries = {};
+    const add = (name, type, value) => {
+        entries[`dns-response:${name}:${type}+do`] = value;
+    };
+    const signedRRset = async (signer, owner, type, records, validity = valid) =>
+        response(owner, type, records, await sign(validator, signer, owner, type, records, validity));
+
+    for (const [index, zone] of ZONES.entries()) {
+        const key = keys[zone];
+        const parent = keys[ZONES[index - 1]];
+        const apex = zone === `${DOMAIN}.`;
+
+        if (parent) {
+            const ds = `${key.ds.keyTag} 13 2 ${key.ds.digest}`;
+            add(zone, 'DS', apex && missingDS ? response(zone, 'DS', []) : await signedRRset(parent, zone, 'DS', [ds]));
+        }
+        add(zone, 'DNSKEY', await signedRRset(key, zone, 'DNSKEY', [key.dnskey], apex && expiredDNSKEY ? expired : valid));
+    }
+
+    const apex = `${DOMAIN}.`;
+    const soa = [`ns1.${apex} hostmaster.${apex} 2024010101 7200 3600 1209600 3600`];
+    add(apex, 'SOA', await signedRRset(keys[apex], apex, 'SOA', soa, { ...valid, corrupt: corruptSOA }));
+
+    // www lives in the example.com zone - no DS, no SOA at the name
+    const www = `www.${apex}`;
+    add(www, 'DS', response(www, 'DS', []));
+    add(www, 'SOA', response(www, 'SOA', []));
+    add(www, 'A', await signedRRset(keys[apex], www, 'A', ['192.0.2.10']));
+
+    return { format: '3ptracer-fixtures', version: 1, domain: DOMAIN, entries };
+}
+
+async function main() {
+    const { expect, same, report } = createCheck('DNSSEC');
+
+    const { DNSAnalyzer, FixtureStore } = loadBrowserModules();
+
+    // Every answer comes from the bundle
+    global.fetch = async url => {
+        throw new Error(`Network request during replay: ${url}`);
+    };
+
+    const validator = new DNSAnalyzer().dnssecValidator;
+    const keys = {};
+    for (const zone of ZONES) {
+        keys[zone] = await createZoneKey(validator, zone);
+    }
+
+    const validate = async options => {
+        const analyzer = new DNSAnalyzer();
+        analyzer.setFixtureStore(FixtureStore.fromBundle(await createBundle(validator, keys, options)));
+        analyzer.dnssecValidator.setTrustAnchors([keys['.'].ds]);
+        const result = await analyzer.dnssecValidator.analyze(DOMAIN, [`www.${DOMAIN}`]);
+        return { result, fixtures: analyzer.fixtures };
+    };
+    const chainStatuses = result => result.chain.map(link => link.status);
+    const findingTypes = result => result.findings.map(finding => finding.type);
+
+    // Secure zone - every link and RRset verifies, nothing to report
+    const { result: secure, fixtures } = await validate();
+    expect(secure.status === 'secure', `secure zone validated as ${secure.status}`);
+    expect(same(chainStatuses(secure), ['secure', 'secure', 'secure']), `secure chain: ${chainStatuses(secure)}`);
+    expect(same(secure.rrsets.map(rrset => `${rrset.name} ${rrset.type} ${rrset.status}`), [`${DOMAIN}. SOA secure`, `www.${DOMAIN}. A secure`]),
+        `secure RRsets: ${JSON.stringify(secure.rrsets.map(rrset => rrset.status))}`);
+    expect(secure.chain[2].ds.every(ds => ds.matched), 'DS of the secure zone not matched');
+    expect(same(findingTypes(secure), []), `findings for a secure zone: ${findingTypes(secure)}`);
+    expect(fixtures.misses.length === 0, `${fixtures.misses.length} lookups missing from the secure bundle`);
+
+    // Bogus signature over the apex SOA
+    const { result: bogus } = await validate({ corruptSOA: true });
+    const soa = bogus.rrsets.find(rrset => rrset.type === 'SOA');
+    expect(bogus.status === 'bogus' && same(chainStatuses(bogus), ['secure', 'secure', 'secure']), `bogus signature: ${bogus.status} (${chainStatuses(bogus)})`);
+    expect(soa?.status === 'bogus' && soa.signature?.status === 'invalid' && soa.reason.includes('does not verify'), `bogus SOA: ${soa?.reason}`);
+    expect(same(findingTypes(bogus), ['dnssec_bogus']) && bogus.findings[0].risk === 'high', `findings for a bogus signature: ${findingTypes(bogus)}`);
+
+    // Signed zone without a DS at the parent - an island of security
+    const { result: island } = await validate({ missingDS: true });
+    const apexLink = island.chain[2];
+    expect(island.status === 'insecure' && same(chainStatuses(island), ['secure', 'secure', 'insecure']), `missing DS: ${island.status} (${chainStatuses(island)})`);
+    expect(apexLink?.islandOfSecurity === true && apexLink.keys.length === 1, 'signed zone without DS not reported as an island of security');
+    expect(same(findingTypes(island), ['dnssec_missing_ds']) && island.findings[0].risk === 'medium', `findings for a missing DS: ${findingTypes(island)}`);
+
+    // Expired RRSIG over the apex DNSKEY set breaks the chain
+    const { result: expired } = await validate({ expiredDNSKEY: true });
+    const expiredLink = expired.chain[2];
+    expect(expired.status === 'bogus' && expiredLink?.status === 'bogus', `expired RRSIG: ${expired.status} (${chainStatuses(expired)})`);
+    expect(expiredLink?.signatures.at(-1)?.status === 'expired' && expiredLink.reason.includes('RRSIG expired'), `expired RRSIG reason: ${expiredLink?.reason}`);
+    expect(same(findingTypes(expired), ['dnssec_bogus']) && expired.findings[0].description.includes('RRSIG expired'),
+        `findings for an expired RRSIG: ${findingTypes(expired)}`);
+
+    report(`4 scenarios, ${fixtures.hits} replayed responses each`);
+}
+
+main();
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Fixture Check
+ * Replays the committed bundle (cli/fixtures/example.com.json, recorded from cli/mock-upstreams.js) through a whole
+ * analysis without network access - no request may miss the bundle - and checks the detected services and subdomains,
+ * then records lookups against stubbed resolvers and replays them - a failed lookup must come back as a failure, not
+ * as "no records".
+ */
+
+const path = require('path');
+const { loadBrowserModules, ROOT_DIR } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+const { analyze } = require('./3ptracer');
+
+const BUNDLE_FILE = path.join(ROOT_DIR, 'cli', 'fixtures', 'example.com.json');
+const DOMAIN = 'example.com';
+
+/**
+ * Answers of the stubbed resolvers - a name missing here fails on every resolver
+ */
+const STUB_ANSWERS = {
+    [`www.${DOMAIN}:A`]: { Status: 0, Answer: [{ name: `www.${DOMAIN}`, type: 1, TTL: 300, data: '192.0.2.10' }] },
+    [`empty.${DOMAIN}:TXT`]: { Status: 0, Answer: [] },
+    [`gone.${DOMAIN}:A`]: { Status: 3 }
+};
+
+async function main() {
+    const { expect, same, report } = createCheck('Fixture');
+
+    const { DNSAnalyzer, FixtureStore } = loadBrowserModules();
+    const outcome = async action => {
+        try {
+            return { value: await action() };
+        } catch (error) {
+            return { error: error.message };
+        }
+    };
+
+    // Replays must not touch the network
+    let networkRequests = 0;
+    global.fetch = async url => {
+        networkRequests++;
+        throw new Error(`Network request during replay: ${url}`);
+    };
+
+    // Committed bundle through a whole default run - twice, the output must not change. The bundle is a recording of
+    // such a run (against cli/mock-upstreams.js), so every request must find its answer in it
+    const bundle = require(BUNDLE_FILE);
+    const runs = [];
+    for (let run = 0; run < 2; run++) {
+        const fixtures = FixtureStore.fromBundle(bundle);
+        const exportData = await analyze(DOMAIN, { fixtures });
+        runs.push({ fixtures, processedData: exportData.processedData });
+    }
+    const { fixtures, processedData } = runs[0];
+    expect(networkRequests === 0, `${networkRequests} network requests during replay`);
+    expect(fixtures.misses.length === 0,
+        `${fixtures.misses.length} requests missing from the bundle (re-record it with node cli/mock-upstreams.js): ${fixtures.misses.slice(0, 5).join(', ')}`);
+    expect(same(runs[0].processedData.services, runs[1].processedData.services) &&
+        same(runs[0].processedData.subdomains, runs[1].processedData.subdomains), 'replays differ');
+
+    const services = Object.values(processedData.services);
+    const workspace = services.find(service => service.name === 'Google Workspace');
+    expect(workspace && same(workspace.recordTypes, ['MX', 'SPF', 'TXT']), `Google Workspace not detected from MX, SPF and TXT: ${JSON.stringify(workspace?.recordTypes)}`);
+    expect(same(Object.keys(processedData.subdomains).sort(), [`shop.${DOMAIN}`, `www.${DOMAIN}`]),
+        `unexpected subdomains: ${Object.keys(processedData.subdomains)}`);
+    expect(processedData.subdomains[`shop.${DOMAIN}`]?.cnameTarget === 'shops.myshopify.com', 'CNAME target not replayed');
+
+    // A recorded failure replays as a failure, a recorded empty answer as no records
+    const replayed = new DNSAnalyzer();
+    replayed.setFixtureStore(FixtureStore.fromBundle(bundle));
+    expect((await outcome(() => replayed.lookupDNS(DOMAIN, 'CAA'))).error?.includes('failed on every resolver'), 'recorded failure replayed as an answer');
+    expect(await replayed.lookupDNS(DOMAIN, 'NS') === null, 'recorded empty answer not replayed as no records');
+    expect(await replayed.queryDNS(DOMAIN, 'CAA') === null, 'queryDNS does not report a replayed failure as null');
+    expect((await outcome(() => replayed.lookupDNS(`missing.${DOMAIN}`, 'A'))).error?.includes('No recorded fixture'), 'replay miss not reported');
+
+    // Record against stubbed resolvers, then replay the bundle
+    const recorder = new DNSAnalyzer();
+    recorder.setFixtureStore(new FixtureStore('record'));
+    recorder.queryDNSServer = async (name, type) => {
+        const answer = STUB_ANSWERS[`${name}:${type}`];
+        if (!answer) throw new Error('HTTP 503');
+        return answer;
+    };
+    const lookups = [[`www.${DOMAIN}`, 'A'], [`empty.${DOMAIN}`, 'TXT'], [`gone.${DOMAIN}`, 'A'], [`down.${DOMAIN}`, 'A']];
+    const live = [];
+    for (const [name, type] of lookups) {
+        live.push(await outcome(() => recorder.lookupDNS(name, type)));
+    }
+    const recorded = recorder.fixtures.toBundle();
+    expect(same(recorded.entries[`dns:empty.${DOMAIN}:TXT`], { value: null }) && same(recorded.entries[`dns:gone.${DOMAIN}:A`], { value: null }),
+        'NODATA / NXDOMAIN not recorded as no records');
+    expect(recorded.entries[`dns:down.${DOMAIN}:A`]?.error?.includes('HTTP 503'), 'failed lookup not recorded as an error');
+
+    const player = new DNSAnalyzer();
+    player.setFixtureStore(FixtureStore.fromBundle(JSON.parse(JSON.stringify(recorded))));
+    for (const [index, [name, type]] of lookups.entries()) {
+        const result = await outcome(() => player.lookupDNS(name, type));
+        expect(same(result, live[index]), `${name} ${type} replayed as ${JSON.stringify(result)}, recorded ${JSON.stringify(live[index])}`);
+    }
+
+    report(`${fixtures.hits} replayed responses, ${lookups.length} recorded lookups`);
+}
+
+main();
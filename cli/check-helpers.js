@@ -0,0 +1,91 @@
+/**
+ * Shared helpers of the cli/check-*.js scripts
+ * The synthetic scan the export and import checks build on, and the quiet console, expectations and summary line
+ * every check reports through.
+ */
+
+const DOMAIN = 'example.com';
+
+const CLOUDFLARE_ASN = { asn: 'AS13335 Cloudflare, Inc.', country: 'US', countryName: 'United States', isp: 'Cloudflare' };
+const HETZNER_ASN = { asn: 'AS24940 Hetzner Online GmbH', country: 'DE', countryName: 'Germany', isp: 'Hetzner' };
+
+/**
+ * Processed data (sovereignty analysis included) and security results as the controller hands them to ExportManager
+ * Google Workspace detected from MX, a Shopify storefront behind Cloudflare reached through a two-hop CNAME chain, an
+ * IPv6 host on Cloudflare, an app on Hetzner, a Hetzner host whose CNAME no signature claims and a CNAME left
+ * dangling at Azure; a confirmed takeover, a weak DMARC policy with an external reporter and a wildcard certificate.
+ * Descriptions carry Markdown and HTML special characters for the report escaping.
+ */
+function createScan(DataProcessor) {
+    const dataProcessor = new DataProcessor();
+
+    const processedData = dataProcessor.processAnalysisResults(
+        {
+            domain: DOMAIN,
+            services: [{ name: 'Google Workspace', category: 'email', description: 'Mail | calendar', records: [{ type: 15, data: '1 aspmx.l.google.com.' }], recordTypes: ['MX'] }]
+        },
+        [
+            {
+                subdomain: `shop.${DOMAIN}`, ip: '192.0.2.10', cnameTarget: 'shops.myshopify.com',
+                cnameChain: [{ to: 'shops.myshopify.com' }, { to: 'shops.cdn.example.net.' }],
+                detectedService: { name: 'Shopify', category: 'ecommerce', description: 'Shopify <storefront>' },
+                vendor: { vendor: 'Cloudflare', category: 'cdn' }, asnInfo: CLOUDFLARE_ASN
+            },
+            { subdomain: `www.${DOMAIN}`, ip: '2001:db8::1', vendor: { vendor: 'Cloudflare', category: 'cdn' }, asnInfo: CLOUDFLARE_ASN },
+            { subdomain: `app.${DOMAIN}`, ip: '198.51.100.7', vendor: { vendor: 'Hetzner', category: 'cloud' }, asnInfo: HETZNER_ASN },
+            { subdomain: `legacy.${DOMAIN}`, ip: '198.51.100.8', cnameTarget: 'legacy.unknown-host.example.net', asnInfo: HETZNER_ASN },
+            { subdomain: `old.${DOMAIN}`, cnameTarget: 'gone.azurewebsites.net', cnameChain: [{ to: 'gone.azurewebsites.net' }] }
+        ],
+        [],
+        []
+    );
+    processedData.sovereigntyAnalysis = dataProcessor.analyzeSovereignty();
+
+    const securityResults = {
+        takeovers: [{
+            type: 'dangling_cname', risk: 'high', confidence: 'confirmed', subdomain: `old.${DOMAIN}`,
+            description: `old.${DOMAIN} points to *gone*`, recommendation: 'Remove the CNAME record'
+        }],
+        dnsIssues: [],
+        emailIssues: [{ type: 'weak_dmarc', risk: 'medium', description: 'Weak DMARC policy - monitor only', recommendation: 'Use p=reject' }],
+        cloudIssues: [],
+        wildcardCertificates: [{ type: 'wildcard_certificate', risk: 'high', description: 'Top-level wildcard certificates detected (1)' }],
+        dmarcAnalysis: {
+            destinations: [{ email: 'rua@reports.example.org', domain: 'reports.example.org', type: 'aggregate', external: true, authorized: true }]
+        }
+    };
+
+    return { processedData, securityResults, dataProcessor };
+}
+
+/**
+ * Start a check: console.log and console.warn stay quiet unless -v is passed
+ * expect(condition, message) collects failures; report(details) prints them with the summary line and sets the exit code
+ */
+function createCheck(name) {
+    const verbose = process.argv.includes('-v') || process.argv.includes('--verbose');
+    if (!verbose) {
+        console.log = console.warn = () => {};
+    }
+
+    const failures = [];
+    return {
+        verbose,
+        failures,
+        expect: (condition, message) => {
+            if (!condition) failures.push(message);
+        },
+        same: (a, b) => JSON.stringify(a) === JSON.stringify(b),
+        report: details => {
+            for (const failure of failures) {
+                process.stderr.write(`❌ ${failure}\n`);
+            }
+            process.stdout.write(failures.length === 0 ?
+                `📊 ${name} check passed${details ? ` (${details})` : ''}\n` :
+                `📊 ${name} check failed (${failures.length} problems)\n`);
+            process.exitCode = failures.length === 0 ? 0 : 1;
+        }
+    };
+}
+
+module.exports = { createScan, createCheck, DOMAIN };
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * JSON Import Check
+ * Exports the shared synthetic scan (cli/check-helpers.js) as JSON, imports it again with ExportManager.parseJSONExport
+ * and checks that the services and subdomains Maps, the sovereignty analysis and the DataProcessor lookups survive
+ * the round trip - and that re-exporting an imported scan gives the same document.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createScan, createCheck, DOMAIN } = require('./check-helpers');
+
+function main() {
+    const { expect, same, report } = createCheck('Import');
+    const { DataProcessor, ExportManager, AnalysisController } = loadBrowserModules();
+
+    const { processedData, securityResults, dataProcessor } = createScan(DataProcessor);
+    const exportManager = new ExportManager();
+    exportManager.setAnalysisData({ ...processedData, dataProcessor }, securityResults, DOMAIN);
+    const json = JSON.stringify(exportManager.buildJSONExport(), null, 2);
+    const exported = JSON.parse(json);
+
+    expect(!('dataProcessor' in exported.processedData), 'the live DataProcessor is written to the export');
+    expect(Object.keys(exported.processedData.subdomains).length === processedData.subdomains.size, 'subdomains are lost in the export');
+
+    // Maps and Sets come back
+    const imported = ExportManager.parseJSONExport(json);
+    const restored = imported.processedData;
+    expect(imported.domain === DOMAIN && same(imported.securityResults, securityResults), 'domain or security results changed');
+    expect(restored.services instanceof Map && same(Array.from(restored.services), Array.from(processedData.services)),
+        'services Map is not restored with its original keys');
+    expect(restored.subdomains instanceof Map && same(Array.from(restored.subdomains), Array.from(processedData.subdomains)),
+        'subdomains Map is not restored');
+    const germany = restored.sovereigntyAnalysis?.countryDistribution?.get('DE');
+    expect(germany?.providers instanceof Set && germany.providers.has('Hetzner') &&
+        same(restored.sovereigntyAnalysis.riskAssessment, processedData.sovereigntyAnalysis.riskAssessment),
+        'sovereignty analysis is not restored');
+
+    // The renderers' DataProcessor lookups work on the imported scan
+    const importedProcessor = new DataProcessor();
+    importedProcessor.restoreProcessedData(restored);
+    expect(same(importedProcessor.getCNAMEMappings(), dataProcessor.getCNAMEMappings()) &&
+        same(importedProcessor.getUnclassifiedSubdomains(), dataProcessor.getUnclassifiedSubdomains()) &&
+        same(importedProcessor.calculateStats(), dataProcessor.calculateStats()),
+        'DataProcessor lookups differ on the imported scan');
+
+    // Showing an imported scan headless re-exports the same document, scan time included
+    const reexportManager = new ExportManager();
+    const controller = new AnalysisController({ dataProcessor: new DataProcessor(), uiRenderer: null, exportManager: reexportManager, scanHistory: null });
+    controller.displayImportedResults(ExportManager.parseJSONExport(json));
+    const reexported = reexportManager.buildJSONExport();
+    expect(same({ ...reexported, meta: { ...reexported.meta, exportedAt: null } }, { ...exported, meta: { ...exported.meta, exportedAt: null } }),
+        're-exporting an imported scan gives a different document');
+
+    // Exports written before subdomains were serialized still load
+    const legacy = ExportManager.parseJSONExport({ ...exported, processedData: { ...exported.processedData, subdomains: {} } });
+    expect(legacy.processedData.subdomains instanceof Map && legacy.processedData.services.size === processedData.services.size,
+        'legacy export without subdomains does not load');
+
+    for (const broken of ['{}', '{"meta":{"domain":"example.com"}}', 'not json']) {
+        let rejected = false;
+        try {
+            ExportManager.parseJSONExport(broken);
+        } catch {
+            rejected = true;
+        }
+        expect(rejected, `invalid export accepted: ${broken}`);
+    }
+
+    report(`${restored.services.size} services, ${restored.subdomains.size} subdomains`);
+}
+
+main();
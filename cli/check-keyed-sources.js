@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Keyed Source Check
+ * Runs the worker's API-key-backed source adapters (worker/keyed-sources.js) against the local mock server
+ * (cli/mock-keyed-sources.js): subdomains and pagination per API, rejected keys and domains, the enabled/disabled
+ * status the config panel shows, who may spend the quota, and that the browser side never queries a keyed source
+ * without the worker.
+ */
+
+const { loadBrowserModules, importWorkerModule } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+const { startMockServer, MOCK_LABELS } = require('./mock-keyed-sources');
+
+const DOMAIN = 'example.com';
+
+async function main() {
+    const { expect, same, report } = createCheck('Keyed source');
+
+    const { KEYED_SOURCES, keyedSourceStatus, authorizeKeyedSourceRequest, queryKeyedSource } = await importWorkerModule('keyed-sources.js');
+    const { DiscoverySourceRegistry } = loadBrowserModules();
+    const rejection = async action => {
+        try {
+            await action();
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    };
+
+    const { server, env } = await startMockServer();
+    try {
+        // Every adapter against the mock - all pages, names under the domain only
+        for (const id of Object.keys(KEYED_SOURCES)) {
+            const names = await queryKeyedSource(id, DOMAIN, env);
+            const expected = MOCK_LABELS[id].map(label => `${label}.${DOMAIN}`);
+            expect(same(names.sort(), expected.sort()), `${id} returned ${JSON.stringify(names)}`);
+
+            const wrongKey = Object.fromEntries(KEYED_SOURCES[id].secrets.map(secret => [secret, 'wrong']));
+            const error = await rejection(() => queryKeyedSource(id, DOMAIN, { ...env, ...wrongKey }));
+            expect(error?.includes('API key rejected'), `${id} accepted a wrong key (${error})`);
+        }
+
+        // Domains that would change the upstream URL never leave the worker
+        const requested = [];
+        const recordingFetch = async url => {
+            requested.push(url);
+            return new Response('{}');
+        };
+        for (const domain of [`${DOMAIN}/../../v1/account`, `${DOMAIN}?key=x`, `${DOMAIN}#`, 'localhost', `Sub.${DOMAIN}`, '']) {
+            const error = await rejection(() => queryKeyedSource('securitytrails', domain, env, { fetch: recordingFetch }));
+            expect(error?.startsWith('Invalid domain'), `domain ${JSON.stringify(domain)} accepted (${error})`);
+        }
+        expect(requested.length === 0, `invalid domains reached the upstream: ${requested.join(', ')}`);
+
+        // Status shown in the config panel - secret names only, never values
+        const status = keyedSourceStatus({ SHODAN_API_KEY: 'x', CENSYS_API_ID: 'y' });
+        expect(same(status.filter(source => source.enabled).map(source => source.id), ['shodan']), `unexpected enabled sources: ${JSON.stringify(status)}`);
+        expect(!JSON.stringify(keyedSourceStatus(env)).includes('mock-'), 'status leaks an API key');
+        expect(keyedSourceStatus(env).every(source => source.enabled), 'configured sources not reported as enabled');
+    } finally {
+        server.close();
+    }
+
+    // Who may spend the quota - the app's origins or the token holder, nobody until one of them is configured
+    const APP_ORIGIN = 'https://3ptracer.pages.dev';
+    const access = (vars, headers = {}) => authorizeKeyedSourceRequest(new Request(`https://worker.invalid/api/ct/shodan?domain=${DOMAIN}`, { headers }), vars);
+    expect(!access({}, { Origin: APP_ORIGIN }).allowed, 'keyed sources answer without CORS_ORIGIN or a token');
+    expect(same(access({ CORS_ORIGIN: `https://other.example, ${APP_ORIGIN}` }, { Origin: APP_ORIGIN }), { allowed: true, origin: APP_ORIGIN }),
+        'app origin not allowed (or not echoed for CORS)');
+    expect(!access({ CORS_ORIGIN: APP_ORIGIN }, { Origin: 'https://evil.example' }).allowed, 'another site may spend the quota');
+    expect(!access({ CORS_ORIGIN: APP_ORIGIN }).allowed, 'a request without an Origin passes the origin check');
+    expect(access({ CORS_ORIGIN: '*' }, { Origin: 'https://evil.example' }).allowed, 'development wildcard origin not honoured');
+    expect(access({ KEYED_SOURCES_TOKEN: 'secret-token' }, { Authorization: 'Bearer secret-token' }).allowed, 'token holder refused');
+    expect(!access({ CORS_ORIGIN: APP_ORIGIN, KEYED_SOURCES_TOKEN: 'secret-token' }, { Authorization: 'Bearer wrong' }).allowed, 'wrong token accepted');
+    expect(!access({ KEYED_SOURCES_TOKEN: '' }, { Authorization: 'Bearer ' }).allowed, 'empty token accepted');
+
+    // Browser side - same ids, not selected by default, no direct requests
+    const registry = DiscoverySourceRegistry.getDefault();
+    const keyed = registry.list().filter(source => source.auth?.required);
+    expect(same(keyed.map(source => source.id), Object.keys(KEYED_SOURCES)), 'browser and worker keyed sources differ');
+    expect(keyed.every(source => same(source.auth.secrets, KEYED_SOURCES[source.id].secrets)), 'browser and worker secret names differ');
+    expect(registry.resolve().every(source => !source.auth?.required), 'keyed sources are in the default selection');
+    for (const source of keyed) {
+        expect((await rejection(() => registry.fetchDirect(source, DOMAIN)))?.includes('worker'), `${source.id} queried without the worker`);
+        expect(same(DiscoverySourceRegistry.extractSubdomains(source, { subdomains: [`www.${DOMAIN}`] }, DOMAIN), [`www.${DOMAIN}`]),
+            `${source.id} does not read the worker answer`);
+    }
+
+    report(`${Object.keys(KEYED_SOURCES).length} sources against the mock server`);
+}
+
+main();
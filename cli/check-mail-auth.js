@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Mail Authentication Check
+ * Replays SPF and DMARC lookups from in-memory fixture bundles and checks that a failed DNS lookup is reported as
+ * indeterminate - never as a void lookup, a missing include target, a missing SPF record or an unauthorized DMARC
+ * report destination, which the CI policy would fail on - while real NODATA answers still produce those findings.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+const { analyze } = require('./3ptracer');
+const { CIPolicy } = require('./ci-report');
+
+const DOMAIN = 'example.com';
+const LOOKUP_FAILED = { error: 'DNS lookup failed on every resolver: HTTP 503' };
+
+const txt = (name, ...strings) => ({ value: strings.map(data => ({ name, type: 16, TTL: 300, data: `"${data}"` })) });
+
+/**
+ * Fixture bundle answering the given dns:<name>:<type> entries (anything else is a replay miss, i.e. a failure)
+ */
+function createBundle(entries) {
+    return { format: '3ptracer-fixtures', version: 1, domain: DOMAIN, entries };
+}
+
+/**
+ * DNSAnalyzer replaying the given entries
+ */
+function createAnalyzer(modules, entries) {
+    const analyzer = new modules.DNSAnalyzer();
+    analyzer.setFixtureStore(modules.FixtureStore.fromBundle(createBundle(entries)));
+    return analyzer;
+}
+
+async function main() {
+    const { expect, report } = createCheck('Mail authentication');
+
+    const modules = loadBrowserModules();
+    const types = issues => issues.map(issue => issue.type).sort();
+
+    // SPF include whose TXT lookup failed - unknown, not missing
+    const spfRecord = `v=spf1 include:_spf.mail.example.net a:relay.${DOMAIN} mx -all`;
+    const spf = [{ data: spfRecord }];
+    const failed = await createAnalyzer(modules, {
+        'dns:_spf.mail.example.net:TXT': LOOKUP_FAILED,
+        [`dns:relay.${DOMAIN}:A`]: LOOKUP_FAILED,
+        [`dns:relay.${DOMAIN}:AAAA`]: LOOKUP_FAILED,
+        [`dns:${DOMAIN}:MX`]: LOOKUP_FAILED
+    }).spfAnalyzer.analyze(DOMAIN, spf);
+    expect(failed.indeterminate && failed.failedLookups.length === 4, `failed lookups not collected: ${JSON.stringify(failed.failedLookups)}`);
+    expect(failed.voidLookupCount === 0, `failed lookups counted as void: ${failed.voidLookupCount}`);
+    expect(JSON.stringify(types(failed.issues)) === '["spf_indeterminate"]', `unexpected issues for failed lookups: ${types(failed.issues)}`);
+    expect(failed.issues[0]?.risk === 'low', 'spf_indeterminate is not low risk');
+    expect(failed.root.terms.filter(term => term.mechanism !== 'all').every(term => term.error === 'Lookup failed'), 'terms of failed lookups not marked');
+
+    // The same policy with NODATA answers - void lookups and a missing include target are real findings
+    const nodata = await createAnalyzer(modules, {
+        'dns:_spf.mail.example.net:TXT': { value: null },
+        [`dns:relay.${DOMAIN}:A`]: { value: null },
+        [`dns:relay.${DOMAIN}:AAAA`]: { value: null },
+        [`dns:${DOMAIN}:MX`]: { value: null }
+    }).spfAnalyzer.analyze(DOMAIN, spf);
+    expect(!nodata.indeterminate && nodata.voidLookupCount === 3, `NODATA not counted as void lookups: ${nodata.voidLookupCount}`);
+    expect(types(nodata.issues).includes('spf_missing_include_target') && types(nodata.issues).includes('spf_void_lookups'),
+        `NODATA findings missing: ${types(nodata.issues)}`);
+
+    // Apex TXT lookup failed - no missing_spf, and the bundled CI policy does not fail the build on it
+    const policy = CIPolicy.load();
+    const outage = await analyze(DOMAIN, {
+        fixtures: modules.FixtureStore.fromBundle(createBundle({
+            [`dns:${DOMAIN}:A`]: { value: [{ name: DOMAIN, type: 1, TTL: 300, data: '192.0.2.1' }] },
+            [`dns:${DOMAIN}:TXT`]: LOOKUP_FAILED,
+            [`dns:_dmarc.${DOMAIN}:TXT`]: txt(`_dmarc.${DOMAIN}`, 'v=DMARC1; p=reject')
+        })),
+        sources: ['crtsh']
+    });
+    const dnsIssues = types(outage.securityResults.dnsIssues);
+    expect(!dnsIssues.includes('missing_spf') && dnsIssues.includes('spf_indeterminate'), `apex TXT failure reported as ${dnsIssues}`);
+    const spfVerdicts = policy.evaluate(outage).results.filter(result => result.type.includes('spf'));
+    expect(spfVerdicts.every(result => result.verdict !== 'fail'), `CI policy fails on a failed SPF lookup: ${JSON.stringify(spfVerdicts.map(result => result.type))}`);
+
+    // Apex without SPF (NODATA) is still missing_spf
+    const missing = await analyze(DOMAIN, {
+        fixtures: modules.FixtureStore.fromBundle(createBundle({
+            [`dns:${DOMAIN}:A`]: { value: [{ name: DOMAIN, type: 1, TTL: 300, data: '192.0.2.1' }] },
+            [`dns:${DOMAIN}:TXT`]: { value: null }
+        })),
+        sources: ['crtsh']
+    });
+    expect(types(missing.securityResults.dnsIssues).includes('missing_spf'), 'missing SPF record not reported');
+
+    // DMARC report destination whose authorization lookup failed - unknown, not unauthorized
+    const dmarc = [{ data: '"v=DMARC1; p=reject; rua=mailto:a@reports.example.net,mailto:b@vendor.example.org"' }];
+    const authorization = await createAnalyzer(modules, {
+        [`dns:${DOMAIN}._report._dmarc.reports.example.net:TXT`]: LOOKUP_FAILED,
+        [`dns:${DOMAIN}._report._dmarc.vendor.example.org:TXT`]: { value: null }
+    }).dmarcAnalyzer.analyze(DOMAIN, dmarc);
+    const destination = domain => authorization.destinations.find(entry => entry.domain === domain);
+    expect(destination('reports.example.net')?.authorized === null, `failed authorization lookup reported as ${destination('reports.example.net')?.authorized}`);
+    expect(destination('vendor.example.org')?.authorized === false, 'missing authorization record not reported');
+    const unauthorized = authorization.findings.filter(finding => finding.type === 'dmarc_unauthorized_report_destination');
+    expect(unauthorized.length === 1 && unauthorized[0].description.includes('vendor.example.org'),
+        `unexpected unauthorized destinations: ${unauthorized.map(finding => finding.description)}`);
+
+    report();
+}
+
+main();
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * Worker Monitoring Check
+ * Runs worker/monitor.js against an in-memory KV namespace and fake upstreams (CT logs, passive DNS,
+ * DoH and the webhook), so the scheduled mode can be exercised without wrangler or network access.
+ * Scenario: baseline run, a run with subdomain and service changes, a failed webhook that must be
+ * retried on the next run, runs where every, one discovery source or one DNS lookup fails, a watch-list
+ * that doesn't fit into one run's subrequest budget, and new subdomains competing for capped CNAME lookups.
+ */
+
+const { importWorkerModule } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+
+const DOMAIN = 'example.com';
+const WEBHOOK_URL = 'https://hooks.example.net/3ptracer';
+const WEBHOOK_SECRET = 'check-secret';
+
+/**
+ * KV namespace stub with the get/put subset the monitor uses
+ */
+function createKV(initial = {}) {
+    const values = new Map(Object.entries(initial));
+    return {
+        values,
+        async get(key) {
+            return values.has(key) ? values.get(key) : null;
+        },
+        async put(key, value) {
+            values.set(key, value);
+        }
+    };
+}
+
+/**
+ * Fake upstreams - `world` holds what the CT sources and DNS currently return
+ */
+function createFetch(world, webhookCalls) {
+    const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+
+    return async (url, options = {}) => {
+        const { hostname, searchParams } = new URL(url);
+
+        if (url.startsWith(WEBHOOK_URL)) {
+            webhookCalls.push({ headers: options.headers, event: JSON.parse(options.body) });
+            return new Response(null, { status: world.webhookStatus || 204 });
+        }
+        if ((world.sourcesDown && hostname !== 'cloudflare-dns.com') || world.down?.includes(hostname) ||
+            world.down?.includes(searchParams.get('name'))) {
+            return new Response('unavailable', { status: 503 });
+        }
+
+        switch (hostname) {
+            case 'crt.sh':
+                return json(world.ct.map(name => ({ name_value: name })));
+            case 'certspotter.com':
+                return json([]);
+            case 'otx.alienvault.com':
+                return json({ passive_dns: world.passive.map(hostname => ({ hostname })) });
+            case 'api.hackertarget.com':
+                return new Response('error check your search parameter', { status: 200 });
+            case 'cloudflare-dns.com': {
+                const name = searchParams.get('name');
+                const type = searchParams.get('type');
+                const data = world.dns[`${name} ${type}`] || [];
+                return json({ Status: 0, Answer: data.map(value => ({ name: `${name}.`, type: 0, data: value })) });
+            }
+            default:
+                throw new Error(`Unexpected upstream request: ${url}`);
+        }
+    };
+}
+
+async function main() {
+    const { verbose, expect, report } = createCheck('Monitoring');
+    if (!verbose) {
+        console.error = () => {};
+    }
+
+    const { runMonitoring, MONITOR_WATCHLIST_KEY, MONITOR_STATE_PREFIX, MONITOR_CURSOR_KEY } = await importWorkerModule('monitor.js');
+
+    const kv = createKV({ [MONITOR_WATCHLIST_KEY]: JSON.stringify([DOMAIN.toUpperCase()]) });
+    const env = { MONITOR: kv, MONITOR_WEBHOOK_URL: WEBHOOK_URL, MONITOR_WEBHOOK_SECRET: WEBHOOK_SECRET };
+    const webhookCalls = [];
+    const world = {
+        ct: ['www.example.com', 'shop.example.com\nmail.example.com', '*.example.com', 'other.org'],
+        passive: ['blog.example.com'],
+        dns: {
+            'example.com MX': ['10 aspmx.l.google.com.'],
+            'example.com NS': ['ns1.cloudflare.com.'],
+            'example.com TXT': ['"v=spf1 include:_spf.google.com ~all"'],
+            'shop.example.com CNAME': ['shops.myshopify.com.'],
+            'blog.example.com CNAME': ['example.ghost.io.'],
+            'www.example.com CNAME': ['example.com.']
+        }
+    };
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const options = { fetch: createFetch(world, webhookCalls), now: () => new Date(clock += 3600000) };
+
+    // 1. First run records a baseline without notifying
+    let [result] = await runMonitoring(env, options);
+    const baseline = JSON.parse(await kv.get(`${MONITOR_STATE_PREFIX}${DOMAIN}`) || '{}');
+    expect(result?.status === 'baseline', `run 1: expected a baseline, got ${JSON.stringify(result)}`);
+    expect(JSON.stringify(baseline.subdomains) === JSON.stringify(['blog.example.com', 'mail.example.com', 'shop.example.com', 'www.example.com']),
+        `run 1: unexpected subdomains ${JSON.stringify(baseline.subdomains)}`);
+    expect(JSON.stringify(baseline.services) === JSON.stringify(['CNAME ghost.io', 'CNAME myshopify.com', 'MX google.com', 'NS cloudflare.com', 'SPF _spf.google.com']),
+        `run 1: unexpected services ${JSON.stringify(baseline.services)}`);
+    expect(webhookCalls.length === 0, 'run 1: the baseline must not call the webhook');
+
+    // 2. A subdomain moves to another provider, one disappears and one appears
+    world.passive = ['docs.example.com'];
+    world.dns['docs.example.com CNAME'] = ['example.readme.io.'];
+    world.dns['shop.example.com CNAME'] = ['shops.bigcommerce.com.'];
+    [result] = await runMonitoring(env, options);
+    const event = webhookCalls[0]?.event;
+    expect(result?.status === 'changed' && result.delivered, `run 2: expected a delivered change, got ${JSON.stringify(result)}`);
+    expect(JSON.stringify(event?.changes?.subdomains) === JSON.stringify({ added: ['docs.example.com'], removed: ['blog.example.com'] }),
+        `run 2: unexpected subdomain changes ${JSON.stringify(event?.changes?.subdomains)}`);
+    expect(JSON.stringify(event?.changes?.services) === JSON.stringify({ added: ['CNAME bigcommerce.com', 'CNAME readme.io'], removed: ['CNAME ghost.io', 'CNAME myshopify.com'] }),
+        `run 2: unexpected service changes ${JSON.stringify(event?.changes?.services)}`);
+
+    const crypto = require('crypto');
+    const expectedSignature = `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(event)).digest('hex')}`;
+    expect(webhookCalls[0]?.headers['X-3ptracer-Signature'] === expectedSignature, 'run 2: webhook signature does not match the body');
+
+    // 3. The webhook fails - the state must not advance, so run 4 re-sends the same change
+    world.ct.push('api.example.com');
+    world.webhookStatus = 500;
+    [result] = await runMonitoring(env, options);
+    expect(result?.status === 'changed' && !result.delivered, `run 3: expected an undelivered change, got ${JSON.stringify(result)}`);
+
+    world.webhookStatus = 204;
+    [result] = await runMonitoring(env, options);
+    expect(JSON.stringify(webhookCalls[2]?.event.changes.subdomains.added) === JSON.stringify(['api.example.com']),
+        `run 4: the failed change was not re-sent (${JSON.stringify(webhookCalls[2]?.event.changes)})`);
+
+    // 5. Every discovery source fails - no mass "removed" event, state kept
+    world.sourcesDown = true;
+    const stateBefore = await kv.get(`${MONITOR_STATE_PREFIX}${DOMAIN}`);
+    [result] = await runMonitoring(env, options);
+    expect(result?.status === 'error' && webhookCalls.length === 3, `run 5: expected an error without a webhook call, got ${JSON.stringify(result)}`);
+    expect(await kv.get(`${MONITOR_STATE_PREFIX}${DOMAIN}`) === stateBefore, 'run 5: the previous state was overwritten');
+
+    // 6./7. One source or one CNAME lookup fails - a partial snapshot must not report removals either
+    world.sourcesDown = false;
+    for (const [run, down] of [[6, 'otx.alienvault.com'], [7, 'shop.example.com']]) {
+        world.down = [down];
+        [result] = await runMonitoring(env, options);
+        expect(result?.status === 'error' && result.error.includes('keeping the previous state') && webhookCalls.length === 3,
+            `run ${run}: expected an error without a webhook call, got ${JSON.stringify(result)}`);
+        expect(await kv.get(`${MONITOR_STATE_PREFIX}${DOMAIN}`) === stateBefore, `run ${run}: the previous state was overwritten`);
+    }
+    world.down = [];
+
+    // 8.-10. Three domains with a 20-subrequest budget - the rest of a run is deferred and the next run starts with it
+    const rotationKV = createKV({ [MONITOR_WATCHLIST_KEY]: JSON.stringify([DOMAIN, 'example.org', 'example.net']) });
+    const rotationEnv = { MONITOR: rotationKV, MONITOR_MAX_SUBREQUESTS: '20' };
+    const rotationRuns = [];
+    for (let run = 0; run < 3; run++) {
+        let subrequests = 0;
+        const countingFetch = (url, init) => {
+            subrequests++;
+            return options.fetch(url, init);
+        };
+        const results = await runMonitoring(rotationEnv, { ...options, fetch: countingFetch });
+        rotationRuns.push({
+            results: results.map(entry => `${entry.domain} ${entry.status}`),
+            cursor: await rotationKV.get(MONITOR_CURSOR_KEY),
+            subrequests
+        });
+    }
+    expect(JSON.stringify(rotationRuns.map(run => run.results)) === JSON.stringify([
+        ['example.com baseline', 'example.org deferred', 'example.net deferred'],
+        ['example.org baseline', 'example.net deferred', 'example.com deferred'],
+        ['example.net baseline', 'example.com unchanged', 'example.org deferred']
+    ]), `runs 8-10: unexpected rotation ${JSON.stringify(rotationRuns.map(run => run.results))}`);
+    expect(JSON.stringify(rotationRuns.map(run => run.cursor)) === JSON.stringify(['example.org', 'example.net', 'example.org']),
+        `runs 8-10: unexpected cursors ${JSON.stringify(rotationRuns.map(run => run.cursor))}`);
+    expect(rotationRuns.every(run => run.subrequests <= 20), `runs 8-10: budget exceeded (${rotationRuns.map(run => run.subrequests)})`);
+
+    // 11./12. With room for two CNAME lookups, a new name sorting first must not push a looked-up subdomain out of the
+    // window and report its service as removed - only a subdomain that is gone frees its slot
+    const windowKV = createKV({ [MONITOR_WATCHLIST_KEY]: JSON.stringify(['example.io']) });
+    const windowEnv = { MONITOR: windowKV, MONITOR_WEBHOOK_URL: WEBHOOK_URL, MONITOR_MAX_LOOKUPS: '2' };
+    world.ct.push('cdn.example.io', 'shop.example.io');
+    world.dns['cdn.example.io CNAME'] = ['example.global.fastly.net.'];
+    world.dns['shop.example.io CNAME'] = ['shops.myshopify.com.'];
+    world.dns['api.example.io CNAME'] = ['example.herokuapp.com.'];
+    await runMonitoring(windowEnv, options);
+
+    world.ct.push('api.example.io');
+    [result] = await runMonitoring(windowEnv, options);
+    const windowState = JSON.parse(await windowKV.get(`${MONITOR_STATE_PREFIX}example.io`) || '{}');
+    expect(JSON.stringify(webhookCalls.at(-1)?.event.changes) === JSON.stringify({
+        subdomains: { added: ['api.example.io'], removed: [] },
+        services: { added: [], removed: [] }
+    }), `run 11: unexpected changes ${JSON.stringify(webhookCalls.at(-1)?.event.changes)}`);
+    expect(JSON.stringify(windowState.lookups) === JSON.stringify(['cdn.example.io', 'shop.example.io']),
+        `run 11: unexpected lookups ${JSON.stringify(windowState.lookups)}`);
+
+    world.ct = world.ct.filter(name => name !== 'cdn.example.io');
+    [result] = await runMonitoring(windowEnv, options);
+    expect(JSON.stringify(webhookCalls.at(-1)?.event.changes) === JSON.stringify({
+        subdomains: { added: [], removed: ['cdn.example.io'] },
+        services: { added: ['CNAME herokuapp.com'], removed: ['CNAME fastly.net'] }
+    }), `run 12: unexpected changes ${JSON.stringify(webhookCalls.at(-1)?.event.changes)}`);
+
+    report('12 runs');
+}
+
+main().catch(error => {
+    process.stderr.write(`❌ ${error.stack}\n`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Permalink Check
+ * Round-trips analysis options and a compressed JSON export through the URL fragment format, checks that invalid
+ * links are rejected, and that the discovery source, depth and DNS provider options reach the DNS analyzer.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+
+const DOMAIN = 'example.com';
+
+/**
+ * JSON export document of a small synthetic scan
+ */
+function createExport(DataProcessor, ExportManager) {
+    const dataProcessor = new DataProcessor();
+    const processedData = dataProcessor.processAnalysisResults(
+        { domain: DOMAIN, services: [{ name: 'Google Workspace', category: 'email', description: 'Google mail', records: [], recordTypes: ['MX'] }] },
+        [{ subdomain: `shop.${DOMAIN}`, ip: '192.0.2.10', cnameTarget: 'shops.myshopify.com', detectedService: { name: 'Shopify', category: 'ecommerce' } }],
+        [],
+        []
+    );
+    processedData.sovereigntyAnalysis = dataProcessor.analyzeSovereignty();
+
+    const exportManager = new ExportManager();
+    exportManager.setAnalysisData({ ...processedData, dataProcessor }, { takeovers: [], emailIssues: [] }, DOMAIN);
+    return exportManager.buildJSONExport();
+}
+
+/**
+ * Run subdomain discovery with stubbed source responses and subdomain analysis; returns the sources queried and the subdomains analyzed
+ */
+async function runDiscovery(DNSAnalyzer, DiscoverySourceRegistry, options) {
+    const analyzer = new DNSAnalyzer();
+    analyzer.discoverySources = new DiscoverySourceRegistry();
+    analyzer.setDiscoveryOptions(options);
+
+    const queried = [];
+    const responses = {
+        crtsh: [{ name_value: `www.${DOMAIN}\na.b.${DOMAIN}` }],
+        certspotter: [{ dns_names: [`x.y.z.${DOMAIN}`] }],
+        otx: { passive_dns: [] },
+        anubis: [`www.${DOMAIN}`]
+    };
+    analyzer.discoverySources.fetchDirect = async source => {
+        queried.push(source.id);
+        return responses[source.id] ?? null;
+    };
+    analyzer.analyzeSingleSubdomain = async subdomain => ({ subdomain });
+
+    const results = await analyzer.getSubdomainsFromCT(DOMAIN);
+    return { queried: queried.sort(), analyzed: results.map(result => result.subdomain).sort() };
+}
+
+async function main() {
+    const { expect, same, report } = createCheck('Permalink');
+
+    const { AnalysisController, DataProcessor, DiscoverySourceRegistry, DNSAnalyzer, ExportManager, Permalink } = loadBrowserModules();
+    const rejects = async action => {
+        try {
+            await action();
+            return false;
+        } catch {
+            return true;
+        }
+    };
+
+    // Options
+    expect(Permalink.encodeOptions({ domain: 'https://Example.com/login' }) === 'domain=example.com', 'default options do not give a bare domain link');
+    const defaultOrder = DiscoverySourceRegistry.getDefault().resolve().map(source => source.id);
+    expect(Permalink.encodeOptions({ domain: DOMAIN, sources: defaultOrder }) === 'domain=example.com',
+        'selecting every source in the default order is not the same as the default');
+    expect(Permalink.encodeOptions({ domain: DOMAIN, sources: ['otx', 'crtsh', 'certspotter', 'hackertarget'] }).includes('sources=otx%2Ccrtsh'),
+        'reordered sources are not kept in the link');
+    const options = { domain: DOMAIN, sources: ['otx', 'crtsh'], dns: 'quad9', depth: 2 };
+    const fragment = Permalink.encodeOptions(options);
+    expect(fragment === 'domain=example.com&sources=otx%2Ccrtsh&dns=quad9&depth=2', `unexpected fragment: ${fragment}`);
+    const decoded = await Permalink.decode(`#${fragment}`);
+    expect(same(decoded, { domain: DOMAIN, sources: ['otx', 'crtsh'], dns: 'quad9', depth: 2, result: null }), `options do not round-trip: ${JSON.stringify(decoded)}`);
+    expect(await Permalink.decode('#') === null && await Permalink.decode('') === null, 'a fragment without a domain is not ignored');
+
+    // Result payload
+    const exportData = createExport(DataProcessor, ExportManager);
+    const link = await Permalink.encode(options, exportData);
+    const opened = await Permalink.decode(link);
+    expect(/^[A-Za-z0-9_-]+$/.test(link.split('&result=')[1]) && link.length < JSON.stringify(exportData).length,
+        'result payload is not compressed base64url');
+    expect(same(opened.result, exportData), 'result payload does not round-trip');
+    expect(ExportManager.parseJSONExport(opened.result).processedData.subdomains.has(`shop.${DOMAIN}`), 'linked result cannot be imported');
+
+    for (const [label, broken] of [
+        ['unknown source', 'domain=example.com&sources=crtsh,nope'],
+        ['unknown DNS provider', 'domain=example.com&dns=8.8.8.8'],
+        ['depth out of range', 'domain=example.com&depth=9'],
+        ['invalid domain', 'domain=not_a_domain'],
+        ['corrupt payload', `domain=example.com&result=${link.split('&result=')[1].slice(0, 40)}`],
+        // A few dozen kilobytes of link inflating to a valid 40 MB JSON string
+        ['oversized payload', `domain=example.com&result=${await Permalink.compress(JSON.stringify(' '.repeat(40 * 1024 * 1024)))}`]
+    ]) {
+        expect(await rejects(() => Permalink.decode(broken)), `${label} accepted`);
+    }
+
+    // Discovery options reach the analyzer
+    const all = await runDiscovery(DNSAnalyzer, DiscoverySourceRegistry, {});
+    expect(same(all.queried, [...defaultOrder].sort()) && all.analyzed.length === 3, `default discovery: ${JSON.stringify(all)}`);
+    const limited = await runDiscovery(DNSAnalyzer, DiscoverySourceRegistry, { sources: ['crtsh', 'certspotter'], maxDepth: 1 });
+    expect(same(limited, { queried: ['certspotter', 'crtsh'], analyzed: [`www.${DOMAIN}`] }), `sources/depth not applied: ${JSON.stringify(limited)}`);
+    const apexOnly = await runDiscovery(DNSAnalyzer, DiscoverySourceRegistry, { maxDepth: 0 });
+    expect(apexOnly.queried.length === 0 && apexOnly.analyzed.length === 0, 'depth 0 still runs discovery');
+    expect(await rejects(() => new DNSAnalyzer().setDiscoveryOptions({ sources: ['nope'] })), 'unknown discovery source accepted by the analyzer');
+
+    const controller = new AnalysisController({ uiRenderer: null, exportManager: null, scanHistory: null });
+    const defaults = [...controller.dnsAnalyzer.primaryDNSServers];
+    controller.setAnalysisOptions({ dns: 'quad9' });
+    expect(same(controller.dnsAnalyzer.primaryDNSServers, ['https://dns.quad9.net:5053/dns-query']), 'DNS provider option not applied');
+    controller.setAnalysisOptions({});
+    expect(same(controller.dnsAnalyzer.primaryDNSServers, defaults), 'default resolvers not restored');
+
+    report(`${link.length} character link with result`);
+}
+
+main();
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Result Rendering Check
+ * Opens a shared permalink whose result has an <img onerror> payload appended to every string of the shared
+ * synthetic scan (cli/check-helpers.js), renders it through UIRenderer against a stub document and checks that
+ * the payload only ever reaches the page as escaped text.
+ */
+
+const { loadBrowserModules, loadDOMScript } = require('./module-loader');
+const { createScan, createCheck, DOMAIN } = require('./check-helpers');
+
+const PAYLOAD = '<img src=x onerror=alert(document.domain)>';
+const ESCAPED_PAYLOAD = '&lt;img src=x onerror=alert(document.domain)&gt;';
+
+// Values the renderers branch on (risk groups, record categories, status icons) - payloads there would only hide the section
+const UNTOUCHED_KEYS = new Set(['risk', 'category', 'status', 'severity', 'confidence', 'type', 'originalKey']);
+
+/**
+ * Document with an element for every id asked for, recording what the renderer writes into it
+ */
+function createDocument() {
+    const elements = new Map();
+    const createElement = () => ({
+        innerHTML: '',
+        textContent: '',
+        style: {},
+        firstChild: null,
+        closest: () => ({ style: {} }),
+        querySelectorAll: () => [],
+        insertBefore: () => {}
+    });
+
+    return {
+        elements,
+        createElement,
+        getElementById: id => {
+            if (!elements.has(id)) elements.set(id, createElement());
+            return elements.get(id);
+        }
+    };
+}
+
+/**
+ * Copy of a JSON document with the payload appended to every string outside UNTOUCHED_KEYS
+ */
+function poison(value, key = null) {
+    if (typeof value === 'string') return UNTOUCHED_KEYS.has(key) ? value : `${value}${PAYLOAD}`;
+    if (Array.isArray(value)) return value.map(item => poison(item, key));
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, poison(item, name)]));
+    }
+    return value;
+}
+
+async function main() {
+    const { expect, report } = createCheck('Rendering');
+    const { AnalysisController, DataProcessor, ExportManager, Permalink } = loadBrowserModules();
+
+    // JSON export of the shared scan, with drift and a count that is not a number, as someone else could craft it
+    const { processedData, securityResults, dataProcessor } = createScan(DataProcessor);
+    processedData.drift = {
+        previousScan: '2026-01-01T00:00:00.000Z',
+        totalChanges: 6,
+        changes: {
+            subdomains: { added: [`new.${DOMAIN}`], removed: [] },
+            services: { added: [{ name: 'Shopify', category: 'ecommerce' }], removed: [] },
+            vendors: { added: ['Shopify'], removed: [] },
+            ips: { added: ['192.0.2.10'], removed: [] },
+            countries: { added: [{ key: 'CA', name: 'Canada' }], removed: [] },
+            issues: { added: [{ risk: 'high', description: 'Dangling CNAME' }], removed: [] }
+        }
+    };
+    const exportManager = new ExportManager();
+    exportManager.setAnalysisData({ ...processedData, dataProcessor }, securityResults, DOMAIN);
+    const shared = poison(exportManager.buildJSONExport());
+    shared.processedData.sovereigntyAnalysis.statistics.complianceAlerts = { length: PAYLOAD };
+
+    // The path a shared link takes once the user agrees to show its result (ExportManager wires up page buttons, so the
+    // document stub only goes in now)
+    global.document = createDocument();
+    global.window = {};
+    const UIRenderer = loadDOMScript('ui-renderer.js', 'UIRenderer');
+    const link = await Permalink.decode(await Permalink.encode({ domain: DOMAIN }, shared));
+    const renderer = new UIRenderer();
+    // The graph view draws SVG through the DOM and escapes its labels itself (markup-escape.js, checked by check:report)
+    renderer.displaySupplyChainGraph = () => {};
+    const controller = new AnalysisController({ uiRenderer: renderer, exportManager: null, scanHistory: null });
+    controller.displayImportedResults(ExportManager.parseJSONExport(link.result));
+
+    // Upstream error messages end up in the page too
+    renderer.displayAPINotifications([{ api: `crt.sh${PAYLOAD}`, status: 'error', message: PAYLOAD, timestamp: PAYLOAD }]);
+    const apiNotifications = document.elements.get('apiNotifications').innerHTML;
+    renderer.showError(`Lookup failed: ${PAYLOAD}`);
+
+    const rendered = Object.fromEntries(Array.from(document.elements, ([id, element]) => [id, element.innerHTML]));
+    rendered.apiNotifications = apiNotifications;
+    for (const [id, html] of Object.entries(rendered)) {
+        expect(!/<img/i.test(html), `#${id} renders the payload as markup`);
+    }
+
+    // Every section of the scan was rendered, with the payload as text
+    for (const id of ['googleServices', 'otherServices', 'securityServices', 'cnameMappings', 'scanDrift', 'dataSovereigntyAnalysis', 'apiNotifications', 'results']) {
+        expect(rendered[id]?.includes(ESCAPED_PAYLOAD), `#${id} does not show the escaped payload`);
+    }
+    expect(rendered.securityServices?.includes(`🎯 old.${DOMAIN} points to *gone*${ESCAPED_PAYLOAD}</div>`),
+        'takeover description is not shown as text');
+    expect(rendered.hetznerServices?.includes(`href="https://app.${DOMAIN}${ESCAPED_PAYLOAD}"`), 'subdomain link target is not escaped');
+    expect(rendered.dataSovereigntyAnalysis?.includes(`<div class="stat-number">${ESCAPED_PAYLOAD}</div>`), 'a count that is not a number is not escaped');
+
+    const escaped = Object.values(rendered).join('').split(ESCAPED_PAYLOAD).length - 1;
+    report(`${escaped} escaped payloads in ${Object.keys(rendered).length} containers`);
+}
+
+main();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Report Export Check
+ * Renders the default Markdown and HTML report templates for the shared synthetic scan (cli/check-helpers.js:
+ * findings, vendors and sovereignty analysis, plus drift) and checks the sections, escaping and the template engine.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createScan, createCheck, DOMAIN } = require('./check-helpers');
+
+function main() {
+    const { expect, report } = createCheck('Report');
+    const { DataProcessor, ReportExporter, escapeMarkup } = loadBrowserModules();
+
+    // JSON export document as ExportManager.buildJSONExport returns it, with drift from an earlier scan
+    const { processedData, securityResults } = createScan(DataProcessor);
+    processedData.drift = {
+        previousScan: '2026-01-01T00:00:00.000Z',
+        totalChanges: 1,
+        changes: { subdomains: { added: [`shop.${DOMAIN}`], removed: [] } }
+    };
+    const exportData = { meta: { domain: DOMAIN, formattedTimestamp: '2026-02-01 12:00' }, processedData, securityResults };
+    const markdown = ReportExporter.render(exportData, 'markdown');
+    const html = ReportExporter.render(exportData, 'html');
+
+    for (const heading of ['Executive Summary', 'Changes Since Last Scan', 'Security Issues (3)', 'Third-Party Services (4)', 'Data Sovereignty Analysis (2)', 'Subdomains (5)']) {
+        expect(markdown.includes(`## ${heading}`), `Markdown report is missing "## ${heading}"`);
+    }
+    expect(/\| high \| Subdomain Takeover \| Dangling CNAME \| old\.example\.com \| old\.example\.com points to \\\*gone\\\* \|/.test(markdown),
+        'Markdown findings table row is missing or not escaped');
+    expect(markdown.includes('Mail \\| calendar') && markdown.includes('Shopify \\<storefront\\>'), 'Markdown table cells are not escaped');
+    expect(!/\n{3,}/.test(markdown) && !markdown.includes('{{'), 'Markdown report has blank-line runs or unrendered tags');
+
+    expect((html.match(/<details class="collapsible-section"/g) || []).length === 6, 'HTML report does not have one collapsible section per report section');
+    expect(html.includes('Shopify &lt;storefront&gt;') && !html.includes('<storefront>'), 'HTML report is not escaped');
+    expect(html.includes('<span class="risk risk-high">high</span>') && html.includes('<style>'), 'HTML report is missing risk badges or its inline CSS');
+
+    expect(escapeMarkup(`<a title="x" alt='y'>&amp;`) === '&lt;a title=&quot;x&quot; alt=&#39;y&#39;&gt;&amp;amp;' && escapeMarkup(42) === '42',
+        'shared markup escaping does not cover all five special characters');
+
+    // Template engine
+    const render = (template, view) => ReportExporter.renderTemplate(template, view, escapeMarkup);
+    expect(render('{{#items}}[{{.}}]{{/items}}{{^none}}-{{/none}}{{{raw}}}{{! note }}{{a.b}}', { items: [1, 2], none: [], raw: '<b>', a: { b: '<i>' } }) === '[1][2]-<b>&lt;i&gt;',
+        'template engine does not handle lists, inverted sections, raw values, comments and dotted names');
+    expect(render('{{#list}}\n{{name}}\n{{/list}}\n', { list: [{ name: 'a' }, { name: 'b' }] }) === 'a\nb\n', 'standalone section lines are not removed');
+    expect(render('{{#outer}}{{#inner}}{{name}}/{{title}} {{/inner}}{{/outer}}', { title: 't', outer: { inner: [{ name: 'x' }] } }) === 'x/t ',
+        'nested sections do not fall back to outer contexts');
+    for (const broken of ['{{#a}}never closed', 'stray {{/a}}', '   ']) {
+        let rejected = false;
+        try {
+            ReportExporter.validateTemplate(broken);
+        } catch {
+            rejected = true;
+        }
+        expect(rejected, `invalid template accepted: ${JSON.stringify(broken)}`);
+    }
+    expect(ReportExporter.getFormatForFile('mine.MD') === 'markdown' && ReportExporter.getFormatForFile('report.htm') === 'html' &&
+        ReportExporter.getFormatForFile('x.txt') === null, 'template file extensions map to the wrong formats');
+
+    report(`${markdown.length} bytes Markdown, ${html.length} bytes HTML`);
+}
+
+main();
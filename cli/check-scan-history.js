@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Scan History Check
+ * Builds snapshots of two synthetic scans of the same domain and checks what they keep, the issue keys the CI
+ * policy's newIssuesOnly mode matches on, the drift between the scans, and FileSnapshotStore (cli/snapshot-store.js)
+ * saving, ordering and pruning in a temporary directory.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBrowserModules } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+const { FileSnapshotStore } = require('./snapshot-store');
+const { CIPolicy } = require('./ci-report');
+
+const DOMAIN = 'example.com';
+
+/**
+ * processedData and securityResults of one scan - the second scan moves www to another provider, adds a subdomain
+ * and a takeover, and drops the TLS-RPT finding; the DMARC finding's description changes but it is the same issue
+ */
+function createScan(second = false) {
+    const subdomains = [
+        { subdomain: `www.${DOMAIN}`, status: 'active', vendor: { vendor: second ? 'Fastly' : 'Cloudflare' }, ipAddresses: [second ? '151.101.1.1' : '104.16.1.1'] },
+        { subdomain: `shop.${DOMAIN}`, status: 'active', vendor: { vendor: 'Shopify' }, ipAddresses: ['23.227.38.1', '23.227.38.1'] },
+        { subdomain: `old.${DOMAIN}`, status: 'historical', vendor: { vendor: 'Heroku' }, ipAddresses: ['192.0.2.1'] },
+        { subdomain: `intranet.${DOMAIN}`, status: 'active', vendor: { vendor: 'Unknown' }, ipAddresses: [] },
+        ...(second ? [{ subdomain: `blog.${DOMAIN}`, status: 'active', vendor: { vendor: 'Fastly' }, ipAddresses: ['151.101.1.1'] }] : [])
+    ];
+    const services = [
+        { name: 'Google Workspace', category: 'email' },
+        { name: 'Shopify', category: 'ecommerce' },
+        ...(second ? [] : [{ name: 'Mailchimp', category: 'email' }])
+    ];
+    const countries = [
+        { country: 'US', countryName: 'United States' },
+        { country: 'Unknown' },
+        ...(second ? [] : [{ country: 'DE', countryName: 'Germany' }])
+    ];
+
+    return {
+        processedData: {
+            subdomains: new Map(subdomains.map(subdomain => [subdomain.subdomain, subdomain])),
+            services: new Map(services.map(service => [service.name, service])),
+            sovereigntyAnalysis: { countryDistribution: new Map(countries.map(country => [country.country, country])) }
+        },
+        securityResults: {
+            takeovers: second ? [{ type: 'dangling_cname', risk: 'high', subdomain: `blog.${DOMAIN}`, description: `blog.${DOMAIN} points to a missing target` }] : [],
+            dnsIssues: [],
+            emailIssues: [
+                { type: 'weak_dmarc', risk: 'medium', domain: DOMAIN, description: `Weak DMARC policy - ${second ? 4 : 3} reports a day` },
+                { type: 'spf_too_many_lookups', risk: 'medium', description: 'SPF needs 12 DNS lookups' },
+                ...(second ? [] : [{ type: 'missing_tls_rpt', risk: 'low', domain: DOMAIN, description: 'No TLS-RPT record' }])
+            ],
+            cloudIssues: [],
+            wildcardCertificates: [{ type: 'wildcard_certificate', risk: 'low', domain: `*.${DOMAIN}`, description: 'Wildcard certificate' }]
+        }
+    };
+}
+
+async function main() {
+    const { expect, same, report } = createCheck('Scan history');
+
+    const { ScanHistory } = loadBrowserModules();
+    const keys = entries => entries.map(entry => typeof entry === 'string' ? entry : entry.key);
+
+    // Snapshot contents - no historical names, unknown vendors or countries, duplicates; everything sorted
+    const first = createScan();
+    const snapshot = ScanHistory.createSnapshot('Example.COM', first.processedData, first.securityResults);
+    expect(snapshot.domain === DOMAIN && snapshot.version === 1 && !Number.isNaN(Date.parse(snapshot.timestamp)), 'snapshot header');
+    expect(same(snapshot.subdomains, [`intranet.${DOMAIN}`, `shop.${DOMAIN}`, `www.${DOMAIN}`]), `snapshot subdomains: ${snapshot.subdomains}`);
+    expect(same(snapshot.vendors, ['Cloudflare', 'Shopify']), `snapshot vendors: ${snapshot.vendors}`);
+    expect(same(snapshot.ips, ['104.16.1.1', '23.227.38.1']), `snapshot IPs: ${snapshot.ips}`);
+    expect(same(keys(snapshot.services), ['Google Workspace|email', 'Mailchimp|email', 'Shopify|ecommerce']), `snapshot services: ${keys(snapshot.services)}`);
+    expect(same(keys(snapshot.countries), ['DE', 'US']), `snapshot countries: ${keys(snapshot.countries)}`);
+
+    // Issue keys are what newIssuesOnly matches on - type plus affected name, the description only without one
+    expect(same(keys(snapshot.issues), [
+        `missing_tls_rpt|${DOMAIN}`,
+        'spf_too_many_lookups|SPF needs 12 DNS lookups',
+        `weak_dmarc|${DOMAIN}`,
+        `wildcard_certificate|*.${DOMAIN}`
+    ]), `issue keys: ${keys(snapshot.issues)}`);
+    const subjects = ['subdomain', 'domain', 'host', 'zone'].map(field =>
+        ScanHistory.createIssueEntry({ type: 'lame_delegation', risk: 'high', [field]: `dev.${DOMAIN}`, description: 'x' }).key);
+    expect(subjects.every(key => key === `lame_delegation|dev.${DOMAIN}`), `issue subject fields: ${subjects}`);
+    expect(ScanHistory.createIssueEntry({ type: 't', subdomain: 'a', domain: 'b', host: 'c', zone: 'd' }).subject === 'a', 'issue subject precedence');
+    expect(same(Object.keys(ScanHistory.createIssueEntry(first.securityResults.emailIssues[0])), ['key', 'type', 'risk', 'subject', 'description']),
+        'issue entry fields');
+
+    // Drift between the two scans
+    const second = createScan(true);
+    const next = ScanHistory.createSnapshot(DOMAIN, second.processedData, second.securityResults);
+    const drift = ScanHistory.diff(snapshot, next);
+    const changes = Object.fromEntries(Object.entries(drift.changes).map(([dimension, change]) =>
+        [dimension, { added: keys(change.added), removed: keys(change.removed) }]));
+    expect(same(changes, {
+        subdomains: { added: [`blog.${DOMAIN}`], removed: [] },
+        services: { added: [], removed: ['Mailchimp|email'] },
+        vendors: { added: ['Fastly'], removed: ['Cloudflare'] },
+        ips: { added: ['151.101.1.1'], removed: ['104.16.1.1'] },
+        countries: { added: [], removed: ['DE'] },
+        issues: { added: [`dangling_cname|blog.${DOMAIN}`], removed: [`missing_tls_rpt|${DOMAIN}`] }
+    }), `drift: ${JSON.stringify(changes)}`);
+    expect(drift.totalChanges === 9 && drift.domain === DOMAIN && drift.previousScan === snapshot.timestamp, `drift summary: ${drift.totalChanges}`);
+    expect(ScanHistory.diff(next, next).totalChanges === 0, 'a snapshot drifts from itself');
+
+    // A changed description of an existing issue does not make it new for newIssuesOnly
+    const policy = new CIPolicy({ name: 'new-only', failOn: { risks: ['high', 'medium'] }, newIssuesOnly: true });
+    const evaluation = policy.evaluate({ meta: { domain: DOMAIN }, processedData: { drift }, securityResults: second.securityResults });
+    const verdicts = Object.fromEntries(evaluation.results.map(result => [result.type, result.verdict]));
+    expect(same(verdicts, { dangling_cname: 'fail', weak_dmarc: 'pass', spf_too_many_lookups: 'pass', wildcard_certificate: 'pass' }),
+        `newIssuesOnly verdicts: ${JSON.stringify(verdicts)}`);
+
+    // File store: record through ScanHistory, then pruning and ordering
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), '3ptracer-history-'));
+    try {
+        const history = new ScanHistory(new FileSnapshotStore(directory));
+        expect(await history.record(DOMAIN, first.processedData, first.securityResults) === null, 'first scan reported drift');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const recorded = await history.record(DOMAIN, second.processedData, second.securityResults);
+        expect(same(keys(recorded?.changes.issues.added || []), [`dangling_cname|blog.${DOMAIN}`]), 'second scan not diffed against the first');
+
+        const store = new FileSnapshotStore(directory, 3);
+        const timestamps = ['2026-01-05T00:00:00.000Z', '2026-01-01T00:00:00.000Z', '2026-01-03T00:00:00.000Z', '2026-01-02T00:00:00.000Z', '2026-01-04T00:00:00.000Z'];
+        for (const timestamp of timestamps) {
+            await store.save({ ...next, domain: 'pruned.example', timestamp });
+        }
+        const kept = (await store.list('pruned.example')).map(entry => entry.timestamp);
+        expect(same(kept, ['2026-01-03T00:00:00.000Z', '2026-01-04T00:00:00.000Z', '2026-01-05T00:00:00.000Z']), `pruning kept ${kept}`);
+        expect(same(store.listFiles('pruned.example'), ['2026-01-03T00-00-00.000Z.json', '2026-01-04T00-00-00.000Z.json', '2026-01-05T00-00-00.000Z.json']),
+            `snapshot files: ${store.listFiles('pruned.example')}`);
+        expect((await store.getLatest('pruned.example'))?.timestamp === '2026-01-05T00:00:00.000Z', 'latest snapshot');
+        expect(await store.getLatest('unknown.example') === null && same(await store.list('unknown.example'), []), 'unknown domain not empty');
+        expect(path.dirname(store.domainDirectory('../evil/x')) === path.resolve(directory), 'domain directory escapes the store');
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+
+    // Storage failures don't break the scan
+    const broken = new ScanHistory({ getLatest: async () => { throw new Error('disk full'); }, save: async () => {} });
+    expect(await broken.record(DOMAIN, first.processedData, first.securityResults) === null, 'storage failure not tolerated');
+
+    report(`${drift.totalChanges} changes between scans`);
+}
+
+main();
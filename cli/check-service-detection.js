@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/**
+ * Service Detection Check
+ * Feeds synthetic MX, SPF, TXT, CNAME, NS, CAA, SRV, DMARC and DKIM records through
+ * ServiceDetectionEngine.detectServices and verifies the detected names, categories and
+ * recordTypes. Every result is also compared against a golden file, so adding or changing
+ * a pattern shows exactly which detections changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModules, ROOT_DIR } = require('./module-loader');
+const { loadCustomSignatures } = require('./3ptracer');
+
+const DEFAULT_GOLDEN_FILE = path.join(ROOT_DIR, 'cli', 'golden', 'service-detection.json');
+const DOMAIN = 'example.com';
+
+const USAGE = `Usage: node cli/check-service-detection.js [options]
+
+Options:
+      --golden <file>   Golden file to compare against (default: cli/golden/service-detection.json)
+      --signatures <file>
+                        Also check a custom signature file (repeatable)
+      --update          Write the current detections to the golden file instead of comparing
+  -v, --verbose         List every case, not just failures and changes
+  -h, --help            Show this help
+`;
+
+// Record types driven by the pattern table, and how a synthetic record is built for each pattern
+const PATTERN_RECORD_TYPES = {
+    mxPatterns: { recordType: 'MX', type: 15, data: pattern => `10 ${pattern}.` },
+    spfPatterns: { recordType: 'SPF', type: 16, data: pattern => `v=spf1 ${pattern} ~all` },
+    txtPatterns: { recordType: 'TXT', type: 16, data: pattern => `${pattern}=synthetic-token` },
+    cnamePatterns: { recordType: 'CNAME', type: 5, data: pattern => `${pattern}.` },
+    nsPatterns: { recordType: 'NS', type: 2, data: pattern => `ns1.${pattern}.` }
+};
+
+// Records that are not driven by the service pattern table - one case each, with the service it must be reported as
+const DMARC_REPORTING_DOMAINS = {
+    'dmarcian.com': 'Dmarcian (3rd Party DMARC)',
+    'valimail.com': 'Valimail (3rd Party DMARC)',
+    'ondmarc.redsift.com': 'OnDMARC (3rd Party DMARC)',
+    'dmarc.postmarkapp.com': 'Postmark DMARC (3rd Party DMARC)',
+    'dmarc-reports.cloudflare.com': 'Cloudflare DMARC (3rd Party DMARC)',
+    'agari.com': 'Agari (3rd Party DMARC)',
+    'fraudmarc.com': 'FraudMARC (3rd Party DMARC)',
+    'unknown-reports.net': 'Third-Party DMARC Service (unknown-reports.net)'
+};
+const DKIM_SELECTORS = {
+    'google': 'Google Workspace (Email Service)',
+    '20161025': 'Google Workspace (Email Service)',
+    'selector1': 'Microsoft Office 365 (Email Service)',
+    's1': 'SendGrid (Email Service)',
+    'em1': 'SendGrid (Email Service)',
+    'k1': 'Mailchimp (Email Service)',
+    'mc1': 'Mailchimp (Email Service)',
+    'amazonses': 'Amazon SES (Email Service)',
+    'mandrill': 'Mandrill (Mailchimp Transactional) (Email Service)',
+    'pm': 'Postmark (Email Service)',
+    'sparkpost': 'SparkPost (Email Service)',
+    'hs1-': 'HubSpot (Email Service)',
+    'sfmc1': 'Salesforce Marketing Cloud (Email Service)',
+    'mg': 'Mailgun (Email Service)',
+    'klaviyo1': 'Klaviyo (Email Service)',
+    'ck1': 'ConvertKit (Email Service)',
+    'zendesk1': 'Zendesk (Email Service)',
+    'unrecognized': 'Unknown Email Service (unrecognized)'
+};
+const CAA_RECORDS = [
+    { data: '0 issue "letsencrypt.org"', name: 'Let\'s Encrypt (Trusted Certificate Authority)' },
+    { data: '0 issue "digicert.com"', name: 'DigiCert (Trusted Certificate Authority)' },
+    { data: '0 issuewild "sectigo.com"', name: 'Sectigo (Trusted Certificate Authority)' },
+    { data: '0 issue "pki.goog"', name: 'Certificate Authority (pki.goog)' },
+    { data: '0 issue "amazon.com"', name: 'Amazon Trust Services (Trusted Certificate Authority)' },
+    { data: '0 iodef "mailto:security@example.com"', name: 'CAA Violation Reporting (mailto:security@example.com)' }
+];
+const SRV_RECORDS = [
+    { service: '_sip._tls', data: '100 1 443 sipdir.online.lync.com.', name: 'Communication Service (_sip._tls)' },
+    { service: '_xmpp-server._tcp', data: '5 0 5269 xmpp.example.com.', name: 'Communication Service (_xmpp-server._tcp)' },
+    { service: '_autodiscover._tcp', data: '0 0 443 autodiscover.outlook.com.', name: 'Microsoft Service (_autodiscover._tcp)' },
+    { service: '_imaps._tcp', data: '0 1 993 imap.gmail.com.', name: 'Email Service (_imaps._tcp)' },
+    { service: '_caldavs._tcp', data: '0 1 443 caldav.fastmail.com.', name: 'Calendar/Contacts Service (_caldavs._tcp)' },
+    { service: '_minecraft._tcp', data: '0 5 25565 mc.example.com.', name: 'Other Service Service (_minecraft._tcp)' }
+];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        golden: DEFAULT_GOLDEN_FILE,
+        signatures: [],
+        update: false,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--golden':
+                options.golden = argv[++i];
+                if (!options.golden) {
+                    throw new Error(`${arg} requires a file path`);
+                }
+                options.golden = path.resolve(options.golden);
+                break;
+            case '--signatures': {
+                const file = argv[++i];
+                if (!file) {
+                    throw new Error(`${arg} requires a file path`);
+                }
+                options.signatures.push(file);
+                break;
+            }
+            case '--update':
+                options.update = true;
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Build one synthetic DNS answer in the normalized { name, type, TTL, data } shape
+ */
+function syntheticRecord(name, type, data, extra = {}) {
+    return { name: `${name}.`, type, TTL: 300, data, ...extra };
+}
+
+/**
+ * Build every synthetic case. Pattern cases carry an expectation derived from the pattern
+ * table itself; the other cases expect the service name listed with their record above.
+ */
+function buildCases(engine, dnsAnalyzer) {
+    const cases = [];
+
+    for (const [category, services] of Object.entries(engine.servicePatterns)) {
+        for (const [serviceName, serviceConfig] of Object.entries(services)) {
+            for (const [patternType, builder] of Object.entries(PATTERN_RECORD_TYPES)) {
+                for (const pattern of serviceConfig[patternType] || []) {
+                    cases.push({
+                        id: `${builder.recordType} ${pattern} -> ${serviceName}`,
+                        records: {
+                            [builder.recordType]: [syntheticRecord(DOMAIN, builder.type, builder.data(pattern))]
+                        },
+                        expect: { name: serviceName, category, recordType: builder.recordType }
+                    });
+                }
+            }
+        }
+    }
+
+    for (const [reportingDomain, name] of Object.entries(DMARC_REPORTING_DOMAINS)) {
+        const data = `v=DMARC1; p=reject; rua=mailto:reports@${reportingDomain}`;
+        cases.push({
+            id: `DMARC rua ${reportingDomain}`,
+            records: { DMARC: [syntheticRecord(`_dmarc.${DOMAIN}`, 16, data)] },
+            expect: { name, category: 'security', recordType: 'DMARC' }
+        });
+    }
+
+    for (const [selector, name] of Object.entries(DKIM_SELECTORS)) {
+        const data = 'v=DKIM1; k=rsa; p=MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQC1synthetic';
+        const subdomain = `${selector}._domainkey.${DOMAIN}`;
+        cases.push({
+            id: `DKIM selector ${selector}`,
+            records: {
+                DKIM: [syntheticRecord(subdomain, 16, data, {
+                    selector,
+                    subdomain,
+                    parsedInfo: dnsAnalyzer.parseDKIMRecord(data, selector)
+                })]
+            },
+            expect: { name, category: 'email', recordType: 'DKIM' }
+        });
+    }
+
+    for (const { data, name } of CAA_RECORDS) {
+        cases.push({
+            id: `CAA ${data}`,
+            records: { CAA: [syntheticRecord(DOMAIN, 257, data)] },
+            expect: { name, category: 'security', recordType: 'CAA' }
+        });
+    }
+
+    for (const { service, data, name } of SRV_RECORDS) {
+        const subdomain = `${service}.${DOMAIN}`;
+        cases.push({
+            id: `SRV ${service}`,
+            records: {
+                SRV: [syntheticRecord(subdomain, 33, data, {
+                    service,
+                    subdomain,
+                    parsedInfo: dnsAnalyzer.parseSRVRecord(data, service, subdomain)
+                })]
+            },
+            expect: { name, category: 'other', recordType: 'SRV' }
+        });
+    }
+
+    return cases;
+}
+
+/**
+ * Run one case and return its detections in a stable, golden-file friendly form
+ */
+function runCase(engine, testCase) {
+    return engine.detectServices(testCase.records, DOMAIN)
+        .map(service => ({
+            name: service.name,
+            category: service.category,
+            recordTypes: [...service.recordTypes].sort()
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Check a case's detections against its expectation - returns a failure message or null
+ */
+function checkExpectation(testCase, detections) {
+    const { expect } = testCase;
+
+    const match = detections.find(service => service.name === expect.name);
+    if (!match) {
+        return `expected ${expect.name} to be detected, got ${detections.map(service => service.name).join(', ') || 'nothing'}`;
+    }
+    if (match.category !== expect.category) {
+        return `expected category ${expect.category}, got ${match.category} (duplicate service name in another category?)`;
+    }
+    if (!match.recordTypes.includes(expect.recordType)) {
+        return `expected recordTypes to include ${expect.recordType}, got ${match.recordTypes.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Compare current detections with the golden file and describe every change
+ */
+function diffGolden(golden, current) {
+    const changes = [];
+    const format = service => `${service.name} [${service.category}] (${service.recordTypes.join(', ')})`;
+
+    for (const [id, detections] of Object.entries(current)) {
+        if (!(id in golden)) {
+            changes.push(`+ new case: ${id}`);
+            detections.forEach(service => changes.push(`    + ${format(service)}`));
+            continue;
+        }
+
+        const before = new Set(golden[id].map(format));
+        const after = new Set(detections.map(format));
+        const removed = [...before].filter(entry => !after.has(entry));
+        const added = [...after].filter(entry => !before.has(entry));
+        if (removed.length > 0 || added.length > 0) {
+            changes.push(`~ ${id}`);
+            removed.forEach(entry => changes.push(`    - ${entry}`));
+            added.forEach(entry => changes.push(`    + ${entry}`));
+        }
+    }
+
+    for (const id of Object.keys(golden)) {
+        if (!(id in current)) {
+            changes.push(`- removed case: ${id}`);
+        }
+    }
+
+    return changes;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    // The engine logs every match - keep the report readable
+    const silent = () => {};
+    console.log = silent;
+    console.info = silent;
+    console.debug = silent;
+    console.warn = silent;
+
+    const modules = loadBrowserModules();
+    try {
+        loadCustomSignatures(modules, options.signatures);
+    } catch (error) {
+        process.stderr.write(`❌ ${error.message}\n`);
+        process.exitCode = 2;
+        return;
+    }
+
+    const { ServiceDetectionEngine, DNSAnalyzer } = modules;
+    const engine = new ServiceDetectionEngine();
+    const cases = buildCases(engine, new DNSAnalyzer());
+
+    const current = {};
+    const failures = [];
+    for (const testCase of cases) {
+        const detections = runCase(engine, testCase);
+        current[testCase.id] = detections;
+
+        const failure = checkExpectation(testCase, detections);
+        if (failure) {
+            failures.push(`❌ ${testCase.id}: ${failure}`);
+        } else if (options.verbose) {
+            process.stdout.write(`✅ ${testCase.id}\n`);
+        }
+    }
+
+    failures.forEach(failure => process.stdout.write(`${failure}\n`));
+    process.stdout.write(`📊 ${cases.length - failures.length}/${cases.length} detection cases passed\n`);
+
+    if (options.update) {
+        fs.mkdirSync(path.dirname(options.golden), { recursive: true });
+        fs.writeFileSync(options.golden, JSON.stringify(current, null, 2) + '\n');
+        process.stdout.write(`✅ Wrote ${Object.keys(current).length} cases to ${path.relative(process.cwd(), options.golden)}\n`);
+    } else if (fs.existsSync(options.golden)) {
+        const golden = JSON.parse(fs.readFileSync(options.golden, 'utf8'));
+        // Custom signatures add cases of their own - only changes to the snapshotted cases count then
+        const compared = options.signatures.length > 0 ?
+            Object.fromEntries(Object.entries(current).filter(([id]) => id in golden)) :
+            current;
+        const changes = diffGolden(golden, compared);
+        if (changes.length > 0) {
+            process.stdout.write(`⚠️  Detections differ from ${path.relative(process.cwd(), options.golden)}:\n`);
+            changes.forEach(change => process.stdout.write(`${change}\n`));
+            process.stdout.write('Run with --update to accept these changes\n');
+            process.exitCode = 1;
+        } else {
+            process.stdout.write('✅ Detections match the golden file\n');
+        }
+    } else {
+        // A missing snapshot would silently skip the diff - it has to be created (and committed) explicitly
+        process.stdout.write(`❌ No golden file at ${path.relative(process.cwd(), options.golden)} - run with --update to create it\n`);
+        process.exitCode = 1;
+    }
+
+    if (failures.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { buildCases, runCase, checkExpectation, diffGolden };
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * STIX Export Check
+ * Builds a STIX 2.1 bundle from the shared synthetic scan (cli/check-helpers.js: CNAME chain, IPv4/IPv6 hosts,
+ * ASNs, DMARC reporters and takeover, DMARC and wildcard certificate findings), validates it with
+ * StixExporter.validate and checks the mapping and the deterministic observable ids.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createScan, createCheck, DOMAIN } = require('./check-helpers');
+
+async function main() {
+    const { failures, expect, report } = createCheck('STIX');
+    const { DataProcessor, StixExporter } = loadBrowserModules();
+
+    // RFC 4122 test vector, then the id STIX 2.1 assigns to domain-name "example.com"
+    expect(await StixExporter.uuidV5('6ba7b810-9dad-11d1-80b4-00c04fd430c8', 'www.example.com') === '2ed6657d-e927-568b-95e1-2665a8aea6a2',
+        'uuidV5 does not match the RFC 4122 test vector');
+
+    const { processedData, securityResults } = createScan(DataProcessor);
+    const bundle = await StixExporter.build(processedData, securityResults, DOMAIN);
+    const errors = StixExporter.validate(bundle);
+    errors.forEach(error => failures.push(`validation: ${error}`));
+
+    const byType = type => bundle.objects.filter(object => object.type === type);
+    const find = (type, value) => bundle.objects.find(object => object.type === type && (object.value === value || object.name === value));
+    const related = (type, sourceRef, targetRef) => byType('relationship').some(object =>
+        object.relationship_type === type && object.source_ref === sourceRef && object.target_ref === targetRef);
+
+    const apex = find('domain-name', DOMAIN);
+    const shop = find('domain-name', `shop.${DOMAIN}`);
+    const hop = find('domain-name', 'shops.myshopify.com');
+    const ipv4 = find('ipv4-addr', '192.0.2.10');
+    const ipv6 = find('ipv6-addr', '2001:db8::1');
+    const asn = byType('autonomous-system').find(object => object.number === 13335);
+    const shopify = find('infrastructure', 'Shopify');
+
+    expect(apex?.id === 'domain-name--bedb4899-d24b-5401-bc86-8f6b4cc18ec7', `unexpected id for domain-name ${DOMAIN}: ${apex?.id}`);
+    expect(shop && hop && ipv4 && ipv6 && shopify, 'missing domain-name, ipv4-addr, ipv6-addr or infrastructure objects');
+    expect(asn && byType('autonomous-system').length === 2, `expected autonomous-systems 13335 and 24940, got ${JSON.stringify(byType('autonomous-system'))}`);
+    expect(related('resolves-to', shop?.id, hop?.id), 'missing shop → CNAME resolves-to relationship');
+    expect(related('resolves-to', shop?.id, ipv4?.id), 'missing shop → IPv4 resolves-to relationship');
+    expect(related('belongs-to', ipv4?.id, asn?.id), 'missing IPv4 → ASN belongs-to relationship');
+    expect(byType('relationship').some(object => object.relationship_type === 'consists-of' && object.source_ref === shopify?.id),
+        'missing infrastructure consists-of relationship for the CNAME-detected service');
+
+    const vulnerability = byType('vulnerability')[0];
+    expect(byType('vulnerability').length === 1 && vulnerability.confidence === 85, `expected one confirmed takeover vulnerability, got ${JSON.stringify(byType('vulnerability'))}`);
+    expect(related('related-to', vulnerability?.id, find('domain-name', `old.${DOMAIN}`)?.id), 'takeover vulnerability is not related to its subdomain');
+    expect(byType('note').length === 2 && byType('note').every(note => note.object_refs[0] === apex?.id),
+        `expected the DMARC and wildcard certificate notes on the apex domain, got ${JSON.stringify(byType('note'))}`);
+
+    // A broken bundle must be rejected
+    const broken = JSON.parse(JSON.stringify(bundle));
+    broken.objects[1].created = 'yesterday';
+    delete broken.objects[2].value;
+    broken.objects.push({ type: 'relationship', spec_version: '2.1', id: 'relationship--not-a-uuid', created: bundle.objects[0].created, modified: bundle.objects[0].created,
+        relationship_type: 'Uses', source_ref: 'domain-name--00000000-0000-5000-8000-000000000000', target_ref: apex?.id });
+    expect(StixExporter.validate(broken).length >= 5, `validation missed errors in a broken bundle: ${JSON.stringify(StixExporter.validate(broken))}`);
+
+    report(`${bundle.objects.length} objects`);
+}
+
+main().catch(error => {
+    process.stderr.write(`❌ ${error.stack}\n`);
+    process.exitCode = 1;
+});
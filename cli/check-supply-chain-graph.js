@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Supply-Chain Graph Check
+ * Builds the supply-chain graph (supply-chain-graph.js) of a synthetic scan and checks its nodes and edges - CNAME
+ * chains, services hanging off the chain end or the subdomain, vendors named or by ASN, countries - and the reach
+ * of every node, which the vendor concentration view is ordered by.
+ */
+
+const { loadBrowserModules } = require('./module-loader');
+const { createCheck } = require('./check-helpers');
+
+const DOMAIN = 'example.com';
+const CLOUDFLARE_ASN = { asn: 'AS13335 Cloudflare, Inc.', country: 'US', countryName: 'United States' };
+
+/**
+ * processedData of a scan: two subdomains behind Cloudflare, Shopify, a two-hop CNAME chain nobody claimed that is
+ * only known by its ASN, and a mail host without any hosting information
+ */
+function createProcessedData() {
+    const subdomains = [
+        { subdomain: `www.${DOMAIN}`, cnameTarget: `www.${DOMAIN}.cdn.cloudflare.net.`, vendor: { vendor: 'Cloudflare', category: 'cdn' }, asnInfo: CLOUDFLARE_ASN, ipAddresses: ['104.16.1.1'] },
+        { subdomain: `api.${DOMAIN}`, cnameTarget: `api.${DOMAIN}.cdn.cloudflare.net`, vendor: { vendor: 'Cloudflare', category: 'cdn' }, asnInfo: CLOUDFLARE_ASN, ipAddresses: ['104.16.1.2'] },
+        { subdomain: `shop.${DOMAIN}`, cnameTarget: 'shops.myshopify.com', vendor: { vendor: 'Shopify', category: 'ecommerce' }, asnInfo: { asn: 'AS13335 Cloudflare, Inc.', country: 'CA', countryName: 'Canada' }, ipAddresses: ['23.227.38.1'] },
+        {
+            subdomain: `docs.${DOMAIN}`,
+            cnameChain: [{ to: `docs.${DOMAIN}.edgekey.net.` }, { to: 'e1.a.akamaiedge.net.' }, { to: 'E1.a.akamaiedge.net' }],
+            vendor: { vendor: 'Unknown' },
+            asnInfo: { asn: 'AS20940 Akamai', country: 'NL' },
+            ipAddresses: ['2.16.1.1']
+        },
+        { subdomain: `mail.${DOMAIN}`, vendor: { vendor: 'Unknown' }, asnInfo: { asn: 'Unknown', country: 'Unknown' }, ipAddresses: [] },
+        { subdomain: `old.${DOMAIN}`, status: 'historical', cnameTarget: 'old.herokuapp.com', vendor: { vendor: 'Heroku' }, ipAddresses: [] },
+        { subdomain: DOMAIN, vendor: { vendor: 'Cloudflare' }, asnInfo: CLOUDFLARE_ASN, ipAddresses: ['104.16.1.3'] }
+    ];
+    const services = [
+        { name: 'Google Workspace', category: 'email', recordTypes: ['MX'], sourceSubdomains: [] },
+        { name: 'Cloudflare CDN', category: 'cdn', recordTypes: ['CNAME'], sourceSubdomains: [`www.${DOMAIN}`],
+            records: [{ subdomain: `www.${DOMAIN}`, type: 5 }] },
+        { name: 'Shopify', category: 'ecommerce', recordTypes: ['CNAME'], metadata: { sourceSubdomain: `shop.${DOMAIN}` },
+            records: [{ subdomain: `shop.${DOMAIN}`, type: 'CNAME' }] },
+        { name: 'Microsoft 365', category: 'email', recordTypes: ['TXT'], sourceSubdomains: [`mail.${DOMAIN}`],
+            records: [{ subdomain: `mail.${DOMAIN}`, type: 16 }] },
+        { name: 'Cloudflare IP range', category: 'infrastructure', recordTypes: ['A'], sourceSubdomains: [`www.${DOMAIN}`] }
+    ];
+
+    return {
+        domain: DOMAIN,
+        subdomains: new Map(subdomains.map(subdomain => [subdomain.subdomain, subdomain])),
+        services: new Map(services.map(service => [service.name, service]))
+    };
+}
+
+async function main() {
+    const { expect, same, report } = createCheck('Supply-chain graph');
+
+    const { SupplyChainGraph, DataProcessor } = loadBrowserModules();
+
+    // docs has a CNAME no service signature claimed
+    const dataProcessor = {
+        getCNAMEMappings: () => [{ subdomain: `docs.${DOMAIN}` }],
+        getVendorFromService: service => DataProcessor.prototype.getVendorFromService(service)
+    };
+    const graph = SupplyChainGraph.build(createProcessedData(), dataProcessor);
+    const reach = Object.fromEntries(Array.from(graph.nodes.values()).map(node => [node.id, node.reach]));
+
+    // Nodes with their reach - historical names, the apex itself, A-only infrastructure and unknown vendors are left out
+    expect(same(reach, {
+        [`domain:${DOMAIN}`]: 6,
+        [`subdomain:www.${DOMAIN}`]: 1,
+        [`cname:www.${DOMAIN}.cdn.cloudflare.net`]: 1,
+        'vendor:cloudflare': 2,
+        'country:us': 2,
+        [`subdomain:api.${DOMAIN}`]: 1,
+        [`cname:api.${DOMAIN}.cdn.cloudflare.net`]: 1,
+        [`subdomain:shop.${DOMAIN}`]: 1,
+        'cname:shops.myshopify.com': 1,
+        'vendor:shopify': 1,
+        'country:ca': 1,
+        [`subdomain:docs.${DOMAIN}`]: 1,
+        [`cname:docs.${DOMAIN}.edgekey.net`]: 1,
+        'cname:e1.a.akamaiedge.net': 1,
+        'vendor:as20940 akamai': 1,
+        'country:nl': 1,
+        [`subdomain:mail.${DOMAIN}`]: 1,
+        'service:google workspace|email': 1,
+        'vendor:google': 1,
+        'service:cloudflare cdn|cdn': 1,
+        'service:shopify|ecommerce': 1,
+        'service:microsoft 365|email': 1,
+        'vendor:microsoft': 1
+    }), `nodes and reach: ${JSON.stringify(reach)}`);
+    expect(graph.entryPointCount === 6, `entry points: ${graph.entryPointCount}`);
+
+    // Edges: CNAME chains in order, CNAME-matched services off the chain end, record-based ones off the subdomain,
+    // services without a known subdomain off the domain
+    const edges = Array.from(graph.edges.values()).map(edge => `${edge.source} ${edge.relation} ${edge.target}`);
+    for (const edge of [
+        `subdomain:docs.${DOMAIN} cname cname:docs.${DOMAIN}.edgekey.net`,
+        `cname:docs.${DOMAIN}.edgekey.net cname cname:e1.a.akamaiedge.net`,
+        'cname:e1.a.akamaiedge.net hosted-by vendor:as20940 akamai',
+        `cname:www.${DOMAIN}.cdn.cloudflare.net uses service:cloudflare cdn|cdn`,
+        'cname:shops.myshopify.com uses service:shopify|ecommerce',
+        `subdomain:mail.${DOMAIN} uses service:microsoft 365|email`,
+        `domain:${DOMAIN} uses service:google workspace|email`,
+        'service:cloudflare cdn|cdn provided-by vendor:cloudflare',
+        'vendor:shopify located-in country:ca'
+    ]) {
+        expect(edges.includes(edge), `missing edge ${edge}`);
+    }
+    expect(edges.length === 24, `${edges.length} edges: ${JSON.stringify(edges)}`);
+    expect(!edges.some(edge => edge.includes('service:shopify|ecommerce provided-by')), 'vendor edge for a service without a known vendor');
+
+    // Node details
+    const node = id => graph.nodes.get(id);
+    expect(node('cname:e1.a.akamaiedge.net')?.meta.unattributed === true && !node(`cname:www.${DOMAIN}.cdn.cloudflare.net`)?.meta.unattributed,
+        'unclaimed CNAME target not marked (or a claimed one marked)');
+    expect(same(node('vendor:cloudflare')?.meta.asns, ['AS13335 Cloudflare, Inc.']), `Cloudflare ASNs: ${JSON.stringify(node('vendor:cloudflare')?.meta.asns)}`);
+    expect(node('vendor:as20940 akamai')?.meta.category === 'infrastructure', 'ASN-only vendor not categorized as infrastructure');
+    expect(same(node(`subdomain:www.${DOMAIN}`)?.meta.ipAddresses, ['104.16.1.1']), 'subdomain IPs not kept');
+
+    // Concentration view: most-depended-on vendor first, ties by name
+    const concentration = graph.getVendorConcentration().map(vendor => `${vendor.name} ${vendor.reach} ${vendor.share.toFixed(2)}`);
+    expect(same(concentration, ['Cloudflare 2 0.33', 'AS20940 Akamai 1 0.17', 'Google 1 0.17', 'Microsoft 1 0.17', 'Shopify 1 0.17']),
+        `vendor concentration: ${JSON.stringify(concentration)}`);
+
+    // CNAME hops: trailing dots, case, duplicates and self-references are normalized away
+    expect(same(SupplyChainGraph.getCNAMEHops({ subdomain: `a.${DOMAIN}`, cnameChain: [{ to: `A.${DOMAIN}.` }, { to: 'x.net.' }, { to: 'X.net' }] }), ['x.net']),
+        'CNAME hops not normalized');
+    expect(same(SupplyChainGraph.getCNAMEHops({ subdomain: `a.${DOMAIN}` }), []), 'hops without a CNAME');
+
+    // Builds are deterministic, and a scan without data still yields the domain node
+    expect(same(SupplyChainGraph.build(createProcessedData(), dataProcessor).toJSON(), graph.toJSON()), 'two builds of the same scan differ');
+    const empty = SupplyChainGraph.build({ domain: DOMAIN }, null);
+    expect(empty.nodes.size === 1 && empty.edges.size === 0 && empty.nodes.get(`domain:${DOMAIN}`)?.reach === 1, 'graph of an empty scan');
+
+    report(`${graph.nodes.size} nodes, ${graph.edges.size} edges`);
+}
+
+main();
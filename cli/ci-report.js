@@ -0,0 +1,276 @@
+/**
+ * CI Report for the 3ptracer CLI
+ * Evaluates a scan's securityResults against a policy file (which issue types and risk levels
+ * fail the build) and renders the outcome as SARIF 2.1.0 or JUnit XML for CI pipelines
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModules } = require('./module-loader');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, 'ci-policy.json');
+const POLICY_RISKS = ['high', 'medium', 'low', 'info'];
+const POLICY_KEYS = ['name', 'description', 'failOn', 'ignore', 'newIssuesOnly'];
+
+// securityResults lists that hold issues, in report order (the JUnit classname suffix)
+const ISSUE_GROUPS = ['takeovers', 'dnsIssues', 'emailIssues', 'cloudIssues', 'wildcardCertificates'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_URI = 'https://github.com/cyfinoid/3ptracer';
+
+class CIPolicy {
+    constructor(policy, source = 'policy') {
+        CIPolicy.validate(policy, source);
+        this.source = source;
+        this.name = policy.name || path.basename(source, '.json');
+        this.description = policy.description || '';
+        this.failRisks = new Set(policy.failOn?.risks || []);
+        this.failTypes = new Set(policy.failOn?.types || []);
+        this.ignore = policy.ignore || [];
+        this.newIssuesOnly = policy.newIssuesOnly === true;
+    }
+
+    /**
+     * Load a policy file (the bundled cli/ci-policy.json when no file is given)
+     */
+    static load(file = null) {
+        const filename = file ? path.resolve(file) : DEFAULT_POLICY_FILE;
+        return new CIPolicy(JSON.parse(fs.readFileSync(filename, 'utf8')), file || 'default');
+    }
+
+    /**
+     * Throw on unknown keys, unknown risk levels and malformed ignore rules
+     */
+    static validate(policy, source) {
+        const fail = message => {
+            throw new Error(`Invalid CI policy ${source}: ${message}`);
+        };
+
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) fail('expected a JSON object');
+        const unknown = Object.keys(policy).filter(key => !POLICY_KEYS.includes(key));
+        if (unknown.length > 0) fail(`unknown key(s) ${unknown.join(', ')}`);
+
+        const risks = policy.failOn?.risks || [];
+        const types = policy.failOn?.types || [];
+        if (!Array.isArray(risks) || risks.some(risk => !POLICY_RISKS.includes(risk))) {
+            fail(`failOn.risks must only contain ${POLICY_RISKS.join(', ')}`);
+        }
+        if (!Array.isArray(types) || types.some(type => typeof type !== 'string')) {
+            fail('failOn.types must be a list of issue types');
+        }
+        if (policy.ignore !== undefined && (!Array.isArray(policy.ignore) ||
+            policy.ignore.some(rule => !rule || (typeof rule.type !== 'string' && typeof rule.subject !== 'string')))) {
+            fail('ignore must be a list of { type, subject } rules (at least one of them per rule)');
+        }
+    }
+
+    /**
+     * An ignore rule matches when every field it sets matches; "*.example.com" covers all subdomains
+     */
+    isIgnored(entry) {
+        return this.ignore.some(rule => {
+            if (rule.type && rule.type !== entry.type) return false;
+            if (rule.subject) {
+                const subject = (entry.subject || '').toLowerCase();
+                const pattern = rule.subject.toLowerCase();
+                return pattern.startsWith('*.') ? subject.endsWith(pattern.slice(1)) : subject === pattern;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Give every issue of a JSON export a verdict - fail, pass or ignored.
+     * With newIssuesOnly, issues already present in the previous scan (processedData.drift) pass;
+     * without a previous scan every issue counts as new.
+     */
+    evaluate(exportData) {
+        const { ScanHistory } = loadBrowserModules();
+        const securityResults = exportData.securityResults || {};
+        const drift = exportData.processedData?.drift || null;
+        const newKeys = drift ? new Set(drift.changes.issues.added.map(entry => entry.key)) : null;
+
+        const results = [];
+        const seen = new Set();
+        for (const group of ISSUE_GROUPS) {
+            for (const issue of securityResults[group] || []) {
+                const entry = ScanHistory.createIssueEntry(issue);
+                if (seen.has(entry.key)) continue;
+                seen.add(entry.key);
+
+                const isNew = newKeys ? newKeys.has(entry.key) : null;
+                const blocking = this.failTypes.has(entry.type) || this.failRisks.has(entry.risk);
+                let verdict = 'pass';
+                let reason = 'not covered by the policy';
+
+                if (this.isIgnored(entry)) {
+                    verdict = 'ignored';
+                    reason = 'matches an ignore rule';
+                } else if (blocking && this.newIssuesOnly && isNew === false) {
+                    reason = 'present in the previous scan';
+                } else if (blocking) {
+                    verdict = 'fail';
+                    reason = this.failTypes.has(entry.type) ? `issue type ${entry.type} fails the build` : `${entry.risk} risk fails the build`;
+                }
+
+                results.push({ ...entry, group, issue, isNew, verdict, reason });
+            }
+        }
+
+        return {
+            domain: exportData.meta?.domain,
+            timestamp: exportData.meta?.exportedAt || new Date().toISOString(),
+            policy: this,
+            previousScan: drift?.previousScan || null,
+            results,
+            failed: results.filter(result => result.verdict === 'fail').length,
+            ignored: results.filter(result => result.verdict === 'ignored').length
+        };
+    }
+}
+
+class CIReportExporter {
+    /**
+     * Failing issues are errors; the rest are warnings (high/medium) or notes (low/info)
+     */
+    static sarifLevel(result) {
+        if (result.verdict === 'fail') return 'error';
+        return result.risk === 'high' || result.risk === 'medium' ? 'warning' : 'note';
+    }
+
+    /**
+     * SARIF 2.1.0 log - one rule per issue type, one result per issue located on the affected
+     * DNS name (a logical location, there is no source file). Ignored issues are suppressed, and
+     * with --history each result carries a baselineState of new or unchanged.
+     */
+    static toSARIF(evaluation, toolVersion = '1.0.0') {
+        const rules = [];
+        const ruleIndex = new Map();
+        for (const result of evaluation.results) {
+            if (ruleIndex.has(result.type)) continue;
+            ruleIndex.set(result.type, rules.length);
+            rules.push({
+                id: result.type,
+                name: result.type.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(''),
+                shortDescription: { text: result.type.replace(/_/g, ' ') },
+                help: { text: result.issue.recommendation || result.description },
+                defaultConfiguration: {
+                    level: evaluation.policy.failTypes.has(result.type) ? 'error' : 'warning'
+                },
+                properties: { tags: ['dns', 'security', result.group] }
+            });
+        }
+
+        const results = evaluation.results.map(result => {
+            const location = result.subject || evaluation.domain;
+            const sarifResult = {
+                ruleId: result.type,
+                ruleIndex: ruleIndex.get(result.type),
+                level: CIReportExporter.sarifLevel(result),
+                message: { text: result.description },
+                locations: [{
+                    logicalLocations: [{ name: location, fullyQualifiedName: location, kind: 'resource' }]
+                }],
+                partialFingerprints: { '3ptracerIssueKey/v1': result.key },
+                properties: {
+                    risk: result.risk,
+                    policyVerdict: result.verdict,
+                    policyReason: result.reason
+                }
+            };
+            if (result.issue.confidence) {
+                sarifResult.properties.confidence = result.issue.confidence;
+            }
+            if (result.isNew !== null) {
+                sarifResult.baselineState = result.isNew ? 'new' : 'unchanged';
+            }
+            if (result.verdict === 'ignored') {
+                sarifResult.suppressions = [{ kind: 'external', justification: `Ignored by CI policy ${evaluation.policy.name}` }];
+            }
+            return sarifResult;
+        });
+
+        return {
+            $schema: SARIF_SCHEMA,
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: '3ptracer',
+                        version: toolVersion,
+                        informationUri: TOOL_URI,
+                        rules
+                    }
+                },
+                automationDetails: { id: `3ptracer/${evaluation.domain}/` },
+                invocations: [{
+                    executionSuccessful: true,
+                    endTimeUtc: evaluation.timestamp
+                }],
+                results,
+                properties: {
+                    domain: evaluation.domain,
+                    policy: evaluation.policy.name,
+                    failed: evaluation.failed,
+                    previousScan: evaluation.previousScan
+                }
+            }]
+        };
+    }
+
+    /**
+     * JUnit XML - one test case per issue (failing issues fail, ignored issues are skipped) plus a
+     * passing case for every issue type the policy fails on that this scan did not find
+     */
+    static toJUnit(evaluation) {
+        const { escapeMarkup: escape } = loadBrowserModules();
+        const domain = evaluation.domain;
+        const cases = evaluation.results.map(result => {
+            const name = `${result.type}: ${result.subject || result.description}`;
+            const open = `    <testcase classname="${escape(`${domain}.${result.group}`)}" name="${escape(name)}" time="0"`;
+
+            if (result.verdict === 'fail') {
+                const details = [
+                    result.description,
+                    `Risk: ${result.risk}`,
+                    `Policy: ${result.reason}`,
+                    result.isNew !== null ? `New since previous scan: ${result.isNew ? 'yes' : 'no'}` : null,
+                    result.issue.recommendation ? `Recommendation: ${result.issue.recommendation}` : null
+                ].filter(Boolean).join('\n');
+                return `${open}>\n      <failure message="${escape(result.description)}" type="${escape(result.type)}">${escape(details)}</failure>\n    </testcase>`;
+            }
+            if (result.verdict === 'ignored') {
+                return `${open}>\n      <skipped message="${escape(`Ignored by CI policy ${evaluation.policy.name}`)}"/>\n    </testcase>`;
+            }
+            return `${open}>\n      <system-out>${escape(`${result.risk} risk, ${result.reason}: ${result.description}`)}</system-out>\n    </testcase>`;
+        });
+
+        const foundTypes = new Set(evaluation.results.map(result => result.type));
+        for (const type of evaluation.policy.failTypes) {
+            if (!foundTypes.has(type)) {
+                cases.push(`    <testcase classname="${escape(`${domain}.policy`)}" name="${escape(`no ${type}`)}" time="0"/>`);
+            }
+        }
+
+        const tests = cases.length;
+        const suiteName = escape(`3ptracer DNS posture: ${domain}`);
+        const counts = `tests="${tests}" failures="${evaluation.failed}" errors="0" skipped="${evaluation.ignored}"`;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="3ptracer" ${counts} time="0">`,
+            `  <testsuite name="${suiteName}" ${counts} time="0" timestamp="${escape(evaluation.timestamp.replace(/\.\d+Z$/, ''))}">`,
+            '    <properties>',
+            `      <property name="domain" value="${escape(domain)}"/>`,
+            `      <property name="policy" value="${escape(evaluation.policy.name)}"/>`,
+            evaluation.previousScan ? `      <property name="previousScan" value="${escape(evaluation.previousScan)}"/>` : null,
+            '    </properties>',
+            ...cases,
+            '  </testsuite>',
+            '</testsuites>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+}
+
+module.exports = { CIPolicy, CIReportExporter, DEFAULT_POLICY_FILE };
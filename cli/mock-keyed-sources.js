@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Mock Keyed Sources
+ * Local HTTP server answering like the SecurityTrails, VirusTotal, Shodan and Censys APIs, so the worker's keyed
+ * source adapters (worker/keyed-sources.js) can run without real API keys or quota. Every API checks its key the way
+ * the real one does (401 otherwise); VirusTotal and Censys answer in two pages.
+ *
+ *   node cli/mock-keyed-sources.js [--port 8788]
+ *
+ * prints the worker variables that point the adapters at it (e.g. for `wrangler dev --var ...`).
+ */
+
+const http = require('http');
+
+const MOCK_KEYS = {
+    SECURITYTRAILS_API_KEY: 'mock-securitytrails',
+    VIRUSTOTAL_API_KEY: 'mock-virustotal',
+    SHODAN_API_KEY: 'mock-shodan',
+    CENSYS_API_ID: 'mock-censys-id',
+    CENSYS_API_SECRET: 'mock-censys-secret'
+};
+
+// Subdomains every mock API knows for any domain, as labels
+const MOCK_LABELS = {
+    securitytrails: ['www', 'mail', 'staging'],
+    virustotal: ['www', 'vpn', 'legacy', 'status'],
+    shodan: ['www', 'mx1'],
+    censys: ['www', 'login', 'api']
+};
+
+/**
+ * Request handler - routes on the same paths as the real APIs
+ */
+function handleRequest(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const send = (status, body) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(body));
+    };
+    const unauthorized = () => send(401, { error: 'Invalid API key' });
+    let match;
+
+    // SecurityTrails - APIKEY header, labels
+    if ((match = url.pathname.match(/^\/v1\/domain\/([^/]+)\/subdomains$/))) {
+        if (request.headers.apikey !== MOCK_KEYS.SECURITYTRAILS_API_KEY) return unauthorized();
+        return send(200, { endpoint: url.pathname, subdomains: MOCK_LABELS.securitytrails, subdomain_count: MOCK_LABELS.securitytrails.length });
+    }
+
+    // VirusTotal - x-apikey header, domain objects, two pages with a cursor
+    if ((match = url.pathname.match(/^\/api\/v3\/domains\/([^/]+)\/relationships\/subdomains$/))) {
+        if (request.headers['x-apikey'] !== MOCK_KEYS.VIRUSTOTAL_API_KEY) return unauthorized();
+        const page = url.searchParams.get('cursor') === 'page2' ? 1 : 0;
+        const labels = MOCK_LABELS.virustotal.slice(page * 2, page * 2 + 2);
+        return send(200, {
+            data: labels.map(label => ({ id: `${label}.${match[1]}`, type: 'domain' })),
+            meta: page === 0 ? { count: MOCK_LABELS.virustotal.length, cursor: 'page2' } : { count: MOCK_LABELS.virustotal.length }
+        });
+    }
+
+    // Shodan - key query parameter, labels
+    if ((match = url.pathname.match(/^\/dns\/domain\/([^/]+)$/))) {
+        if (url.searchParams.get('key') !== MOCK_KEYS.SHODAN_API_KEY) return unauthorized();
+        return send(200, { domain: match[1], subdomains: MOCK_LABELS.shodan, data: [], more: false });
+    }
+
+    // Censys - basic auth, certificate hits with names, two pages with a cursor
+    if (url.pathname === '/api/v2/certificates/search') {
+        const expected = `Basic ${Buffer.from(`${MOCK_KEYS.CENSYS_API_ID}:${MOCK_KEYS.CENSYS_API_SECRET}`).toString('base64')}`;
+        if (request.headers.authorization !== expected) return unauthorized();
+        const domain = (url.searchParams.get('q') || '').replace(/^names:\s*/, '');
+        const page = url.searchParams.get('cursor') === 'page2' ? 1 : 0;
+        const labels = page === 0 ? MOCK_LABELS.censys.slice(0, 2) : MOCK_LABELS.censys.slice(2);
+        return send(200, {
+            code: 200,
+            result: {
+                hits: labels.map(label => ({ names: [`${label}.${domain}`, `*.${label}.${domain}`] })),
+                links: { next: page === 0 ? 'page2' : '' }
+            }
+        });
+    }
+
+    send(404, { error: `No mock for ${url.pathname}` });
+}
+
+/**
+ * Start the mock on 127.0.0.1 (port 0 picks a free one); resolves to { server, url, env }
+ * where env holds the keys and the <SOURCE>_API_URL overrides for the worker
+ */
+function startMockServer(port = 0) {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer(handleRequest);
+        server.on('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                server,
+                url,
+                env: {
+                    ...MOCK_KEYS,
+                    SECURITYTRAILS_API_URL: url,
+                    VIRUSTOTAL_API_URL: url,
+                    SHODAN_API_URL: url,
+                    CENSYS_API_URL: url
+                }
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex === -1 ? 8788 : parseInt(process.argv[portIndex + 1], 10);
+
+    startMockServer(port).then(({ url, env }) => {
+        process.stdout.write(`Mock keyed sources listening on ${url}\nWorker variables:\n`);
+        for (const [name, value] of Object.entries(env)) {
+            process.stdout.write(`  ${name}=${value}\n`);
+        }
+    }).catch(error => {
+        process.stderr.write(`❌ ${error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { startMockServer, MOCK_KEYS, MOCK_LABELS };
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Mock Upstreams
+ * A small synthetic internet for example.com - DoH resolvers, the default discovery sources, the ASN providers and the
+ * front page the takeover engine probes - answering through a stubbed fetch. It is what the committed fixture bundle
+ * (cli/fixtures/example.com.json) was recorded from: the bundle is a real recording of a full CLI run, but of these
+ * made-up answers, not of the live services (their answers change daily and the check must not depend on them).
+ *
+ *   node cli/mock-upstreams.js [--output cli/fixtures/example.com.json]
+ *
+ * re-records the bundle - run it after adding an upstream request to the analysis, so npm run check:fixtures keeps
+ * replaying a whole run without misses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadBrowserModules, ROOT_DIR } = require('./module-loader');
+
+const DOMAIN = 'example.com';
+const BUNDLE_FILE = path.join(ROOT_DIR, 'cli', 'fixtures', `${DOMAIN}.json`);
+// Fixed so a re-recording only differs where the analysis asks for something new
+const RECORDED_AT = '2024-09-02T10:00:00.000Z';
+const TTL = 300;
+
+const RECORD_TYPES = { A: 1, NS: 2, CNAME: 5, SOA: 6, MX: 15, TXT: 16, AAAA: 28, SRV: 33, DS: 43, RRSIG: 46, DNSKEY: 48, CAA: 257 };
+
+// Zone data by owner name - a name missing here is NXDOMAIN, a type missing under a name is NODATA
+const MOCK_ZONE = {
+    [DOMAIN]: {
+        A: ['93.184.215.14'],
+        MX: ['1 aspmx.l.google.com.'],
+        TXT: ['"v=spf1 include:_spf.google.com -all"', '"google-site-verification=fixture-token"'],
+        SOA: [`ns.icann.org. noc.dns.icann.org. 2024090201 7200 3600 1209600 ${TTL}`]
+    },
+    [`_dmarc.${DOMAIN}`]: { TXT: ['"v=DMARC1; p=reject; rua=mailto:dmarc@example.com"'] },
+    [`google._domainkey.${DOMAIN}`]: { TXT: ['"v=DKIM1; k=rsa; p=MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQC3fixture"'] },
+    [`www.${DOMAIN}`]: { A: ['93.184.215.14'] },
+    [`shop.${DOMAIN}`]: { CNAME: ['shops.myshopify.com.'] },
+    'shops.myshopify.com': { A: ['23.227.38.65'] },
+    '_spf.google.com': { TXT: ['"v=spf1 ip4:74.125.0.0/16 ~all"'] },
+    'aspmx.l.google.com': { A: ['142.250.27.27'] }
+};
+
+// Lookups every resolver fails (HTTP 503), so the bundle holds a recorded failure
+const MOCK_FAILING_LOOKUPS = [`${DOMAIN}:CAA`];
+
+// Subdomains each discovery source of the default selection knows
+const MOCK_DISCOVERY = {
+    crtsh: [`${DOMAIN}\nwww.${DOMAIN}`, `shop.${DOMAIN}`],
+    certspotter: [`www.${DOMAIN}`, `*.${DOMAIN}`],
+    otx: [`www.${DOMAIN}`],
+    hackertarget: [`shop.${DOMAIN}`],
+    urlscan: [`shop.${DOMAIN}`],
+    rapiddns: [`www.${DOMAIN}`],
+    anubis: [`www.${DOMAIN}`, `shop.${DOMAIN}`]
+};
+
+// ASN data per address, in ipinfo.io's format (the first ASN provider - the others are only asked when it fails)
+const MOCK_ASN = {
+    '93.184.215.14': { ip: '93.184.215.14', city: 'Los Angeles', region: 'California', country: 'US', org: 'AS15133 Edgecast Inc.', postal: '90060', timezone: 'America/Los_Angeles', loc: '34.0522,-118.2437' },
+    '23.227.38.65': { ip: '23.227.38.65', city: 'Ottawa', region: 'Ontario', country: 'CA', org: 'AS13335 Cloudflare, Inc.', postal: 'K1P', timezone: 'America/Toronto', loc: '45.4112,-75.6981' }
+};
+
+// Front pages the takeover engine may probe
+const MOCK_PAGES = {
+    [`shop.${DOMAIN}`]: '<html><head><title>Example shop</title></head><body>Welcome to the example shop</body></html>'
+};
+
+/**
+ * JSON DoH answer for one question - CNAMEs are followed the way recursive resolvers do
+ */
+function resolve(name, type) {
+    const owner = name.toLowerCase().replace(/\.$/, '');
+    const typeName = /^\d+$/.test(type) ? Object.keys(RECORD_TYPES).find(key => RECORD_TYPES[key] === Number(type)) : type.toUpperCase();
+    const answer = [];
+    let current = owner;
+
+    for (let hop = 0; hop < 8 && MOCK_ZONE[current]; hop++) {
+        const records = MOCK_ZONE[current];
+        if (records[typeName]) {
+            answer.push(...records[typeName].map(data => ({ name: `${current}.`, type: RECORD_TYPES[typeName], TTL, data })));
+            break;
+        }
+        if (!records.CNAME || typeName === 'CNAME') break;
+        answer.push({ name: `${current}.`, type: RECORD_TYPES.CNAME, TTL, data: records.CNAME[0] });
+        current = records.CNAME[0].replace(/\.$/, '');
+    }
+
+    return {
+        Status: MOCK_ZONE[owner] ? 0 : 3,
+        TC: false, RD: true, RA: true, AD: false, CD: false,
+        Question: [{ name: `${owner}.`, type: RECORD_TYPES[typeName] || Number(type) }],
+        ...(answer.length > 0 ? { Answer: answer } : {})
+    };
+}
+
+/**
+ * Discovery source response in the format of the real API
+ */
+function discoveryResponse(id) {
+    const names = MOCK_DISCOVERY[id];
+    switch (id) {
+        case 'crtsh':
+            return Response.json(names.map(name => ({ name_value: name })));
+        case 'certspotter':
+            return Response.json([{ dns_names: names }]);
+        case 'otx':
+            return Response.json({ passive_dns: names.map(hostname => ({ hostname })) });
+        case 'hackertarget':
+            return new Response(names.map(name => `${name},23.227.38.65`).join('\n'));
+        case 'urlscan':
+            return Response.json({ results: names.map(name => ({ page: { domain: name }, task: { domain: DOMAIN } })) });
+        case 'rapiddns':
+            return new Response(`<table>${names.map(name => `<tr><td>${name}</td></tr>`).join('')}</table>`);
+        case 'anubis':
+            return Response.json(names);
+    }
+    throw new Error(`No mock for discovery source ${id}`);
+}
+
+/**
+ * fetch answering from the mock data - any other request throws, so the recording shows it as a failed lookup
+ */
+function createMockFetch() {
+    const sourceHosts = {
+        'crt.sh': 'crtsh',
+        'certspotter.com': 'certspotter',
+        'otx.alienvault.com': 'otx',
+        'api.hackertarget.com': 'hackertarget',
+        'urlscan.io': 'urlscan',
+        'rapiddns.io': 'rapiddns',
+        'jldc.me': 'anubis'
+    };
+
+    return async (url) => {
+        const { hostname, pathname, searchParams } = new URL(url);
+
+        if (searchParams.has('name') && searchParams.has('type')) {
+            const name = searchParams.get('name').toLowerCase().replace(/\.$/, '');
+            if (MOCK_FAILING_LOOKUPS.includes(`${name}:${searchParams.get('type').toUpperCase()}`)) {
+                return new Response('upstream unavailable', { status: 503 });
+            }
+            return Response.json(resolve(name, searchParams.get('type')));
+        }
+        if (sourceHosts[hostname]) {
+            return discoveryResponse(sourceHosts[hostname]);
+        }
+        if (hostname === 'ipinfo.io') {
+            const data = MOCK_ASN[pathname.split('/')[1]];
+            return data ? Response.json(data) : new Response('{"error":"not found"}', { status: 404 });
+        }
+        if (MOCK_PAGES[hostname]) {
+            return new Response(MOCK_PAGES[hostname], { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+        }
+
+        throw new Error(`No mock upstream for ${url}`);
+    };
+}
+
+/**
+ * Record a full analysis of example.com against the mock upstreams and return the fixture bundle
+ */
+async function recordBundle(analyze) {
+    const { FixtureStore } = loadBrowserModules();
+    const fixtures = new FixtureStore('record');
+    fixtures.meta = { domain: DOMAIN, recordedAt: RECORDED_AT };
+
+    const liveFetch = global.fetch;
+    global.fetch = createMockFetch();
+    try {
+        await analyze(DOMAIN, { fixtures });
+    } finally {
+        global.fetch = liveFetch;
+    }
+    return fixtures.toBundle();
+}
+
+async function main() {
+    const outputIndex = process.argv.indexOf('--output');
+    const output = outputIndex === -1 ? BUNDLE_FILE : path.resolve(process.argv[outputIndex + 1]);
+
+    const log = console.log;
+    console.log = console.warn = () => {};
+    const { analyze } = require('./3ptracer');
+    const bundle = await recordBundle(analyze);
+
+    fs.writeFileSync(output, JSON.stringify(bundle, null, 2) + '\n');
+    log(`📼 Recorded ${Object.keys(bundle.entries).length} upstream responses to ${path.relative(process.cwd(), output)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        process.stderr.write(`❌ ${error.stack}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { createMockFetch, recordBundle, MOCK_ZONE, DOMAIN };
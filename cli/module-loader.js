@@ -0,0 +1,123 @@
+/**
+ * Browser Module Loader for the 3ptracer CLI
+ * Evaluates the browser scripts into the Node global scope in the same order
+ * index.html loads them, so the classes share one scope exactly like <script> tags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Same order as index.html - config.js, api-client.js, ui-renderer.js and app.js are DOM-only
+const BROWSER_MODULES = [
+    'markup-escape.js',
+    'dns-transport.js',
+    'export-manager.js',
+    'subdomain-registry.js',
+    'service-registry.js',
+    'service-signatures.js',
+    'signature-database.js',
+    'fixture-store.js',
+    'scan-history.js',
+    'spf-analyzer.js',
+    'dmarc-analyzer.js',
+    'mail-policy-analyzer.js',
+    'dnssec-validator.js',
+    'takeover-engine.js',
+    'delegation-analyzer.js',
+    'discovery-sources.js',
+    'dns-analyzer.js',
+    'service-detection-engine.js',
+    'data-processor.js',
+    'supply-chain-graph.js',
+    'graph-export.js',
+    'stix-export.js',
+    'cyclonedx-export.js',
+    'report-templates.js',
+    'report-export.js',
+    'analysis-controller.js',
+    'batch-analyzer.js',
+    'permalink.js'
+];
+
+// Classes (and shared helpers) the CLI needs access to once the scripts have been evaluated
+const EXPORTED_CLASSES = [
+    'escapeMarkup',
+    'DNS_PROVIDERS',
+    'DNSWireFormat',
+    'WireDoHTransport',
+    'AnalysisController',
+    'LookupCache',
+    'BatchAnalyzer',
+    'Permalink',
+    'DNSAnalyzer',
+    'DiscoverySourceRegistry',
+    'ServiceDetectionEngine',
+    'DataProcessor',
+    'ExportManager',
+    'FixtureStore',
+    'GraphExporter',
+    'ScanHistory',
+    'SignatureDatabase',
+    'SPFAnalyzer',
+    'StixExporter',
+    'CycloneDXExporter',
+    'ReportExporter',
+    'SupplyChainGraph',
+    'DMARCAnalyzer',
+    'MailPolicyAnalyzer',
+    'DNSSECValidator',
+    'TakeoverEngine',
+    'DelegationAnalyzer'
+];
+
+let loadedModules = null;
+
+/**
+ * Load all browser modules once and return the exported classes
+ */
+function loadBrowserModules() {
+    if (loadedModules) return loadedModules;
+
+    for (const file of BROWSER_MODULES) {
+        const filename = path.join(ROOT_DIR, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+
+    // Top-level class declarations live in the global lexical scope, not on globalThis
+    loadedModules = {};
+    for (const className of EXPORTED_CLASSES) {
+        loadedModules[className] = vm.runInThisContext(className);
+    }
+
+    return loadedModules;
+}
+
+/**
+ * Evaluate one of the DOM-only scripts on top of the browser modules and return the class it declares
+ * The caller sets up whatever document and window stubs the script touches first.
+ */
+function loadDOMScript(file, className) {
+    loadBrowserModules();
+    const filename = path.join(ROOT_DIR, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    return vm.runInThisContext(className);
+}
+
+/**
+ * Import a worker module (worker/ has no package.json marking it as ESM) from its source
+ * Relative imports of other worker modules are inlined the same way, since data: URLs can't resolve them
+ */
+async function importWorkerModule(file) {
+    const toDataURL = (name) => {
+        const source = fs.readFileSync(path.join(ROOT_DIR, 'worker', name), 'utf8')
+            .replace(/from '\.\/([\w-]+\.js)'/g, (_, dependency) => `from '${toDataURL(dependency)}'`);
+        // encodeURIComponent leaves quotes alone, which would end the inlining import's specifier
+        return `data:text/javascript,${encodeURIComponent(source).replace(/'/g, '%27')}`;
+    };
+    return await import(toDataURL(file));
+}
+
+module.exports = { loadBrowserModules, loadDOMScript, importWorkerModule, BROWSER_MODULES, ROOT_DIR };
@@ -0,0 +1,67 @@
+/**
+ * File Snapshot Store for the 3ptracer CLI
+ * Node counterpart of the browser's IndexedDBSnapshotStore (scan-history.js):
+ * one JSON file per scan under <directory>/<domain>/, named by scan time
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileSnapshotStore {
+    constructor(directory, limit = 20) {
+        this.directory = path.resolve(directory);
+        this.limit = limit;
+    }
+
+    /**
+     * Directory holding one domain's snapshots
+     */
+    domainDirectory(domain) {
+        return path.join(this.directory, domain.replace(/[^a-z0-9.-]/gi, '_'));
+    }
+
+    /**
+     * Snapshot file names for a domain, oldest first (ISO timestamps sort lexically)
+     */
+    listFiles(domain) {
+        const directory = this.domainDirectory(domain);
+        if (!fs.existsSync(directory)) return [];
+        return fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+    }
+
+    /**
+     * All stored snapshots for a domain, oldest first
+     */
+    async list(domain) {
+        const directory = this.domainDirectory(domain);
+        return this.listFiles(domain).map(file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+    }
+
+    /**
+     * Newest snapshot for a domain, or null
+     */
+    async getLatest(domain) {
+        const files = this.listFiles(domain);
+        if (files.length === 0) return null;
+        return JSON.parse(fs.readFileSync(path.join(this.domainDirectory(domain), files[files.length - 1]), 'utf8'));
+    }
+
+    /**
+     * Write a snapshot and drop the oldest files beyond the limit
+     */
+    async save(snapshot) {
+        const directory = this.domainDirectory(snapshot.domain);
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(
+            path.join(directory, `${snapshot.timestamp.replace(/:/g, '-')}.json`),
+            JSON.stringify(snapshot, null, 2) + '\n'
+        );
+
+        const files = this.listFiles(snapshot.domain);
+        for (const file of files.slice(0, Math.max(0, files.length - this.limit))) {
+            fs.unlinkSync(path.join(directory, file));
+        }
+    }
+}
+
+module.exports = { FileSnapshotStore };
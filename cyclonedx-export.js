@@ -0,0 +1,219 @@
+// CycloneDX Export - The services a domain depends on as a CycloneDX 1.5 "services" bill of materials
+// One service per DataProcessor service, with its provider, the subdomains and CNAME targets it is reached
+// through as endpoints, data-flow hints from its category and data-residency countries from the sovereignty analysis
+
+const CYCLONEDX_SPEC_VERSION = '1.5';
+const CYCLONEDX_DATA_FLOW_DIRECTIONS = ['inbound', 'outbound', 'bi-directional', 'unknown'];
+
+// Typical data exchanged with a service of each category; flow direction is relative to the service
+// (inbound = our data is sent to the provider)
+const CYCLONEDX_DATA_FLOWS = {
+    email: [
+        { flow: 'bi-directional', classification: 'PII', name: 'Email', description: 'Message content and sender and recipient addresses' }
+    ],
+    analytics: [
+        { flow: 'inbound', classification: 'PII', name: 'Visitor analytics', description: 'Page views, device identifiers and IP addresses of visitors' }
+    ],
+    payments: [
+        { flow: 'inbound', classification: 'PCI', name: 'Payment data', description: 'Cardholder and transaction data' },
+        { flow: 'inbound', classification: 'PII', name: 'Customer details', description: 'Names, billing and shipping addresses of customers' }
+    ],
+    marketing: [
+        { flow: 'inbound', classification: 'PII', name: 'Contacts', description: 'Contact details and campaign engagement of customers and prospects' }
+    ],
+    support: [
+        { flow: 'bi-directional', classification: 'PII', name: 'Support conversations', description: 'Customer conversations and contact details' }
+    ],
+    communication: [
+        { flow: 'bi-directional', classification: 'PII', name: 'Messages', description: 'Messages and participant identities' }
+    ],
+    social: [
+        { flow: 'inbound', classification: 'PII', name: 'Visitor interactions', description: 'Visitor identities and interactions shared through embedded widgets' }
+    ],
+    productivity: [
+        { flow: 'bi-directional', classification: 'Confidential', name: 'Workspace content', description: 'Documents, calendars and internal communication' }
+    ],
+    monitoring: [
+        { flow: 'inbound', classification: 'Internal', name: 'Telemetry', description: 'Availability and performance measurements' }
+    ],
+    cloud: [
+        { flow: 'bi-directional', classification: 'Confidential', name: 'Hosted traffic', description: 'Application traffic and the data it carries' }
+    ]
+};
+
+// Categories used by detection rules that share another category's data flows
+const CYCLONEDX_CATEGORY_ALIASES = {
+    'email-security': 'email',
+    'email-service': 'email',
+    payment: 'payments',
+    ecommerce: 'payments',
+    feedback: 'support',
+    cdn: 'cloud',
+    infrastructure: 'cloud'
+};
+
+class CycloneDXExporter {
+    // Services BOM for one scan; processedData (Maps or their serialized objects) as stored by ExportManager
+    static build(processedData, domain = processedData.domain, dataProcessor = new DataProcessor()) {
+        const values = collection => collection instanceof Map ? Array.from(collection.values()) : Object.values(collection || {});
+        const rootRef = `domain:${String(domain).toLowerCase()}`;
+
+        const subdomains = new Map(values(processedData.subdomains)
+            .filter(subdomain => subdomain.status !== 'historical')
+            .map(subdomain => [subdomain.subdomain, subdomain]));
+        const residency = CycloneDXExporter.collectResidency(processedData.sovereigntyAnalysis);
+
+        const services = [];
+        const refs = new Set();
+        for (const service of values(processedData.services)) {
+            const ref = `service:${service.name}|${service.category}`.toLowerCase();
+            if (refs.has(ref)) continue;
+            refs.add(ref);
+
+            const sources = (service.sourceSubdomains?.length ? service.sourceSubdomains : [service.metadata?.sourceSubdomain])
+                .filter(source => source && source !== domain);
+            const vendor = dataProcessor.getVendorFromService(service);
+
+            const entry = {
+                'bom-ref': ref,
+                provider: { name: vendor !== 'Other' ? vendor : service.name },
+                name: service.name,
+                ...(service.description ? { description: service.description } : {}),
+                endpoints: CycloneDXExporter.collectEndpoints(sources, subdomains),
+                'x-trust-boundary': true,
+                trustZone: 'third-party',
+                data: CycloneDXExporter.getDataFlows(service.category),
+                properties: [
+                    { name: '3ptracer:category', value: service.category || 'unknown' },
+                    ...(service.recordTypes || []).map(recordType => ({ name: '3ptracer:evidence', value: String(recordType) })),
+                    ...CycloneDXExporter.getResidency(service, sources, subdomains, residency)
+                        .map(country => ({ name: '3ptracer:dataResidency', value: country }))
+                ]
+            };
+            if (entry.endpoints.length === 0) delete entry.endpoints;
+            if (entry.data.length === 0) delete entry.data;
+            services.push(entry);
+        }
+
+        return {
+            bomFormat: 'CycloneDX',
+            specVersion: CYCLONEDX_SPEC_VERSION,
+            serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+            version: 1,
+            metadata: {
+                timestamp: new Date().toISOString(),
+                tools: {
+                    components: [{ type: 'application', name: '3rd Party Tracer', group: 'cyfinoid' }]
+                },
+                component: {
+                    type: 'application',
+                    'bom-ref': rootRef,
+                    name: domain,
+                    description: `External services ${domain} depends on, discovered from public DNS and certificate transparency data`
+                }
+            },
+            services,
+            dependencies: [{ ref: rootRef, dependsOn: services.map(service => service['bom-ref']) }]
+        };
+    }
+
+    // https:// endpoint for every subdomain the service was found on and every CNAME hop behind it
+    static collectEndpoints(sources, subdomains) {
+        const hosts = new Set();
+        for (const source of sources) {
+            hosts.add(source.toLowerCase());
+            const subdomain = subdomains.get(source);
+            if (subdomain) {
+                SupplyChainGraph.getCNAMEHops(subdomain).forEach(hop => hosts.add(hop));
+            }
+        }
+        return Array.from(hosts).filter(host => !host.includes('*')).map(host => `https://${host}`);
+    }
+
+    static getDataFlows(category) {
+        const key = CYCLONEDX_CATEGORY_ALIASES[category] || category;
+        return (CYCLONEDX_DATA_FLOWS[key] || []).map(flow => ({ ...flow }));
+    }
+
+    // Service name and subdomain name → country codes, from sovereigntyAnalysis.countryDistribution
+    static collectResidency(sovereigntyAnalysis) {
+        const residency = { services: new Map(), subdomains: new Map() };
+        const distribution = sovereigntyAnalysis?.countryDistribution;
+        const countries = distribution instanceof Map ? Array.from(distribution.values()) : Object.values(distribution || {});
+
+        const add = (index, name, country) => {
+            if (!index.has(name)) index.set(name, new Set());
+            index.get(name).add(country);
+        };
+        for (const country of countries) {
+            (country.services || []).forEach(service => add(residency.services, service.name, country.country));
+            (country.subdomains || []).forEach(subdomain => add(residency.subdomains, subdomain.name, country.country));
+        }
+        return residency;
+    }
+
+    // Countries hosting the service itself or the subdomains it is reached through (ASN data when there is no sovereignty analysis)
+    static getResidency(service, sources, subdomains, residency) {
+        const countries = new Set(residency.services.get(service.name) || []);
+        for (const source of sources) {
+            (residency.subdomains.get(source) || []).forEach(country => countries.add(country));
+        }
+
+        if (countries.size === 0) {
+            const asnInfos = [service.metadata?.asnInfo, ...sources.map(source => subdomains.get(source)?.asnInfo)];
+            asnInfos.filter(asnInfo => asnInfo?.country && asnInfo.country !== 'Unknown')
+                .forEach(asnInfo => countries.add(asnInfo.country));
+        }
+        return Array.from(countries).sort();
+    }
+
+    // Structural checks against the CycloneDX 1.5 schema for the parts this exporter writes; returns a list of errors
+    static validate(bom) {
+        const errors = [];
+        const check = (condition, message) => {
+            if (!condition) errors.push(message);
+        };
+
+        check(bom?.bomFormat === 'CycloneDX', 'bomFormat must be "CycloneDX"');
+        check(bom?.specVersion === CYCLONEDX_SPEC_VERSION, `specVersion must be "${CYCLONEDX_SPEC_VERSION}"`);
+        check(/^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(bom?.serialNumber || ''),
+            'serialNumber must be a urn:uuid');
+        check(Number.isInteger(bom?.version) && bom.version >= 1, 'version must be a positive integer');
+
+        const refs = new Set();
+        const addRef = (ref, label) => {
+            if (ref === undefined) return;
+            check(typeof ref === 'string' && ref.length > 0, `${label}: bom-ref must be a non-empty string`);
+            check(!refs.has(ref), `${label}: duplicate bom-ref "${ref}"`);
+            refs.add(ref);
+        };
+        addRef(bom?.metadata?.component?.['bom-ref'], 'metadata.component');
+
+        for (const [index, service] of (Array.isArray(bom?.services) ? bom.services : []).entries()) {
+            const label = `services[${index}]`;
+            check(typeof service.name === 'string' && service.name.length > 0, `${label}: missing required property "name"`);
+            addRef(service['bom-ref'], label);
+            check(service.provider === undefined || typeof service.provider.name === 'string', `${label}: provider must have a name`);
+
+            for (const endpoint of service.endpoints || []) {
+                check(/^[a-z][a-z0-9+.-]*:\/\/[^\s/]+/i.test(endpoint), `${label}: endpoint "${endpoint}" is not an IRI`);
+            }
+            for (const flow of service.data || []) {
+                check(CYCLONEDX_DATA_FLOW_DIRECTIONS.includes(flow.flow), `${label}: data flow "${flow.flow}" is not a valid direction`);
+                check(typeof flow.classification === 'string' && flow.classification.length > 0, `${label}: data flow needs a classification`);
+            }
+            for (const property of service.properties || []) {
+                check(typeof property.name === 'string' && typeof property.value === 'string', `${label}: properties must be name/value strings`);
+            }
+        }
+
+        for (const dependency of bom?.dependencies || []) {
+            check(refs.has(dependency.ref), `dependency ref "${dependency.ref}" is not in the BOM`);
+            for (const ref of dependency.dependsOn || []) {
+                check(refs.has(ref), `dependsOn ref "${ref}" is not in the BOM`);
+            }
+        }
+
+        return errors;
+    }
+}
@@ -2,11 +2,13 @@
 class DataProcessor {
     constructor() {
         this.processedData = {
+            domain: null,
             services: new Map(),
             subdomains: new Map(),
             redirectsToMain: [],
             historicalRecords: [],
-            dnsRecords: []
+            dnsRecords: [],
+            drift: null
         };
     }
 
@@ -14,6 +16,7 @@ class DataProcessor {
     processAnalysisResults(mainDomainResults, subdomainResults, historicalRecords, dnsRecords = []) {
         // Clear previous data
         this.clearProcessedData();
+        this.processedData.domain = mainDomainResults?.domain || null;
 
         // Process main domain services
         if (mainDomainResults?.services) {
@@ -58,9 +61,11 @@ class DataProcessor {
                 });
             } else if (this.isHistoricalSubdomain(subdomain)) {
                 // Subdomain with no DNS records - categorize as historical
+                const sources = subdomain.sources || ['discovery'];
                 historicalSubdomains.push({
                     subdomain: subdomain.subdomain,
-                    sources: subdomain.sources || ['discovery'],
+                    source: sources.join(', '),
+                    sources,
                     discoveredAt: subdomain.discoveredAt || new Date(),
                     status: 'historical'
                 });
@@ -103,6 +108,7 @@ class DataProcessor {
             vendor: (subdomain.vendor && typeof subdomain.vendor === 'object') ? 
                 subdomain.vendor : { vendor: 'Unknown', category: 'Unknown' },
             takeover: subdomain.takeover || null,
+            delegation: subdomain.delegation || null,
             // FIXED: Keep ASN info for sovereignty analysis
             asnInfo: subdomain.asnInfo || null,
             status: 'analyzed'
@@ -224,6 +230,11 @@ class DataProcessor {
             existing.takeover = newData.takeover;
         }
         
+        // Update NS delegation info
+        if (newData.delegation) {
+            existing.delegation = newData.delegation;
+        }
+        
         // Merge records
         if (newData.records) {
             existing.records = { ...existing.records, ...newData.records };
@@ -791,6 +802,7 @@ class DataProcessor {
     // Get processed data
     getProcessedData() {
         return {
+            domain: this.processedData.domain,
             services: this.processedData.services,
             subdomains: this.processedData.subdomains,
             redirectsToMain: this.processedData.redirectsToMain,
@@ -801,11 +813,25 @@ class DataProcessor {
 
     // Clear all processed data
     clearProcessedData() {
+        this.processedData.domain = null;
         this.processedData.services.clear();
         this.processedData.subdomains.clear();
         this.processedData.redirectsToMain = [];
         this.processedData.historicalRecords = [];
         this.processedData.dnsRecords = [];
+        this.processedData.drift = null;
+    }
+
+    // Load previously processed data (e.g. an imported JSON export) so the lookup helpers work without re-scanning
+    restoreProcessedData(processedData) {
+        this.clearProcessedData();
+        this.processedData.domain = processedData.domain || null;
+        processedData.services.forEach((service, key) => this.processedData.services.set(key, service));
+        processedData.subdomains.forEach((subdomain, key) => this.processedData.subdomains.set(key, subdomain));
+        this.processedData.redirectsToMain = processedData.redirectsToMain || [];
+        this.processedData.historicalRecords = processedData.historicalRecords || [];
+        this.processedData.dnsRecords = processedData.dnsRecords || [];
+        this.processedData.drift = processedData.drift || null;
     }
 
     // Group subdomains by provider (for display)
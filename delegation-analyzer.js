@@ -0,0 +1,170 @@
+// Delegation Analyzer - Finds lame and dangling NS delegations for discovered subdomains
+// Per-nameserver answers come from the worker's /api/delegation check (parent referral plus an SOA query
+// to each delegated server); without the worker only what recursive resolvers expose can be used
+
+const DELEGATION_RESOLVER_FAILURES = { 2: 'SERVFAIL', 5: 'REFUSED' };
+const DELEGATION_SERVER_STATUSES = {
+    authoritative: 'answers authoritatively',
+    'not-authoritative': 'answers without the AA flag',
+    refused: 'refuses queries for the zone',
+    servfail: 'returns SERVFAIL',
+    'nxdomain-answer': 'says the zone does not exist',
+    unreachable: 'is unreachable',
+    nxdomain: 'does not exist (its domain may be registrable)',
+    unresolvable: 'has no address',
+    resolves: 'resolves (authority not verified)'
+};
+
+class DelegationAnalyzer {
+    constructor(dnsAnalyzer, signatures) {
+        this.dnsAnalyzer = dnsAnalyzer;
+        this.signatures = signatures;
+    }
+
+    // Analyze one subdomain - returns null when it isn't delegated, otherwise the delegation and its findings
+    async analyze(subdomain) {
+        const owner = subdomain.toLowerCase().replace(/\.$/, '');
+        const response = await this.dnsAnalyzer.queryDNSResponse(owner, 'NS');
+        const resolverFailure = DELEGATION_RESOLVER_FAILURES[response?.Status] || null;
+        const resolverNameservers = (response?.Answer || [])
+            .filter(record => record.type === DNS_RECORD_TYPES.NS && record.name.toLowerCase().replace(/\.$/, '') === owner)
+            .map(record => record.data.toLowerCase().replace(/\.$/, ''));
+
+        // Resolvers answer with an NS set for a working delegation and fail for a lame one
+        if (resolverNameservers.length === 0 && !resolverFailure) {
+            return null;
+        }
+
+        console.log(`🔀 Checking NS delegation for ${owner}${resolverFailure ? ` (resolvers: ${resolverFailure})` : ''}`);
+
+        const delegation = {
+            subdomain: owner,
+            nameservers: resolverNameservers,
+            servers: [],
+            resolverStatus: resolverFailure || 'NOERROR',
+            source: 'resolver',
+            provider: null,
+            findings: []
+        };
+
+        const check = await this.fetchDelegationCheck(owner);
+        if (check) {
+            // The parent holds no delegation - a resolver failure has some other cause
+            if (!check.delegated) return null;
+            delegation.source = 'authoritative';
+            delegation.parent = check.parent;
+            delegation.nameservers = check.nameservers.map(server => server.host);
+            delegation.servers = check.nameservers;
+        } else {
+            for (const host of delegation.nameservers) {
+                const address = await this.dnsAnalyzer.queryDNSResponse(host, 'A');
+                const resolves = (address?.Answer || []).some(record => record.type === DNS_RECORD_TYPES.A);
+                delegation.servers.push({
+                    host,
+                    status: address?.Status === 3 ? 'nxdomain' : resolves ? 'resolves' : 'unresolvable'
+                });
+            }
+        }
+
+        const match = this.signatures.matchTakeoverNameservers(delegation.nameservers);
+        if (match) {
+            delegation.provider = { name: match.fingerprint.name, status: match.fingerprint.status };
+        }
+
+        delegation.findings = this.buildFindings(delegation);
+        return delegation;
+    }
+
+    // Worker delegation check, recorded/replayed through the fixture store - null when unavailable
+    async fetchDelegationCheck(name) {
+        try {
+            return await this.dnsAnalyzer.fixtures.wrap('delegation', name, async () => {
+                const apiClient = this.dnsAnalyzer.getAPIClient();
+                if (!apiClient) {
+                    throw new Error('Delegation checks need the worker');
+                }
+                return await apiClient.checkDelegation(name);
+            });
+        } catch (error) {
+            console.log(`  ℹ️  Authoritative delegation check unavailable for ${name} (${error.message}) - using resolver answers`);
+            return null;
+        }
+    }
+
+    // Lame (no server answers) and dangling (re-claimable provider) delegations are high risk;
+    // a partially lame delegation is medium unless a nameserver host doesn't exist at all; a resolver failure the
+    // worker could not check is only reported as indeterminate
+    buildFindings(delegation) {
+        const findings = [];
+        const { subdomain, servers, provider } = delegation;
+        const authoritative = delegation.source === 'authoritative';
+        const answering = servers.filter(server => ['authoritative', 'resolves'].includes(server.status));
+        const broken = servers.filter(server => !['authoritative', 'resolves'].includes(server.status));
+        const zoneServed = authoritative ?
+            servers.some(server => server.status === 'authoritative') :
+            delegation.resolverStatus === 'NOERROR';
+
+        const evidence = [
+            delegation.nameservers.length > 0 ?
+                `${subdomain} is delegated${delegation.parent ? ` by ${delegation.parent}` : ''} to ${delegation.nameservers.join(', ')}` :
+                `${subdomain} is delegated, but resolvers do not list its nameservers`,
+            ...servers.map(server => `${server.host}${server.ip ? ` (${server.ip})` : ''} ${DELEGATION_SERVER_STATUSES[server.status] || server.status}`)
+        ];
+        if (delegation.resolverStatus !== 'NOERROR') {
+            evidence.push(`Resolvers return ${delegation.resolverStatus} for ${subdomain}`);
+        }
+
+        if (!zoneServed && !authoritative && !(provider && provider.status !== 'not-vulnerable')) {
+            // Resolvers failing is all there is to go on - could be a lame delegation or an outage, so low risk until
+            // the worker's check confirms it (a resolver outage must not fail a CI gate)
+            findings.push({
+                type: 'delegation_indeterminate',
+                risk: 'low',
+                confidence: 'possible',
+                subdomain,
+                nameservers: delegation.nameservers,
+                description: `${subdomain} may be a lame delegation - resolvers return ${delegation.resolverStatus}, but its nameservers could not be checked`,
+                recommendation: `Check the nameservers delegated for ${subdomain} (the 3ptracer worker's delegation check does this), and remove the NS records from the parent zone if none answer for it`,
+                evidence
+            });
+        } else if (!zoneServed) {
+            const reclaimable = provider && provider.status !== 'not-vulnerable';
+            findings.push({
+                type: reclaimable ? 'dangling_ns' : 'lame_delegation',
+                risk: 'high',
+                confidence: authoritative ? 'confirmed' : 'likely',
+                subdomain,
+                service: provider?.name,
+                providerStatus: provider?.status,
+                nameservers: delegation.nameservers,
+                description: reclaimable ?
+                    `${subdomain} is delegated to ${provider.name} nameservers that no longer host the zone - anyone who recreates it there controls ${subdomain}` :
+                    `${subdomain} is delegated to nameservers that do not answer for it (lame delegation)`,
+                recommendation: reclaimable ?
+                    `Remove the NS records for ${subdomain} from the parent zone, or recreate the hosted zone in your own ${provider.name} account` :
+                    `Remove the NS records for ${subdomain} from the parent zone or fix the delegated nameservers`,
+                evidence
+            });
+        } else if (broken.length > 0) {
+            const missingHosts = broken.filter(server => server.status === 'nxdomain');
+            findings.push({
+                type: 'lame_delegation',
+                risk: missingHosts.length > 0 ? 'high' : 'medium',
+                confidence: authoritative || missingHosts.length > 0 ? 'confirmed' : 'likely',
+                subdomain,
+                service: provider?.name,
+                nameservers: delegation.nameservers,
+                description: missingHosts.length > 0 ?
+                    `${subdomain} is delegated to ${missingHosts.map(server => server.host).join(', ')}, which ${missingHosts.length === 1 ? 'does' : 'do'} not exist - registering the nameserver's domain would hijack part of the zone's traffic` :
+                    `${broken.length} of ${servers.length} nameservers for ${subdomain} do not answer authoritatively (partially lame delegation)`,
+                recommendation: `Remove ${broken.map(server => server.host).join(', ')} from the delegation for ${subdomain}`,
+                evidence
+            });
+        }
+
+        if (findings.length > 0) {
+            console.log(`  🔀 ${findings[0].type} on ${subdomain} (${answering.length}/${servers.length} nameservers answering)`);
+        }
+        return findings;
+    }
+}
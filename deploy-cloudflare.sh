@@ -45,20 +45,41 @@ cp style.css dist/
 
 # JavaScript files - Configuration and API
 cp config.js dist/
+cp markup-escape.js dist/
+cp dns-transport.js dist/
 cp api-client.js dist/
 
 # JavaScript files - Core Application  
 cp app.js dist/
 cp dns-analyzer.js dist/
+cp fixture-store.js dist/
+cp scan-history.js dist/
+cp spf-analyzer.js dist/
+cp dmarc-analyzer.js dist/
+cp mail-policy-analyzer.js dist/
+cp dnssec-validator.js dist/
+cp takeover-engine.js dist/
+cp delegation-analyzer.js dist/
+cp discovery-sources.js dist/
 cp service-detection-engine.js dist/
 cp data-processor.js dist/
+cp supply-chain-graph.js dist/
+cp graph-export.js dist/
+cp stix-export.js dist/
+cp cyclonedx-export.js dist/
+cp report-templates.js dist/
+cp report-export.js dist/
 cp ui-renderer.js dist/
 cp analysis-controller.js dist/
+cp batch-analyzer.js dist/
+cp permalink.js dist/
 
 # JavaScript files - Supporting modules
 cp service-registry.js dist/
 cp subdomain-registry.js dist/
 cp export-manager.js dist/
+cp service-signatures.js dist/
+cp signature-database.js dist/
 
 # Add deployment timestamp
 echo "📅 Generating build timestamp..."
@@ -95,18 +116,39 @@ echo "   Frontend files:"
 echo "      - index.html & about.html (main pages)"  
 echo "      - style.css (styles)"
 echo "      - config.js (configuration management)"
+echo "      - dns-transport.js (DoH transport layer)"
+echo "      - markup-escape.js (shared HTML/SVG/XML escaping)"
 echo "      - api-client.js (API abstraction layer)"
 echo "   Core application:"
 echo "      - app.js (main application)"
 echo "      - dns-analyzer.js (DNS analysis engine)"
+echo "      - fixture-store.js (record/replay of upstream responses)"
+echo "      - scan-history.js (scan snapshots and drift detection)"
+echo "      - spf-analyzer.js (SPF include-tree expansion)"
+echo "      - dmarc-analyzer.js (DMARC validation and scoring)"
+echo "      - mail-policy-analyzer.js (MTA-STS, TLS-RPT and BIMI)"
+echo "      - dnssec-validator.js (DNSSEC chain of trust)"
+echo "      - takeover-engine.js (subdomain takeover fingerprints)"
+echo "      - delegation-analyzer.js (lame and dangling NS delegations)"
+echo "      - discovery-sources.js (passive subdomain source registry)"
 echo "      - service-detection-engine.js (service detection)"
 echo "      - data-processor.js (data processing)"
+echo "      - supply-chain-graph.js (supply-chain graph and SVG/PNG export)"
+echo "      - graph-export.js (GraphML, GEXF and Neo4j CSV export)"
+echo "      - stix-export.js (STIX 2.1 bundle export)"
+echo "      - cyclonedx-export.js (CycloneDX services BOM export)"
+echo "      - report-templates.js (default Markdown and HTML report templates)"
+echo "      - report-export.js (templated Markdown and HTML reports)"
 echo "      - ui-renderer.js (UI rendering)"  
 echo "      - analysis-controller.js (analysis coordination)"
+echo "      - batch-analyzer.js (batch queue and portfolio report)"
+echo "      - permalink.js (shareable analysis links)"
 echo "   Supporting modules:"
 echo "      - service-registry.js (service management)"
 echo "      - subdomain-registry.js (subdomain management)"
 echo "      - export-manager.js (export functionality)"
+echo "      - service-signatures.js (default service signature database)"
+echo "      - signature-database.js (signature loader and validation)"
 echo ""
 echo "🌐 Your application should be available at:"
 echo "   https://3ptracer.pages.dev"
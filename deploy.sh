@@ -34,13 +34,34 @@ cp style.css docs/
 # JavaScript files
 cp app.js docs/
 cp dns-analyzer.js docs/
+cp dns-transport.js docs/
+cp markup-escape.js docs/
+cp fixture-store.js docs/
+cp scan-history.js docs/
+cp spf-analyzer.js docs/
+cp dmarc-analyzer.js docs/
+cp mail-policy-analyzer.js docs/
+cp dnssec-validator.js docs/
+cp takeover-engine.js docs/
+cp delegation-analyzer.js docs/
+cp discovery-sources.js docs/
 cp service-detection-engine.js docs/
 cp data-processor.js docs/
+cp supply-chain-graph.js docs/
+cp graph-export.js docs/
+cp stix-export.js docs/
+cp cyclonedx-export.js docs/
+cp report-templates.js docs/
+cp report-export.js docs/
 cp ui-renderer.js docs/
 cp analysis-controller.js docs/
+cp batch-analyzer.js docs/
+cp permalink.js docs/
 cp service-registry.js docs/
 cp subdomain-registry.js docs/
 cp export-manager.js docs/
+cp service-signatures.js docs/
+cp signature-database.js docs/
 
 # Generate release status file with timestamp
 echo "📅 Generating release status..."
@@ -62,13 +83,34 @@ required_files=(
     "style.css"
     "app.js"
     "dns-analyzer.js"
+    "dns-transport.js"
+    "markup-escape.js"
+    "fixture-store.js"
+    "scan-history.js"
+    "spf-analyzer.js"
+    "dmarc-analyzer.js"
+    "mail-policy-analyzer.js"
+    "dnssec-validator.js"
+    "takeover-engine.js"
+    "delegation-analyzer.js"
+    "discovery-sources.js"
     "service-detection-engine.js"
     "data-processor.js"
+    "supply-chain-graph.js"
+    "graph-export.js"
+    "stix-export.js"
+    "cyclonedx-export.js"
+    "report-templates.js"
+    "report-export.js"
     "ui-renderer.js"
     "analysis-controller.js"
+    "batch-analyzer.js"
+    "permalink.js"
     "service-registry.js"
     "subdomain-registry.js"
     "export-manager.js"
+    "service-signatures.js"
+    "signature-database.js"
     "release-status.txt"
     ".nojekyll"
 )
@@ -91,13 +133,34 @@ if [ ${#missing_files[@]} -eq 0 ]; then
     echo "   ⚙️  JavaScript files:"
     echo "      - app.js (main application wrapper)"
     echo "      - analysis-controller.js (orchestrates analysis)"
+    echo "      - batch-analyzer.js (batch queue and portfolio report)"
+    echo "      - permalink.js (shareable analysis links)"
     echo "      - dns-analyzer.js (DNS analysis)"
+    echo "      - dns-transport.js (DoH transports)"
+    echo "      - markup-escape.js (shared HTML/SVG/XML escaping)"
+    echo "      - fixture-store.js (record/replay of upstream responses)"
+    echo "      - scan-history.js (scan snapshots and drift detection)"
+    echo "      - spf-analyzer.js (SPF include-tree expansion)"
+    echo "      - dmarc-analyzer.js (DMARC validation and scoring)"
+    echo "      - mail-policy-analyzer.js (MTA-STS, TLS-RPT and BIMI)"
+    echo "      - dnssec-validator.js (DNSSEC chain of trust)"
+    echo "      - takeover-engine.js (subdomain takeover fingerprints)"
+    echo "      - delegation-analyzer.js (lame and dangling NS delegations)"
+    echo "      - discovery-sources.js (passive subdomain source registry)"
     echo "      - service-detection-engine.js (service detection)"
     echo "      - data-processor.js (data processing)"
+    echo "      - supply-chain-graph.js (supply-chain graph and SVG/PNG export)"
+    echo "      - graph-export.js (GraphML, GEXF and Neo4j CSV export)"
+    echo "      - stix-export.js (STIX 2.1 bundle export)"
+    echo "      - cyclonedx-export.js (CycloneDX services BOM export)"
+    echo "      - report-templates.js (default Markdown and HTML report templates)"
+    echo "      - report-export.js (templated Markdown and HTML reports)"
     echo "      - ui-renderer.js (UI rendering)"
     echo "      - service-registry.js (service management)"
     echo "      - subdomain-registry.js (subdomain management)"
     echo "      - export-manager.js (JSON/PDF/XLSX export functionality)"
+    echo "      - service-signatures.js (default service signature database)"
+    echo "      - signature-database.js (signature loader and validation)"
     echo "   📅 Deployment info:"
     echo "      - release-status.txt (deployment timestamp)"
     echo "      - .nojekyll (disable jekyll processing)"
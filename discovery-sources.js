@@ -0,0 +1,302 @@
+// Discovery Sources - Registry of the passive subdomain sources DNSAnalyzer queries
+// Each source declares its display name, the request it makes (directly, or through the worker's /api/ct/<id> proxy;
+// url may be async when the endpoint has to be looked up first),
+// a rate limit, the worker secrets holding its API key (auth) and a parser that turns the response into host names.
+// Sources that require a key are only queried through the worker - the key never reaches the browser - and are
+// left out of the default selection, like the opt-in sources (optIn: archives returning thousands of historical hosts,
+// most of them long gone, which would each cost a round of DNS lookups).
+// Registration order is the default priority; a scan can enable a subset in any order (see DNSAnalyzer.setDiscoveryOptions).
+// These definitions are the source of truth: worker/passive-sources.js repeats the keyless ones for the worker (which
+// can't load this script) and npm run check:sources fails when the two disagree.
+
+const DISCOVERY_SOURCE_DEFAULT_TIMEOUT = 90000;
+const DISCOVERY_RESPONSE_TYPES = ['json', 'text'];
+
+// Built-in sources - rate limits are per browser tab / CLI process and stay well below the public limits
+const DEFAULT_DISCOVERY_SOURCES = [
+    {
+        id: 'crtsh',
+        name: 'crt.sh',
+        description: 'Certificate Transparency log search',
+        rateLimit: { requests: 1, interval: 2000 }, // one shared database - crt.sh asks clients not to hammer it
+        auth: null,
+        responseType: 'json',
+        url: domain => `https://crt.sh/?q=%25.${encodeURIComponent(domain)}&output=json`,
+        // name_value holds one or more names separated by newlines
+        parse: data => (Array.isArray(data) ? data : [])
+            .flatMap(entry => String(entry.name_value || '').split(/\n|,/))
+    },
+    {
+        id: 'certspotter',
+        name: 'Cert Spotter',
+        description: 'Certificate Transparency monitor (unauthenticated API)',
+        rateLimit: { requests: 1, interval: 1000 },
+        auth: null,
+        responseType: 'json',
+        url: domain => `https://certspotter.com/api/v0/certs?domain=${encodeURIComponent(domain)}`,
+        parse: data => (Array.isArray(data) ? data : []).flatMap(cert => cert.dns_names || [])
+    },
+    {
+        id: 'otx',
+        name: 'OTX AlienVault',
+        description: 'Passive DNS from AlienVault Open Threat Exchange',
+        rateLimit: { requests: 2, interval: 1000 },
+        auth: null,
+        responseType: 'json',
+        url: domain => `https://otx.alienvault.com/api/v1/indicators/domain/${encodeURIComponent(domain)}/passive_dns`,
+        parse: data => (data?.passive_dns || []).map(entry => entry.hostname)
+    },
+    {
+        id: 'hackertarget',
+        name: 'HackerTarget',
+        description: 'Host search (the free API also has a small daily quota)',
+        rateLimit: { requests: 1, interval: 1000 },
+        auth: null,
+        responseType: 'text',
+        url: domain => `https://api.hackertarget.com/hostsearch/?q=${encodeURIComponent(domain)}`,
+        // One "host,ip" line per result
+        parse: data => String(data || '').split('\n').map(line => line.split(',')[0])
+    },
+    {
+        id: 'wayback',
+        name: 'Wayback Machine',
+        description: 'Hosts of URLs archived by the Internet Archive (CDX API)',
+        rateLimit: { requests: 1, interval: 4000 }, // the CDX server throttles bursts hard
+        auth: null,
+        optIn: true, // up to 10,000 archived hosts
+        responseType: 'json',
+        url: domain => `https://web.archive.org/cdx/search/cdx?url=*.${encodeURIComponent(domain)}&output=json&fl=original&collapse=urlkey&limit=10000`,
+        // Rows of [original URL] after a header row
+        parse: data => (Array.isArray(data) ? data.slice(1) : []).map(row => discoveryHostFromURL(row[0]))
+    },
+    {
+        id: 'urlscan',
+        name: 'urlscan.io',
+        description: 'Hosts seen in public urlscan.io scans',
+        rateLimit: { requests: 1, interval: 2000 },
+        auth: { required: false, secrets: ['URLSCAN_API_KEY'] }, // higher quotas with a key
+        responseType: 'json',
+        url: domain => `https://urlscan.io/api/v1/search/?q=${encodeURIComponent(`domain:${domain}`)}&size=1000`,
+        parse: data => (data?.results || []).flatMap(result => [result.page?.domain, result.task?.domain])
+    },
+    {
+        id: 'rapiddns',
+        name: 'RapidDNS',
+        description: 'Subdomain listing from the RapidDNS passive DNS database',
+        rateLimit: { requests: 1, interval: 2000 },
+        auth: null,
+        responseType: 'text',
+        url: domain => `https://rapiddns.io/subdomain/${encodeURIComponent(domain)}?full=1`,
+        // HTML result table - pick the names under the domain out of the page
+        parse: (data, domain) => String(data || '').match(new RegExp(`[a-z0-9_.-]+\\.${domain.replace(/\./g, '\\.')}`, 'gi')) || []
+    },
+    {
+        id: 'anubis',
+        name: 'Anubis',
+        description: 'Anubis subdomain database (jldc.me)',
+        rateLimit: { requests: 1, interval: 1000 },
+        auth: null,
+        responseType: 'json',
+        url: domain => `https://jldc.me/anubis/subdomains/${encodeURIComponent(domain)}`,
+        parse: data => (Array.isArray(data) ? data : [])
+    },
+    {
+        id: 'commoncrawl',
+        name: 'CommonCrawl',
+        description: 'Hosts of URLs in the latest Common Crawl index',
+        rateLimit: { requests: 1, interval: 2000 },
+        auth: null,
+        optIn: true, // up to 10,000 crawled hosts
+        responseType: 'text',
+        // The index is per crawl - collinfo.json lists them newest first
+        url: async domain => {
+            const response = await fetch('https://index.commoncrawl.org/collinfo.json');
+            if (!response.ok) {
+                throw new Error(`Common Crawl index list unavailable (${response.status})`);
+            }
+            const [latest] = await response.json();
+            return `${latest['cdx-api']}?url=*.${encodeURIComponent(domain)}&output=json&fl=url&limit=10000`;
+        },
+        // One JSON object per line
+        parse: data => String(data || '').split('\n').filter(line => line.trim()).map(line => {
+            try {
+                return discoveryHostFromURL(JSON.parse(line).url);
+            } catch {
+                return null;
+            }
+        })
+    },
+    // Keyed sources - the worker queries the API with its secret and answers { subdomains: [...] } (worker/keyed-sources.js)
+    {
+        id: 'securitytrails',
+        name: 'SecurityTrails',
+        description: 'SecurityTrails subdomain list',
+        rateLimit: { requests: 1, interval: 1000 },
+        auth: { required: true, secrets: ['SECURITYTRAILS_API_KEY'] },
+        responseType: 'json',
+        parse: data => data?.subdomains || []
+    },
+    {
+        id: 'virustotal',
+        name: 'VirusTotal',
+        description: 'VirusTotal domain relations (subdomains)',
+        rateLimit: { requests: 4, interval: 60000 }, // free API tier
+        auth: { required: true, secrets: ['VIRUSTOTAL_API_KEY'] },
+        responseType: 'json',
+        parse: data => data?.subdomains || []
+    },
+    {
+        id: 'shodan',
+        name: 'Shodan',
+        description: 'Shodan DNS domain data',
+        rateLimit: { requests: 1, interval: 1000 },
+        auth: { required: true, secrets: ['SHODAN_API_KEY'] },
+        responseType: 'json',
+        parse: data => data?.subdomains || []
+    },
+    {
+        id: 'censys',
+        name: 'Censys',
+        description: 'Names on certificates in Censys search',
+        rateLimit: { requests: 1, interval: 2500 },
+        auth: { required: true, secrets: ['CENSYS_API_ID', 'CENSYS_API_SECRET'] },
+        responseType: 'json',
+        parse: data => data?.subdomains || []
+    }
+];
+
+// Host part of a URL as archived (the scheme is sometimes missing)
+function discoveryHostFromURL(url) {
+    return String(url || '').replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split(/[/:?#]/)[0];
+}
+
+class DiscoverySourceRegistry {
+    constructor(sources = DEFAULT_DISCOVERY_SOURCES) {
+        this.sources = new Map();
+        this.rateLimiters = new Map();
+        sources.forEach(source => this.register(source));
+    }
+
+    // Registry shared by every analyzer (and with it the per-source rate limits)
+    static getDefault() {
+        if (!DiscoverySourceRegistry.defaultInstance) {
+            DiscoverySourceRegistry.defaultInstance = new DiscoverySourceRegistry();
+        }
+        return DiscoverySourceRegistry.defaultInstance;
+    }
+
+    // Validate a source definition - returns a list of errors (empty when valid)
+    static validate(source) {
+        const errors = [];
+        const isString = value => typeof value === 'string' && value.trim().length > 0;
+
+        if (!isString(source?.id) || !/^[a-z0-9-]+$/.test(source.id)) {
+            errors.push('id must be lowercase letters, digits and dashes');
+        }
+        if (!isString(source?.name)) errors.push('name must be a non-empty string');
+        // Sources that require a key are worker-only and have no direct URL
+        if (typeof source?.url !== 'function' && !source?.auth?.required) errors.push('url must be a function of the domain');
+        if (typeof source?.parse !== 'function') errors.push('parse must be a function returning host names');
+        if (source?.responseType !== undefined && !DISCOVERY_RESPONSE_TYPES.includes(source.responseType)) {
+            errors.push(`responseType must be one of: ${DISCOVERY_RESPONSE_TYPES.join(', ')}`);
+        }
+
+        const rateLimit = source?.rateLimit;
+        if (!(rateLimit?.requests > 0) || !(rateLimit?.interval > 0)) {
+            errors.push('rateLimit needs positive requests and interval (ms)');
+        }
+        if (source?.auth !== null && source?.auth !== undefined &&
+            (typeof source.auth.required !== 'boolean' || !Array.isArray(source.auth.secrets) ||
+                source.auth.secrets.length === 0 || !source.auth.secrets.every(isString))) {
+            errors.push('auth must be null or { required, secrets } (the worker secrets holding the key)');
+        }
+        if (source?.timeout !== undefined && !(source.timeout > 0)) errors.push('timeout must be a positive number of ms');
+        if (source?.optIn !== undefined && typeof source.optIn !== 'boolean') errors.push('optIn must be a boolean');
+
+        return errors;
+    }
+
+    // Add a source (or replace one with the same id) - new sources go last in the default priority
+    register(source) {
+        const errors = DiscoverySourceRegistry.validate(source);
+        if (errors.length > 0) {
+            throw new Error(`Invalid discovery source ${source?.id || '(no id)'}: ${errors.join('; ')}`);
+        }
+
+        this.sources.set(source.id, {
+            ...source,
+            description: source.description ?? '',
+            auth: source.auth ?? null,
+            optIn: source.optIn ?? false,
+            responseType: source.responseType ?? 'json',
+            timeout: source.timeout ?? DISCOVERY_SOURCE_DEFAULT_TIMEOUT
+        });
+        this.rateLimiters.delete(source.id);
+        return this.sources.get(source.id);
+    }
+
+    has(id) {
+        return this.sources.has(id);
+    }
+
+    get(id) {
+        return this.sources.get(id) || null;
+    }
+
+    // Sources in default priority order
+    list() {
+        return Array.from(this.sources.values());
+    }
+
+    // Whether a source is part of the default selection (needs no key and is not opt-in)
+    static isDefault(source) {
+        return !source.auth?.required && !source.optIn;
+    }
+
+    // Sources for one scan - the given ids in that (priority) order, or the default selection; throws on unknown ids
+    resolve(ids = null) {
+        if (!ids) return this.list().filter(source => DiscoverySourceRegistry.isDefault(source));
+
+        const unknown = ids.filter(id => !this.sources.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown discovery source: ${unknown.join(', ')} (known: ${Array.from(this.sources.keys()).join(', ')})`);
+        }
+        return Array.from(new Set(ids)).map(id => this.sources.get(id));
+    }
+
+    // Wait for the source's rate limit (created lazily - RateLimiter is defined in dns-analyzer.js)
+    async throttle(id) {
+        if (!this.rateLimiters.has(id)) {
+            const { requests, interval } = this.sources.get(id).rateLimit;
+            this.rateLimiters.set(id, new RateLimiter(requests, interval));
+        }
+        await this.rateLimiters.get(id).throttle();
+    }
+
+    // Direct request for a source (the worker proxy is tried first by APIClient.queryCT) - the caller waits for the
+    // rate limit (DNSAnalyzer.querySource), so a worker attempt and its direct fallback count as one request
+    async fetchDirect(source, domain) {
+        if (source.auth?.required) {
+            throw new Error(`${source.name} is only available through the 3ptracer worker (its API key is a worker secret)`);
+        }
+
+        const response = await fetch(await source.url(domain), {
+            method: 'GET',
+            headers: {
+                'Accept': source.responseType === 'text' ? 'text/plain' : 'application/json'
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`Service unavailable (${response.status})`);
+        }
+        return source.responseType === 'text' ? await response.text() : await response.json();
+    }
+
+    // Host names under domain from a source response - wildcards, the domain itself and foreign names are dropped
+    static extractSubdomains(source, data, domain) {
+        return source.parse(data, domain)
+            .filter(name => typeof name === 'string')
+            .map(name => name.trim().toLowerCase())
+            .filter(name => name && !name.startsWith('*.') && name !== domain && name.endsWith(`.${domain}`));
+    }
+}
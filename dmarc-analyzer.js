@@ -0,0 +1,353 @@
+// DMARC Analyzer - Parses every RFC 7489 tag, validates the record, checks that external report
+// destinations authorize the domain (RFC 7489 7.1) and grades the policy from its findings
+
+const DMARC_POLICIES = ['none', 'quarantine', 'reject'];
+const DMARC_ALIGNMENT_MODES = ['r', 's'];
+const DMARC_FAILURE_OPTIONS = ['0', '1', 'd', 's'];
+const DMARC_REPORT_FORMATS = ['afrf', 'iodef'];
+// RFC 7489 tags, plus the DMARCbis additions that receivers already understand
+const DMARC_KNOWN_TAGS = ['v', 'p', 'sp', 'pct', 'adkim', 'aspf', 'fo', 'ri', 'rf', 'rua', 'ruf', 'np', 'psd', 't'];
+const DMARC_RISK_PENALTIES = { high: 40, medium: 20, low: 5 };
+
+class DMARCAnalyzer {
+    constructor(dnsAnalyzer) {
+        this.dnsAnalyzer = dnsAnalyzer;
+    }
+
+    // Parse a DMARC record into its tags, applying RFC 7489 defaults - syntax problems are collected in errors
+    static parse(dmarcData) {
+        const raw = DMARCAnalyzer.normalizeTXT(dmarcData);
+        const parsed = {
+            raw: raw,
+            p: null,
+            sp: null,
+            pct: 100,
+            adkim: 'r',
+            aspf: 'r',
+            fo: ['0'],
+            ri: 86400,
+            rf: ['afrf'],
+            rua: [],
+            ruf: [],
+            explicitTags: [],
+            unknownTags: [],
+            errors: []
+        };
+
+        const tags = raw.split(';').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        tags.forEach((tag, index) => {
+            const separator = tag.indexOf('=');
+            if (separator === -1) {
+                parsed.errors.push(`Malformed tag "${tag}" (expected name=value)`);
+                return;
+            }
+
+            const name = tag.slice(0, separator).trim().toLowerCase();
+            const value = tag.slice(separator + 1).trim();
+
+            if (index === 0 && name !== 'v') {
+                parsed.errors.push('v=DMARC1 must be the first tag');
+            }
+            if (parsed.explicitTags.includes(name)) {
+                parsed.errors.push(`Duplicate ${name} tag`);
+                return;
+            }
+            parsed.explicitTags.push(name);
+
+            switch (name) {
+                case 'v':
+                    if (value.toUpperCase() !== 'DMARC1') parsed.errors.push(`Unsupported version v=${value}`);
+                    break;
+                case 'p':
+                case 'sp':
+                    if (DMARC_POLICIES.includes(value.toLowerCase())) {
+                        parsed[name] = value.toLowerCase();
+                    } else {
+                        parsed.errors.push(`Invalid ${name}=${value} (expected ${DMARC_POLICIES.join(', ')})`);
+                    }
+                    break;
+                case 'pct':
+                    if (/^\d{1,3}$/.test(value) && parseInt(value, 10) <= 100) {
+                        parsed.pct = parseInt(value, 10);
+                    } else {
+                        parsed.errors.push(`Invalid pct=${value} (expected 0-100)`);
+                    }
+                    break;
+                case 'adkim':
+                case 'aspf':
+                    if (DMARC_ALIGNMENT_MODES.includes(value.toLowerCase())) {
+                        parsed[name] = value.toLowerCase();
+                    } else {
+                        parsed.errors.push(`Invalid ${name}=${value} (expected r or s)`);
+                    }
+                    break;
+                case 'fo': {
+                    const options = value.toLowerCase().split(':').map(option => option.trim());
+                    const invalid = options.filter(option => !DMARC_FAILURE_OPTIONS.includes(option));
+                    if (invalid.length === 0) {
+                        parsed.fo = options;
+                    } else {
+                        parsed.errors.push(`Invalid fo=${value} (expected ${DMARC_FAILURE_OPTIONS.join(', ')} separated by ":")`);
+                    }
+                    break;
+                }
+                case 'ri':
+                    if (/^\d+$/.test(value)) {
+                        parsed.ri = parseInt(value, 10);
+                    } else {
+                        parsed.errors.push(`Invalid ri=${value} (expected seconds)`);
+                    }
+                    break;
+                case 'rf': {
+                    const formats = value.toLowerCase().split(':').map(format => format.trim());
+                    const invalid = formats.filter(format => !DMARC_REPORT_FORMATS.includes(format));
+                    if (invalid.length === 0) {
+                        parsed.rf = formats;
+                    } else {
+                        parsed.errors.push(`Invalid rf=${value} (expected afrf)`);
+                    }
+                    break;
+                }
+                case 'rua':
+                case 'ruf':
+                    parsed[name] = DMARCAnalyzer.parseReportURIs(value, name, parsed.errors);
+                    break;
+                default:
+                    if (!DMARC_KNOWN_TAGS.includes(name)) {
+                        parsed.unknownTags.push(name);
+                    }
+            }
+        });
+
+        if (!parsed.explicitTags.includes('v')) {
+            parsed.errors.push('Missing v=DMARC1 tag');
+        }
+        if (!parsed.explicitTags.includes('p')) {
+            parsed.errors.push('Missing required p tag');
+            // RFC 7489 6.6.3: a record with a valid rua but no p is treated as p=none
+            if (parsed.rua.length > 0) parsed.p = 'none';
+        }
+        if (!parsed.sp) {
+            parsed.sp = parsed.p;
+        }
+
+        return parsed;
+    }
+
+    // Parse a comma-separated rua/ruf list (mailto:user@domain!10m)
+    static parseReportURIs(value, tag, errors) {
+        const destinations = [];
+
+        for (const entry of value.split(',').map(uri => uri.trim()).filter(uri => uri.length > 0)) {
+            const match = entry.match(/^mailto:([^!]+)(?:!(\d+[kmgt]?))?$/i);
+            if (!match || !match[1].includes('@')) {
+                errors.push(`Invalid ${tag} URI "${entry}" (expected mailto:address)`);
+                continue;
+            }
+
+            const email = match[1].toLowerCase();
+            destinations.push({
+                uri: entry,
+                email: email,
+                domain: email.split('@')[1],
+                sizeLimit: match[2] || null
+            });
+        }
+
+        return destinations;
+    }
+
+    // TXT answers may arrive quoted and split into several strings
+    static normalizeTXT(data) {
+        const text = (data || '').trim();
+        if (!text.startsWith('"')) return text;
+        return text.replace(/"\s+"/g, '').replace(/^"|"$/g, '');
+    }
+
+    // Parse, authorize and grade the DMARC policy of a domain
+    async analyze(domain, dmarcRecords) {
+        console.log(`📧 Analyzing DMARC policy for ${domain}`);
+
+        const findings = [];
+        const records = (dmarcRecords || []).map(record => DMARCAnalyzer.normalizeTXT(record.data));
+
+        if (records.length === 0) {
+            return null;
+        }
+
+        if (records.length > 1) {
+            findings.push({
+                type: 'dmarc_multiple_records',
+                risk: 'high',
+                description: `${records.length} DMARC records published - receivers ignore DMARC entirely`,
+                recommendation: 'Publish a single v=DMARC1 record at _dmarc.' + domain,
+                record: records.join(' | ')
+            });
+        }
+
+        const parsed = DMARCAnalyzer.parse(records[0]);
+        const destinations = await this.checkReportDestinations(domain, parsed);
+
+        findings.push(...this.gradePolicy(domain, parsed, destinations));
+
+        const score = DMARCAnalyzer.scoreFindings(findings);
+        console.log(`✅ DMARC for ${domain}: p=${parsed.p || 'missing'}, score ${score.score} (${score.grade}), ${findings.length} findings`);
+
+        return {
+            domain: domain,
+            record: records[0],
+            parsed: parsed,
+            destinations: destinations,
+            findings: findings,
+            score: score.score,
+            grade: score.grade
+        };
+    }
+
+    // Check every external rua/ruf destination for a <domain>._report._dmarc.<destination> authorization record
+    async checkReportDestinations(domain, parsed) {
+        const destinations = [];
+        const authorizationCache = new Map();
+
+        const reports = [
+            ...parsed.rua.map(destination => ({ ...destination, type: 'aggregate' })),
+            ...parsed.ruf.map(destination => ({ ...destination, type: 'forensic' }))
+        ];
+
+        for (const destination of reports) {
+            const external = !this.isSameOrganization(domain, destination.domain);
+            const entry = { ...destination, external: external, authorized: null, authorizationRecord: null };
+
+            if (external) {
+                if (!authorizationCache.has(destination.domain)) {
+                    authorizationCache.set(destination.domain, await this.queryAuthorization(domain, destination.domain));
+                }
+                Object.assign(entry, authorizationCache.get(destination.domain));
+            }
+
+            destinations.push(entry);
+        }
+
+        return destinations;
+    }
+
+    // Query the external destination's authorization record (a wildcard *._report._dmarc also matches)
+    // authorized stays null (unknown) when the lookup fails - only an answered lookup can show a missing authorization
+    async queryAuthorization(domain, destinationDomain) {
+        const authorizationRecord = `${domain}._report._dmarc.${destinationDomain}`;
+
+        try {
+            const answers = await this.dnsAnalyzer.lookupDNS(authorizationRecord, 'TXT');
+            const authorized = (answers || [])
+                .filter(answer => answer.type === DNS_RECORD_TYPES.TXT)
+                .some(answer => /^v=dmarc1(\s*;|\s*$)/i.test(DMARCAnalyzer.normalizeTXT(answer.data)));
+            return { authorized: authorized, authorizationRecord: authorizationRecord };
+        } catch (error) {
+            console.warn(`⚠️ DMARC authorization lookup failed for ${authorizationRecord}:`, error.message);
+            return { authorized: null, authorizationRecord: authorizationRecord };
+        }
+    }
+
+    // Without a public suffix list, a destination under (or above) the analyzed domain counts as internal
+    isSameOrganization(domain, destinationDomain) {
+        const a = domain.toLowerCase();
+        const b = (destinationDomain || '').toLowerCase();
+        return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+    }
+
+    // Turn the parsed policy into issue objects graded by risk
+    gradePolicy(domain, parsed, destinations) {
+        const findings = [];
+        const record = parsed.raw;
+
+        parsed.errors.forEach(error => {
+            findings.push({
+                type: 'dmarc_syntax_error',
+                risk: error.startsWith('Invalid rua') || error.startsWith('Invalid ruf') ? 'medium' : 'high',
+                description: `DMARC syntax error: ${error}`,
+                recommendation: 'Fix the DMARC record - receivers may ignore an invalid policy',
+                record: record
+            });
+        });
+
+        if (parsed.unknownTags.length > 0) {
+            findings.push({
+                type: 'dmarc_unknown_tag',
+                risk: 'low',
+                description: `Unknown DMARC tag${parsed.unknownTags.length === 1 ? '' : 's'}: ${parsed.unknownTags.join(', ')} - receivers ignore ${parsed.unknownTags.length === 1 ? 'it' : 'them'}`,
+                recommendation: 'Remove or correct the unknown tags',
+                record: record
+            });
+        }
+
+        if (parsed.p === 'none') {
+            findings.push({
+                type: 'weak_dmarc',
+                risk: 'medium',
+                description: 'Weak DMARC policy - monitor only',
+                recommendation: 'Consider stronger DMARC policy (quarantine or reject)',
+                record: record
+            });
+        }
+
+        if (parsed.p && parsed.p !== 'none' && parsed.pct < 100) {
+            findings.push({
+                type: 'dmarc_partial_enforcement',
+                risk: 'medium',
+                description: `DMARC pct=${parsed.pct} - the ${parsed.p} policy applies to only ${parsed.pct}% of failing mail`,
+                recommendation: 'Raise pct to 100 once reports show legitimate mail passes',
+                record: record
+            });
+        }
+
+        if (parsed.p && parsed.p !== 'none' && parsed.sp === 'none') {
+            findings.push({
+                type: 'dmarc_weak_subdomain_policy',
+                risk: 'medium',
+                description: `DMARC sp=none - subdomains of ${domain} can be spoofed despite p=${parsed.p}`,
+                recommendation: 'Set sp=quarantine or sp=reject, or remove sp so subdomains inherit p',
+                record: record
+            });
+        } else if (parsed.p && parsed.p !== 'none' && !parsed.explicitTags.includes('sp')) {
+            findings.push({
+                type: 'dmarc_missing_subdomain_policy',
+                risk: 'low',
+                description: `No DMARC sp tag - subdomains of ${domain} silently inherit p=${parsed.p}`,
+                recommendation: 'Set sp explicitly so the subdomain policy is a deliberate choice',
+                record: record
+            });
+        }
+
+        if (parsed.rua.length === 0) {
+            findings.push({
+                type: 'dmarc_no_aggregate_reports',
+                risk: 'low',
+                description: 'No DMARC aggregate reporting (rua) - spoofing attempts and misconfigured senders go unnoticed',
+                recommendation: `Add rua=mailto:dmarc-reports@${domain} or a DMARC reporting service`,
+                record: record
+            });
+        }
+
+        destinations
+            .filter(destination => destination.external && destination.authorized === false)
+            .forEach(destination => {
+                findings.push({
+                    type: 'dmarc_unauthorized_report_destination',
+                    risk: 'medium',
+                    description: `DMARC ${destination.type} reports go to ${destination.email}, but ${destination.domain} has not authorized ${domain} - receivers will not send these reports`,
+                    recommendation: `Publish "v=DMARC1" at ${destination.authorizationRecord} or remove the destination`,
+                    record: destination.uri
+                });
+            });
+
+        return findings;
+    }
+
+    // Score the policy from 100 down by finding risk, with a letter grade for display
+    static scoreFindings(findings) {
+        const penalty = findings.reduce((sum, finding) => sum + (DMARC_RISK_PENALTIES[finding.risk] || 0), 0);
+        const score = Math.max(0, 100 - penalty);
+        const grade = score >= 90 ? 'A' : score >= 75 ? 'B' : score >= 60 ? 'C' : score >= 40 ? 'D' : 'F';
+        return { score, grade };
+    }
+}
@@ -0,0 +1,498 @@
+// DNS Transport Layer - Pluggable DNS over HTTPS clients (JSON dialect and RFC 8484 wire format)
+// Every transport resolves to the same response shape as the JSON DoH APIs:
+// { Status, TC, RD, RA, AD, CD, Question: [...], Answer: [{ name, type, TTL, data }], Authority: [...] }
+
+// DNS record type codes (RFC 1035, RFC 3596, RFC 2782, RFC 4034, RFC 8659)
+const DNS_RECORD_TYPES = {
+    A: 1,
+    NS: 2,
+    CNAME: 5,
+    SOA: 6,
+    PTR: 12,
+    MX: 15,
+    TXT: 16,
+    AAAA: 28,
+    SRV: 33,
+    DNAME: 39,
+    OPT: 41,
+    DS: 43,
+    RRSIG: 46,
+    NSEC: 47,
+    DNSKEY: 48,
+    CAA: 257
+};
+
+// Built-in DoH providers - 'json' speaks application/dns-json, 'wire' speaks application/dns-message
+// worker: the worker's /api/dns proxy serves this provider (worker/index.js handleDNSQuery), the rest are queried directly
+const DNS_PROVIDERS = {
+    google: { url: 'https://dns.google/resolve', format: 'json', dnssecOk: true, worker: true },
+    cloudflare: { url: 'https://cloudflare-dns.com/dns-query', format: 'json', worker: true },
+    quad9: { url: 'https://dns.quad9.net:5053/dns-query', format: 'json', worker: true },
+    powerdns: { url: 'https://doh.powerdns.org/dns-query', format: 'wire' },
+    alidns: { url: 'https://dns.alidns.com/resolve', format: 'json' },
+    dohpub: { url: 'https://doh.pub/dns-query', format: 'json' }
+};
+
+// RFC 1035 wire format encoder/decoder
+class DNSWireFormat {
+    // Convert a record type name (or number) to its numeric code
+    static getTypeCode(type) {
+        if (typeof type === 'number') return type;
+        const upperType = String(type || 'A').toUpperCase();
+        if (DNS_RECORD_TYPES[upperType]) return DNS_RECORD_TYPES[upperType];
+        const genericMatch = upperType.match(/^TYPE(\d+)$/);
+        if (genericMatch) return parseInt(genericMatch[1], 10);
+        throw new Error(`Unsupported DNS record type: ${type}`);
+    }
+
+    // Convert a numeric record type to its name
+    static getTypeName(typeCode) {
+        for (const [name, code] of Object.entries(DNS_RECORD_TYPES)) {
+            if (code === typeCode) return name;
+        }
+        return `TYPE${typeCode}`;
+    }
+
+    // Build a query message (ID 0 per RFC 8484 so GET responses stay cacheable)
+    static encodeQuery(domain, type = 'A', options = {}) {
+        const { id = 0, dnssecOk = false, recursionDesired = true } = options;
+        const bytes = [];
+        const push16 = (value) => bytes.push((value >> 8) & 0xff, value & 0xff);
+
+        // Header
+        push16(id);
+        push16(recursionDesired ? 0x0100 : 0x0000);
+        push16(1); // QDCOUNT
+        push16(0); // ANCOUNT
+        push16(0); // NSCOUNT
+        push16(1); // ARCOUNT (EDNS0 OPT record)
+
+        // Question
+        const labels = domain.replace(/\.$/, '').split('.').filter(label => label.length > 0);
+        for (const label of labels) {
+            if (label.length > 63) {
+                throw new Error(`DNS label too long in ${domain}`);
+            }
+            bytes.push(label.length);
+            for (let i = 0; i < label.length; i++) {
+                bytes.push(label.charCodeAt(i) & 0xff);
+            }
+        }
+        bytes.push(0);
+        push16(this.getTypeCode(type));
+        push16(1); // IN
+
+        // EDNS0 OPT pseudo-record (RFC 6891) - advertises 4096 byte payloads and the DO bit
+        bytes.push(0);
+        push16(DNS_RECORD_TYPES.OPT);
+        push16(4096);
+        bytes.push(0, 0, dnssecOk ? 0x80 : 0x00, 0);
+        push16(0);
+
+        return new Uint8Array(bytes);
+    }
+
+    // Parse a response message into the JSON DoH response shape
+    static decodeResponse(buffer) {
+        const message = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        if (message.length < 12) {
+            throw new Error('DNS response too short');
+        }
+
+        const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+        const flags = view.getUint16(2);
+        const counts = {
+            question: view.getUint16(4),
+            answer: view.getUint16(6),
+            authority: view.getUint16(8),
+            additional: view.getUint16(10)
+        };
+
+        const response = {
+            Status: flags & 0x000f,
+            TC: !!(flags & 0x0200),
+            RD: !!(flags & 0x0100),
+            RA: !!(flags & 0x0080),
+            AD: !!(flags & 0x0020),
+            CD: !!(flags & 0x0010),
+            Question: [],
+            Answer: [],
+            Authority: []
+        };
+
+        let offset = 12;
+        for (let i = 0; i < counts.question; i++) {
+            const { name, nextOffset } = this.readName(message, offset);
+            response.Question.push({ name: name, type: view.getUint16(nextOffset) });
+            offset = nextOffset + 4;
+        }
+
+        const readRecords = (count, target) => {
+            for (let i = 0; i < count; i++) {
+                const { record, nextOffset } = this.readResourceRecord(message, view, offset);
+                offset = nextOffset;
+                if (record && target) target.push(record);
+            }
+        };
+
+        readRecords(counts.answer, response.Answer);
+        readRecords(counts.authority, response.Authority);
+        readRecords(counts.additional, null);
+
+        if (response.Answer.length === 0) delete response.Answer;
+        if (response.Authority.length === 0) delete response.Authority;
+
+        return response;
+    }
+
+    // Read a single resource record starting at offset
+    static readResourceRecord(message, view, offset) {
+        const { name, nextOffset } = this.readName(message, offset);
+        const type = view.getUint16(nextOffset);
+        const ttl = view.getUint32(nextOffset + 4);
+        const rdLength = view.getUint16(nextOffset + 8);
+        const rdataOffset = nextOffset + 10;
+
+        if (rdataOffset + rdLength > message.length) {
+            throw new Error('DNS response truncated inside record data');
+        }
+
+        // OPT pseudo-records carry EDNS metadata, not data
+        if (type === DNS_RECORD_TYPES.OPT) {
+            return { record: null, nextOffset: rdataOffset + rdLength };
+        }
+
+        return {
+            record: {
+                name: name,
+                type: type,
+                TTL: ttl,
+                data: this.formatRecordData(message, view, type, rdataOffset, rdLength)
+            },
+            nextOffset: rdataOffset + rdLength
+        };
+    }
+
+    // Read a (possibly compressed) domain name, returned in presentation format with trailing dot
+    static readName(message, offset) {
+        const labels = [];
+        let position = offset;
+        let nextOffset = null;
+        let jumps = 0;
+
+        while (true) {
+            if (position >= message.length) {
+                throw new Error('DNS name runs past end of message');
+            }
+            const length = message[position];
+
+            if ((length & 0xc0) === 0xc0) {
+                // Compression pointer
+                if (++jumps > 64) {
+                    throw new Error('DNS name compression loop');
+                }
+                if (nextOffset === null) nextOffset = position + 2;
+                position = ((length & 0x3f) << 8) | message[position + 1];
+                continue;
+            }
+
+            if (length === 0) {
+                if (nextOffset === null) nextOffset = position + 1;
+                break;
+            }
+
+            let label = '';
+            for (let i = 1; i <= length; i++) {
+                label += String.fromCharCode(message[position + i]);
+            }
+            labels.push(label);
+            position += length + 1;
+        }
+
+        return {
+            name: labels.length > 0 ? `${labels.join('.')}.` : '.',
+            nextOffset: nextOffset
+        };
+    }
+
+    // Format record data the way JSON DoH providers present it
+    static formatRecordData(message, view, type, offset, length) {
+        const end = offset + length;
+        const slice = message.subarray(offset, end);
+
+        switch (type) {
+            case DNS_RECORD_TYPES.A:
+                return Array.from(slice).join('.');
+            case DNS_RECORD_TYPES.AAAA:
+                return this.formatIPv6(slice);
+            case DNS_RECORD_TYPES.NS:
+            case DNS_RECORD_TYPES.CNAME:
+            case DNS_RECORD_TYPES.PTR:
+            case DNS_RECORD_TYPES.DNAME:
+                return this.readName(message, offset).name;
+            case DNS_RECORD_TYPES.MX:
+                return `${view.getUint16(offset)} ${this.readName(message, offset + 2).name}`;
+            case DNS_RECORD_TYPES.TXT:
+                return this.readCharacterStrings(slice).join('');
+            case DNS_RECORD_TYPES.SRV:
+                return `${view.getUint16(offset)} ${view.getUint16(offset + 2)} ${view.getUint16(offset + 4)} ${this.readName(message, offset + 6).name}`;
+            case DNS_RECORD_TYPES.SOA: {
+                const mname = this.readName(message, offset);
+                const rname = this.readName(message, mname.nextOffset);
+                const numbers = [];
+                for (let i = 0; i < 5; i++) {
+                    numbers.push(view.getUint32(rname.nextOffset + i * 4));
+                }
+                return `${mname.name} ${rname.name} ${numbers.join(' ')}`;
+            }
+            case DNS_RECORD_TYPES.CAA: {
+                const flags = slice[0];
+                const tagLength = slice[1];
+                const tag = this.bytesToString(slice.subarray(2, 2 + tagLength));
+                const value = this.bytesToString(slice.subarray(2 + tagLength));
+                return `${flags} ${tag} "${value}"`;
+            }
+            case DNS_RECORD_TYPES.DS:
+                return `${view.getUint16(offset)} ${slice[2]} ${slice[3]} ${this.bytesToHex(slice.subarray(4))}`;
+            case DNS_RECORD_TYPES.DNSKEY:
+                return `${view.getUint16(offset)} ${slice[2]} ${slice[3]} ${this.bytesToBase64(slice.subarray(4))}`;
+            case DNS_RECORD_TYPES.RRSIG: {
+                const signer = this.readName(message, offset + 18);
+                return [
+                    this.getTypeName(view.getUint16(offset)),
+                    slice[2],
+                    slice[3],
+                    view.getUint32(offset + 4),
+                    this.formatSignatureTime(view.getUint32(offset + 8)),
+                    this.formatSignatureTime(view.getUint32(offset + 12)),
+                    view.getUint16(offset + 16),
+                    signer.name,
+                    this.bytesToBase64(message.subarray(signer.nextOffset, end))
+                ].join(' ');
+            }
+            default:
+                // RFC 3597 generic presentation for unknown types
+                return `\\# ${length} ${this.bytesToHex(slice)}`;
+        }
+    }
+
+    // Read the <length><bytes> character-strings used by TXT records
+    static readCharacterStrings(bytes) {
+        const strings = [];
+        let position = 0;
+        while (position < bytes.length) {
+            const length = bytes[position];
+            strings.push(this.bytesToString(bytes.subarray(position + 1, position + 1 + length)));
+            position += length + 1;
+        }
+        return strings;
+    }
+
+    // Compressed IPv6 presentation (RFC 5952)
+    static formatIPv6(bytes) {
+        const groups = [];
+        for (let i = 0; i < 16; i += 2) {
+            groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+        }
+
+        // Find the longest run of zero groups (length >= 2) to collapse
+        let bestStart = -1;
+        let bestLength = 0;
+        for (let i = 0; i < groups.length; i++) {
+            if (groups[i] !== '0') continue;
+            let runLength = 0;
+            while (i + runLength < groups.length && groups[i + runLength] === '0') runLength++;
+            if (runLength > bestLength && runLength >= 2) {
+                bestStart = i;
+                bestLength = runLength;
+            }
+            i += runLength;
+        }
+
+        if (bestStart === -1) return groups.join(':');
+        const head = groups.slice(0, bestStart).join(':');
+        const tail = groups.slice(bestStart + bestLength).join(':');
+        return `${head}::${tail}`;
+    }
+
+    // RRSIG timestamps in YYYYMMDDHHmmSS presentation format (RFC 4034 section 3.2)
+    static formatSignatureTime(seconds) {
+        return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    }
+
+    static bytesToString(bytes) {
+        let result = '';
+        for (const byte of bytes) {
+            result += String.fromCharCode(byte);
+        }
+        return result;
+    }
+
+    static bytesToHex(bytes) {
+        return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static bytesToBase64(bytes) {
+        return btoa(this.bytesToString(bytes));
+    }
+
+    // base64url without padding (RFC 8484 section 4.1)
+    static bytesToBase64Url(bytes) {
+        return this.bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
+
+// Fetch helper shared by the transports - aborts requests that hang
+async function fetchWithTimeout(url, options, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Request timed out after ${timeout}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// JSON DoH transport (application/dns-json, as served by Google, Cloudflare, Quad9, AliDNS)
+class JSONDoHTransport {
+    constructor({ url, name = null, provider = null, dnssecOk = false, timeout = 10000 }) {
+        this.url = url;
+        this.name = name || url;
+        this.provider = provider;
+        this.format = 'json';
+        this.dnssecOk = dnssecOk;
+        this.timeout = timeout;
+    }
+
+    async query(domain, type = 'A', options = {}) {
+        const url = new URL(this.url);
+        url.searchParams.set('name', domain);
+        if (type) {
+            url.searchParams.set('type', type);
+        }
+        if (options.dnssecOk ?? this.dnssecOk) {
+            url.searchParams.set('do', 'true');
+        }
+
+        const response = await fetchWithTimeout(url.toString(), {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/dns-json'
+            }
+        }, this.timeout);
+
+        if (!response.ok) {
+            throw new Error(`DNS query failed: ${response.status}`);
+        }
+
+        return await response.json();
+    }
+}
+
+// RFC 8484 wire-format DoH transport (application/dns-message) - works with any compliant server
+class WireDoHTransport {
+    constructor({ url, name = null, provider = null, method = 'GET', dnssecOk = false, timeout = 10000 }) {
+        this.url = url;
+        this.name = name || url;
+        this.provider = provider;
+        this.format = 'wire';
+        this.method = method.toUpperCase();
+        this.dnssecOk = dnssecOk;
+        this.timeout = timeout;
+    }
+
+    async query(domain, type = 'A', options = {}) {
+        const message = DNSWireFormat.encodeQuery(domain, type || 'A', {
+            dnssecOk: options.dnssecOk ?? this.dnssecOk
+        });
+
+        let response;
+        if (this.method === 'POST') {
+            response = await fetchWithTimeout(this.url, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/dns-message',
+                    'Content-Type': 'application/dns-message'
+                },
+                body: message
+            }, this.timeout);
+        } else {
+            const url = new URL(this.url);
+            url.searchParams.set('dns', DNSWireFormat.bytesToBase64Url(message));
+            response = await fetchWithTimeout(url.toString(), {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/dns-message'
+                }
+            }, this.timeout);
+        }
+
+        if (!response.ok) {
+            throw new Error(`DNS query failed: ${response.status}`);
+        }
+
+        return DNSWireFormat.decodeResponse(new Uint8Array(await response.arrayBuffer()));
+    }
+}
+
+// Create a transport from a provider name, a URL, or a { url, format, method, name } spec
+// Unknown URLs are treated as RFC 8484 wire-format servers
+function createDNSTransport(spec) {
+    if (spec && typeof spec.query === 'function') {
+        return spec;
+    }
+
+    if (typeof spec === 'string') {
+        if (DNS_PROVIDERS[spec]) {
+            return createDNSTransport({ ...DNS_PROVIDERS[spec], name: spec, provider: spec });
+        }
+        const knownProvider = Object.entries(DNS_PROVIDERS).find(([, provider]) => provider.url === spec);
+        if (knownProvider) {
+            return createDNSTransport(knownProvider[0]);
+        }
+        return new WireDoHTransport({ url: spec });
+    }
+
+    if (!spec || !spec.url) {
+        throw new Error('DNS transport requires a URL');
+    }
+
+    return spec.format === 'json' ? new JSONDoHTransport(spec) : new WireDoHTransport(spec);
+}
+
+// Registry of transports keyed by server URL, so callers can keep passing server strings around
+class DNSTransportRegistry {
+    constructor() {
+        this.transports = new Map();
+        for (const providerName of Object.keys(DNS_PROVIDERS)) {
+            this.register(providerName);
+        }
+    }
+
+    // Register a transport (provider name, URL, spec or transport instance) and return it
+    register(spec) {
+        const transport = createDNSTransport(spec);
+        this.transports.set(transport.url, transport);
+        if (transport.provider) {
+            this.transports.set(transport.provider, transport);
+        }
+        return transport;
+    }
+
+    // Get the transport for a server, registering unknown servers on first use
+    resolve(server) {
+        if (server && typeof server.query === 'function') {
+            return server;
+        }
+        const key = typeof server === 'string' ? server : server?.url;
+        if (key && this.transports.has(key)) {
+            return this.transports.get(key);
+        }
+        return this.register(server);
+    }
+}
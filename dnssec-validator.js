@@ -0,0 +1,763 @@
+// DNSSEC Validator - Walks the chain of trust from the root trust anchor down to the analyzed domain
+// DS digests are matched against DNSKEYs and RRSIGs are verified with WebCrypto (RFC 4033-4035, RFC 8624)
+
+// IANA root trust anchors (https://data.iana.org/root-anchors/root-anchors.xml) - KSK-2017 and KSK-2024
+const DNSSEC_ROOT_TRUST_ANCHORS = [
+    { keyTag: 20326, algorithm: 8, digestType: 2, digest: 'e06d44b80b8f1d39a95c0b0d7c65d08458e880409bbc683457104237c7f8ec8d' },
+    { keyTag: 38696, algorithm: 8, digestType: 2, digest: '683d2d0acb8c9b712a1948b27f741219298d0a450d612c483af444a4c0fb2b16' }
+];
+
+const DNSSEC_ALGORITHMS = {
+    1: { name: 'RSAMD5', status: 'prohibited' },
+    3: { name: 'DSA', status: 'prohibited' },
+    5: { name: 'RSASHA1', status: 'deprecated', rsa: 'SHA-1' },
+    6: { name: 'DSA-NSEC3-SHA1', status: 'prohibited' },
+    7: { name: 'RSASHA1-NSEC3-SHA1', status: 'deprecated', rsa: 'SHA-1' },
+    8: { name: 'RSASHA256', status: 'ok', rsa: 'SHA-256' },
+    10: { name: 'RSASHA512', status: 'ok', rsa: 'SHA-512' },
+    12: { name: 'ECC-GOST', status: 'prohibited' },
+    13: { name: 'ECDSAP256SHA256', status: 'ok', ecdsa: { curve: 'P-256', hash: 'SHA-256', size: 32 } },
+    14: { name: 'ECDSAP384SHA384', status: 'ok', ecdsa: { curve: 'P-384', hash: 'SHA-384', size: 48 } },
+    15: { name: 'ED25519', status: 'ok', eddsa: 'Ed25519' },
+    16: { name: 'ED448', status: 'ok', eddsa: 'Ed448' }
+};
+
+const DNSSEC_DIGEST_TYPES = {
+    1: { name: 'SHA-1', hash: 'SHA-1', status: 'deprecated' },
+    2: { name: 'SHA-256', hash: 'SHA-256', status: 'ok' },
+    3: { name: 'GOST R 34.11-94', hash: null, status: 'prohibited' },
+    4: { name: 'SHA-384', hash: 'SHA-384', status: 'ok' }
+};
+
+// Signatures expiring sooner than this are reported - most signers refresh days or weeks ahead
+const DNSSEC_EXPIRY_WARNING_SECONDS = 3 * 86400;
+const DNSSEC_MIN_RSA_KEY_BITS = 2048;
+const DNSSEC_MAX_KEY_NAMES = 5;
+const DNSSEC_STATUS_ORDER = ['secure', 'insecure', 'indeterminate', 'bogus'];
+// RDATA types whose embedded domain names are lowercased in canonical form (RFC 4034 6.2, RFC 6840 5.1)
+const DNSSEC_CANONICAL_NAME_TYPES = ['NS', 'CNAME', 'PTR', 'MX', 'SOA', 'SRV', 'DNAME'];
+
+class DNSSECValidator {
+    constructor(dnsAnalyzer) {
+        this.dnsAnalyzer = dnsAnalyzer;
+        this.trustAnchors = DNSSEC_ROOT_TRUST_ANCHORS;
+    }
+
+    // Replace the root trust anchors (same shape as DNSSEC_ROOT_TRUST_ANCHORS)
+    setTrustAnchors(trustAnchors) {
+        this.trustAnchors = trustAnchors;
+    }
+
+    // Validate the chain of trust for a domain and the RRsets of its key names (www, in-zone MX hosts)
+    async analyze(domain, keyNames = []) {
+        console.log(`🔐 Validating DNSSEC chain of trust for ${domain}`);
+
+        const state = {
+            zones: new Map(),
+            zoneKeys: new Map(),
+            signatures: [],
+            now: Math.floor(Date.now() / 1000)
+        };
+        const apex = this.toFQDN(domain);
+
+        if (!globalThis.crypto?.subtle) {
+            console.warn('⚠️ WebCrypto unavailable - DNSSEC signatures cannot be verified');
+        }
+
+        const chain = await this.walkChain(apex, state);
+        const rrsets = [];
+
+        const apexZone = chain.links[chain.links.length - 1];
+        rrsets.push(await this.validateRRset(apex, apexZone?.zone === apex ? 'SOA' : 'A', state));
+
+        const names = [...new Set(keyNames.map(name => this.toFQDN(name)))]
+            .filter(name => name !== apex && name.endsWith(`.${apex}`))
+            .slice(0, DNSSEC_MAX_KEY_NAMES);
+        for (const name of names) {
+            rrsets.push(await this.validateRRset(name, 'A', state));
+        }
+
+        const checked = rrsets.filter(rrset => rrset.status !== 'nodata');
+        const status = [chain.status, ...checked.map(rrset => rrset.status)]
+            .reduce((worst, current) => DNSSEC_STATUS_ORDER.indexOf(current) > DNSSEC_STATUS_ORDER.indexOf(worst) ? current : worst, 'secure');
+
+        const result = {
+            domain: domain,
+            status: status,
+            chain: chain.links,
+            rrsets: rrsets,
+            findings: []
+        };
+        result.findings = await this.buildFindings(apex, result, state);
+
+        console.log(`✅ DNSSEC for ${domain}: ${status} (${chain.links.map(link => `${link.zone} ${link.status}`).join(' → ')}), ${result.findings.length} findings`);
+        return result;
+    }
+
+    // Walk zone cuts from the root down to the zone enclosing name - each link is secure, insecure or bogus
+    async walkChain(name, state) {
+        const links = [await this.getZoneLink('.', null, state)];
+        const labels = name.replace(/\.$/, '').split('.');
+
+        for (let i = labels.length - 1; i >= 0; i--) {
+            const current = links[links.length - 1];
+            if (current.status !== 'secure') break;
+
+            const candidate = `${labels.slice(i).join('.')}.`;
+            const link = await this.getZoneLink(candidate, current, state);
+            if (link) links.push(link);
+        }
+
+        return { status: links[links.length - 1].status, links };
+    }
+
+    // Cached per analysis - the same zones are reached from every key name
+    getZoneLink(zone, parent, state) {
+        if (!state.zones.has(zone)) {
+            state.zones.set(zone, zone === '.' ? this.validateRoot(state) : this.validateDelegation(parent, zone, state));
+        }
+        return state.zones.get(zone);
+    }
+
+    // Root DNSKEY set must contain a trust anchor and be self-signed by it
+    async validateRoot(state) {
+        const link = this.createLink('.');
+        const response = await this.dnsAnalyzer.queryDNSSEC('.', 'DNSKEY');
+        const { records: dnskeys, signatures } = this.extractRRset(response, '.', 'DNSKEY');
+
+        if (dnskeys.length === 0) {
+            return this.finishLink(link, 'indeterminate', 'Root DNSKEY set could not be retrieved');
+        }
+
+        const keys = dnskeys.map(record => this.parseDNSKEY(record.data)).filter(key => key);
+        link.keys = keys.map(key => this.describeKey(key));
+
+        const anchoredTags = [];
+        for (const anchor of this.trustAnchors) {
+            const key = keys.find(candidate => candidate.keyTag === anchor.keyTag && candidate.algorithm === anchor.algorithm);
+            if (key && await this.digestMatches('.', key, anchor)) {
+                anchoredTags.push(key.keyTag);
+            }
+        }
+        link.ds = this.trustAnchors.map(anchor => ({
+            keyTag: anchor.keyTag,
+            algorithm: anchor.algorithm,
+            digestType: anchor.digestType,
+            matched: anchoredTags.includes(anchor.keyTag),
+            trustAnchor: true
+        }));
+
+        if (anchoredTags.length === 0) {
+            return this.finishLink(link, 'bogus', 'No root DNSKEY matches the configured trust anchors');
+        }
+
+        const verification = await this.verifyRRset('.', 'DNSKEY', dnskeys, signatures, keys.filter(key => anchoredTags.includes(key.keyTag)), state);
+        link.signatures.push(verification.summary);
+        if (verification.status !== 'secure') {
+            return this.finishLink(link, verification.status, `Root DNSKEY set: ${verification.reason}`);
+        }
+
+        state.zoneKeys.set('.', keys);
+        return this.finishLink(link, 'secure', 'Root DNSKEY set matches the trust anchor');
+    }
+
+    // A delegation is a zone cut when the parent publishes DS, or the child answers SOA at its apex
+    async validateDelegation(parent, zone, state) {
+        const dsResponse = await this.dnsAnalyzer.queryDNSSEC(zone, 'DS');
+        const { records: dsRecords, signatures: dsSignatures } = this.extractRRset(dsResponse, zone, 'DS');
+
+        if (dsRecords.length === 0) {
+            const soaResponse = await this.dnsAnalyzer.queryDNSSEC(zone, 'SOA');
+            const { records: soaRecords } = this.extractRRset(soaResponse, zone, 'SOA');
+            if (soaRecords.length === 0) {
+                return null; // Not a zone cut - the name lives in the parent zone
+            }
+
+            // Proof of DS absence (NSEC/NSEC3) is left to the resolver
+            const link = this.createLink(zone);
+            const dnskeyResponse = await this.dnsAnalyzer.queryDNSSEC(zone, 'DNSKEY');
+            const { records: dnskeys } = this.extractRRset(dnskeyResponse, zone, 'DNSKEY');
+            link.keys = dnskeys.map(record => this.parseDNSKEY(record.data)).filter(key => key).map(key => this.describeKey(key));
+            link.islandOfSecurity = dnskeys.length > 0;
+            return this.finishLink(link, 'insecure', dnskeys.length > 0 ?
+                `${zone} publishes DNSKEYs but ${parent.zone} has no DS record for it` :
+                `${parent.zone} has no DS record for ${zone} - unsigned delegation`);
+        }
+
+        const link = this.createLink(zone);
+        const dsVerification = await this.verifyRRset(zone, 'DS', dsRecords, dsSignatures, state.zoneKeys.get(parent.zone) || [], state);
+        link.signatures.push(dsVerification.summary);
+        if (dsVerification.status !== 'secure') {
+            return this.finishLink(link, dsVerification.status, `DS set in ${parent.zone}: ${dsVerification.reason}`);
+        }
+
+        const dnskeyResponse = await this.dnsAnalyzer.queryDNSSEC(zone, 'DNSKEY');
+        const { records: dnskeys, signatures } = this.extractRRset(dnskeyResponse, zone, 'DNSKEY');
+        const keys = dnskeys.map(record => this.parseDNSKEY(record.data)).filter(key => key);
+        link.keys = keys.map(key => this.describeKey(key));
+
+        if (keys.length === 0) {
+            return this.finishLink(link, 'bogus', `${parent.zone} publishes DS for ${zone} but ${zone} has no DNSKEY`);
+        }
+
+        const dsSet = dsRecords.map(record => this.parseDS(record.data)).filter(ds => ds);
+        const matchedKeys = [];
+        let supportedDigest = false;
+        for (const ds of dsSet) {
+            const digestInfo = DNSSEC_DIGEST_TYPES[ds.digestType];
+            const key = keys.find(candidate => candidate.keyTag === ds.keyTag && candidate.algorithm === ds.algorithm);
+            ds.matched = false;
+            if (digestInfo?.hash) {
+                supportedDigest = true;
+                if (key && await this.digestMatches(zone, key, ds)) {
+                    ds.matched = true;
+                    if (!matchedKeys.includes(key)) matchedKeys.push(key);
+                }
+            }
+        }
+        link.ds = dsSet.map(ds => ({ keyTag: ds.keyTag, algorithm: ds.algorithm, digestType: ds.digestType, matched: ds.matched }));
+
+        if (!supportedDigest) {
+            return this.finishLink(link, 'indeterminate', `No DS record for ${zone} uses a supported digest type`);
+        }
+        if (matchedKeys.length === 0) {
+            return this.finishLink(link, 'bogus', `No DNSKEY in ${zone} matches its DS records in ${parent.zone}`);
+        }
+
+        const verification = await this.verifyRRset(zone, 'DNSKEY', dnskeys, signatures, matchedKeys, state);
+        link.signatures.push(verification.summary);
+        if (verification.status !== 'secure') {
+            return this.finishLink(link, verification.status, `DNSKEY set of ${zone}: ${verification.reason}`);
+        }
+
+        state.zoneKeys.set(zone, keys);
+        return this.finishLink(link, 'secure', `DS in ${parent.zone} matches DNSKEY ${matchedKeys.map(key => key.keyTag).join(', ')}`);
+    }
+
+    // Validate one RRset (apex SOA, www A...) against the keys of the zone that signed it
+    async validateRRset(name, type, state) {
+        const response = await this.dnsAnalyzer.queryDNSSEC(name, type);
+        let rrset = this.extractRRset(response, name, type);
+        let rrsetType = type;
+
+        // A CNAME at the name is what gets signed in that zone
+        if (rrset.records.length === 0) {
+            const cname = this.extractRRset(response, name, 'CNAME');
+            if (cname.records.length > 0) {
+                rrset = cname;
+                rrsetType = 'CNAME';
+            }
+        }
+
+        const result = { name: name, type: rrsetType, status: 'nodata', reason: null, resolverAD: !!response?.AD, signature: null };
+        if (rrset.records.length === 0) {
+            result.reason = 'No records to validate';
+            return result;
+        }
+
+        const chain = await this.walkChain(name, state);
+        const zone = chain.links[chain.links.length - 1];
+        if (chain.status !== 'secure') {
+            result.status = chain.status;
+            result.reason = zone.reason;
+            return result;
+        }
+        if (rrset.signatures.length === 0) {
+            result.status = 'bogus';
+            result.reason = `Unsigned ${rrsetType} answer in signed zone ${zone.zone}`;
+            return result;
+        }
+
+        const verification = await this.verifyRRset(name, rrsetType, rrset.records, rrset.signatures, state.zoneKeys.get(zone.zone) || [], state);
+        result.status = verification.status;
+        result.reason = verification.reason;
+        result.signature = verification.summary;
+        return result;
+    }
+
+    // Try every RRSIG made by one of the given keys until one verifies
+    async verifyRRset(owner, type, records, signatures, keys, state) {
+        const rrsigs = signatures.map(record => this.parseRRSIG(record.data)).filter(rrsig => rrsig && rrsig.typeCovered === type);
+        if (rrsigs.length === 0) {
+            return { status: 'bogus', reason: `No RRSIG covers the ${type} set`, summary: { covers: type, status: 'missing' } };
+        }
+
+        let failure = null;
+        for (const rrsig of rrsigs) {
+            const key = keys.find(candidate => candidate.keyTag === rrsig.keyTag && candidate.algorithm === rrsig.algorithm);
+            const summary = {
+                covers: type,
+                owner: owner,
+                keyTag: rrsig.keyTag,
+                algorithm: rrsig.algorithm,
+                signer: rrsig.signer,
+                inception: new Date(rrsig.inception * 1000).toISOString(),
+                expiration: new Date(rrsig.expiration * 1000).toISOString(),
+                status: null
+            };
+
+            if (!key) {
+                summary.status = 'no-key';
+                failure = failure || { status: 'bogus', reason: `RRSIG key tag ${rrsig.keyTag} is not a trusted key`, summary };
+                continue;
+            }
+            if (rrsig.expiration < state.now) {
+                summary.status = 'expired';
+                failure = { status: 'bogus', reason: `RRSIG expired ${summary.expiration}`, summary };
+                continue;
+            }
+            if (rrsig.inception > state.now) {
+                summary.status = 'not-yet-valid';
+                failure = { status: 'bogus', reason: `RRSIG not valid until ${summary.inception}`, summary };
+                continue;
+            }
+
+            const verified = await this.verifySignature(owner, type, records, rrsig, key);
+            if (verified === true) {
+                summary.status = 'valid';
+                state.signatures.push(summary);
+                return { status: 'secure', reason: null, summary };
+            }
+            if (verified === null) {
+                summary.status = 'unsupported';
+                failure = failure || { status: 'indeterminate', reason: `Algorithm ${this.algorithmName(rrsig.algorithm)} cannot be verified here`, summary };
+            } else {
+                summary.status = 'invalid';
+                failure = { status: 'bogus', reason: `RRSIG by key ${rrsig.keyTag} does not verify`, summary };
+            }
+        }
+
+        return failure;
+    }
+
+    // Verify an RRSIG over the canonical RRset (RFC 4034 3.1.8.1) - null when the algorithm is unsupported
+    async verifySignature(owner, type, records, rrsig, key) {
+        const subtle = globalThis.crypto?.subtle;
+        const algorithm = DNSSEC_ALGORITHMS[rrsig.algorithm];
+        if (!subtle || !algorithm || algorithm.status === 'prohibited') return null;
+
+        const rdatas = records.map(record => this.encodeRDATA(type, record.data));
+        if (rdatas.some(rdata => rdata === null)) return null;
+
+        try {
+            const signedData = this.buildSignedData(owner, type, rdatas, rrsig);
+            let cryptoKey;
+            let params;
+
+            if (algorithm.rsa) {
+                const { exponent, modulus } = this.parseRSAKey(key.publicKey);
+                cryptoKey = await subtle.importKey('jwk', {
+                    kty: 'RSA',
+                    n: DNSWireFormat.bytesToBase64Url(modulus),
+                    e: DNSWireFormat.bytesToBase64Url(exponent),
+                    ext: true
+                }, { name: 'RSASSA-PKCS1-v1_5', hash: algorithm.rsa }, false, ['verify']);
+                params = { name: 'RSASSA-PKCS1-v1_5' };
+            } else if (algorithm.ecdsa) {
+                const size = algorithm.ecdsa.size;
+                cryptoKey = await subtle.importKey('jwk', {
+                    kty: 'EC',
+                    crv: algorithm.ecdsa.curve,
+                    x: DNSWireFormat.bytesToBase64Url(key.publicKey.slice(0, size)),
+                    y: DNSWireFormat.bytesToBase64Url(key.publicKey.slice(size, size * 2)),
+                    ext: true
+                }, { name: 'ECDSA', namedCurve: algorithm.ecdsa.curve }, false, ['verify']);
+                params = { name: 'ECDSA', hash: algorithm.ecdsa.hash };
+            } else if (algorithm.eddsa) {
+                cryptoKey = await subtle.importKey('raw', key.publicKey, { name: algorithm.eddsa }, false, ['verify']);
+                params = { name: algorithm.eddsa };
+            } else {
+                return null;
+            }
+
+            return await subtle.verify(params, cryptoKey, rrsig.signature, signedData);
+        } catch (error) {
+            // Runtimes without Ed25519/Ed448 support throw on import
+            console.warn(`⚠️ Could not verify ${this.algorithmName(rrsig.algorithm)} signature for ${owner} ${type}:`, error.message);
+            return null;
+        }
+    }
+
+    // RRSIG RDATA (without the signature) followed by each RR in canonical form and order
+    buildSignedData(owner, type, rdatas, rrsig) {
+        const parts = [];
+        const header = new Uint8Array(18);
+        const view = new DataView(header.buffer);
+        view.setUint16(0, DNS_RECORD_TYPES[type]);
+        view.setUint8(2, rrsig.algorithm);
+        view.setUint8(3, rrsig.labels);
+        view.setUint32(4, rrsig.originalTTL);
+        view.setUint32(8, rrsig.expiration);
+        view.setUint32(12, rrsig.inception);
+        view.setUint16(16, rrsig.keyTag);
+        parts.push(header, this.encodeName(rrsig.signer));
+
+        // Wildcard expansion: the signature covers "*." plus the RRSIG's label count
+        const ownerLabels = owner.replace(/\.$/, '').split('.').filter(label => label.length > 0);
+        const signedOwner = rrsig.labels < ownerLabels.length ?
+            `*.${ownerLabels.slice(ownerLabels.length - rrsig.labels).join('.')}.` : owner;
+        const ownerWire = this.encodeName(signedOwner);
+
+        const sorted = [...rdatas].sort((a, b) => this.compareBytes(a, b))
+            .filter((rdata, index, list) => index === 0 || this.compareBytes(rdata, list[index - 1]) !== 0);
+
+        for (const rdata of sorted) {
+            const rrHeader = new Uint8Array(10);
+            const rrView = new DataView(rrHeader.buffer);
+            rrView.setUint16(0, DNS_RECORD_TYPES[type]);
+            rrView.setUint16(2, 1); // IN
+            rrView.setUint32(4, rrsig.originalTTL);
+            rrView.setUint16(8, rdata.length);
+            parts.push(ownerWire, rrHeader, rdata);
+        }
+
+        return this.concatBytes(parts);
+    }
+
+    // Presentation format -> canonical wire RDATA for the types the validator checks
+    encodeRDATA(type, data) {
+        const fields = (data || '').trim().split(/\s+/);
+        const name = value => this.encodeName(DNSSEC_CANONICAL_NAME_TYPES.includes(type) ? value.toLowerCase() : value);
+        const uint = (value, bytes) => {
+            const out = new Uint8Array(bytes);
+            const view = new DataView(out.buffer);
+            if (bytes === 1) view.setUint8(0, value);
+            if (bytes === 2) view.setUint16(0, value);
+            if (bytes === 4) view.setUint32(0, value);
+            return out;
+        };
+
+        switch (type) {
+            case 'A':
+                return new Uint8Array(fields[0].split('.').map(octet => parseInt(octet, 10)));
+            case 'AAAA':
+                return this.parseIPv6(fields[0]);
+            case 'NS':
+            case 'CNAME':
+            case 'PTR':
+            case 'DNAME':
+                return name(fields[0]);
+            case 'MX':
+                return this.concatBytes([uint(parseInt(fields[0], 10), 2), name(fields[1])]);
+            case 'SOA':
+                return this.concatBytes([
+                    name(fields[0]), name(fields[1]),
+                    ...fields.slice(2, 7).map(value => uint(parseInt(value, 10), 4))
+                ]);
+            case 'DNSKEY': {
+                const key = this.parseDNSKEY(data);
+                return key ? key.rdata : null;
+            }
+            case 'DS': {
+                const ds = this.parseDS(data);
+                return ds ? ds.rdata : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // "flags protocol algorithm base64key"
+    parseDNSKEY(data) {
+        const fields = (data || '').trim().split(/\s+/);
+        if (fields.length < 4) return null;
+
+        const flags = parseInt(fields[0], 10);
+        const protocol = parseInt(fields[1], 10);
+        const algorithm = parseInt(fields[2], 10);
+        const publicKey = this.base64ToBytes(fields.slice(3).join(''));
+        const rdata = this.concatBytes([new Uint8Array([flags >> 8, flags & 0xff, protocol, algorithm]), publicKey]);
+
+        return {
+            flags,
+            protocol,
+            algorithm,
+            publicKey,
+            rdata,
+            keyTag: this.computeKeyTag(rdata),
+            // Bit 15 (SEP) marks key-signing keys, bit 8 (REVOKE) revoked keys
+            isKSK: (flags & 0x0001) === 1,
+            isRevoked: (flags & 0x0080) !== 0
+        };
+    }
+
+    // "keytag algorithm digesttype hexdigest"
+    parseDS(data) {
+        const fields = (data || '').trim().split(/\s+/);
+        if (fields.length < 4) return null;
+
+        const keyTag = parseInt(fields[0], 10);
+        const algorithm = parseInt(fields[1], 10);
+        const digestType = parseInt(fields[2], 10);
+        const digest = fields.slice(3).join('').toLowerCase();
+        const rdata = this.concatBytes([
+            new Uint8Array([keyTag >> 8, keyTag & 0xff, algorithm, digestType]),
+            this.hexToBytes(digest)
+        ]);
+
+        return { keyTag, algorithm, digestType, digest, rdata };
+    }
+
+    // "TYPE alg labels ttl expiration inception keytag signer base64sig" - times as YYYYMMDDHHmmSS or epoch seconds
+    parseRRSIG(data) {
+        const fields = (data || '').trim().split(/\s+/);
+        if (fields.length < 9) return null;
+
+        const typeField = fields[0].toUpperCase();
+        const genericType = typeField.match(/^TYPE(\d+)$/);
+        const typeCode = genericType ? parseInt(genericType[1], 10) : /^\d+$/.test(typeField) ? parseInt(typeField, 10) : DNS_RECORD_TYPES[typeField];
+        const parseTime = value => {
+            const match = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/);
+            if (match) {
+                return Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]) / 1000;
+            }
+            return parseInt(value, 10);
+        };
+
+        return {
+            typeCovered: DNSWireFormat.getTypeName(typeCode),
+            algorithm: parseInt(fields[1], 10),
+            labels: parseInt(fields[2], 10),
+            originalTTL: parseInt(fields[3], 10),
+            expiration: parseTime(fields[4]),
+            inception: parseTime(fields[5]),
+            keyTag: parseInt(fields[6], 10),
+            signer: this.toFQDN(fields[7]),
+            signature: this.base64ToBytes(fields.slice(8).join(''))
+        };
+    }
+
+    // RSA public key: exponent length (1 or 3 bytes), exponent, modulus (RFC 3110)
+    parseRSAKey(publicKey) {
+        let offset = 1;
+        let exponentLength = publicKey[0];
+        if (exponentLength === 0) {
+            exponentLength = (publicKey[1] << 8) | publicKey[2];
+            offset = 3;
+        }
+        return {
+            exponent: publicKey.slice(offset, offset + exponentLength),
+            modulus: publicKey.slice(offset + exponentLength)
+        };
+    }
+
+    // Key size in bits - RSA modulus length, otherwise fixed by the algorithm
+    keySize(key) {
+        const algorithm = DNSSEC_ALGORITHMS[key.algorithm];
+        if (algorithm?.rsa) {
+            const { modulus } = this.parseRSAKey(key.publicKey);
+            let start = 0;
+            while (start < modulus.length && modulus[start] === 0) start++;
+            if (start === modulus.length) return 0;
+            return (modulus.length - start) * 8 - Math.clz32(modulus[start]) + 24;
+        }
+        if (algorithm?.ecdsa) return algorithm.ecdsa.size * 8;
+        if (algorithm?.eddsa) return algorithm.eddsa === 'Ed25519' ? 256 : 456;
+        return key.publicKey.length * 8;
+    }
+
+    // RFC 4034 Appendix B
+    computeKeyTag(rdata) {
+        let accumulator = 0;
+        for (let i = 0; i < rdata.length; i++) {
+            accumulator += (i & 1) ? rdata[i] : rdata[i] << 8;
+        }
+        accumulator += (accumulator >> 16) & 0xffff;
+        return accumulator & 0xffff;
+    }
+
+    // DS digest = hash(canonical owner name | DNSKEY RDATA)
+    async digestMatches(owner, key, ds) {
+        const digestInfo = DNSSEC_DIGEST_TYPES[ds.digestType];
+        const subtle = globalThis.crypto?.subtle;
+        if (!digestInfo?.hash || !subtle) return false;
+
+        const digest = await subtle.digest(digestInfo.hash, this.concatBytes([this.encodeName(owner), key.rdata]));
+        return DNSWireFormat.bytesToHex(new Uint8Array(digest)) === ds.digest.toLowerCase();
+    }
+
+    // Split a DO-bit response into the records of one type at one owner and the RRSIGs covering them
+    extractRRset(response, owner, type) {
+        const answers = response?.Answer || [];
+        const sameOwner = answer => this.toFQDN(answer.name) === owner;
+        return {
+            records: answers.filter(answer => sameOwner(answer) && answer.type === DNS_RECORD_TYPES[type]),
+            signatures: answers.filter(answer => sameOwner(answer) && answer.type === DNS_RECORD_TYPES.RRSIG)
+        };
+    }
+
+    createLink(zone) {
+        return { zone: zone, status: null, reason: null, ds: [], keys: [], signatures: [] };
+    }
+
+    finishLink(link, status, reason) {
+        link.status = status;
+        link.reason = reason;
+        return link;
+    }
+
+    // Key summary for the UI and exports (no raw key material)
+    describeKey(key) {
+        return {
+            keyTag: key.keyTag,
+            flags: key.flags,
+            role: key.isKSK ? 'KSK' : 'ZSK',
+            revoked: key.isRevoked,
+            algorithm: key.algorithm,
+            algorithmName: this.algorithmName(key.algorithm),
+            keySize: this.keySize(key)
+        };
+    }
+
+    algorithmName(algorithm) {
+        return DNSSEC_ALGORITHMS[algorithm]?.name || `algorithm ${algorithm}`;
+    }
+
+    // Turn the chain and RRset results into issue objects for the security section
+    async buildFindings(apex, result, state) {
+        const findings = [];
+        const ownLinks = result.chain.filter(link => link.zone === apex || link.zone.endsWith(`.${apex}`));
+        const lastLink = result.chain[result.chain.length - 1];
+
+        if (result.status === 'bogus') {
+            const failed = [...result.chain, ...result.rrsets].find(entry => entry.status === 'bogus');
+            findings.push({
+                type: 'dnssec_bogus',
+                risk: 'high',
+                description: `DNSSEC validation fails for ${result.domain}: ${failed?.reason || 'broken chain of trust'} - validating resolvers will return SERVFAIL`,
+                recommendation: 'Fix the DS/DNSKEY mismatch or re-sign the zone; if DNSSEC is being removed, withdraw the DS record first'
+            });
+        } else if (lastLink.status === 'insecure' && lastLink.islandOfSecurity) {
+            findings.push({
+                type: 'dnssec_missing_ds',
+                risk: 'medium',
+                description: `${lastLink.zone} is signed but has no DS record at its parent - the signatures are never validated`,
+                recommendation: 'Publish the DS record for the zone\'s KSK at the registrar'
+            });
+        } else if (result.status === 'insecure') {
+            findings.push({
+                type: 'dnssec_unsigned',
+                risk: 'low',
+                description: `DNSSEC is not enabled for ${result.domain} - DNS answers can be spoofed or poisoned without detection`,
+                recommendation: 'Sign the zone and publish a DS record at the registrar (most managed DNS providers support this)'
+            });
+        } else if (result.status === 'indeterminate') {
+            const failed = [...result.chain, ...result.rrsets].find(entry => entry.status === 'indeterminate');
+            findings.push({
+                type: 'dnssec_indeterminate',
+                risk: 'low',
+                description: `DNSSEC chain for ${result.domain} could not be fully verified: ${failed?.reason || 'unsupported algorithm'}`,
+                recommendation: 'Check the chain with a validating resolver (e.g. dig +dnssec, DNSViz)'
+            });
+        }
+
+        for (const link of ownLinks) {
+            for (const key of link.keys) {
+                const algorithm = DNSSEC_ALGORITHMS[key.algorithm];
+                if (!algorithm || algorithm.status !== 'ok') {
+                    findings.push({
+                        type: 'dnssec_weak_algorithm',
+                        risk: algorithm?.status === 'deprecated' ? 'medium' : 'high',
+                        description: `${link.zone} ${key.role} ${key.keyTag} uses ${key.algorithmName}, which RFC 8624 says must not be used for signing`,
+                        recommendation: 'Roll the zone to ECDSAP256SHA256 (13) or RSASHA256 (8) with 2048-bit keys'
+                    });
+                } else if (algorithm.rsa && key.keySize < DNSSEC_MIN_RSA_KEY_BITS) {
+                    findings.push({
+                        type: 'dnssec_weak_key_size',
+                        risk: key.keySize < 1024 ? 'high' : 'medium',
+                        description: `${link.zone} ${key.role} ${key.keyTag} is a ${key.keySize}-bit RSA key (${DNSSEC_MIN_RSA_KEY_BITS} bits recommended)`,
+                        recommendation: 'Roll to a 2048-bit RSA key or switch to ECDSAP256SHA256 (13)'
+                    });
+                }
+            }
+
+            const sha1DS = link.ds.filter(ds => ds.digestType === 1);
+            if (sha1DS.length > 0 && sha1DS.length === link.ds.length) {
+                findings.push({
+                    type: 'dnssec_weak_ds_digest',
+                    risk: 'medium',
+                    description: `${link.zone} is only delegated with SHA-1 DS digests`,
+                    recommendation: 'Publish a SHA-256 (digest type 2) DS record and remove the SHA-1 one'
+                });
+            }
+        }
+
+        const expiring = state.signatures.filter(signature =>
+            (signature.signer === apex || signature.signer.endsWith(`.${apex}`)) &&
+            Date.parse(signature.expiration) / 1000 - state.now < DNSSEC_EXPIRY_WARNING_SECONDS);
+        for (const signature of expiring) {
+            findings.push({
+                type: 'dnssec_signature_expiring',
+                risk: 'medium',
+                description: `RRSIG over ${signature.owner} ${signature.covers} expires ${signature.expiration} - the zone goes bogus if it isn't re-signed`,
+                recommendation: 'Check that automatic re-signing is running for the zone'
+            });
+        }
+
+        return findings;
+    }
+
+    // Byte helpers
+    toFQDN(name) {
+        const lower = (name || '').toLowerCase();
+        return lower.endsWith('.') ? lower : `${lower}.`;
+    }
+
+    encodeName(name) {
+        const labels = name.replace(/\.$/, '').split('.').filter(label => label.length > 0);
+        const bytes = [];
+        for (const label of labels) {
+            bytes.push(label.length);
+            for (let i = 0; i < label.length; i++) bytes.push(label.charCodeAt(i) & 0xff);
+        }
+        bytes.push(0);
+        return new Uint8Array(bytes);
+    }
+
+    parseIPv6(address) {
+        const [head, tail = null] = address.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups = tail === null ? headGroups :
+            [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+        const bytes = new Uint8Array(16);
+        groups.forEach((group, index) => {
+            const value = parseInt(group || '0', 16);
+            bytes[index * 2] = value >> 8;
+            bytes[index * 2 + 1] = value & 0xff;
+        });
+        return bytes;
+    }
+
+    base64ToBytes(value) {
+        const binary = atob(value);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return bytes;
+    }
+
+    concatBytes(parts) {
+        const length = parts.reduce((sum, part) => sum + part.length, 0);
+        const out = new Uint8Array(length);
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    compareBytes(a, b) {
+        const length = Math.min(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            if (a[i] !== b[i]) return a[i] - b[i];
+        }
+        return a.length - b.length;
+    }
+}
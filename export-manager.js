@@ -1,4 +1,4 @@
-// Export Manager - Handles JSON, PDF and XLSX export functionality
+// Export Manager - Handles JSON (export and re-import), PDF, XLSX, Markdown/HTML report, STIX 2.1, CycloneDX and graph (GraphML, GEXF, Neo4j CSV) export functionality
 class ExportManager {
     constructor() {
         this.analysisData = null;
@@ -9,6 +9,9 @@ class ExportManager {
 
     // Setup event listeners for export buttons
     setupEventListeners() {
+        // No DOM when running headless (Node CLI) - exports are built programmatically there
+        if (typeof document === 'undefined') return;
+        
         document.addEventListener('DOMContentLoaded', () => {
             const exportPDFBtn = document.getElementById('exportPDF');
             const exportXLSXBtn = document.getElementById('exportXLSX');
@@ -20,11 +23,19 @@ class ExportManager {
             if (exportXLSXBtn) {
                 exportXLSXBtn.addEventListener('click', () => this.exportToXLSX());
             }
+            
+            document.getElementById('exportMarkdown')?.addEventListener('click', () => this.exportReport('markdown'));
+            document.getElementById('exportHTML')?.addEventListener('click', () => this.exportReport('html'));
+            document.getElementById('exportGraphML')?.addEventListener('click', () => this.exportToGraphML());
+            document.getElementById('exportGEXF')?.addEventListener('click', () => this.exportToGEXF());
+            document.getElementById('exportNeo4j')?.addEventListener('click', () => this.exportToNeo4jCSV());
+            document.getElementById('exportSTIX')?.addEventListener('click', () => this.exportToSTIX());
+            document.getElementById('exportCycloneDX')?.addEventListener('click', () => this.exportToCycloneDX());
         });
     }
 
-    // Store analysis data for export
-    setAnalysisData(processedData, securityResults, domain) {
+    // Store analysis data for export (timestamp is the scan time - kept from the file for imported scans)
+    setAnalysisData(processedData, securityResults, domain, timestamp = new Date().toISOString()) {
         console.log('📊 ExportManager.setAnalysisData called with:', {
             domain,
             hasProcessedData: !!processedData,
@@ -39,11 +50,11 @@ class ExportManager {
             processedData: serializedProcessedData,
             securityResults,
             domain,
-            timestamp: new Date().toISOString(),
-            formattedTimestamp: new Date().toLocaleString()
+            timestamp,
+            formattedTimestamp: new Date(timestamp).toLocaleString()
         };
         this.exportDomain = domain;
-        this.exportTimestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+        this.exportTimestamp = timestamp.split('T')[0]; // YYYY-MM-DD format
         
         console.log('📊 Analysis data stored:', {
             domain: this.exportDomain,
@@ -57,6 +68,8 @@ class ExportManager {
 
     // Show export section with JSON option
     showExportSection() {
+        if (typeof document === 'undefined') return;
+        
         const exportSection = document.getElementById('exportSection');
         if (exportSection) {
             exportSection.style.display = 'block';
@@ -89,7 +102,8 @@ class ExportManager {
     serializeDataForExport(data) {
         if (!data) return null;
         
-        const serialized = { ...data };
+        // The live DataProcessor is only a helper for the renderers - it is rebuilt on import
+        const { dataProcessor, ...serialized } = data;
         
         // Convert services Map to Object
         if (data.services && data.services instanceof Map) {
@@ -107,9 +121,241 @@ class ExportManager {
             console.log('📊 Converted services:', Object.keys(servicesObj).length, 'services');
         }
         
+        // Subdomains are keyed by name already
+        if (data.subdomains instanceof Map) {
+            serialized.subdomains = Object.fromEntries(data.subdomains);
+        }
+        
+        if (data.sovereigntyAnalysis?.countryDistribution instanceof Map) {
+            const sovereignty = data.sovereigntyAnalysis;
+            const countryDistribution = {};
+            for (const [country, countryData] of sovereignty.countryDistribution) {
+                countryDistribution[country] = { ...countryData, providers: Array.from(countryData.providers || []) };
+            }
+            serialized.sovereigntyAnalysis = {
+                ...sovereignty,
+                countryDistribution,
+                services: Object.fromEntries(sovereignty.services || []),
+                subdomains: Object.fromEntries(sovereignty.subdomains || [])
+            };
+        }
+        
         return serialized;
     }
 
+    // Rebuild the Maps and Sets of a JSON export document (the reverse of serializeDataForExport);
+    // throws when the document is not a 3rd Party Tracer JSON export
+    static parseJSONExport(json) {
+        const exportData = typeof json === 'string' ? JSON.parse(json) : json;
+        const processedData = exportData?.processedData;
+        if (!exportData?.meta?.domain || !processedData || typeof processedData.services !== 'object') {
+            throw new Error('Not a 3rd Party Tracer JSON export (missing meta.domain or processedData)');
+        }
+        
+        const services = new Map();
+        for (const [key, value] of Object.entries(processedData.services || {})) {
+            const { originalKey, ...service } = value;
+            services.set(originalKey || key, service);
+        }
+        
+        const restored = {
+            ...processedData,
+            domain: processedData.domain || exportData.meta.domain,
+            services,
+            // Exports before version 1.1 serialized the subdomains Map as an empty object
+            subdomains: new Map(Object.entries(processedData.subdomains || {}))
+        };
+        
+        const sovereignty = processedData.sovereigntyAnalysis;
+        if (sovereignty) {
+            const countryDistribution = new Map();
+            for (const [country, countryData] of Object.entries(sovereignty.countryDistribution || {})) {
+                countryDistribution.set(country, { ...countryData, providers: new Set(countryData.providers || []) });
+            }
+            restored.sovereigntyAnalysis = {
+                ...sovereignty,
+                countryDistribution,
+                services: new Map(Object.entries(sovereignty.services || {})),
+                subdomains: new Map(Object.entries(sovereignty.subdomains || {}))
+            };
+        }
+        
+        return {
+            meta: exportData.meta,
+            domain: exportData.meta.domain,
+            processedData: restored,
+            securityResults: exportData.securityResults || {}
+        };
+    }
+
+    // Build the complete JSON export document
+    buildJSONExport() {
+        if (!this.analysisData) return null;
+        
+        return {
+            meta: {
+                exportVersion: '1.1',
+                domain: this.exportDomain,
+                timestamp: this.analysisData.timestamp,
+                formattedTimestamp: this.analysisData.formattedTimestamp,
+                exportedAt: new Date().toISOString()
+            },
+            processedData: this.analysisData.processedData,
+            securityResults: this.analysisData.securityResults
+        };
+    }
+
+    // Markdown or HTML report of the stored analysis, rendered with the saved custom template when there is one
+    buildReport(format) {
+        if (!this.analysisData) return null;
+        
+        return ReportExporter.render(this.buildJSONExport(), format, ReportExporter.getStoredTemplates()[format] || null);
+    }
+
+    // Export a templated report (see report-export.js)
+    exportReport(format) {
+        const { label, extension, type } = REPORT_FORMATS[format];
+        if (!this.analysisData) {
+            console.error(`❌ No analysis data available for ${label} export`);
+            alert('No analysis data available for export');
+            return;
+        }
+
+        try {
+            this.downloadFile(this.buildReport(format), type, `3rd-party-report-${this.exportDomain}-${this.exportTimestamp}.${extension}`);
+            console.log(`✅ ${label} report exported successfully`);
+        } catch (error) {
+            console.error(`❌ ${label} report export failed:`, error);
+            alert(`Failed to export the ${label} report: ${error.message}`);
+        }
+    }
+
+    // Relationship graph of the stored analysis (see graph-export.js)
+    buildGraphExport() {
+        if (!this.analysisData) return null;
+        
+        return GraphExporter.build(this.analysisData.processedData, this.analysisData.securityResults, this.exportDomain);
+    }
+
+    // Export the relationship graph as GraphML
+    exportToGraphML() {
+        this.exportGraph('GraphML', graph => [
+            { content: GraphExporter.toGraphML(graph), type: 'application/graphml+xml', extension: 'graphml' }
+        ]);
+    }
+
+    // Export the relationship graph as GEXF
+    exportToGEXF() {
+        this.exportGraph('GEXF', graph => [
+            { content: GraphExporter.toGEXF(graph), type: 'application/xml', extension: 'gexf' }
+        ]);
+    }
+
+    // Export the relationship graph as a Neo4j bulk-import pair (nodes and relationships CSV)
+    exportToNeo4jCSV() {
+        this.exportGraph('Neo4j CSV', graph => {
+            const csv = GraphExporter.toNeo4jCSV(graph);
+            return [
+                { content: csv.nodes, type: 'text/csv', extension: 'nodes.csv' },
+                { content: csv.relationships, type: 'text/csv', extension: 'relationships.csv' }
+            ];
+        });
+    }
+
+    // Build the graph, serialize it with formatFiles and download every resulting file
+    exportGraph(formatName, formatFiles) {
+        if (!this.analysisData) {
+            console.error(`❌ No analysis data available for ${formatName} export`);
+            alert('No analysis data available for export');
+            return;
+        }
+
+        try {
+            const graph = this.buildGraphExport();
+            for (const file of formatFiles(graph)) {
+                this.downloadFile(file.content, file.type, `3rd-party-graph-${this.exportDomain}-${this.exportTimestamp}.${file.extension}`);
+            }
+            console.log(`✅ ${formatName} exported successfully: ${graph.nodes.size} nodes, ${graph.edges.size} relationships`);
+        } catch (error) {
+            console.error(`❌ ${formatName} export failed:`, error);
+            alert(`Failed to export ${formatName}. Please try again.`);
+        }
+    }
+
+    // STIX 2.1 bundle of the stored analysis, rejected when it does not pass schema validation
+    async buildSTIXExport() {
+        if (!this.analysisData) return null;
+        
+        const bundle = await StixExporter.build(this.analysisData.processedData, this.analysisData.securityResults, this.exportDomain);
+        const errors = StixExporter.validate(bundle);
+        if (errors.length > 0) {
+            throw new Error(`STIX bundle failed validation: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+        }
+        return bundle;
+    }
+
+    // Export indicators and findings as a STIX 2.1 bundle
+    async exportToSTIX() {
+        if (!this.analysisData) {
+            console.error('❌ No analysis data available for STIX export');
+            alert('No analysis data available for export');
+            return;
+        }
+
+        try {
+            const bundle = await this.buildSTIXExport();
+            this.downloadFile(JSON.stringify(bundle, null, 2), 'application/stix+json',
+                `3rd-party-stix-${this.exportDomain}-${this.exportTimestamp}.json`);
+            console.log(`✅ STIX exported successfully: ${bundle.objects.length} objects`);
+        } catch (error) {
+            console.error('❌ STIX export failed:', error);
+            alert('Failed to export STIX. Please try again.');
+        }
+    }
+
+    // CycloneDX 1.5 services BOM of the stored analysis, rejected when it does not pass validation
+    buildCycloneDXExport() {
+        if (!this.analysisData) return null;
+        
+        const bom = CycloneDXExporter.build(this.analysisData.processedData, this.exportDomain);
+        const errors = CycloneDXExporter.validate(bom);
+        if (errors.length > 0) {
+            throw new Error(`CycloneDX BOM failed validation: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+        }
+        return bom;
+    }
+
+    // Export the external services as a CycloneDX bill of materials
+    exportToCycloneDX() {
+        if (!this.analysisData) {
+            console.error('❌ No analysis data available for CycloneDX export');
+            alert('No analysis data available for export');
+            return;
+        }
+
+        try {
+            const bom = this.buildCycloneDXExport();
+            this.downloadFile(JSON.stringify(bom, null, 2), 'application/vnd.cyclonedx+json',
+                `3rd-party-bom-${this.exportDomain}-${this.exportTimestamp}.cdx.json`);
+            console.log(`✅ CycloneDX exported successfully: ${bom.services.length} services`);
+        } catch (error) {
+            console.error('❌ CycloneDX export failed:', error);
+            alert('Failed to export CycloneDX. Please try again.');
+        }
+    }
+
+    // Trigger a browser download of a text file
+    downloadFile(content, type, fileName) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     // Export to JSON
     async exportToJSON() {
         console.log('📋 JSON export requested');
@@ -124,17 +370,7 @@ class ExportManager {
         console.log('📋 Starting JSON export...');
         try {
             // Create a complete data dump
-            const exportData = {
-                meta: {
-                    exportVersion: '1.0',
-                    domain: this.exportDomain,
-                    timestamp: this.analysisData.timestamp,
-                    formattedTimestamp: this.analysisData.formattedTimestamp,
-                    exportedAt: new Date().toISOString()
-                },
-                processedData: this.analysisData.processedData,
-                securityResults: this.analysisData.securityResults
-            };
+            const exportData = this.buildJSONExport();
 
             // Convert to JSON string with pretty formatting
             const jsonString = JSON.stringify(exportData, null, 2);
@@ -816,9 +1052,10 @@ class ExportManager {
     }
 }
 
-// Initialize export manager and make it globally accessible
-const exportManager = new ExportManager();
-window.exportManager = exportManager;
+// Initialize export manager and make it globally accessible (browser only)
+if (typeof window !== 'undefined') {
+    window.exportManager = new ExportManager();
+}
 
 // Debug logging
 console.log('✅ Export Manager initialized and attached to window'); 
\ No newline at end of file
@@ -0,0 +1,116 @@
+// Fixture Store - Records every upstream response of a run and replays them deterministically
+// Modes: 'off' (live, default), 'record' (live + capture), 'replay' (no network, answers from the bundle)
+
+const FIXTURE_BUNDLE_FORMAT = '3ptracer-fixtures';
+const FIXTURE_BUNDLE_VERSION = 1;
+
+class FixtureStore {
+    constructor(mode = 'off', bundle = null) {
+        if (!['off', 'record', 'replay'].includes(mode)) {
+            throw new Error(`Unknown fixture mode: ${mode}`);
+        }
+
+        this.mode = mode;
+        this.entries = new Map();
+        this.misses = [];
+        this.hits = 0;
+        this.meta = {
+            domain: null,
+            recordedAt: null
+        };
+
+        if (bundle) {
+            this.loadBundle(bundle);
+        }
+    }
+
+    // Create a store that replays a previously recorded bundle
+    static fromBundle(bundle) {
+        return new FixtureStore('replay', bundle);
+    }
+
+    // Is the store recording or replaying?
+    isActive() {
+        return this.mode !== 'off';
+    }
+
+    // Run a live upstream call through the store
+    // kind groups entries (dns, discovery, asn); key identifies the request within that kind
+    // Producers must throw on failure - a resolved null is recorded (and replayed) as an empty answer
+    async wrap(kind, key, producer) {
+        const entryKey = `${kind}:${key}`;
+
+        if (this.mode === 'replay') {
+            const entry = this.entries.get(entryKey);
+            if (!entry) {
+                this.misses.push(entryKey);
+                throw new Error(`No recorded fixture for ${entryKey}`);
+            }
+            this.hits++;
+            if (entry.error) {
+                throw new Error(entry.error);
+            }
+            return this.clone(entry.value);
+        }
+
+        if (this.mode === 'off') {
+            return await producer();
+        }
+
+        try {
+            const value = await producer();
+            this.entries.set(entryKey, { value: this.clone(value) });
+            return value;
+        } catch (error) {
+            this.entries.set(entryKey, { error: error.message });
+            throw error;
+        }
+    }
+
+    // Load a bundle produced by toBundle()
+    loadBundle(bundle) {
+        if (!bundle || bundle.format !== FIXTURE_BUNDLE_FORMAT) {
+            throw new Error('Not a 3ptracer fixture bundle');
+        }
+        if (bundle.version !== FIXTURE_BUNDLE_VERSION) {
+            throw new Error(`Unsupported fixture bundle version: ${bundle.version}`);
+        }
+
+        this.entries = new Map(Object.entries(bundle.entries || {}));
+        this.meta = {
+            domain: bundle.domain || null,
+            recordedAt: bundle.recordedAt || null
+        };
+    }
+
+    // Serialize the captured responses (keys sorted so bundles diff cleanly)
+    toBundle() {
+        const entries = {};
+        for (const key of Array.from(this.entries.keys()).sort()) {
+            entries[key] = this.entries.get(key);
+        }
+
+        return {
+            format: FIXTURE_BUNDLE_FORMAT,
+            version: FIXTURE_BUNDLE_VERSION,
+            domain: this.meta.domain,
+            recordedAt: this.meta.recordedAt || new Date().toISOString(),
+            entries: entries
+        };
+    }
+
+    // Summary for logs and the CLI
+    getStats() {
+        return {
+            mode: this.mode,
+            entries: this.entries.size,
+            hits: this.hits,
+            misses: this.misses.length
+        };
+    }
+
+    // Responses are plain JSON (or text) - copy them so callers can't mutate the recording
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
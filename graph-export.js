@@ -0,0 +1,265 @@
+// Graph Export - Relationship graph of one scan as GraphML, GEXF or a Neo4j bulk-import CSV pair
+// Node ids are derived from the entity itself ("subdomain:www.example.com", "asn:as13335"), so the same
+// entity gets the same id in every scan and exports of several domains or dates merge cleanly
+
+const GRAPH_EXPORT_NODE_LABELS = {
+    domain: 'Domain',
+    subdomain: 'Subdomain',
+    cname: 'Hostname',
+    service: 'Service',
+    ip: 'IPAddress',
+    asn: 'ASN',
+    reporter: 'DMARCReporter'
+};
+
+class GraphExporter {
+    // Build { domain, nodes, edges } from processedData (Maps or their serialized objects) and securityResults
+    static build(processedData, securityResults = {}, domain = processedData.domain) {
+        const graph = { domain, nodes: new Map(), edges: new Map() };
+        const values = collection => collection instanceof Map ? Array.from(collection.values()) : Object.values(collection || {});
+        const rootId = GraphExporter.addNode(graph, 'domain', domain, { name: domain });
+
+        const subdomains = values(processedData.subdomains)
+            .filter(subdomain => subdomain.status !== 'historical' && subdomain.subdomain !== domain);
+        const endpoints = new Map(); // subdomain → { subdomainId, endpointId (last CNAME hop) }
+
+        for (const subdomain of subdomains) {
+            const subdomainId = GraphExporter.addNode(graph, 'subdomain', subdomain.subdomain, {
+                name: subdomain.subdomain,
+                takeover: subdomain.takeover?.confidence || null
+            });
+            GraphExporter.addEdge(graph, rootId, subdomainId, 'HAS_SUBDOMAIN');
+
+            let endpointId = subdomainId;
+            for (const hop of SupplyChainGraph.getCNAMEHops(subdomain)) {
+                const hopId = GraphExporter.addNode(graph, 'cname', hop, { name: hop });
+                GraphExporter.addEdge(graph, endpointId, hopId, 'CNAME_TO');
+                endpointId = hopId;
+            }
+            endpoints.set(subdomain.subdomain, { subdomainId, endpointId });
+
+            // ASN information is looked up for the first address only
+            (subdomain.ipAddresses || []).forEach((ip, index) => {
+                const ipId = GraphExporter.addNode(graph, 'ip', ip, { name: ip, version: ip.includes(':') ? 6 : 4 });
+                GraphExporter.addEdge(graph, subdomainId, ipId, 'RESOLVES_TO');
+
+                const asnId = index === 0 ? GraphExporter.addASN(graph, subdomain.asnInfo) : null;
+                if (asnId) {
+                    GraphExporter.addEdge(graph, ipId, asnId, 'ANNOUNCED_BY');
+                }
+            });
+        }
+
+        for (const service of values(processedData.services)) {
+            const serviceId = GraphExporter.addNode(graph, 'service', `${service.name}|${service.category}`, {
+                name: service.name,
+                category: service.category,
+                description: service.description || null
+            });
+
+            const sources = service.sourceSubdomains?.length ? service.sourceSubdomains : [service.metadata?.sourceSubdomain];
+            for (const source of sources) {
+                const endpoint = endpoints.get(source);
+                const viaCNAME = !!endpoint && (service.records || []).some(record =>
+                    record.subdomain === source && (record.type === 5 || record.type === 'CNAME'));
+                const sourceId = endpoint ? (viaCNAME ? endpoint.endpointId : endpoint.subdomainId) : rootId;
+                GraphExporter.addEdge(graph, sourceId, serviceId, 'USES_SERVICE', { evidence: viaCNAME ? 'CNAME' : 'DNS' });
+            }
+        }
+
+        // rua/ruf mailboxes, one reporter node per receiving domain
+        for (const destination of securityResults?.dmarcAnalysis?.destinations || []) {
+            const reporterId = GraphExporter.addNode(graph, 'reporter', destination.domain, { name: destination.domain });
+            const edge = GraphExporter.addEdge(graph, rootId, reporterId, 'SENDS_DMARC_REPORTS_TO', {
+                reportTypes: [],
+                mailboxes: [],
+                external: destination.external,
+                authorized: destination.authorized
+            });
+            if (!edge.properties.reportTypes.includes(destination.type)) edge.properties.reportTypes.push(destination.type);
+            if (!edge.properties.mailboxes.includes(destination.email)) edge.properties.mailboxes.push(destination.email);
+        }
+
+        return graph;
+    }
+
+    // Add (or return the existing) node; the id is "<type>:<key>" in lower case
+    static addNode(graph, type, key, properties) {
+        const id = `${type}:${String(key).toLowerCase()}`;
+        if (!graph.nodes.has(id)) {
+            graph.nodes.set(id, { id, type, label: GRAPH_EXPORT_NODE_LABELS[type], properties });
+        }
+        return id;
+    }
+
+    // Add (or return the existing) edge; one edge per source, target and relationship type
+    static addEdge(graph, source, target, type, properties = {}) {
+        const id = `${source}-[${type}]->${target}`;
+        if (!graph.edges.has(id)) {
+            graph.edges.set(id, { id, source, target, type, properties });
+        }
+        return graph.edges.get(id);
+    }
+
+    // ASN node keyed on the AS number when the lookup returned one ("AS13335 Cloudflare, Inc.")
+    static addASN(graph, asnInfo) {
+        if (!asnInfo?.asn || asnInfo.asn === 'Unknown') return null;
+
+        const match = asnInfo.asn.match(/^AS(\d+)\s*(.*)$/i);
+        return GraphExporter.addNode(graph, 'asn', match ? `as${match[1]}` : asnInfo.asn, {
+            name: match ? (match[2] || asnInfo.isp || asnInfo.asn) : asnInfo.asn,
+            number: match ? parseInt(match[1], 10) : null,
+            country: asnInfo.country && asnInfo.country !== 'Unknown' ? asnInfo.country : null
+        });
+    }
+
+    // Property columns of a set of nodes or edges, typed from their first non-empty value
+    static collectProperties(items) {
+        const properties = new Map();
+        for (const item of items) {
+            for (const [name, value] of Object.entries(item.properties)) {
+                if (value === null || value === undefined || properties.get(name)) continue;
+                properties.set(name, Array.isArray(value) ? 'string[]' :
+                    typeof value === 'boolean' ? 'boolean' :
+                    typeof value === 'number' ? (Number.isInteger(value) ? 'int' : 'double') : 'string');
+            }
+        }
+        return properties;
+    }
+
+    static formatValue(value) {
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    // GraphML (graphml.graphdrawing.org) - readable by yEd, Gephi, Cytoscape and NetworkX
+    static toGraphML(graph) {
+        const escape = escapeMarkup;
+        const nodes = Array.from(graph.nodes.values());
+        const edges = Array.from(graph.edges.values());
+        const nodeProperties = GraphExporter.collectProperties(nodes);
+        const edgeProperties = GraphExporter.collectProperties(edges);
+        const graphMLType = type => type === 'string[]' ? 'string' : type;
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            '  <key id="type" for="node" attr.name="type" attr.type="string"/>',
+            '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+            ...Array.from(nodeProperties, ([name, type]) =>
+                `  <key id="n_${name}" for="node" attr.name="${name}" attr.type="${graphMLType(type)}"/>`),
+            '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+            ...Array.from(edgeProperties, ([name, type]) =>
+                `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${graphMLType(type)}"/>`),
+            `  <graph id="${escape(graph.domain)}" edgedefault="directed">`
+        ];
+
+        const dataLines = (prefix, properties) => Object.entries(properties)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([name, value]) => `      <data key="${prefix}_${name}">${escape(GraphExporter.formatValue(value))}</data>`);
+
+        for (const node of nodes) {
+            lines.push(`    <node id="${escape(node.id)}">`,
+                `      <data key="type">${node.type}</data>`,
+                `      <data key="label">${node.label}</data>`,
+                ...dataLines('n', node.properties),
+                '    </node>');
+        }
+        for (const edge of edges) {
+            lines.push(`    <edge id="${escape(edge.id)}" source="${escape(edge.source)}" target="${escape(edge.target)}">`,
+                `      <data key="relation">${edge.type}</data>`,
+                ...dataLines('e', edge.properties),
+                '    </edge>');
+        }
+
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n') + '\n';
+    }
+
+    // GEXF 1.3 (gexf.net) - Gephi's native format
+    static toGEXF(graph, generatedAt = new Date()) {
+        const escape = escapeMarkup;
+        const nodes = Array.from(graph.nodes.values());
+        const edges = Array.from(graph.edges.values());
+        const nodeProperties = Array.from(GraphExporter.collectProperties(nodes));
+        const edgeProperties = Array.from(GraphExporter.collectProperties(edges));
+        const gexfType = type => ({ 'string[]': 'string', int: 'integer' })[type] || type;
+
+        const attributeLines = (kind, properties, fixed) => [
+            `    <attributes class="${kind}">`,
+            ...fixed.map((name, index) => `      <attribute id="${index}" title="${name}" type="string"/>`),
+            ...properties.map(([name, type], index) =>
+                `      <attribute id="${fixed.length + index}" title="${name}" type="${gexfType(type)}"/>`),
+            '    </attributes>'
+        ];
+        const valueLines = (properties, fixedValues, item) => [
+            '        <attvalues>',
+            ...fixedValues.map((value, index) => `          <attvalue for="${index}" value="${escape(value)}"/>`),
+            ...properties
+                .map(([name], index) => [fixedValues.length + index, item.properties[name]])
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([index, value]) => `          <attvalue for="${index}" value="${escape(GraphExporter.formatValue(value))}"/>`),
+            '        </attvalues>'
+        ];
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '    xsi:schemaLocation="http://gexf.net/1.3 http://gexf.net/1.3/gexf.xsd" version="1.3">',
+            `  <meta lastmodifieddate="${generatedAt.toISOString().split('T')[0]}">`,
+            '    <creator>3rd Party Tracer</creator>',
+            `    <description>Third-party relationships of ${escape(graph.domain)}</description>`,
+            '  </meta>',
+            '  <graph defaultedgetype="directed" mode="static">',
+            ...attributeLines('node', nodeProperties, ['type']),
+            ...attributeLines('edge', edgeProperties, []),
+            '    <nodes>'
+        ];
+
+        for (const node of nodes) {
+            lines.push(`      <node id="${escape(node.id)}" label="${escape(node.properties.name)}">`,
+                ...valueLines(nodeProperties, [node.label], node),
+                '      </node>');
+        }
+        lines.push('    </nodes>', '    <edges>');
+        for (const edge of edges) {
+            lines.push(`      <edge id="${escape(edge.id)}" source="${escape(edge.source)}" target="${escape(edge.target)}" label="${edge.type}">`,
+                ...valueLines(edgeProperties, [], edge),
+                '      </edge>');
+        }
+
+        lines.push('    </edges>', '  </graph>', '</gexf>');
+        return lines.join('\n') + '\n';
+    }
+
+    // Neo4j bulk import (neo4j-admin database import full --nodes=nodes.csv --relationships=relationships.csv)
+    // Array properties use the importer's default ';' array delimiter
+    static toNeo4jCSV(graph) {
+        const nodes = Array.from(graph.nodes.values());
+        const edges = Array.from(graph.edges.values());
+        const nodeProperties = Array.from(GraphExporter.collectProperties(nodes));
+        const edgeProperties = Array.from(GraphExporter.collectProperties(edges));
+
+        const cell = value => {
+            if (value === null || value === undefined) return '';
+            const text = Array.isArray(value) ? value.join(';') : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = properties => properties.map(([name, type]) => type === 'string' ? name : `${name}:${type}`);
+        const row = values => values.map(cell).join(',');
+
+        const nodeLines = [
+            ['id:ID', ':LABEL', ...header(nodeProperties)].join(','),
+            ...nodes.map(node => row([node.id, node.label, ...nodeProperties.map(([name]) => node.properties[name])]))
+        ];
+        const relationshipLines = [
+            [':START_ID', ':END_ID', ':TYPE', ...header(edgeProperties)].join(','),
+            ...edges.map(edge => row([edge.source, edge.target, edge.type, ...edgeProperties.map(([name]) => edge.properties[name])]))
+        ];
+
+        return {
+            nodes: nodeLines.join('\n') + '\n',
+            relationships: relationshipLines.join('\n') + '\n'
+        };
+    }
+}
@@ -0,0 +1,427 @@
+// Mail Policy Analyzer - MTA-STS (RFC 8461), SMTP TLS Reporting (RFC 8460) and BIMI
+// Validates the published records and the MTA-STS policy file against the domain's MX set
+
+const MTA_STS_MODES = ['enforce', 'testing', 'none'];
+const MTA_STS_MAX_AGE_LIMIT = 31557600;
+// RFC 8461 recommends weeks; anything under a day makes the policy trivially easy to outwait
+const MTA_STS_MIN_RECOMMENDED_MAX_AGE = 86400;
+const MTA_STS_POLICY_TIMEOUT = 10000;
+
+class MailPolicyAnalyzer {
+    constructor(dnsAnalyzer) {
+        this.dnsAnalyzer = dnsAnalyzer;
+    }
+
+    // _mta-sts TXT record: v=STSv1; id=<1-32 alphanumerics>
+    static parseMTASTSRecord(data) {
+        const tags = MailPolicyAnalyzer.parseTagList(data);
+        const errors = [];
+
+        if (tags.v !== 'STSv1') errors.push('v=STSv1 must be the first tag');
+        if (!tags.id) {
+            errors.push('Missing id tag');
+        } else if (!/^[a-zA-Z0-9]{1,32}$/.test(tags.id)) {
+            errors.push(`Invalid id "${tags.id}" (1-32 letters and digits)`);
+        }
+
+        return { id: tags.id || null, tags, errors };
+    }
+
+    // mta-sts.txt policy file: "key: value" lines with version, mode, max_age and one or more mx
+    static parseMTASTSPolicy(text) {
+        const policy = { version: null, mode: null, maxAge: null, mx: [], errors: [] };
+
+        for (const line of (text || '').split(/\r?\n/)) {
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            const key = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            switch (key) {
+                case 'version':
+                    policy.version = value;
+                    break;
+                case 'mode':
+                    policy.mode = value.toLowerCase();
+                    break;
+                case 'max_age':
+                    policy.maxAge = /^\d{1,10}$/.test(value) ? parseInt(value, 10) : NaN;
+                    break;
+                case 'mx':
+                    policy.mx.push(value.toLowerCase().replace(/\.$/, ''));
+                    break;
+            }
+        }
+
+        if (policy.version !== 'STSv1') policy.errors.push(`version must be STSv1 (got ${policy.version || 'nothing'})`);
+        if (!MTA_STS_MODES.includes(policy.mode)) policy.errors.push(`mode must be ${MTA_STS_MODES.join(', ')} (got ${policy.mode || 'nothing'})`);
+        if (policy.maxAge === null) {
+            policy.errors.push('Missing max_age');
+        } else if (Number.isNaN(policy.maxAge) || policy.maxAge > MTA_STS_MAX_AGE_LIMIT) {
+            policy.errors.push(`max_age must be 0-${MTA_STS_MAX_AGE_LIMIT} seconds`);
+        }
+        if (policy.mx.length === 0 && policy.mode !== 'none') policy.errors.push('At least one mx pattern is required');
+
+        return policy;
+    }
+
+    // _smtp._tls TXT record: v=TLSRPTv1; rua=mailto:...,https://...
+    static parseTLSRPTRecord(data) {
+        const tags = MailPolicyAnalyzer.parseTagList(data);
+        const errors = [];
+        const destinations = [];
+
+        if (tags.v !== 'TLSRPTv1') errors.push('v=TLSRPTv1 must be the first tag');
+        if (!tags.rua) {
+            errors.push('Missing rua tag');
+        } else {
+            for (const uri of tags.rua.split(',').map(entry => entry.trim()).filter(entry => entry.length > 0)) {
+                const mailto = uri.match(/^mailto:([^@\s]+@([^!\s]+))/i);
+                const https = uri.match(/^https:\/\/([^/:\s]+)/i);
+                if (mailto) {
+                    destinations.push({ uri, type: 'mailto', address: mailto[1].toLowerCase(), domain: mailto[2].toLowerCase() });
+                } else if (https) {
+                    destinations.push({ uri, type: 'https', address: uri, domain: https[1].toLowerCase() });
+                } else {
+                    errors.push(`Invalid rua URI "${uri}" (expected mailto: or https:)`);
+                }
+            }
+        }
+
+        return { destinations, tags, errors };
+    }
+
+    // default._bimi TXT record: v=BIMI1; l=<https SVG logo>; a=<https VMC/CMC certificate>
+    static parseBIMIRecord(data) {
+        const tags = MailPolicyAnalyzer.parseTagList(data);
+        const errors = [];
+        const assetHost = uri => {
+            const match = (uri || '').match(/^https:\/\/([^/:\s]+)/i);
+            return match ? match[1].toLowerCase() : null;
+        };
+
+        if (tags.v !== 'BIMI1') errors.push('v=BIMI1 must be the first tag');
+        if (tags.l === undefined) {
+            errors.push('Missing l (logo) tag');
+        } else if (tags.l && !assetHost(tags.l)) {
+            errors.push('Logo location must be an https URL');
+        } else if (tags.l && !/\.svg(\?.*)?$/i.test(tags.l)) {
+            errors.push('Logo must be an SVG (SVG Tiny PS) file');
+        }
+        if (tags.a && !assetHost(tags.a)) {
+            errors.push('Mark certificate location must be an https URL');
+        }
+
+        return {
+            logo: tags.l || null,
+            logoHost: assetHost(tags.l),
+            certificate: tags.a || null,
+            certificateHost: assetHost(tags.a),
+            // An empty l= with no a= is a declination record (RFC draft 4.5)
+            declined: tags.l === '' && !tags.a,
+            tags,
+            errors
+        };
+    }
+
+    // Split "k=v; k=v" - the first key keeps its position so v= can be checked
+    static parseTagList(data) {
+        const tags = {};
+        const text = MailPolicyAnalyzer.normalizeTXT(data);
+
+        text.split(';').map(tag => tag.trim()).filter(tag => tag.length > 0).forEach((tag, index) => {
+            const separator = tag.indexOf('=');
+            if (separator === -1) return;
+            const name = tag.slice(0, separator).trim().toLowerCase();
+            if (index === 0 && name !== 'v') return;
+            if (!(name in tags)) {
+                tags[name] = tag.slice(separator + 1).trim();
+            }
+        });
+
+        return tags;
+    }
+
+    // TXT answers may arrive quoted and split into several strings
+    static normalizeTXT(data) {
+        const text = (data || '').trim();
+        if (!text.startsWith('"')) return text;
+        return text.replace(/"\s+"/g, '').replace(/^"|"$/g, '');
+    }
+
+    // RFC 8461 4.1: "*.example.com" matches exactly one extra left-most label
+    static matchesMXPattern(host, pattern) {
+        if (pattern.startsWith('*.')) {
+            const suffix = pattern.slice(1);
+            return host.endsWith(suffix) && !host.slice(0, -suffix.length).includes('.');
+        }
+        return host === pattern;
+    }
+
+    // Validate MTA-STS, TLS-RPT and BIMI for a domain - records come from DNSAnalyzer.analyzeMainDomain
+    async analyze(domain, records, dmarcAnalysis = null) {
+        console.log(`📧 Checking MTA-STS, TLS-RPT and BIMI for ${domain}`);
+
+        const findings = [];
+        const mxHosts = (records.MX || [])
+            .map(record => record.data.trim().split(/\s+/).pop().replace(/\.$/, '').toLowerCase())
+            .filter(host => host.length > 0);
+
+        const mtaSts = await this.analyzeMTASTS(domain, records['MTA-STS'] || [], mxHosts, findings);
+        const tlsRpt = this.analyzeTLSRPT(domain, records.TLSRPT || [], mtaSts, mxHosts, findings);
+        const bimi = this.analyzeBIMI(domain, records.BIMI || [], dmarcAnalysis, findings);
+
+        console.log(`✅ Mail policies for ${domain}: MTA-STS ${mtaSts ? mtaSts.policy?.mode || 'unverified' : 'absent'}, TLS-RPT ${tlsRpt ? 'present' : 'absent'}, BIMI ${bimi ? 'present' : 'absent'}, ${findings.length} findings`);
+
+        return { domain, mxHosts, mtaSts, tlsRpt, bimi, findings };
+    }
+
+    async analyzeMTASTS(domain, txtRecords, mxHosts, findings) {
+        if (txtRecords.length === 0) {
+            if (mxHosts.length > 0) {
+                findings.push({
+                    type: 'missing_mta_sts',
+                    risk: 'low',
+                    description: 'No MTA-STS policy - inbound SMTP TLS can be downgraded by an on-path attacker',
+                    recommendation: `Publish _mta-sts.${domain} and https://mta-sts.${domain}/.well-known/mta-sts.txt (start with mode: testing)`
+                });
+            }
+            return null;
+        }
+
+        const record = MailPolicyAnalyzer.normalizeTXT(txtRecords[0].data);
+        const parsedRecord = MailPolicyAnalyzer.parseMTASTSRecord(record);
+        const result = { record, id: parsedRecord.id, errors: parsedRecord.errors, policy: null, fetch: null };
+
+        if (txtRecords.length > 1) {
+            findings.push({
+                type: 'mta_sts_multiple_records',
+                risk: 'high',
+                description: `${txtRecords.length} MTA-STS TXT records published - senders treat the domain as having no MTA-STS policy`,
+                recommendation: `Keep a single v=STSv1 record at _mta-sts.${domain}`,
+                record: txtRecords.map(txt => txt.data).join(' | ')
+            });
+        }
+
+        parsedRecord.errors.forEach(error => findings.push({
+            type: 'mta_sts_record_invalid',
+            risk: 'high',
+            description: `MTA-STS TXT record error: ${error}`,
+            recommendation: 'Publish "v=STSv1; id=<policy id>" and change the id whenever the policy changes',
+            record: record
+        }));
+
+        try {
+            result.fetch = await this.fetchPolicy(domain);
+        } catch (error) {
+            // Network/CORS failures say nothing about the policy itself
+            result.fetchError = error.message;
+            findings.push({
+                type: 'mta_sts_policy_unverified',
+                risk: 'low',
+                description: `MTA-STS policy file could not be fetched (${error.message}) - policy not validated`,
+                recommendation: 'Run with the worker proxy or the CLI to validate the policy file',
+                record: `https://mta-sts.${domain}/.well-known/mta-sts.txt`
+            });
+            return result;
+        }
+
+        const { status, contentType, body, location } = result.fetch;
+        if (status !== 200) {
+            findings.push({
+                type: 'mta_sts_policy_unavailable',
+                risk: 'high',
+                description: `MTA-STS is advertised but the policy file returned HTTP ${status}${location ? ` (redirect to ${location} - redirects are not allowed)` : ''}`,
+                recommendation: `Serve the policy at https://mta-sts.${domain}/.well-known/mta-sts.txt with HTTP 200`,
+                record: result.fetch.url
+            });
+            return result;
+        }
+
+        if (!contentType || !contentType.toLowerCase().startsWith('text/plain')) {
+            findings.push({
+                type: 'mta_sts_policy_content_type',
+                risk: 'medium',
+                description: `MTA-STS policy is served as ${contentType || 'no content type'} - RFC 8461 requires text/plain`,
+                recommendation: 'Serve mta-sts.txt with Content-Type: text/plain',
+                record: result.fetch.url
+            });
+        }
+
+        const policy = MailPolicyAnalyzer.parseMTASTSPolicy(body);
+        result.policy = policy;
+
+        policy.errors.forEach(error => findings.push({
+            type: 'mta_sts_policy_invalid',
+            risk: 'high',
+            description: `MTA-STS policy error: ${error}`,
+            recommendation: 'Fix the policy file - senders ignore an invalid policy',
+            record: result.fetch.url
+        }));
+
+        if (policy.mode === 'testing') {
+            findings.push({
+                type: 'mta_sts_testing_mode',
+                risk: 'low',
+                description: 'MTA-STS policy is in testing mode - TLS failures are reported but mail is still delivered',
+                recommendation: 'Switch to mode: enforce once TLS-RPT reports are clean',
+                record: result.fetch.url
+            });
+        } else if (policy.mode === 'none') {
+            findings.push({
+                type: 'mta_sts_disabled',
+                risk: 'low',
+                description: 'MTA-STS policy mode is none - the policy is being withdrawn and offers no protection',
+                recommendation: 'Use mode: enforce, or remove the MTA-STS records entirely',
+                record: result.fetch.url
+            });
+        }
+
+        if (Number.isInteger(policy.maxAge) && policy.maxAge < MTA_STS_MIN_RECOMMENDED_MAX_AGE && policy.mode !== 'none') {
+            findings.push({
+                type: 'mta_sts_short_max_age',
+                risk: 'low',
+                description: `MTA-STS max_age is ${policy.maxAge}s - senders forget the policy quickly`,
+                recommendation: 'Use a max_age of at least one week (604800)',
+                record: result.fetch.url
+            });
+        }
+
+        // Every MX host must match a policy pattern, otherwise enforcing senders refuse to deliver to it
+        if (policy.mode !== 'none' && policy.mx.length > 0) {
+            const unmatched = mxHosts.filter(host => !policy.mx.some(pattern => MailPolicyAnalyzer.matchesMXPattern(host, pattern)));
+            result.unmatchedMX = unmatched;
+            if (unmatched.length > 0) {
+                const enforcing = policy.mode === 'enforce';
+                findings.push({
+                    type: 'mta_sts_mx_mismatch',
+                    risk: enforcing ? 'high' : 'medium',
+                    description: `MX host${unmatched.length === 1 ? '' : 's'} ${unmatched.join(', ')} not covered by the MTA-STS policy (mx: ${policy.mx.join(', ')})${enforcing ? ' - enforcing senders will not deliver to them' : ''}`,
+                    recommendation: 'Add the MX hosts to the policy, update the id in the TXT record, and check the MX set',
+                    record: result.fetch.url
+                });
+            }
+        }
+
+        return result;
+    }
+
+    analyzeTLSRPT(domain, txtRecords, mtaSts, mxHosts, findings) {
+        if (txtRecords.length === 0) {
+            if (mtaSts) {
+                findings.push({
+                    type: 'missing_tls_rpt',
+                    risk: 'low',
+                    description: 'MTA-STS is published without TLS-RPT - delivery failures caused by the policy go unreported',
+                    recommendation: `Publish "v=TLSRPTv1; rua=mailto:tls-reports@${domain}" at _smtp._tls.${domain}`
+                });
+            }
+            return null;
+        }
+
+        const record = MailPolicyAnalyzer.normalizeTXT(txtRecords[0].data);
+        const parsed = MailPolicyAnalyzer.parseTLSRPTRecord(record);
+
+        if (txtRecords.length > 1) {
+            findings.push({
+                type: 'tls_rpt_multiple_records',
+                risk: 'medium',
+                description: `${txtRecords.length} TLS-RPT records published - senders may not send reports`,
+                recommendation: `Keep a single v=TLSRPTv1 record at _smtp._tls.${domain}`,
+                record: txtRecords.map(txt => txt.data).join(' | ')
+            });
+        }
+
+        parsed.errors.forEach(error => findings.push({
+            type: 'tls_rpt_record_invalid',
+            risk: 'medium',
+            description: `TLS-RPT record error: ${error}`,
+            recommendation: 'Publish "v=TLSRPTv1; rua=mailto:<address>"',
+            record: record
+        }));
+
+        // A report mailbox at the domain itself can't receive reports about failing TLS to that domain
+        parsed.destinations
+            .filter(destination => destination.type === 'mailto' && destination.domain === domain && mxHosts.length > 0)
+            .forEach(destination => findings.push({
+                type: 'tls_rpt_self_reporting',
+                risk: 'low',
+                description: `TLS-RPT reports go to ${destination.address} - if TLS to ${domain} breaks, the reports about it may not arrive`,
+                recommendation: 'Send TLS reports to an address on another domain or an https endpoint',
+                record: record
+            }));
+
+        return { record, destinations: parsed.destinations, errors: parsed.errors };
+    }
+
+    analyzeBIMI(domain, txtRecords, dmarcAnalysis, findings) {
+        if (txtRecords.length === 0) {
+            return null;
+        }
+
+        const record = MailPolicyAnalyzer.normalizeTXT(txtRecords[0].data);
+        const parsed = MailPolicyAnalyzer.parseBIMIRecord(record);
+
+        parsed.errors.forEach(error => findings.push({
+            type: 'bimi_record_invalid',
+            risk: 'low',
+            description: `BIMI record error: ${error}`,
+            recommendation: 'Publish "v=BIMI1; l=https://.../logo.svg; a=https://.../vmc.pem"',
+            record: record
+        }));
+
+        if (!parsed.declined) {
+            const dmarc = dmarcAnalysis?.parsed;
+            const enforced = dmarc && ['quarantine', 'reject'].includes(dmarc.p) && dmarc.pct === 100;
+            if (!enforced) {
+                findings.push({
+                    type: 'bimi_dmarc_not_enforced',
+                    risk: 'low',
+                    description: `BIMI is published but DMARC is ${dmarc ? `p=${dmarc.p || 'missing'} pct=${dmarc.pct}` : 'missing'} - mailbox providers only show the logo with p=quarantine or p=reject at pct=100`,
+                    recommendation: 'Enforce DMARC (quarantine or reject, pct=100) before relying on BIMI',
+                    record: record
+                });
+            }
+            if (!parsed.certificate) {
+                findings.push({
+                    type: 'bimi_missing_certificate',
+                    risk: 'low',
+                    description: 'BIMI record has no mark certificate (a=) - Gmail and Apple Mail will not display the logo',
+                    recommendation: 'Obtain a VMC or CMC and reference it with a=',
+                    record: record
+                });
+            }
+        }
+
+        return {
+            record,
+            logo: parsed.logo,
+            logoHost: parsed.logoHost,
+            certificate: parsed.certificate,
+            certificateHost: parsed.certificateHost,
+            declined: parsed.declined,
+            errors: parsed.errors
+        };
+    }
+
+    // Fetch mta-sts.txt through the APIClient (worker proxy) when available, otherwise directly
+    async fetchPolicy(domain) {
+        return await this.dnsAnalyzer.fixtures.wrap('mta-sts', domain, async () => {
+            const viaWorker = await this.dnsAnalyzer.getAPIClient()?.fetchMTASTSPolicy(domain);
+            if (viaWorker) {
+                return viaWorker;
+            }
+
+            const url = `https://mta-sts.${domain}/.well-known/mta-sts.txt`;
+            const response = await fetchWithTimeout(url, { redirect: 'manual' }, MTA_STS_POLICY_TIMEOUT);
+            return {
+                url: url,
+                status: response.status,
+                contentType: response.headers.get('content-type'),
+                location: response.headers.get('location'),
+                body: (await response.text()).slice(0, 65536)
+            };
+        });
+    }
+}
@@ -0,0 +1,7 @@
+// Markup Escape - The one escaping helper for values interpolated into HTML, SVG and XML strings
+// &#39; rather than &apos; for the quote: a numeric reference is valid in XML, SVG and HTML alike
+
+function escapeMarkup(value) {
+    return String(value).replace(/[&<>"']/g, char =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
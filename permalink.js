@@ -0,0 +1,112 @@
+// Permalink - Analysis options, and optionally the scan itself, encoded in the URL fragment
+// #domain=example.com&sources=crtsh,otx&dns=google&depth=2&result=<JSON export, deflate-raw compressed, base64url>
+// The fragment never leaves the browser, so a shared result is only seen by the people who have the link
+
+const PERMALINK_MAX_DEPTH = 5;
+const PERMALINK_MAX_LENGTH = 2 * 1024 * 1024; // Chromium refuses longer URLs
+const PERMALINK_MAX_RESULT_LENGTH = 16 * PERMALINK_MAX_LENGTH; // Inflated bytes - far above what a real export compresses from
+
+class Permalink {
+    // Validated options: domain, sources (DiscoverySourceRegistry ids in priority order, null = the default selection),
+    // dns (DNS_PROVIDERS name, null = defaults), depth (subdomain levels, null = any); throws on values a link cannot carry
+    static normalizeOptions({ domain = '', sources = null, dns = null, depth = null } = {}) {
+        const normalizedDomain = BatchAnalyzer.normalizeDomain(String(domain).trim());
+        if (!BATCH_DOMAIN_PATTERN.test(normalizedDomain)) {
+            throw new Error(`Invalid domain: ${domain}`);
+        }
+
+        const registry = DiscoverySourceRegistry.getDefault();
+        const selected = sources ? registry.resolve(sources).map(source => source.id) : null;
+        if (dns && !DNS_PROVIDERS[dns]) {
+            throw new Error(`Unknown DNS provider: ${dns}`);
+        }
+        if (depth !== null && (!Number.isInteger(depth) || depth < 0 || depth > PERMALINK_MAX_DEPTH)) {
+            throw new Error(`Subdomain depth must be between 0 and ${PERMALINK_MAX_DEPTH}`);
+        }
+
+        // The default selection in the default order is the same as no selection - keeps default links short
+        const isDefault = selected && selected.join(',') === registry.resolve().map(source => source.id).join(',');
+        return {
+            domain: normalizedDomain,
+            sources: isDefault ? null : selected,
+            dns: dns || null,
+            depth
+        };
+    }
+
+    // Fragment (without '#') for the options alone - the history key for an analysis
+    static encodeOptions(options) {
+        const { domain, sources, dns, depth } = Permalink.normalizeOptions(options);
+        const params = new URLSearchParams({ domain });
+        if (sources) params.set('sources', sources.join(','));
+        if (dns) params.set('dns', dns);
+        if (depth !== null) params.set('depth', String(depth));
+        return params.toString();
+    }
+
+    // Fragment for the options plus a JSON export document (ExportManager.buildJSONExport)
+    static async encode(options, exportData = null) {
+        const fragment = Permalink.encodeOptions(options);
+        return exportData ? `${fragment}&result=${await Permalink.compress(JSON.stringify(exportData))}` : fragment;
+    }
+
+    // Options (and the JSON export document when the link carries one) from a fragment; null when there is no domain
+    static async decode(fragment) {
+        const params = new URLSearchParams(String(fragment || '').replace(/^#/, ''));
+        if (!params.get('domain')) return null;
+
+        const depth = params.get('depth');
+        const options = Permalink.normalizeOptions({
+            domain: params.get('domain'),
+            sources: params.get('sources') ? params.get('sources').split(',').filter(source => source) : null,
+            dns: params.get('dns'),
+            depth: depth === null || depth === '' ? null : Number(depth)
+        });
+
+        const result = params.get('result');
+        return {
+            ...options,
+            result: result ? JSON.parse(await Permalink.decompress(result)) : null
+        };
+    }
+
+    // deflate-raw + base64url (URL-safe, no padding)
+    static async compress(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static async decompress(encoded) {
+        let binary;
+        try {
+            binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch {
+            throw new Error('The link\'s result payload is not valid base64url');
+        }
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+
+        // Read chunk by chunk so a crafted payload cannot inflate to gigabytes before it is rejected
+        const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+        const chunks = [];
+        let length = 0;
+        try {
+            for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+                length += chunk.value.length;
+                if (length > PERMALINK_MAX_RESULT_LENGTH) {
+                    reader.cancel().catch(() => {});
+                    throw new Error('too large');
+                }
+                chunks.push(chunk.value);
+            }
+        } catch {
+            throw new Error('The link\'s result payload is truncated, corrupt or too large');
+        }
+        return new TextDecoder().decode(await new Blob(chunks).arrayBuffer());
+    }
+}
@@ -0,0 +1,358 @@
+// Report Export - Markdown and single-file HTML reports rendered from templates
+// A scan is flattened into a plain report model (executive summary, drift, security findings, vendor inventory,
+// sovereignty analysis, subdomains) and rendered with a small Mustache-style template engine, so reports can be
+// diffed between scans and restyled by supplying another template (see report-templates.js for the defaults)
+
+const REPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown', fileExtensions: ['md', 'markdown'] },
+    html: { label: 'HTML', extension: 'html', type: 'text/html', fileExtensions: ['html', 'htm'] }
+};
+
+const REPORT_TEMPLATES_STORAGE_KEY = '3ptracer_report_templates';
+
+const REPORT_RISK_ORDER = ['high', 'medium', 'low', 'info'];
+
+// securityResults lists shown in the report, with the heading UIRenderer uses for them
+const REPORT_FINDING_GROUPS = {
+    takeovers: 'Subdomain Takeover',
+    dnsIssues: 'DNS Security',
+    emailIssues: 'Email Security',
+    cloudIssues: 'Cloud Security',
+    wildcardCertificates: 'Certificates'
+};
+
+const REPORT_ACRONYMS = ['dns', 'dnssec', 'dmarc', 'spf', 'dkim', 'cname', 'ns', 'mx', 'ds', 'mta', 'sts', 'tls', 'rpt', 'bimi'];
+
+const REPORT_DRIFT_DIMENSIONS = {
+    subdomains: 'Subdomains',
+    services: 'Services',
+    vendors: 'Vendors',
+    ips: 'IP Addresses',
+    countries: 'Countries',
+    issues: 'Security Issues'
+};
+
+class ReportExporter {
+    // Render a JSON export document (ExportManager.buildJSONExport) with the default or a custom template
+    static render(exportData, format, template = null, dataProcessor = new DataProcessor()) {
+        if (!REPORT_FORMATS[format]) {
+            throw new Error(`Unknown report format: ${format}`);
+        }
+
+        const model = ReportExporter.buildModel(exportData, dataProcessor);
+        const escape = format === 'html' ? escapeMarkup : ReportExporter.escapeMarkdown;
+        return ReportExporter.renderTemplate(template || DEFAULT_REPORT_TEMPLATES[format], model, escape);
+    }
+
+    // Report format a template file is for, from its extension (null when unknown)
+    static getFormatForFile(fileName) {
+        const extension = String(fileName).split('.').pop().toLowerCase();
+        return Object.keys(REPORT_FORMATS).find(format => REPORT_FORMATS[format].fileExtensions.includes(extension)) || null;
+    }
+
+    // Throw on unbalanced sections by rendering the template against an empty scan
+    static validateTemplate(template) {
+        if (typeof template !== 'string' || template.trim() === '') {
+            throw new Error('Template is empty');
+        }
+        ReportExporter.renderTemplate(template, ReportExporter.buildModel({ meta: { domain: 'example.com' } }), String);
+    }
+
+    // Custom templates saved from the config panel, by format (browser only)
+    static getStoredTemplates() {
+        if (typeof localStorage === 'undefined') return {};
+
+        try {
+            return JSON.parse(localStorage.getItem(REPORT_TEMPLATES_STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored report templates:', error.message);
+            return {};
+        }
+    }
+
+    // Validate and persist a custom template for one format
+    static saveTemplate(format, template) {
+        ReportExporter.validateTemplate(template);
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(REPORT_TEMPLATES_STORAGE_KEY, JSON.stringify({ ...ReportExporter.getStoredTemplates(), [format]: template }));
+        }
+    }
+
+    static clearStoredTemplates() {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(REPORT_TEMPLATES_STORAGE_KEY);
+        }
+    }
+
+    // Plain, JSON-safe view of one scan - everything a template can reference
+    static buildModel(exportData, dataProcessor = new DataProcessor()) {
+        const processedData = exportData.processedData || {};
+        const securityResults = exportData.securityResults || {};
+        const values = collection => collection instanceof Map ? Array.from(collection.values()) : Object.values(collection || {});
+        const domain = exportData.meta?.domain || processedData.domain;
+
+        const findings = ReportExporter.collectFindings(securityResults);
+        const vendors = ReportExporter.collectVendors(values(processedData.services), domain, dataProcessor);
+        const sovereignty = ReportExporter.collectSovereignty(processedData.sovereigntyAnalysis);
+        const subdomains = values(processedData.subdomains)
+            .filter(subdomain => subdomain.status !== 'historical' && subdomain.subdomain !== domain)
+            .map(subdomain => ({
+                name: subdomain.subdomain,
+                addresses: (subdomain.ipAddresses || []).join(', '),
+                cname: SupplyChainGraph.getCNAMEHops(subdomain).join(' → '),
+                vendor: subdomain.vendor?.vendor && subdomain.vendor.vendor !== 'Unknown' ? subdomain.vendor.vendor : '',
+                country: subdomain.asnInfo?.country && subdomain.asnInfo.country !== 'Unknown' ? subdomain.asnInfo.country : '',
+                takeover: subdomain.takeover?.confidence || ''
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        const riskCounts = Object.fromEntries(REPORT_RISK_ORDER.map(risk => [risk, findings.filter(finding => finding.risk === risk).length]));
+        const stats = processedData.stats || {};
+        const drift = ReportExporter.collectDrift(processedData.drift);
+
+        return {
+            domain,
+            scanTime: exportData.meta?.formattedTimestamp || exportData.meta?.timestamp || '',
+            generatedAt: new Date().toISOString(),
+            summary: {
+                metrics: [
+                    { label: 'Services detected', value: stats.totalServices ?? vendors.reduce((count, vendor) => count + vendor.serviceCount, 0) },
+                    { label: 'Vendors', value: vendors.length },
+                    { label: 'Subdomains analyzed', value: stats.totalSubdomains ?? subdomains.length },
+                    { label: 'Hosting providers', value: stats.totalProviders || 0 },
+                    { label: 'Security issues', value: findings.length },
+                    { label: 'Hosting countries', value: sovereignty?.countryCount || 0 },
+                    { label: 'Historical records', value: stats.totalHistoricalRecords || 0 }
+                ],
+                riskCounts,
+                highlights: ReportExporter.buildHighlights(riskCounts, vendors, sovereignty, drift)
+            },
+            drift,
+            findings,
+            findingCount: findings.length,
+            vendors,
+            vendorCount: vendors.length,
+            sovereignty,
+            subdomains,
+            subdomainCount: subdomains.length
+        };
+    }
+
+    // Every finding, highest risk first
+    static collectFindings(securityResults) {
+        const findings = [];
+        for (const [group, groupLabel] of Object.entries(REPORT_FINDING_GROUPS)) {
+            for (const issue of securityResults[group] || []) {
+                findings.push({
+                    risk: issue.risk || 'medium',
+                    type: issue.type || group,
+                    typeLabel: ReportExporter.formatLabel(issue.type || group),
+                    group,
+                    groupLabel,
+                    subject: issue.subdomain || issue.domain || issue.host || issue.zone || '',
+                    description: issue.description || '',
+                    recommendation: issue.recommendation || ''
+                });
+            }
+        }
+        const rank = risk => REPORT_RISK_ORDER.includes(risk) ? REPORT_RISK_ORDER.indexOf(risk) : REPORT_RISK_ORDER.length;
+        return findings.sort((a, b) => rank(a.risk) - rank(b.risk));
+    }
+
+    // Services grouped by the vendor that provides them (the service itself when it is not a known vendor's)
+    static collectVendors(services, domain, dataProcessor) {
+        const vendors = new Map();
+        for (const service of services) {
+            const vendor = dataProcessor.getVendorFromService(service);
+            const name = vendor !== 'Other' ? vendor : service.name;
+            if (!vendors.has(name)) vendors.set(name, { name, services: [] });
+
+            vendors.get(name).services.push({
+                name: service.name,
+                category: service.category || 'unknown',
+                description: service.description || '',
+                evidence: ReportExporter.getEvidence(service),
+                foundOn: (service.sourceSubdomains || []).map(source => source === domain ? 'apex' : source).join(', ')
+            });
+        }
+
+        return Array.from(vendors.values())
+            .map(vendor => ({ ...vendor, serviceCount: vendor.services.length }))
+            .sort((a, b) => b.serviceCount - a.serviceCount || a.name.localeCompare(b.name));
+    }
+
+    // Countries by risk level with their compliance notes; null when the scan has no sovereignty analysis
+    static collectSovereignty(sovereigntyAnalysis) {
+        const assessment = sovereigntyAnalysis?.riskAssessment;
+        if (!assessment) return null;
+
+        const countries = ['high', 'medium', 'low'].flatMap(riskLevel => (assessment[riskLevel] || [])
+            .map(country => ({
+                code: country.countryCode,
+                name: country.country,
+                riskLevel,
+                services: country.totalServices || 0,
+                subdomains: country.totalSubdomains || 0,
+                providers: (country.providers || []).join(', '),
+                issues: (country.issues || []).map(issue => ({ issue }))
+            }))
+            .sort((a, b) => (b.services + b.subdomains) - (a.services + a.subdomains)));
+
+        return {
+            countryCount: countries.length,
+            countries,
+            alerts: (sovereigntyAnalysis.statistics?.complianceAlerts || []).map(alert => ({
+                severity: alert.severity || 'medium',
+                message: alert.message
+            }))
+        };
+    }
+
+    // Changed dimensions since the previous scan; null without a previous scan
+    static collectDrift(drift) {
+        if (!drift) return null;
+
+        const describe = entry => typeof entry === 'string' ? entry : (entry.subject ? `${entry.description} (${entry.subject})` : entry.name || entry.description || entry.key);
+        const dimensions = Object.entries(REPORT_DRIFT_DIMENSIONS)
+            .map(([key, label]) => {
+                const { added = [], removed = [] } = drift.changes?.[key] || {};
+                return {
+                    label,
+                    addedCount: added.length,
+                    removedCount: removed.length,
+                    added: added.map(describe).join(', '),
+                    removed: removed.map(describe).join(', ')
+                };
+            })
+            .filter(dimension => dimension.addedCount + dimension.removedCount > 0);
+
+        return { previousScan: drift.previousScan, totalChanges: drift.totalChanges, dimensions };
+    }
+
+    // One-line takeaways for the executive summary
+    static buildHighlights(riskCounts, vendors, sovereignty, drift) {
+        const plural = (count, word, pluralWord = `${word}s`) => `${count} ${count === 1 ? word : pluralWord}`;
+        const highlights = [];
+
+        highlights.push(riskCounts.high > 0 ?
+            `${plural(riskCounts.high, 'high-risk security issue')} need${riskCounts.high === 1 ? 's' : ''} attention` :
+            'No high-risk security issues were found');
+        if (vendors.length > 0) {
+            const top = vendors[0];
+            const leads = vendors.length === 1 || top.serviceCount > vendors[1].serviceCount;
+            highlights.push(`${plural(vendors.length, 'vendor', 'vendors')} ${vendors.length === 1 ? 'provides' : 'provide'} external services` +
+                (leads ? `; ${top.name} provides the most (${plural(top.serviceCount, 'service')})` : ''));
+        }
+        if (sovereignty?.countryCount > 0) {
+            const highRisk = sovereignty.countries.filter(country => country.riskLevel === 'high').length;
+            highlights.push(`Infrastructure is hosted in ${plural(sovereignty.countryCount, 'country', 'countries')}` +
+                (highRisk > 0 ? `, ${highRisk} of them high-risk jurisdictions` : ''));
+        }
+        if (drift) {
+            highlights.push(`${plural(drift.totalChanges, 'change')} since the previous scan on ${drift.previousScan}`);
+        }
+        return highlights;
+    }
+
+    // Record types a service was detected from (CNAME-detected services only carry them on their records)
+    static getEvidence(service) {
+        const types = service.recordTypes?.length ? service.recordTypes :
+            (service.records || []).map(record => record.type).filter(type => typeof type === 'string');
+        return Array.from(new Set(types)).join(', ');
+    }
+
+    // "dangling_cname" → "Dangling CNAME"
+    static formatLabel(type) {
+        return String(type).split(/[_-]+/)
+            .map(word => REPORT_ACRONYMS.includes(word) ? word.toUpperCase() : word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
+    }
+
+    // Values are rendered inline and in table cells: escape Markdown syntax and keep them on one line
+    static escapeMarkdown(value) {
+        return value.replace(/[\\`*_[\]<>|]/g, '\\$&').replace(/\s*\n\s*/g, ' ');
+    }
+
+    // Mustache subset: {{name}} (escaped), {{{name}}} (raw), {{#section}}…{{/section}} (lists, objects, flags),
+    // {{^section}}…{{/section}} (empty or false), {{.}} (current item), dotted names and {{! comments }}.
+    // Lines holding only a section tag are dropped so list templates don't leave blank lines behind.
+    static renderTemplate(template, view, escape) {
+        const standalone = /^[ \t]*(\{\{[#^/!][^}]*\}\})[ \t]*\r?\n/gm;
+        return ReportExporter.renderSection(template.replace(standalone, '$1'), [view], escape);
+    }
+
+    static renderSection(template, context, escape) {
+        const tagPattern = /\{\{(\{?)\s*([#^/!]?)\s*([^{}]*?)\s*\}?\}\}/g;
+        let output = '';
+        let position = 0;
+        let match;
+
+        while ((match = tagPattern.exec(template))) {
+            const [tag, raw, kind, name] = match;
+            output += template.slice(position, match.index);
+            position = match.index + tag.length;
+
+            if (kind === '!') continue;
+            if (kind === '/') {
+                throw new Error(`Template error: {{/${name}}} closes a section that was never opened`);
+            }
+
+            const value = ReportExporter.lookup(context, name);
+            if (kind === '#' || kind === '^') {
+                const end = ReportExporter.findSectionEnd(template, name, position);
+                const inner = template.slice(position, end.start);
+                position = end.end;
+                tagPattern.lastIndex = end.end;
+
+                const empty = !value || (Array.isArray(value) && value.length === 0);
+                if (kind === '^') {
+                    if (empty) output += ReportExporter.renderSection(inner, context, escape);
+                } else if (!empty) {
+                    const items = Array.isArray(value) ? value : [value];
+                    for (const item of items) {
+                        const scoped = Array.isArray(value) || typeof item === 'object' ? [...context, item] : context;
+                        output += ReportExporter.renderSection(inner, scoped, escape);
+                    }
+                }
+                continue;
+            }
+
+            if (value !== undefined && value !== null) {
+                output += raw ? String(value) : escape(String(value));
+            }
+        }
+
+        return output + template.slice(position);
+    }
+
+    // Position of the {{/name}} matching a section opened just before `from`
+    static findSectionEnd(template, name, from) {
+        const tagPattern = /\{\{\s*([#^/])\s*([^{}]*?)\s*\}\}/g;
+        tagPattern.lastIndex = from;
+        let depth = 1;
+        let match;
+
+        while ((match = tagPattern.exec(template))) {
+            if (match[2] !== name) continue;
+            depth += match[1] === '/' ? -1 : 1;
+            if (depth === 0) {
+                return { start: match.index, end: match.index + match[0].length };
+            }
+        }
+        throw new Error(`Template error: section {{#${name}}} is never closed`);
+    }
+
+    // Resolve a (dotted) name against the context stack, innermost first
+    static lookup(context, name) {
+        if (name === '.') return context[context.length - 1];
+
+        const [first, ...rest] = name.split('.');
+        for (let i = context.length - 1; i >= 0; i--) {
+            const frame = context[i];
+            if (frame !== null && typeof frame === 'object' && first in frame) {
+                return rest.reduce((value, key) => value?.[key], frame[first]);
+            }
+        }
+        return undefined;
+    }
+}
@@ -0,0 +1,245 @@
+// Default Report Templates
+// Mustache-style templates rendered by ReportExporter (report-export.js) against its report model.
+// Custom templates use the same syntax and model and replace these in the browser (Report Template button)
+// and the CLI (--template).
+const DEFAULT_REPORT_TEMPLATES = {
+    markdown: `# 3rd Party Tracer Report: {{domain}}
+
+Scan: {{scanTime}} · Report generated: {{generatedAt}} · [3rd Party Tracer](https://cyfinoid.github.io/3ptracer/)
+
+## Executive Summary
+
+{{#summary.highlights}}
+- {{.}}
+{{/summary.highlights}}
+
+| Metric | Value |
+| --- | ---: |
+{{#summary.metrics}}
+| {{label}} | {{value}} |
+{{/summary.metrics}}
+
+{{#drift}}
+## Changes Since Last Scan
+
+{{totalChanges}} changes since the scan on {{previousScan}}.
+
+{{#dimensions}}
+- **{{label}}** (+{{addedCount}} / -{{removedCount}}){{#added}} added: {{added}}{{/added}}{{#removed}}; removed: {{removed}}{{/removed}}
+{{/dimensions}}
+
+{{/drift}}
+## Security Issues ({{findingCount}})
+
+{{#findings.length}}
+| Risk | Category | Issue | Affected | Description | Recommendation |
+| --- | --- | --- | --- | --- | --- |
+{{#findings}}
+| {{risk}} | {{groupLabel}} | {{typeLabel}} | {{subject}} | {{description}} | {{recommendation}} |
+{{/findings}}
+{{/findings.length}}
+{{^findings}}
+No security issues detected.
+{{/findings}}
+
+## Third-Party Services ({{vendorCount}})
+
+{{#vendors}}
+### {{name}} ({{serviceCount}})
+
+| Service | Category | Evidence | Found on | Description |
+| --- | --- | --- | --- | --- |
+{{#services}}
+| {{name}} | {{category}} | {{evidence}} | {{foundOn}} | {{description}} |
+{{/services}}
+
+{{/vendors}}
+{{^vendors}}
+No third-party services detected.
+
+{{/vendors}}
+{{#sovereignty}}
+## Data Sovereignty Analysis ({{countryCount}})
+
+| Country | Risk | Services | Subdomains | Providers |
+| --- | --- | ---: | ---: | --- |
+{{#countries}}
+| {{name}} ({{code}}) | {{riskLevel}} | {{services}} | {{subdomains}} | {{providers}} |
+{{/countries}}
+
+{{#alerts.length}}
+{{#alerts}}
+- **{{severity}}**: {{message}}
+{{/alerts}}
+
+{{/alerts.length}}
+{{#countries}}
+{{#issues.length}}
+**{{name}}**
+{{#issues}}
+- {{issue}}
+{{/issues}}
+
+{{/issues.length}}
+{{/countries}}
+{{/sovereignty}}
+## Subdomains ({{subdomainCount}})
+
+{{#subdomains.length}}
+| Subdomain | Addresses | CNAME | Vendor | Country | Takeover |
+| --- | --- | --- | --- | --- | --- |
+{{#subdomains}}
+| {{name}} | {{addresses}} | {{cname}} | {{vendor}} | {{country}} | {{takeover}} |
+{{/subdomains}}
+{{/subdomains.length}}
+{{^subdomains}}
+No subdomains discovered.
+{{/subdomains}}
+`,
+
+    html: `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>3rd Party Tracer Report - {{domain}}</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f5f6fa; color: #2d3436; }
+    header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: #fff; padding: 24px 32px; }
+    header h1 { margin: 0 0 6px; font-size: 1.6em; }
+    header p { margin: 0; opacity: 0.85; font-size: 0.9em; }
+    header a { color: #fff; }
+    main { max-width: 1200px; margin: 0 auto; padding: 24px 32px; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 12px; margin-bottom: 16px; }
+    .stat-card { background: #fff; border-radius: 8px; padding: 14px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+    .stat-number { font-size: 1.6em; font-weight: 700; color: #667eea; }
+    .stat-label { font-size: 0.85em; color: #636e72; }
+    .collapsible-section { background: #fff; border-radius: 8px; margin-bottom: 14px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+    .collapsible-section > summary { cursor: pointer; padding: 14px 18px; font-weight: 600; font-size: 1.05em; }
+    .section-content { padding: 0 18px 16px; overflow-x: auto; }
+    .item-count { background: #667eea; color: #fff; border-radius: 10px; padding: 1px 8px; font-size: 0.8em; margin-left: 6px; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9em; margin: 8px 0; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #dfe6e9; vertical-align: top; }
+    th { background: #f1f2f6; }
+    td.number, th.number { text-align: right; }
+    h3 { margin: 16px 0 4px; font-size: 1em; }
+    .risk { display: inline-block; border-radius: 4px; padding: 1px 6px; font-size: 0.8em; font-weight: 600; text-transform: uppercase; color: #fff; background: #b2bec3; }
+    .risk-high { background: #d63031; }
+    .risk-medium { background: #e17055; }
+    .risk-low { background: #fdcb6e; color: #2d3436; }
+    .risk-info { background: #74b9ff; }
+    .muted { color: #636e72; }
+    code { font-size: 0.95em; }
+    footer { text-align: center; color: #636e72; font-size: 0.8em; padding: 16px; }
+</style>
+</head>
+<body>
+<header>
+    <h1>3rd Party Tracer Report: {{domain}}</h1>
+    <p>Scan: {{scanTime}} · Report generated: {{generatedAt}}</p>
+</header>
+<main>
+    <details class="collapsible-section" open>
+        <summary>Executive Summary</summary>
+        <div class="section-content">
+            <div class="stats">
+{{#summary.metrics}}
+                <div class="stat-card"><div class="stat-number">{{value}}</div><div class="stat-label">{{label}}</div></div>
+{{/summary.metrics}}
+            </div>
+            <ul>
+{{#summary.highlights}}
+                <li>{{.}}</li>
+{{/summary.highlights}}
+            </ul>
+        </div>
+    </details>
+{{#drift}}
+    <details class="collapsible-section" open>
+        <summary>Changes Since Last Scan <span class="item-count">{{totalChanges}}</span></summary>
+        <div class="section-content">
+            <p class="muted">Compared with the scan on {{previousScan}}</p>
+            <table>
+                <tr><th>Dimension</th><th>Added</th><th>Removed</th></tr>
+{{#dimensions}}
+                <tr><td>{{label}}</td><td>{{added}}</td><td>{{removed}}</td></tr>
+{{/dimensions}}
+            </table>
+        </div>
+    </details>
+{{/drift}}
+    <details class="collapsible-section" open>
+        <summary>Security Issues <span class="item-count">{{findingCount}}</span></summary>
+        <div class="section-content">
+{{#findings.length}}
+            <table>
+                <tr><th>Risk</th><th>Category</th><th>Issue</th><th>Affected</th><th>Description</th><th>Recommendation</th></tr>
+{{#findings}}
+                <tr><td><span class="risk risk-{{risk}}">{{risk}}</span></td><td>{{groupLabel}}</td><td>{{typeLabel}}</td><td><code>{{subject}}</code></td><td>{{description}}</td><td>{{recommendation}}</td></tr>
+{{/findings}}
+            </table>
+{{/findings.length}}
+{{^findings}}
+            <p class="muted">No security issues detected.</p>
+{{/findings}}
+        </div>
+    </details>
+    <details class="collapsible-section" open>
+        <summary>Third-Party Services <span class="item-count">{{vendorCount}}</span></summary>
+        <div class="section-content">
+{{#vendors}}
+            <h3>{{name}} <span class="item-count">{{serviceCount}}</span></h3>
+            <table>
+                <tr><th>Service</th><th>Category</th><th>Evidence</th><th>Found on</th><th>Description</th></tr>
+{{#services}}
+                <tr><td>{{name}}</td><td>{{category}}</td><td>{{evidence}}</td><td>{{foundOn}}</td><td>{{description}}</td></tr>
+{{/services}}
+            </table>
+{{/vendors}}
+{{^vendors}}
+            <p class="muted">No third-party services detected.</p>
+{{/vendors}}
+        </div>
+    </details>
+{{#sovereignty}}
+    <details class="collapsible-section">
+        <summary>Data Sovereignty Analysis <span class="item-count">{{countryCount}}</span></summary>
+        <div class="section-content">
+            <table>
+                <tr><th>Country</th><th>Risk</th><th class="number">Services</th><th class="number">Subdomains</th><th>Providers</th><th>Notes</th></tr>
+{{#countries}}
+                <tr><td>{{name}} ({{code}})</td><td><span class="risk risk-{{riskLevel}}">{{riskLevel}}</span></td><td class="number">{{services}}</td><td class="number">{{subdomains}}</td><td>{{providers}}</td><td>{{#issues}}{{issue}}<br>{{/issues}}</td></tr>
+{{/countries}}
+            </table>
+{{#alerts.length}}
+            <ul>
+{{#alerts}}
+                <li><span class="risk risk-{{severity}}">{{severity}}</span> {{message}}</li>
+{{/alerts}}
+            </ul>
+{{/alerts.length}}
+        </div>
+    </details>
+{{/sovereignty}}
+    <details class="collapsible-section">
+        <summary>Subdomains <span class="item-count">{{subdomainCount}}</span></summary>
+        <div class="section-content">
+{{#subdomains.length}}
+            <table>
+                <tr><th>Subdomain</th><th>Addresses</th><th>CNAME</th><th>Vendor</th><th>Country</th><th>Takeover</th></tr>
+{{#subdomains}}
+                <tr><td><code>{{name}}</code></td><td>{{addresses}}</td><td>{{cname}}</td><td>{{vendor}}</td><td>{{country}}</td><td>{{takeover}}</td></tr>
+{{/subdomains}}
+            </table>
+{{/subdomains.length}}
+{{^subdomains}}
+            <p class="muted">No subdomains discovered.</p>
+{{/subdomains}}
+        </div>
+    </details>
+</main>
+<footer>Generated by <a href="https://cyfinoid.github.io/3ptracer/">3rd Party Tracer</a> by Cyfinoid Research</footer>
+</body>
+</html>
+`
+};
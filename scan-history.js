@@ -0,0 +1,180 @@
+// Scan History - Persists a snapshot of every completed scan and reports drift since the previous scan of a domain
+// Snapshots are flattened from DataProcessor's processedData; storage is pluggable
+// (IndexedDB in the browser, one JSON file per scan in Node - see cli/snapshot-store.js)
+
+const SCAN_SNAPSHOT_VERSION = 1;
+const SCAN_HISTORY_LIMIT = 20; // Snapshots kept per domain
+const SCAN_DRIFT_DIMENSIONS = ['subdomains', 'services', 'vendors', 'ips', 'countries', 'issues'];
+
+class ScanHistory {
+    constructor(store) {
+        this.store = store;
+    }
+
+    // Save a snapshot of this scan and diff it against the previous one - null on the first scan or when storage fails
+    async record(domain, processedData, securityResults) {
+        const snapshot = ScanHistory.createSnapshot(domain, processedData, securityResults);
+
+        try {
+            const previous = await this.store.getLatest(snapshot.domain);
+            await this.store.save(snapshot);
+            console.log(`🗄️ Saved scan snapshot for ${snapshot.domain}${previous ? ` (previous scan: ${previous.timestamp})` : ' (first scan)'}`);
+            return previous ? ScanHistory.diff(previous, snapshot) : null;
+        } catch (error) {
+            console.warn(`⚠️  Scan history unavailable: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Flatten processedData and securityResults into the sorted, comparable lists a snapshot holds
+    static createSnapshot(domain, processedData, securityResults = {}) {
+        const subdomains = Array.from(processedData.subdomains?.values() || [])
+            .filter(subdomain => subdomain.status !== 'historical');
+
+        const services = Array.from(processedData.services?.values() || []).map(service => ({
+            key: `${service.name}|${service.category}`,
+            name: service.name,
+            category: service.category
+        }));
+
+        const vendors = subdomains
+            .map(subdomain => subdomain.vendor?.vendor)
+            .filter(vendor => vendor && vendor !== 'Unknown');
+
+        const countries = Array.from(processedData.sovereigntyAnalysis?.countryDistribution?.values() || [])
+            .filter(country => country.country && country.country !== 'Unknown')
+            .map(country => ({ key: country.country, name: country.countryName || country.country }));
+
+        const issues = [
+            ...(securityResults.takeovers || []),
+            ...(securityResults.dnsIssues || []),
+            ...(securityResults.emailIssues || []),
+            ...(securityResults.cloudIssues || []),
+            ...(securityResults.wildcardCertificates || [])
+        ].map(issue => ScanHistory.createIssueEntry(issue));
+
+        return {
+            version: SCAN_SNAPSHOT_VERSION,
+            domain: domain.toLowerCase(),
+            timestamp: new Date().toISOString(),
+            subdomains: ScanHistory.uniqueSorted(subdomains.map(subdomain => subdomain.subdomain)),
+            services: ScanHistory.uniqueByKey(services),
+            vendors: ScanHistory.uniqueSorted(vendors),
+            ips: ScanHistory.uniqueSorted(subdomains.flatMap(subdomain => subdomain.ipAddresses || [])),
+            countries: ScanHistory.uniqueByKey(countries),
+            issues: ScanHistory.uniqueByKey(issues)
+        };
+    }
+
+    // Issues are matched on type and affected name; descriptions carry counts and dates that change between scans
+    static createIssueEntry(issue) {
+        const subject = issue.subdomain || issue.domain || issue.host || issue.zone || null;
+        return {
+            key: `${issue.type}|${subject || issue.description}`,
+            type: issue.type,
+            risk: issue.risk,
+            subject: subject,
+            description: issue.description
+        };
+    }
+
+    // Added and removed entries per dimension between two snapshots of the same domain
+    static diff(previous, current) {
+        const changes = {};
+        let totalChanges = 0;
+
+        for (const dimension of SCAN_DRIFT_DIMENSIONS) {
+            const before = previous[dimension] || [];
+            const after = current[dimension] || [];
+            const keyOf = entry => typeof entry === 'string' ? entry : entry.key;
+            const beforeKeys = new Set(before.map(keyOf));
+            const afterKeys = new Set(after.map(keyOf));
+
+            changes[dimension] = {
+                added: after.filter(entry => !beforeKeys.has(keyOf(entry))),
+                removed: before.filter(entry => !afterKeys.has(keyOf(entry)))
+            };
+            totalChanges += changes[dimension].added.length + changes[dimension].removed.length;
+        }
+
+        return {
+            domain: current.domain,
+            previousScan: previous.timestamp,
+            currentScan: current.timestamp,
+            changes,
+            totalChanges
+        };
+    }
+
+    static uniqueSorted(values) {
+        return Array.from(new Set(values)).sort();
+    }
+
+    static uniqueByKey(entries) {
+        const byKey = new Map();
+        for (const entry of entries) {
+            if (!byKey.has(entry.key)) byKey.set(entry.key, entry);
+        }
+        return Array.from(byKey.values()).sort((a, b) => a.key.localeCompare(b.key));
+    }
+}
+
+// Browser snapshot store - one IndexedDB object store indexed by domain, newest snapshots kept per domain
+class IndexedDBSnapshotStore {
+    constructor(databaseName = '3ptracer', limit = SCAN_HISTORY_LIMIT) {
+        this.databaseName = databaseName;
+        this.limit = limit;
+        this.database = null;
+    }
+
+    // Open (and on first use create) the database
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    const snapshots = request.result.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                    snapshots.createIndex('domain', 'domain');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    // Newest snapshot for a domain, or null
+    async getLatest(domain) {
+        const snapshots = await this.list(domain);
+        return snapshots[snapshots.length - 1] || null;
+    }
+
+    // All stored snapshots for a domain, oldest first
+    async list(domain) {
+        const database = await this.open();
+        return await new Promise((resolve, reject) => {
+            const request = database.transaction('snapshots', 'readonly')
+                .objectStore('snapshots').index('domain').getAll(domain);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Store a snapshot and drop the oldest ones beyond the limit
+    async save(snapshot) {
+        const database = await this.open();
+        const existing = await this.list(snapshot.domain);
+        const stale = existing.slice(0, Math.max(0, existing.length - this.limit + 1));
+
+        await new Promise((resolve, reject) => {
+            const transaction = database.transaction('snapshots', 'readwrite');
+            const snapshots = transaction.objectStore('snapshots');
+            snapshots.add(snapshot);
+            for (const entry of stale) {
+                snapshots.delete(entry.id);
+            }
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
@@ -1,445 +1,14 @@
 // Centralized Service Detection Engine
 class ServiceDetectionEngine {
-    constructor() {
-        this.servicePatterns = this.initializeServicePatterns();
+    constructor(signatures = null) {
+        // Service fingerprints come from the signature database (service-signatures.js + custom files)
+        this.signatures = signatures || SignatureDatabase.getDefault();
         this.vendorPatterns = this.initializeVendorPatterns();
     }
 
-    // Initialize service patterns in a cleaner structure
-    initializeServicePatterns() {
-        return {
-            email: {
-                'Google Workspace': {
-                    patterns: ['googlemail.com', 'google.com', 'gmail.com'],
-                    mxPatterns: ['google', 'gmail'],
-                    spfPatterns: ['include:_spf.google.com', 'include:spf.google.com'],
-                    description: 'Email hosting and productivity suite'
-                },
-                'Microsoft 365': {
-                    patterns: ['outlook.com', 'hotmail.com', 'microsoft.com'],
-                    mxPatterns: ['outlook', 'hotmail', 'microsoft'],
-                    spfPatterns: ['include:spf.protection.outlook.com', 'include:outlook.com'],
-                    description: 'Email hosting and productivity suite'
-                },
-                'Zoho Mail': {
-                    patterns: ['zoho.com'],
-                    mxPatterns: ['zoho'],
-                    spfPatterns: ['include:zoho.com', 'include:spf.zoho.com'],
-                    description: 'Business email hosting'
-                },
-                'ProtonMail': {
-                    patterns: ['protonmail.ch'],
-                    mxPatterns: ['protonmail'],
-                    spfPatterns: ['include:_spf.protonmail.ch'],
-                    description: 'Secure email service'
-                },
-                'SendGrid': {
-                    patterns: ['sendgrid.net'],
-                    spfPatterns: ['include:sendgrid.net'],
-                    description: 'Email delivery service'
-                },
-                'Mailgun': {
-                    patterns: ['mailgun.org'],
-                    spfPatterns: ['include:mailgun.org'],
-                    description: 'Email API service'
-                },
-                'Amazon SES': {
-                    patterns: ['amazonses.com'],
-                    spfPatterns: ['include:amazonses.com'],
-                    description: 'Email sending service'
-                },
-                'Proofpoint': {
-                    patterns: ['pphosted.com', 'proofpoint.com'],
-                    spfPatterns: ['include:pphosted.com', 'include:spf.pphosted.com'],
-                    description: 'Email security and protection service'
-                },
-                'Mimecast': {
-                    patterns: ['mimecast.com'],
-                    spfPatterns: ['include:spf.mimecast.com'],
-                    description: 'Email security and archiving service'
-                },
-                'Barracuda': {
-                    patterns: ['barracuda.com', 'barracudacentral.org'],
-                    spfPatterns: ['include:spf.barracuda.com'],
-                    description: 'Email security and filtering service'
-                },
-                'Sophos': {
-                    patterns: ['sophos.com'],
-                    spfPatterns: ['include:spf.sophos.com'],
-                    description: 'Email security and anti-spam service'
-                }
-            },
-            cloud: {
-                'Amazon AWS': {
-                    patterns: ['amazonaws.com', 'aws.amazon.com', 'cloudfront.net', 'awsapprunner.com'],
-                    cnamePatterns: ['amazonaws.com', 'cloudfront.net', 'awsapprunner.com'],
-                    txtPatterns: ['amazonses'],
-                    description: 'Cloud computing platform'
-                },
-                'Microsoft Azure': {
-                    patterns: ['azurewebsites.net', 'azure.com', 'windows.net'],
-                    cnamePatterns: ['azurewebsites.net', 'windows.net'],
-                    txtPatterns: ['MS='],
-                    description: 'Cloud computing platform'
-                },
-                'Google Cloud Platform': {
-                    patterns: ['googleusercontent.com', 'appspot.com', 'firebaseapp.com', 'web.app'],
-                    cnamePatterns: ['googleusercontent.com', 'appspot.com', 'firebaseapp.com', 'web.app'],
-                    description: 'Cloud computing platform'
-                },
-                'Cloudflare': {
-                    patterns: ['cloudflare.com', 'pages.dev'],
-                    cnamePatterns: ['pages.dev'],
-                    nsPatterns: ['cloudflare'],
-                    description: 'CDN, security services, and DNS management'
-                },
-                'Heroku': {
-                    patterns: ['herokuapp.com'],
-                    cnamePatterns: ['herokuapp.com'],
-                    description: 'Application hosting platform'
-                },
-                'Vercel': {
-                    patterns: ['vercel.app', 'vercel.com'],
-                    cnamePatterns: ['vercel.app'],
-                    description: 'Deployment platform'
-                },
-                'Netlify': {
-                    patterns: ['netlify.app', 'netlify.com'],
-                    cnamePatterns: ['netlify.app'],
-                    description: 'Site hosting platform'
-                },
-                'DigitalOcean': {
-                    patterns: ['ondigitalocean.app', 'digitalocean.com'],
-                    cnamePatterns: ['ondigitalocean.app'],
-                    description: 'Cloud infrastructure platform'
-                },
-                'Linode': {
-                    patterns: ['linode.com', 'linodeobjects.com'],
-                    cnamePatterns: ['linode.com'],
-                    description: 'Cloud infrastructure platform'
-                },
-                'Hetzner': {
-                    patterns: ['hetzner.cloud', 'hetzner.com'],
-                    cnamePatterns: ['hetzner.cloud'],
-                    description: 'Cloud infrastructure platform'
-                },
-                'GitHub Pages': {
-                    patterns: ['github.io'],
-                    cnamePatterns: ['github.io'],
-                    description: 'Static site hosting'
-                },
-                'GitLab Pages': {
-                    patterns: ['gitlab.io'],
-                    cnamePatterns: ['gitlab.io'],
-                    description: 'Static site hosting'
-                },
-                'Render': {
-                    patterns: ['render.com', 'onrender.com'],
-                    cnamePatterns: ['onrender.com'],
-                    description: 'Cloud application platform'
-                },
-                'Fly.io': {
-                    patterns: ['fly.dev', 'fly.io'],
-                    cnamePatterns: ['fly.dev', 'fly.io'],
-                    description: 'Application deployment platform'
-                }
-            },
-            analytics: {
-                'Google Analytics': {
-                    patterns: ['google-analytics.com', 'googletagmanager.com'],
-                    txtPatterns: ['google-site-verification'],
-                    description: 'Web analytics tracking'
-                },
-                'Facebook Pixel': {
-                    patterns: ['facebook.com'],
-                    txtPatterns: ['facebook-domain-verification'],
-                    description: 'Social media tracking'
-                },
-                'Adobe Analytics': {
-                    patterns: ['adobe.com'],
-                    txtPatterns: ['adobe-domain-verification', 'adobe-sign-verification'],
-                    description: 'Adobe analytics and marketing tools'
-                },
-                'Mixpanel': {
-                    patterns: ['mixpanel.com'],
-                    txtPatterns: ['mixpanel-domain-verify'],
-                    description: 'Product analytics platform'
-                },
-                'Hotjar': {
-                    patterns: ['hotjar.com'],
-                    txtPatterns: ['hotjar-site-verification'],
-                    description: 'User behavior analytics and heatmaps'
-                },
-                'Segment': {
-                    patterns: ['segment.com'],
-                    txtPatterns: ['segment-site-verification'],
-                    description: 'Customer data platform'
-                }
-            },
-            security: {
-                'Let\'s Encrypt': {
-                    patterns: ['letsencrypt.org'],
-                    txtPatterns: ['letsencrypt'],
-                    description: 'SSL certificate provider'
-                },
-                'Cloudflare': {
-                    patterns: ['cloudflare.com'],
-                    txtPatterns: ['cloudflare-verify'],
-                    description: 'Security and performance services'
-                },
-                'HackerOne': {
-                    patterns: ['hackerone.com'],
-                    txtPatterns: ['hackerone-verification'],
-                    description: 'Bug bounty and vulnerability disclosure platform'
-                },
-                'Keybase': {
-                    patterns: ['keybase.io'],
-                    txtPatterns: ['keybase-site-verification'],
-                    description: 'Identity verification and secure messaging'
-                }
-            },
-            marketing: {
-                'HubSpot': {
-                    patterns: ['hubspot.com', 'hs-sites.com'],
-                    txtPatterns: ['hubspot-developer-verification', 'hs-site-verification'],
-                    description: 'Marketing automation and CRM platform'
-                },
-                'Salesforce': {
-                    patterns: ['salesforce.com', 'force.com'],
-                    txtPatterns: ['salesforce-site-verification', 'pardot-domain-verification'],
-                    description: 'CRM and marketing automation'
-                },
-                'Mailchimp': {
-                    patterns: ['mailchimp.com'],
-                    txtPatterns: ['mailchimp-domain-verification'],
-                    description: 'Email marketing platform'
-                },
-                'Intercom': {
-                    patterns: ['intercom.io'],
-                    txtPatterns: ['intercom-domain-verify'],
-                    description: 'Customer messaging platform'
-                },
-                'Zendesk': {
-                    patterns: ['zendesk.com'],
-                    txtPatterns: ['zendesk-verification'],
-                    description: 'Customer support platform'
-                },
-                'Typeform': {
-                    patterns: ['typeform.com'],
-                    txtPatterns: ['typeform-verify'],
-                    description: 'Online form and survey builder'
-                }
-            },
-            social: {
-                'Twitter': {
-                    patterns: ['twitter.com'],
-                    txtPatterns: ['twitter-domain-verification'],
-                    description: 'Social media platform verification'
-                },
-                'LinkedIn': {
-                    patterns: ['linkedin.com'],
-                    txtPatterns: ['linkedin-domain-verification'],
-                    description: 'Professional networking platform verification'
-                },
-                'Pinterest': {
-                    patterns: ['pinterest.com'],
-                    txtPatterns: ['pinterest-site-verification'],
-                    description: 'Visual discovery platform verification'
-                },
-                'Instagram': {
-                    patterns: ['instagram.com'],
-                    txtPatterns: ['instagram-domain-verification'],
-                    description: 'Social media platform verification'
-                },
-                'TikTok': {
-                    patterns: ['tiktok.com'],
-                    txtPatterns: ['tiktok-domain-verification'],
-                    description: 'Short-form video platform verification'
-                },
-                'YouTube': {
-                    patterns: ['youtube.com'],
-                    txtPatterns: ['youtube-domain-verification'],
-                    description: 'Video platform verification'
-                },
-                'Bluesky': {
-                    patterns: ['bsky.app', 'atproto.com'],
-                    txtPatterns: ['_atproto'],
-                    description: 'Decentralized social network (AT Protocol)'
-                },
-                'Mastodon': {
-                    patterns: ['mastodon.social', 'joinmastodon.org'],
-                    txtPatterns: ['mastodon-verification'],
-                    description: 'Decentralized social network verification'
-                }
-            },
-            payments: {
-                'Stripe': {
-                    patterns: ['stripe.com'],
-                    txtPatterns: ['stripe-verification'],
-                    description: 'Payment processing platform'
-                },
-                'PayPal': {
-                    patterns: ['paypal.com'],
-                    txtPatterns: ['paypal-domain-verification'],
-                    description: 'Digital payment platform'
-                },
-                'Square': {
-                    patterns: ['squareup.com'],
-                    txtPatterns: ['square-site-verification'],
-                    description: 'Payment processing and business tools'
-                },
-                'Shopify': {
-                    patterns: ['shopify.com', 'myshopify.com'],
-                    txtPatterns: ['shopify-domain-verification'],
-                    description: 'E-commerce platform'
-                }
-            },
-            monitoring: {
-                'Pingdom': {
-                    patterns: ['pingdom.com'],
-                    txtPatterns: ['pingdom-verification'],
-                    description: 'Website monitoring and performance'
-                },
-                'New Relic': {
-                    patterns: ['newrelic.com'],
-                    txtPatterns: ['newrelic-domain-verification'],
-                    description: 'Application performance monitoring'
-                },
-                'StatusPage': {
-                    patterns: ['statuspage.io'],
-                    txtPatterns: ['statuspage-domain-verification'],
-                    description: 'Status page and incident communication'
-                },
-                'DataDog': {
-                    patterns: ['datadoghq.com'],
-                    txtPatterns: ['datadog-domain-verification'],
-                    description: 'Infrastructure monitoring and analytics'
-                }
-            },
-            productivity: {
-                'Slack': {
-                    patterns: ['slack.com'],
-                    txtPatterns: ['slack-domain-verification'],
-                    description: 'Team communication platform'
-                },
-                'Microsoft 365': {
-                    patterns: ['office.com', 'office365.com'],
-                    txtPatterns: ['ms-office-verification', 'office365-domain-verification'],
-                    description: 'Office productivity suite'
-                },
-                'Google Workspace': {
-                    patterns: ['google.com', 'googledomains.com'],
-                    txtPatterns: ['google-site-verification', 'googleapps-domain-verification'],
-                    description: 'Productivity and collaboration suite'
-                },
-                'Zoom': {
-                    patterns: ['zoom.us'],
-                    txtPatterns: ['zoom-domain-verification'],
-                    description: 'Video conferencing platform'
-                },
-                'Atlassian': {
-                    patterns: ['atlassian.com'],
-                    txtPatterns: ['atlassian-domain-verification'],
-                    description: 'Development and collaboration tools'
-                }
-            },
-            content: {
-                'WordPress.com': {
-                    patterns: ['wordpress.com'],
-                    txtPatterns: ['wordpress-verification'],
-                    description: 'Content management system'
-                },
-                'Ghost': {
-                    patterns: ['ghost.io', 'ghost.org'],
-                    txtPatterns: ['ghost-site-verification'],
-                    description: 'Publishing platform'
-                },
-                'Medium': {
-                    patterns: ['medium.com'],
-                    txtPatterns: ['medium-domain-verification'],
-                    description: 'Online publishing platform'
-                },
-                'Webflow': {
-                    patterns: ['webflow.io'],
-                    txtPatterns: ['webflow-domain-verification'],
-                    description: 'Website design and hosting platform'
-                }
-            },
-            communication: {
-                'XMPP/Jabber Service': {
-                    patterns: ['jabber.org', 'xmpp.org', 'conversations.im', 'prosody.im', 'ejabberd.im'],
-                    cnamePatterns: ['jabber', 'xmpp', 'chat', 'im'],
-                    txtPatterns: ['xmpp-verification', 'jabber-verification'],
-                    description: 'XMPP/Jabber instant messaging service'
-                },
-                'Conversations.im': {
-                    patterns: ['conversations.im'],
-                    cnamePatterns: ['conversations'],
-                    txtPatterns: ['conversations-verification'],
-                    description: 'Popular XMPP service provider'
-                },
-                'Matrix Protocol': {
-                    patterns: ['matrix.org'],
-                    cnamePatterns: ['matrix'],
-                    txtPatterns: ['matrix-verification'],
-                    description: 'Matrix decentralized communication protocol'
-                },
-                'Discord': {
-                    patterns: ['discord.com', 'discordapp.com'],
-                    txtPatterns: ['discord-domain-verification'],
-                    description: 'Voice and text communication platform'
-                },
-                'Telegram': {
-                    patterns: ['telegram.org'],
-                    txtPatterns: ['telegram-domain-verification'],
-                    description: 'Instant messaging platform'
-                }
-            },
-            web3: {
-                'ENS (Ethereum Name Service)': {
-                    patterns: ['ens.domains'],
-                    txtPatterns: ['ens-domain-verification', '_ens'],
-                    description: 'Ethereum domain name system'
-                },
-                'Unstoppable Domains': {
-                    patterns: ['unstoppabledomains.com'],
-                    txtPatterns: ['unstoppable-domain-verification'],
-                    description: 'Blockchain-based domain system'
-                },
-                'IPFS': {
-                    patterns: ['ipfs.io'],
-                    txtPatterns: ['_ipfs', 'ipfs-hash'],
-                    description: 'InterPlanetary File System content addressing'
-                },
-                'Arweave': {
-                    patterns: ['arweave.org'],
-                    txtPatterns: ['_arweave', 'arweave-verification'],
-                    description: 'Permanent data storage network'
-                }
-            },
-            dns: {
-                'GoDaddy DNS': {
-                    patterns: ['godaddy.com'],
-                    nsPatterns: ['godaddy.com', 'domaincontrol.com'],
-                    description: 'Domain registration and DNS management'
-                },
-                'Namecheap DNS': {
-                    patterns: ['namecheap.com'],
-                    nsPatterns: ['namecheap.com'],
-                    description: 'Domain registration and DNS management'
-                },
-                'Google Domains': {
-                    patterns: ['domains.google'],
-                    nsPatterns: ['domains.google'],
-                    description: 'Domain registration and DNS management'
-                },
-                'AWS Route 53': {
-                    patterns: ['amazonaws.com'],
-                    nsPatterns: ['awsdns'],
-                    description: 'Amazon DNS service'
-                }
-            }
-        };
+    // Service patterns by category, from the signature database
+    get servicePatterns() {
+        return this.signatures.services;
     }
 
     // Initialize vendor patterns for ASN classification
@@ -458,7 +27,7 @@ class ServiceDetectionEngine {
     }
 
     // Main service detection method - replaces all scattered detection methods
-    detectServices(records, domainBeingAnalyzed = null) {
+    detectServices(records, domainBeingAnalyzed = null, spfTree = null) {
         const detectedServices = new Map();
 
         if (!records || typeof records !== 'object') {
@@ -468,6 +37,7 @@ class ServiceDetectionEngine {
         // Process each record type for service detection
         this.processRecordType(records.MX, 'mxPatterns', 'MX', detectedServices);
         this.processRecordType(records.SPF, 'spfPatterns', 'SPF', detectedServices);
+        this.processSPFTree(spfTree, detectedServices);
         this.processRecordType(records.CNAME, 'cnamePatterns', 'CNAME', detectedServices);
         this.processRecordType(records.NS, 'nsPatterns', 'NS', detectedServices);
 
@@ -500,6 +70,14 @@ class ServiceDetectionEngine {
             this.processDKIMRecords(records.DKIM, detectedServices, domainBeingAnalyzed);
         }
 
+        // Process TLS-RPT and BIMI records to detect report receivers and logo/certificate hosts
+        if (records.TLSRPT && domainBeingAnalyzed) {
+            this.processTLSRPTRecords(records.TLSRPT, detectedServices, domainBeingAnalyzed);
+        }
+        if (records.BIMI && domainBeingAnalyzed) {
+            this.processBIMIRecords(records.BIMI, detectedServices, domainBeingAnalyzed);
+        }
+
         // Note: DMARC and SPF policy records are now handled separately as DNS records
 
         return Array.from(detectedServices.values());
@@ -574,6 +152,44 @@ class ServiceDetectionEngine {
             }
         }
 
+        // Process MTA-STS, TLS-RPT and BIMI records
+        for (const record of records['MTA-STS'] || []) {
+            const parsed = MailPolicyAnalyzer.parseMTASTSRecord(record.data);
+            dnsRecords.push({
+                type: 'MTA-STS',
+                name: 'SMTP MTA Strict Transport Security',
+                description: 'Requires TLS with a valid certificate for inbound mail (policy at mta-sts.<domain>)',
+                data: record.data,
+                record: record,
+                category: 'email-security',
+                parsed: { id: parsed.id, errors: parsed.errors }
+            });
+        }
+        for (const record of records.TLSRPT || []) {
+            const parsed = MailPolicyAnalyzer.parseTLSRPTRecord(record.data);
+            dnsRecords.push({
+                type: 'TLSRPT',
+                name: 'SMTP TLS Reporting',
+                description: 'Where senders report SMTP TLS negotiation failures',
+                data: record.data,
+                record: record,
+                category: 'email-security',
+                parsed: { destinations: parsed.destinations.map(destination => destination.address), errors: parsed.errors }
+            });
+        }
+        for (const record of records.BIMI || []) {
+            const parsed = MailPolicyAnalyzer.parseBIMIRecord(record.data);
+            dnsRecords.push({
+                type: 'BIMI',
+                name: 'Brand Indicators for Message Identification',
+                description: 'Brand logo shown by mailbox providers for DMARC-authenticated mail',
+                data: record.data,
+                record: record,
+                category: 'email-security',
+                parsed: { logo: parsed.logo, certificate: parsed.certificate, declined: parsed.declined, errors: parsed.errors }
+            });
+        }
+
         // Process other important TXT records (excluding SPF, DMARC, and DKIM)
         if (records.TXT) {
             for (const record of records.TXT) {
@@ -761,6 +377,58 @@ class ServiceDetectionEngine {
         }
     }
 
+    // Add services authorized anywhere in the SPF include tree, not just in the top-level record
+    processSPFTree(spfTree, detectedServices) {
+        if (!spfTree || !spfTree.root) return;
+
+        const visit = node => {
+            const terms = node.redirect ? [...node.terms, node.redirect] : node.terms;
+            for (const term of terms) {
+                if (!term.child) continue;
+                const alreadyMatched = node.depth === 0 &&
+                    detectedServices.get(term.service?.name)?.recordTypes.includes('SPF');
+                if (term.service && !alreadyMatched) {
+                    const serviceConfig = this.servicePatterns[term.service.category]?.[term.service.name];
+                    const record = {
+                        name: `${node.domain}.`,
+                        type: 16,
+                        data: node.record,
+                        subdomain: node.domain,
+                        spfInclude: term.target
+                    };
+                    this.addOrUpdateService(detectedServices, term.service.name, serviceConfig || term.service,
+                        term.service.category, record, 'SPF');
+                }
+                visit(term.child);
+            }
+        };
+        visit(spfTree.root);
+    }
+
+    // Attribute an SPF include target to a known service via its spfPatterns
+    identifySPFInclude(target) {
+        if (!target) return null;
+        const lowerTarget = target.toLowerCase().replace(/\.$/, '');
+
+        for (const [category, services] of Object.entries(this.servicePatterns)) {
+            for (const [serviceName, serviceConfig] of Object.entries(services)) {
+                for (const pattern of serviceConfig.spfPatterns || []) {
+                    const lowerPattern = pattern.toLowerCase();
+                    if (!lowerPattern.startsWith('include:')) continue;
+                    const includeDomain = lowerPattern.slice('include:'.length);
+                    if (lowerTarget === includeDomain || lowerTarget.endsWith(`.${includeDomain}`)) {
+                        return {
+                            name: serviceName,
+                            category: category,
+                            description: serviceConfig.description
+                        };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
     // Check if record data matches any pattern
     matchesPattern(recordData, patterns) {
         if (!patterns || !Array.isArray(patterns)) return false;
@@ -812,12 +480,14 @@ class ServiceDetectionEngine {
         }
     }
 
-    // Parse DMARC record
+    // Parse DMARC record - every RFC 7489 tag plus human-readable policy and reporting summaries
     parseDMARC(dmarcData) {
-        const policy = this.extractDMARCPolicy(dmarcData);
-        const reporting = this.extractDMARCReporting(dmarcData);
+        const tags = DMARCAnalyzer.parse(dmarcData);
+        const policy = this.describeDMARCPolicy(tags.p);
+        const reporting = this.describeDMARCReporting(tags);
         
         return {
+            ...tags,
             description: `Email authentication policy: ${policy}${reporting ? `, Reporting: ${reporting}` : ''}`,
             policy: policy,
             reporting: reporting,
@@ -827,9 +497,12 @@ class ServiceDetectionEngine {
 
     // Extract DMARC policy
     extractDMARCPolicy(dmarcData) {
-        const policyMatch = dmarcData.match(/p=([^;]+)/i);
-        if (policyMatch) {
-            const policy = policyMatch[1].toLowerCase();
+        return this.describeDMARCPolicy(DMARCAnalyzer.parse(dmarcData).p);
+    }
+
+    // Describe a DMARC p/sp value
+    describeDMARCPolicy(policy) {
+        if (policy) {
             switch (policy) {
                 case 'none': return 'Monitor only (none)';
                 case 'quarantine': return 'Quarantine suspicious emails';
@@ -842,16 +515,16 @@ class ServiceDetectionEngine {
 
     // Extract DMARC reporting information
     extractDMARCReporting(dmarcData) {
+        return this.describeDMARCReporting(DMARCAnalyzer.parse(dmarcData));
+    }
+
+    // Describe the reporting destinations of parsed DMARC tags
+    describeDMARCReporting(tags) {
         const reporting = [];
         
-        const ruaMatch = dmarcData.match(/rua=mailto:([^;]+)/i);
-        if (ruaMatch) reporting.push(`Aggregate reports: ${ruaMatch[1]}`);
-        
-        const rufMatch = dmarcData.match(/ruf=mailto:([^;]+)/i);
-        if (rufMatch) reporting.push(`Forensic reports: ${rufMatch[1]}`);
-        
-        const pctMatch = dmarcData.match(/pct=([^;]+)/i);
-        if (pctMatch) reporting.push(`${pctMatch[1]}% of emails`);
+        if (tags.rua.length > 0) reporting.push(`Aggregate reports: ${tags.rua.map(destination => destination.email).join(', ')}`);
+        if (tags.ruf.length > 0) reporting.push(`Forensic reports: ${tags.ruf.map(destination => destination.email).join(', ')}`);
+        if (tags.explicitTags.includes('pct')) reporting.push(`${tags.pct}% of emails`);
         
         return reporting.length > 0 ? reporting.join(', ') : 'No reporting configured';
     }
@@ -862,23 +535,11 @@ class ServiceDetectionEngine {
         console.log(`📧 DMARC data: ${dmarcData}`);
         
         // Extract RUA (aggregate reports) and RUF (forensic reports) emails
-        const reportingEmails = [];
-        
-        const ruaMatch = dmarcData.match(/rua=mailto:([^;,\s]+)/gi);
-        if (ruaMatch) {
-            ruaMatch.forEach(match => {
-                const email = match.replace(/rua=mailto:/i, '');
-                reportingEmails.push({ email, type: 'aggregate' });
-            });
-        }
-        
-        const rufMatch = dmarcData.match(/ruf=mailto:([^;,\s]+)/gi);
-        if (rufMatch) {
-            rufMatch.forEach(match => {
-                const email = match.replace(/ruf=mailto:/i, '');
-                reportingEmails.push({ email, type: 'forensic' });
-            });
-        }
+        const tags = DMARCAnalyzer.parse(dmarcData);
+        const reportingEmails = [
+            ...tags.rua.map(destination => ({ email: destination.email, type: 'aggregate' })),
+            ...tags.ruf.map(destination => ({ email: destination.email, type: 'forensic' }))
+        ];
         
         console.log(`📬 Extracted ${reportingEmails.length} reporting emails:`, reportingEmails);
         
@@ -927,36 +588,67 @@ class ServiceDetectionEngine {
 
     // Identify known DMARC reporting services by domain (returns null if unknown)
     identifyKnownDMARCService(domain) {
-        const dmarcServices = {
-            'dmarcian.com': 'Dmarcian',
-            'valimail.com': 'Valimail',
-            'ondmarc.redsift.com': 'OnDMARC',
-            'dmarc.postmarkapp.com': 'Postmark DMARC',
-            'reports.dmarc.cyber.gov.au': 'Australian Cyber Security Centre',
-            'dmarc-reports.cloudflare.com': 'Cloudflare DMARC',
-            'dmarc.microsoft.com': 'Microsoft DMARC',
-            'google.com': 'Google DMARC',
-            'reports.uri.us': 'URI DMARC',
-            'agari.com': 'Agari',
-            'fraudmarc.com': 'FraudMARC',
-            'returnpath.com': 'Return Path',
-            'proofpoint.com': 'Proofpoint'
-        };
-        
-        // Check for exact domain match
-        if (dmarcServices[domain]) {
-            return dmarcServices[domain];
+        return this.signatures.identifyDMARCReporter(domain);
+    }
+
+    // Detect third-party SMTP TLS report receivers (rua mailboxes and https endpoints)
+    processTLSRPTRecords(tlsRptRecords, detectedServices, domainBeingAnalyzed) {
+        for (const record of tlsRptRecords) {
+            const parsed = MailPolicyAnalyzer.parseTLSRPTRecord(record.data);
+
+            for (const destination of parsed.destinations) {
+                if (destination.domain === domainBeingAnalyzed || destination.domain.endsWith(`.${domainBeingAnalyzed}`)) {
+                    continue;
+                }
+
+                // DMARC reporting vendors usually process TLS reports too
+                const knownServiceName = this.identifyKnownDMARCService(destination.domain);
+                const serviceName = knownServiceName
+                    ? `${knownServiceName} (3rd Party TLS-RPT)`
+                    : `Third-Party TLS-RPT Service (${destination.domain})`;
+
+                console.log(`🚨 Found third-party TLS-RPT receiver: ${serviceName} (${destination.address})`);
+
+                this.addOrUpdateService(
+                    detectedServices,
+                    serviceName,
+                    {
+                        description: `SMTP TLS failure reports sent to ${destination.address} - External dependency`,
+                        reportingEmail: destination.address,
+                        domain: destination.domain,
+                        isThirdParty: true,
+                        isKnownService: knownServiceName !== null
+                    },
+                    'security',
+                    record,
+                    'TLSRPT'
+                );
+            }
         }
-        
-        // Check for subdomain matches
-        for (const [serviceDomain, serviceName] of Object.entries(dmarcServices)) {
-            if (domain.endsWith(serviceDomain)) {
-                return serviceName;
+    }
+
+    // Detect BIMI logo hosts and mark certificate issuers
+    processBIMIRecords(bimiRecords, detectedServices, domainBeingAnalyzed) {
+        for (const record of bimiRecords) {
+            const parsed = MailPolicyAnalyzer.parseBIMIRecord(record.data);
+            const isExternal = host => host && host !== domainBeingAnalyzed && !host.endsWith(`.${domainBeingAnalyzed}`);
+
+            if (isExternal(parsed.certificateHost)) {
+                const caName = this.identifyKnownCA(parsed.certificateHost);
+                const serviceName = caName
+                    ? `${caName} (BIMI Mark Certificate)`
+                    : `BIMI Mark Certificate Host (${parsed.certificateHost})`;
+                this.addOrUpdateService(detectedServices, serviceName, {
+                    description: `Verified Mark Certificate for the BIMI logo served from ${parsed.certificateHost}`
+                }, 'email', record, 'BIMI');
+            }
+
+            if (isExternal(parsed.logoHost)) {
+                this.addOrUpdateService(detectedServices, `BIMI Logo Host (${parsed.logoHost})`, {
+                    description: `BIMI brand logo served from ${parsed.logoHost}`
+                }, 'email', record, 'BIMI');
             }
         }
-        
-        // Return null for unknown services (don't create generic names)
-        return null;
     }
 
     // Process CAA records to detect certificate authority trust relationships
@@ -1045,50 +737,9 @@ class ServiceDetectionEngine {
         };
     }
 
-    // Identify known certificate authorities by domain
+    // Identify known certificate authorities by domain (returns null if unknown)
     identifyKnownCA(domain) {
-        const knownCAs = {
-            'letsencrypt.org': 'Let\'s Encrypt',
-            'digicert.com': 'DigiCert',
-            'sectigo.com': 'Sectigo',
-            'comodo.com': 'Comodo',
-            'godaddy.com': 'GoDaddy',
-            'globalsign.com': 'GlobalSign',
-            'entrust.com': 'Entrust',
-            'thawte.com': 'Thawte',
-            'verisign.com': 'VeriSign',
-            'geotrust.com': 'GeoTrust',
-            'rapidssl.com': 'RapidSSL',
-            'ssl.com': 'SSL.com',
-            'trustwave.com': 'Trustwave',
-            'buypass.com': 'Buypass',
-            'startssl.com': 'StartSSL',
-            'wosign.com': 'WoSign',
-            'certum.eu': 'Certum',
-            'actalis.it': 'Actalis',
-            'izenpe.com': 'Izenpe',
-            'quovadis.com': 'QuoVadis',
-            'amazon.com': 'Amazon Trust Services',
-            'cloudflare.com': 'Cloudflare',
-            'google.com': 'Google Trust Services',
-            'microsoft.com': 'Microsoft',
-            'apple.com': 'Apple'
-        };
-        
-        // Check for exact domain match
-        if (knownCAs[domain]) {
-            return knownCAs[domain];
-        }
-        
-        // Check for subdomain matches
-        for (const [caDomain, caName] of Object.entries(knownCAs)) {
-            if (domain.endsWith(caDomain)) {
-                return caName;
-            }
-        }
-        
-        // Return null for unknown CAs (don't create generic names)
-        return null;
+        return this.signatures.identifyCertificateAuthority(domain);
     }
 
     // Extract service name from verification TXT records
@@ -1315,10 +966,11 @@ class ServiceDetectionEngine {
     }
 
     // Security analysis methods
-    detectDNSSecurityIssues(records) {
+    detectDNSSecurityIssues(records, spfTree = null, dnssec = null) {
         const issues = [];
         
-        if (!records.SPF || records.SPF.length === 0) {
+        // An SPF lookup that failed is reported as spf_indeterminate (from the SPF tree), not as a missing record
+        if ((!records.SPF || records.SPF.length === 0) && !spfTree?.indeterminate) {
             issues.push({
                 type: 'missing_spf',
                 risk: 'high',
@@ -1351,6 +1003,16 @@ class ServiceDetectionEngine {
             }
         }
         
+        // Include-tree findings: lookup limit, void lookups, loops, broken includes
+        if (spfTree && spfTree.issues) {
+            issues.push(...spfTree.issues);
+        }
+        
+        // DNSSEC chain-of-trust findings: unsigned, bogus, weak algorithms, expiring signatures
+        if (dnssec && dnssec.findings) {
+            issues.push(...dnssec.findings);
+        }
+        
         return issues;
     }
 
@@ -1419,13 +1081,24 @@ class ServiceDetectionEngine {
         return issues;
     }
 
-    detectEmailSecurityIssues(records) {
+    detectEmailSecurityIssues(records, dmarcAnalysis = null, mailPolicies = null) {
         const issues = [];
         
+        // MTA-STS, TLS-RPT and BIMI findings from MailPolicyAnalyzer
+        if (mailPolicies) {
+            issues.push(...mailPolicies.findings);
+        }
+        
+        // Full tag validation, report authorization and graded findings from DMARCAnalyzer
+        if (dmarcAnalysis) {
+            issues.push(...dmarcAnalysis.findings);
+            return issues;
+        }
+        
         if (records.DMARC) {
             for (const dmarcRecord of records.DMARC) {
                 const dmarcData = dmarcRecord.data.toLowerCase();
-                if (dmarcData.includes('p=none')) {
+                if (DMARCAnalyzer.parse(dmarcData).p === 'none') {
                     issues.push({
                         type: 'weak_dmarc',
                         risk: 'medium',
@@ -1547,33 +1220,4 @@ class ServiceDetectionEngine {
         
         return issues;
     }
-
-    detectTakeoverFromCNAME(cnameRecords) {
-        const takeovers = [];
-        const vulnerableServices = [
-            'github.io', 'herokuapp.com', 'netlify.app', 'vercel.app', 'surge.sh',
-            'readme.io', 'unbouncepages.com', 'firebaseapp.com', 'appspot.com',
-            'cloudapp.net', 'azurewebsites.net', 'dokkuapp.com', 'bubble.io',
-            'webflow.io', 'squarespace.com', 'wixsite.com', 'tumblr.com',
-            'wordpress.com', 'blogspot.com'
-        ];
-
-        for (const record of cnameRecords) {
-            const cnameTarget = record.data;
-            for (const service of vulnerableServices) {
-                if (cnameTarget.includes(service)) {
-                    takeovers.push({
-                        subdomain: record.name,
-                        cname: cnameTarget,
-                        service: service,
-                        risk: 'medium',
-                        description: `CNAME points to ${service} - potential takeover target`,
-                        type: 'subdomain_takeover'
-                    });
-                }
-            }
-        }
-
-        return takeovers;
-    }
 } 
\ No newline at end of file
@@ -0,0 +1,581 @@
+// Default Service Signature Database
+// Plain JSON (schemaVersion 1) wrapped in a script so it loads from file:// pages and the Node CLI alike.
+// Loaded and validated by SignatureDatabase (signature-database.js); custom signature files use the same format.
+const DEFAULT_SERVICE_SIGNATURES = {
+    "format": "3ptracer-signatures",
+    "schemaVersion": 1,
+    "version": "1.0.0",
+    "name": "3ptracer default signatures",
+    "services": {
+        "email": {
+            "Google Workspace": {
+                "patterns": ["googlemail.com", "google.com", "gmail.com"],
+                "mxPatterns": ["google", "gmail"],
+                "spfPatterns": ["include:_spf.google.com", "include:spf.google.com"],
+                "description": "Email hosting and productivity suite"
+            },
+            "Microsoft 365": {
+                "patterns": ["outlook.com", "hotmail.com", "microsoft.com"],
+                "mxPatterns": ["outlook", "hotmail", "microsoft"],
+                "spfPatterns": ["include:spf.protection.outlook.com", "include:outlook.com"],
+                "description": "Email hosting and productivity suite"
+            },
+            "Zoho Mail": {
+                "patterns": ["zoho.com"],
+                "mxPatterns": ["zoho"],
+                "spfPatterns": ["include:zoho.com", "include:spf.zoho.com"],
+                "description": "Business email hosting"
+            },
+            "ProtonMail": {
+                "patterns": ["protonmail.ch"],
+                "mxPatterns": ["protonmail"],
+                "spfPatterns": ["include:_spf.protonmail.ch"],
+                "description": "Secure email service"
+            },
+            "SendGrid": {
+                "patterns": ["sendgrid.net"],
+                "spfPatterns": ["include:sendgrid.net"],
+                "description": "Email delivery service"
+            },
+            "Mailgun": {
+                "patterns": ["mailgun.org"],
+                "spfPatterns": ["include:mailgun.org"],
+                "description": "Email API service"
+            },
+            "Amazon SES": {
+                "patterns": ["amazonses.com"],
+                "spfPatterns": ["include:amazonses.com"],
+                "description": "Email sending service"
+            },
+            "Proofpoint": {
+                "patterns": ["pphosted.com", "proofpoint.com"],
+                "spfPatterns": ["include:pphosted.com", "include:spf.pphosted.com"],
+                "description": "Email security and protection service"
+            },
+            "Mimecast": {
+                "patterns": ["mimecast.com"],
+                "spfPatterns": ["include:spf.mimecast.com"],
+                "description": "Email security and archiving service"
+            },
+            "Barracuda": {
+                "patterns": ["barracuda.com", "barracudacentral.org"],
+                "spfPatterns": ["include:spf.barracuda.com"],
+                "description": "Email security and filtering service"
+            },
+            "Sophos": {
+                "patterns": ["sophos.com"],
+                "spfPatterns": ["include:spf.sophos.com"],
+                "description": "Email security and anti-spam service"
+            }
+        },
+        "cloud": {
+            "Amazon AWS": {
+                "patterns": ["amazonaws.com", "aws.amazon.com", "cloudfront.net", "awsapprunner.com"],
+                "cnamePatterns": ["amazonaws.com", "cloudfront.net", "awsapprunner.com"],
+                "txtPatterns": ["amazonses"],
+                "description": "Cloud computing platform"
+            },
+            "Microsoft Azure": {
+                "patterns": ["azurewebsites.net", "azure.com", "windows.net"],
+                "cnamePatterns": ["azurewebsites.net", "windows.net"],
+                "txtPatterns": ["MS="],
+                "description": "Cloud computing platform"
+            },
+            "Google Cloud Platform": {
+                "patterns": ["googleusercontent.com", "appspot.com", "firebaseapp.com", "web.app"],
+                "cnamePatterns": ["googleusercontent.com", "appspot.com", "firebaseapp.com", "web.app"],
+                "description": "Cloud computing platform"
+            },
+            "Cloudflare": {
+                "patterns": ["cloudflare.com", "pages.dev"],
+                "cnamePatterns": ["pages.dev"],
+                "nsPatterns": ["cloudflare"],
+                "description": "CDN, security services, and DNS management"
+            },
+            "Heroku": {
+                "patterns": ["herokuapp.com"],
+                "cnamePatterns": ["herokuapp.com"],
+                "description": "Application hosting platform"
+            },
+            "Vercel": {
+                "patterns": ["vercel.app", "vercel.com"],
+                "cnamePatterns": ["vercel.app"],
+                "description": "Deployment platform"
+            },
+            "Netlify": {
+                "patterns": ["netlify.app", "netlify.com"],
+                "cnamePatterns": ["netlify.app"],
+                "description": "Site hosting platform"
+            },
+            "DigitalOcean": {
+                "patterns": ["ondigitalocean.app", "digitalocean.com"],
+                "cnamePatterns": ["ondigitalocean.app"],
+                "description": "Cloud infrastructure platform"
+            },
+            "Linode": {
+                "patterns": ["linode.com", "linodeobjects.com"],
+                "cnamePatterns": ["linode.com"],
+                "description": "Cloud infrastructure platform"
+            },
+            "Hetzner": {
+                "patterns": ["hetzner.cloud", "hetzner.com"],
+                "cnamePatterns": ["hetzner.cloud"],
+                "description": "Cloud infrastructure platform"
+            },
+            "GitHub Pages": {
+                "patterns": ["github.io"],
+                "cnamePatterns": ["github.io"],
+                "description": "Static site hosting"
+            },
+            "GitLab Pages": {
+                "patterns": ["gitlab.io"],
+                "cnamePatterns": ["gitlab.io"],
+                "description": "Static site hosting"
+            },
+            "Render": {
+                "patterns": ["render.com", "onrender.com"],
+                "cnamePatterns": ["onrender.com"],
+                "description": "Cloud application platform"
+            },
+            "Fly.io": {
+                "patterns": ["fly.dev", "fly.io"],
+                "cnamePatterns": ["fly.dev", "fly.io"],
+                "description": "Application deployment platform"
+            }
+        },
+        "analytics": {
+            "Google Analytics": {
+                "patterns": ["google-analytics.com", "googletagmanager.com"],
+                "txtPatterns": ["google-site-verification"],
+                "description": "Web analytics tracking"
+            },
+            "Facebook Pixel": {
+                "patterns": ["facebook.com"],
+                "txtPatterns": ["facebook-domain-verification"],
+                "description": "Social media tracking"
+            },
+            "Adobe Analytics": {
+                "patterns": ["adobe.com"],
+                "txtPatterns": ["adobe-domain-verification", "adobe-sign-verification"],
+                "description": "Adobe analytics and marketing tools"
+            },
+            "Mixpanel": {
+                "patterns": ["mixpanel.com"],
+                "txtPatterns": ["mixpanel-domain-verify"],
+                "description": "Product analytics platform"
+            },
+            "Hotjar": {
+                "patterns": ["hotjar.com"],
+                "txtPatterns": ["hotjar-site-verification"],
+                "description": "User behavior analytics and heatmaps"
+            },
+            "Segment": {
+                "patterns": ["segment.com"],
+                "txtPatterns": ["segment-site-verification"],
+                "description": "Customer data platform"
+            }
+        },
+        "security": {
+            "Let's Encrypt": {
+                "patterns": ["letsencrypt.org"],
+                "txtPatterns": ["letsencrypt"],
+                "description": "SSL certificate provider"
+            },
+            "Cloudflare": {
+                "patterns": ["cloudflare.com"],
+                "txtPatterns": ["cloudflare-verify"],
+                "description": "Security and performance services"
+            },
+            "HackerOne": {
+                "patterns": ["hackerone.com"],
+                "txtPatterns": ["hackerone-verification"],
+                "description": "Bug bounty and vulnerability disclosure platform"
+            },
+            "Keybase": {
+                "patterns": ["keybase.io"],
+                "txtPatterns": ["keybase-site-verification"],
+                "description": "Identity verification and secure messaging"
+            }
+        },
+        "marketing": {
+            "HubSpot": {
+                "patterns": ["hubspot.com", "hs-sites.com"],
+                "txtPatterns": ["hubspot-developer-verification", "hs-site-verification"],
+                "description": "Marketing automation and CRM platform"
+            },
+            "Salesforce": {
+                "patterns": ["salesforce.com", "force.com"],
+                "txtPatterns": ["salesforce-site-verification", "pardot-domain-verification"],
+                "description": "CRM and marketing automation"
+            },
+            "Mailchimp": {
+                "patterns": ["mailchimp.com"],
+                "txtPatterns": ["mailchimp-domain-verification"],
+                "description": "Email marketing platform"
+            },
+            "Intercom": {
+                "patterns": ["intercom.io"],
+                "txtPatterns": ["intercom-domain-verify"],
+                "description": "Customer messaging platform"
+            },
+            "Zendesk": {
+                "patterns": ["zendesk.com"],
+                "txtPatterns": ["zendesk-verification"],
+                "description": "Customer support platform"
+            },
+            "Typeform": {
+                "patterns": ["typeform.com"],
+                "txtPatterns": ["typeform-verify"],
+                "description": "Online form and survey builder"
+            }
+        },
+        "social": {
+            "Twitter": {
+                "patterns": ["twitter.com"],
+                "txtPatterns": ["twitter-domain-verification"],
+                "description": "Social media platform verification"
+            },
+            "LinkedIn": {
+                "patterns": ["linkedin.com"],
+                "txtPatterns": ["linkedin-domain-verification"],
+                "description": "Professional networking platform verification"
+            },
+            "Pinterest": {
+                "patterns": ["pinterest.com"],
+                "txtPatterns": ["pinterest-site-verification"],
+                "description": "Visual discovery platform verification"
+            },
+            "Instagram": {
+                "patterns": ["instagram.com"],
+                "txtPatterns": ["instagram-domain-verification"],
+                "description": "Social media platform verification"
+            },
+            "TikTok": {
+                "patterns": ["tiktok.com"],
+                "txtPatterns": ["tiktok-domain-verification"],
+                "description": "Short-form video platform verification"
+            },
+            "YouTube": {
+                "patterns": ["youtube.com"],
+                "txtPatterns": ["youtube-domain-verification"],
+                "description": "Video platform verification"
+            },
+            "Bluesky": {
+                "patterns": ["bsky.app", "atproto.com"],
+                "txtPatterns": ["_atproto"],
+                "description": "Decentralized social network (AT Protocol)"
+            },
+            "Mastodon": {
+                "patterns": ["mastodon.social", "joinmastodon.org"],
+                "txtPatterns": ["mastodon-verification"],
+                "description": "Decentralized social network verification"
+            }
+        },
+        "payments": {
+            "Stripe": {
+                "patterns": ["stripe.com"],
+                "txtPatterns": ["stripe-verification"],
+                "description": "Payment processing platform"
+            },
+            "PayPal": {
+                "patterns": ["paypal.com"],
+                "txtPatterns": ["paypal-domain-verification"],
+                "description": "Digital payment platform"
+            },
+            "Square": {
+                "patterns": ["squareup.com"],
+                "txtPatterns": ["square-site-verification"],
+                "description": "Payment processing and business tools"
+            },
+            "Shopify": {
+                "patterns": ["shopify.com", "myshopify.com"],
+                "txtPatterns": ["shopify-domain-verification"],
+                "description": "E-commerce platform"
+            }
+        },
+        "monitoring": {
+            "Pingdom": {
+                "patterns": ["pingdom.com"],
+                "txtPatterns": ["pingdom-verification"],
+                "description": "Website monitoring and performance"
+            },
+            "New Relic": {
+                "patterns": ["newrelic.com"],
+                "txtPatterns": ["newrelic-domain-verification"],
+                "description": "Application performance monitoring"
+            },
+            "StatusPage": {
+                "patterns": ["statuspage.io"],
+                "txtPatterns": ["statuspage-domain-verification"],
+                "description": "Status page and incident communication"
+            },
+            "DataDog": {
+                "patterns": ["datadoghq.com"],
+                "txtPatterns": ["datadog-domain-verification"],
+                "description": "Infrastructure monitoring and analytics"
+            }
+        },
+        "productivity": {
+            "Slack": {
+                "patterns": ["slack.com"],
+                "txtPatterns": ["slack-domain-verification"],
+                "description": "Team communication platform"
+            },
+            "Microsoft 365": {
+                "patterns": ["office.com", "office365.com"],
+                "txtPatterns": ["ms-office-verification", "office365-domain-verification"],
+                "description": "Office productivity suite"
+            },
+            "Google Workspace": {
+                "patterns": ["google.com", "googledomains.com"],
+                "txtPatterns": ["google-site-verification", "googleapps-domain-verification"],
+                "description": "Productivity and collaboration suite"
+            },
+            "Zoom": {
+                "patterns": ["zoom.us"],
+                "txtPatterns": ["zoom-domain-verification"],
+                "description": "Video conferencing platform"
+            },
+            "Atlassian": {
+                "patterns": ["atlassian.com"],
+                "txtPatterns": ["atlassian-domain-verification"],
+                "description": "Development and collaboration tools"
+            }
+        },
+        "content": {
+            "WordPress.com": {
+                "patterns": ["wordpress.com"],
+                "txtPatterns": ["wordpress-verification"],
+                "description": "Content management system"
+            },
+            "Ghost": {
+                "patterns": ["ghost.io", "ghost.org"],
+                "txtPatterns": ["ghost-site-verification"],
+                "description": "Publishing platform"
+            },
+            "Medium": {
+                "patterns": ["medium.com"],
+                "txtPatterns": ["medium-domain-verification"],
+                "description": "Online publishing platform"
+            },
+            "Webflow": {
+                "patterns": ["webflow.io"],
+                "txtPatterns": ["webflow-domain-verification"],
+                "description": "Website design and hosting platform"
+            }
+        },
+        "communication": {
+            "XMPP/Jabber Service": {
+                "patterns": ["jabber.org", "xmpp.org", "conversations.im", "prosody.im", "ejabberd.im"],
+                "cnamePatterns": ["jabber", "xmpp", "chat", "im"],
+                "txtPatterns": ["xmpp-verification", "jabber-verification"],
+                "description": "XMPP/Jabber instant messaging service"
+            },
+            "Conversations.im": {
+                "patterns": ["conversations.im"],
+                "cnamePatterns": ["conversations"],
+                "txtPatterns": ["conversations-verification"],
+                "description": "Popular XMPP service provider"
+            },
+            "Matrix Protocol": {
+                "patterns": ["matrix.org"],
+                "cnamePatterns": ["matrix"],
+                "txtPatterns": ["matrix-verification"],
+                "description": "Matrix decentralized communication protocol"
+            },
+            "Discord": {
+                "patterns": ["discord.com", "discordapp.com"],
+                "txtPatterns": ["discord-domain-verification"],
+                "description": "Voice and text communication platform"
+            },
+            "Telegram": {
+                "patterns": ["telegram.org"],
+                "txtPatterns": ["telegram-domain-verification"],
+                "description": "Instant messaging platform"
+            }
+        },
+        "web3": {
+            "ENS (Ethereum Name Service)": {
+                "patterns": ["ens.domains"],
+                "txtPatterns": ["ens-domain-verification", "_ens"],
+                "description": "Ethereum domain name system"
+            },
+            "Unstoppable Domains": {
+                "patterns": ["unstoppabledomains.com"],
+                "txtPatterns": ["unstoppable-domain-verification"],
+                "description": "Blockchain-based domain system"
+            },
+            "IPFS": {
+                "patterns": ["ipfs.io"],
+                "txtPatterns": ["_ipfs", "ipfs-hash"],
+                "description": "InterPlanetary File System content addressing"
+            },
+            "Arweave": {
+                "patterns": ["arweave.org"],
+                "txtPatterns": ["_arweave", "arweave-verification"],
+                "description": "Permanent data storage network"
+            }
+        },
+        "dns": {
+            "GoDaddy DNS": {
+                "patterns": ["godaddy.com"],
+                "nsPatterns": ["godaddy.com", "domaincontrol.com"],
+                "description": "Domain registration and DNS management"
+            },
+            "Namecheap DNS": {
+                "patterns": ["namecheap.com"],
+                "nsPatterns": ["namecheap.com"],
+                "description": "Domain registration and DNS management"
+            },
+            "Google Domains": {
+                "patterns": ["domains.google"],
+                "nsPatterns": ["domains.google"],
+                "description": "Domain registration and DNS management"
+            },
+            "AWS Route 53": {
+                "patterns": ["amazonaws.com"],
+                "nsPatterns": ["awsdns"],
+                "description": "Amazon DNS service"
+            }
+        }
+    },
+    "cnameServices": [
+        {"pattern": "okta.com", "name": "Okta", "category": "security", "description": "Identity and access management platform"},
+        {"pattern": "auth0.com", "name": "Auth0", "category": "security", "description": "Identity and access management platform"},
+        {"pattern": "stripecdn.com", "name": "Stripe", "category": "payment", "description": "Payment processing platform"},
+        {"pattern": "stripe.com", "name": "Stripe", "category": "payment", "description": "Payment processing platform"},
+        {"pattern": "paypal.com", "name": "PayPal", "category": "payment", "description": "Payment processing platform"},
+        {"pattern": "zohohost.eu", "name": "Zoho", "category": "productivity", "description": "Business productivity suite"},
+        {"pattern": "zoho.com", "name": "Zoho", "category": "productivity", "description": "Business productivity suite"},
+        {"pattern": "zohohost.com", "name": "Zoho", "category": "productivity", "description": "Business productivity suite"},
+        {"pattern": "cloudflare", "name": "Cloudflare", "category": "cloud", "description": "CDN and security services"},
+        {"pattern": "cloudfront.net", "name": "AWS CloudFront", "category": "cloud", "description": "Amazon content delivery network"},
+        {"pattern": "elb.amazonaws.com", "name": "AWS Load Balancer", "category": "cloud", "description": "Amazon load balancing service"},
+        {"pattern": "awsglobalaccelerator.com", "name": "AWS Global Accelerator", "category": "cloud", "description": "Global application accelerator"},
+        {"pattern": "awsapprunner.com", "name": "AWS App Runner", "category": "cloud", "description": "Containerized application hosting"},
+        {"pattern": "amazonaws.com", "name": "Amazon AWS", "category": "cloud", "description": "Cloud computing platform"},
+        {"pattern": "fastly.com", "name": "Fastly", "category": "cloud", "description": "Edge cloud platform"},
+        {"pattern": "heroku", "name": "Heroku", "category": "cloud", "description": "Cloud application platform"},
+        {"pattern": "netlify", "name": "Netlify", "category": "cloud", "description": "Static site hosting"},
+        {"pattern": "vercel", "name": "Vercel", "category": "cloud", "description": "Frontend deployment platform"},
+        {"pattern": "github", "name": "GitHub Pages", "category": "cloud", "description": "Static site hosting"},
+        {"pattern": "wixdns.net", "name": "Wix", "category": "cloud", "description": "Website builder platform"},
+        {"pattern": "wix.com", "name": "Wix", "category": "cloud", "description": "Website builder platform"},
+        {"pattern": "azurewebsites.net", "name": "Microsoft Azure App Service", "category": "cloud", "description": "Azure web application hosting"},
+        {"pattern": "ondigitalocean.app", "name": "DigitalOcean App Platform", "category": "cloud", "description": "Application hosting platform"},
+        {"pattern": "gitbook.io", "name": "GitBook", "category": "documentation", "description": "Documentation platform"},
+        {"pattern": "notion.so", "name": "Notion", "category": "documentation", "description": "Workspace and documentation platform"},
+        {"pattern": "canny.io", "name": "Canny Feedback", "category": "feedback", "description": "Product feedback platform"},
+        {"pattern": "zendesk.com", "name": "Zendesk", "category": "support", "description": "Customer support platform"},
+        {"pattern": "intercom.io", "name": "Intercom", "category": "support", "description": "Customer messaging platform"},
+        {"pattern": "hubspot.com", "name": "HubSpot", "category": "marketing", "description": "Marketing and CRM platform"},
+        {"pattern": "mailchimp.com", "name": "Mailchimp", "category": "marketing", "description": "Email marketing platform"},
+        {"pattern": "gitpod.io", "name": "Gitpod", "category": "development", "description": "Cloud development environment"}
+    ],
+    "infrastructure": [
+        {"pattern": "awsglobalaccelerator.com", "name": "AWS Global Accelerator", "category": "cloud", "description": "Global application accelerator"},
+        {"pattern": "awsapprunner.com", "name": "AWS App Runner", "category": "cloud", "description": "Containerized application hosting"},
+        {"pattern": "amazonaws.com", "name": "Amazon Web Services (AWS)", "category": "cloud", "description": "Cloud computing platform"},
+        {"pattern": "azurewebsites.net", "name": "Microsoft Azure", "category": "cloud", "description": "Cloud computing platform"},
+        {"pattern": "ondigitalocean.app", "name": "DigitalOcean App Platform", "category": "cloud", "description": "Application hosting platform"},
+        {"pattern": "cloudflare.com", "name": "Cloudflare", "category": "cloud", "description": "CDN and security services"}
+    ],
+    "dkim": {
+        "probeSelectors": ["default", "selector1", "selector2", "dkim", "key1", "key2", "s1", "s2", "google", "20161025", "20210112", "sig1", "sig2", "em1", "em2", "em3", "em4", "em5", "em6", "em7", "em8", "em9", "em10", "emshared1", "emshared2", "emshared3", "k1", "k2", "k3", "mc1", "mc2", "mc3", "amazonses", "ses", "aws-ses", "mandrill", "mte1", "mte2", "pm", "postmark", "pm1", "pm2", "sp", "sparkpost", "scph0316", "scph0817", "constantcontact", "cc1", "cc2", "cm", "campaignmonitor", "cm1", "cm2", "zendesk1", "zendesk2", "zendeskverification", "hs1-", "hs2-", "hsdomainkey1", "hsdomainkey2", "et", "sf", "exacttarget", "sfmc1", "sfmc2", "mg", "mailgun", "mg1", "mg2", "klaviyo1", "klaviyo2", "ck", "convertkit", "ck1", "ck2"],
+        "selectors": [
+            {"name": "Google Workspace", "confidence": "medium", "match": {"contains": ["google"], "regex": ["^\\d{8}$"], "equals": ["default"]}},
+            {"name": "Microsoft Office 365", "confidence": "low", "match": {"contains": ["selector", "sig"]}},
+            {"name": "SendGrid", "confidence": "high", "match": {"regex": ["^s\\d+$"], "startsWith": ["em"], "contains": ["emshared"]}},
+            {"name": "Mailchimp", "confidence": "high", "match": {"regex": ["^k\\d+$"], "startsWith": ["mc"]}},
+            {"name": "Amazon SES", "confidence": "high", "match": {"contains": ["amazonses", "ses", "aws-ses"]}},
+            {"name": "Mandrill (Mailchimp Transactional)", "confidence": "high", "match": {"contains": ["mandrill"], "startsWith": ["mte"]}},
+            {"name": "Postmark", "confidence": "high", "match": {"contains": ["postmark"], "startsWith": ["pm"]}},
+            {"name": "SparkPost", "confidence": "high", "match": {"contains": ["sparkpost", "scph"], "startsWith": ["sp"]}},
+            {"name": "HubSpot", "confidence": "high", "match": {"contains": ["hs", "hubspot"]}},
+            {"name": "Salesforce Marketing Cloud", "confidence": "medium", "match": {"contains": ["exacttarget", "sfmc"], "startsWith": ["et", "sf"]}},
+            {"name": "Mailgun", "confidence": "high", "match": {"contains": ["mailgun"], "startsWith": ["mg"]}},
+            {"name": "Klaviyo", "confidence": "high", "match": {"contains": ["klaviyo"]}},
+            {"name": "ConvertKit", "confidence": "medium", "match": {"contains": ["convertkit"], "startsWith": ["ck"]}},
+            {"name": "Zendesk", "confidence": "high", "match": {"contains": ["zendesk"]}}
+        ]
+    },
+    "takeovers": [
+        {"name": "GitHub Pages", "status": "vulnerable", "cname": ["github.io"], "http": {"status": 404, "body": ["There isn't a GitHub Pages site here."]}},
+        {"name": "Heroku", "status": "edge-case", "cname": ["herokuapp.com", "herokudns.com"], "http": {"body": ["No such app", "herokucdn.com/error-pages/no-such-app.html"]}},
+        {"name": "Netlify", "status": "edge-case", "cname": ["netlify.app", "netlify.com"], "http": {"status": 404, "body": ["Not Found - Request ID:"]}},
+        {"name": "Vercel", "status": "edge-case", "cname": ["vercel.app", "vercel-dns.com", "now.sh"], "http": {"status": 404, "body": ["DEPLOYMENT_NOT_FOUND", "The deployment could not be found on Vercel"]}},
+        {"name": "Surge.sh", "status": "vulnerable", "cname": ["surge.sh"], "http": {"body": ["project not found"]}},
+        {"name": "ReadMe", "status": "vulnerable", "cname": ["readme.io", "readmessl.com"], "http": {"body": ["Project doesnt exist... yet!"]}},
+        {"name": "Bitbucket", "status": "vulnerable", "cname": ["bitbucket.io"], "http": {"body": ["Repository not found"]}},
+        {"name": "Ghost", "status": "vulnerable", "cname": ["ghost.io"], "http": {"body": ["Failed to resolve DNS path for this host"]}},
+        {"name": "Pantheon", "status": "vulnerable", "cname": ["pantheonsite.io"], "http": {"status": 404, "body": ["The gods are wise, but do not know of the site which you seek."]}},
+        {"name": "Help Scout", "status": "vulnerable", "cname": ["helpscoutdocs.com"], "http": {"body": ["No settings were found for this company:"]}},
+        {"name": "WordPress.com", "status": "vulnerable", "cname": ["wordpress.com"], "http": {"body": ["Do you want to register"]}},
+        {"name": "Shopify", "status": "edge-case", "cname": ["myshopify.com"], "http": {"body": ["Sorry, this shop is currently unavailable."]}},
+        {"name": "Tumblr", "status": "edge-case", "cname": ["domains.tumblr.com"], "http": {"body": ["Whatever you were looking for doesn't currently exist at this address"]}},
+        {"name": "Webflow", "status": "edge-case", "cname": ["proxy-ssl.webflow.com", "proxy.webflow.com"], "http": {"status": 404, "body": ["The page you are looking for doesn't exist or has been moved."]}},
+        {"name": "Unbounce", "status": "edge-case", "cname": ["unbouncepages.com"], "http": {"body": ["The requested URL was not found on this server."]}},
+        {"name": "Zendesk", "status": "edge-case", "cname": ["zendesk.com"], "http": {"body": ["Help Center Closed"]}},
+        {"name": "Fastly", "status": "edge-case", "cname": ["fastly.net"], "http": {"body": ["Fastly error: unknown domain"]}},
+        {"name": "AWS S3", "status": "vulnerable", "cname": ["amazonaws.com"], "cnameRegex": ["(^|\\.)s3[.-]([a-z0-9-]+\\.)?amazonaws\\.com$", "\\.s3-website[.-][a-z0-9-]+\\.amazonaws\\.com$"], "http": {"status": 404, "body": ["NoSuchBucket", "The specified bucket does not exist"]}},
+        {"name": "AWS Elastic Beanstalk", "status": "vulnerable", "cname": ["elasticbeanstalk.com"], "cnameRegex": ["^[a-z0-9-]+\\.[a-z]{2}-[a-z]+-\\d\\.elasticbeanstalk\\.com$"], "nxdomain": true},
+        {"name": "Microsoft Azure App Service", "status": "vulnerable", "cname": ["azurewebsites.net"], "nxdomain": true},
+        {"name": "Microsoft Azure Cloud Services", "status": "vulnerable", "cname": ["cloudapp.net"], "nxdomain": true},
+        {"name": "Microsoft Azure Virtual Machines", "status": "vulnerable", "cname": ["cloudapp.azure.com"], "cnameRegex": ["^[a-z0-9-]+\\.[a-z0-9]+\\.cloudapp\\.azure\\.com$"], "nxdomain": true},
+        {"name": "Microsoft Azure Traffic Manager", "status": "vulnerable", "cname": ["trafficmanager.net"], "nxdomain": true},
+        {"name": "Microsoft Azure Blob Storage", "status": "vulnerable", "cname": ["blob.core.windows.net"], "nxdomain": true},
+        {"name": "Microsoft Azure CDN", "status": "vulnerable", "cname": ["azureedge.net"], "nxdomain": true},
+        {"name": "Microsoft Azure API Management", "status": "vulnerable", "cname": ["azure-api.net"], "nxdomain": true},
+        {"name": "Microsoft Azure Container Instances", "status": "vulnerable", "cname": ["azurecontainer.io"], "nxdomain": true},
+        {"name": "Firebase Hosting", "status": "not-vulnerable", "cname": ["firebaseapp.com", "web.app"]},
+        {"name": "Google App Engine", "status": "not-vulnerable", "cname": ["appspot.com", "ghs.googlehosted.com"]},
+        {"name": "Squarespace", "status": "not-vulnerable", "cname": ["squarespace.com"]},
+        {"name": "AWS Route 53", "status": "edge-case", "nameserverRegex": ["^ns-\\d+\\.awsdns-\\d+\\.(com|net|org|co\\.uk)$"]},
+        {"name": "Azure DNS", "status": "vulnerable", "nameserverRegex": ["\\.azure-dns\\.(com|net|org|info)$"]},
+        {"name": "NS1", "status": "vulnerable", "nameserverRegex": ["\\.nsone\\.net$"]},
+        {"name": "DigitalOcean DNS", "status": "vulnerable", "nameserverRegex": ["^ns[1-3]\\.digitalocean\\.com$"]},
+        {"name": "Google Cloud DNS", "status": "edge-case", "nameserverRegex": ["^ns-cloud-[a-e][1-4]\\.googledomains\\.com$"]}
+    ],
+    "certificateAuthorities": {
+        "letsencrypt.org": "Let's Encrypt",
+        "digicert.com": "DigiCert",
+        "sectigo.com": "Sectigo",
+        "comodo.com": "Comodo",
+        "godaddy.com": "GoDaddy",
+        "globalsign.com": "GlobalSign",
+        "entrust.com": "Entrust",
+        "thawte.com": "Thawte",
+        "verisign.com": "VeriSign",
+        "geotrust.com": "GeoTrust",
+        "rapidssl.com": "RapidSSL",
+        "ssl.com": "SSL.com",
+        "trustwave.com": "Trustwave",
+        "buypass.com": "Buypass",
+        "startssl.com": "StartSSL",
+        "wosign.com": "WoSign",
+        "certum.eu": "Certum",
+        "actalis.it": "Actalis",
+        "izenpe.com": "Izenpe",
+        "quovadis.com": "QuoVadis",
+        "amazon.com": "Amazon Trust Services",
+        "cloudflare.com": "Cloudflare",
+        "google.com": "Google Trust Services",
+        "microsoft.com": "Microsoft",
+        "apple.com": "Apple"
+    },
+    "dmarcReporters": {
+        "dmarcian.com": "Dmarcian",
+        "valimail.com": "Valimail",
+        "ondmarc.redsift.com": "OnDMARC",
+        "dmarc.postmarkapp.com": "Postmark DMARC",
+        "reports.dmarc.cyber.gov.au": "Australian Cyber Security Centre",
+        "dmarc-reports.cloudflare.com": "Cloudflare DMARC",
+        "dmarc.microsoft.com": "Microsoft DMARC",
+        "google.com": "Google DMARC",
+        "reports.uri.us": "URI DMARC",
+        "agari.com": "Agari",
+        "fraudmarc.com": "FraudMARC",
+        "returnpath.com": "Return Path",
+        "proofpoint.com": "Proofpoint"
+    }
+};
@@ -0,0 +1,375 @@
+// Signature Database - Loads, validates and merges versioned service signature files
+// The default signatures live in service-signatures.js; custom files (same JSON format) are merged on top
+
+const SIGNATURE_FORMAT = '3ptracer-signatures';
+const SIGNATURE_SCHEMA_VERSION = 1;
+const SERVICE_PATTERN_KEYS = ['patterns', 'mxPatterns', 'spfPatterns', 'txtPatterns', 'cnamePatterns', 'nsPatterns'];
+const DKIM_MATCH_KEYS = ['equals', 'contains', 'startsWith', 'regex'];
+const DKIM_CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const TAKEOVER_STATUSES = ['vulnerable', 'edge-case', 'not-vulnerable'];
+const CUSTOM_SIGNATURES_STORAGE_KEY = '3ptracer_custom_signatures';
+
+class SignatureDatabase {
+    constructor(signatures = null) {
+        this.services = {};
+        this.cnameServices = [];
+        this.infrastructure = [];
+        this.dkimProbeSelectors = [];
+        this.dkimSelectors = [];
+        this.certificateAuthorities = {};
+        this.dmarcReporters = {};
+        this.takeovers = [];
+        this.sources = [];
+
+        if (signatures) {
+            this.load(signatures, 'default');
+        }
+    }
+
+    // Shared database used by every engine - default signatures plus any custom ones saved in the browser
+    static getDefault() {
+        if (!SignatureDatabase.defaultInstance) {
+            const database = new SignatureDatabase(DEFAULT_SERVICE_SIGNATURES);
+            database.loadStoredCustomSignatures();
+            SignatureDatabase.defaultInstance = database;
+        }
+        return SignatureDatabase.defaultInstance;
+    }
+
+    // Validate a signature file - returns a list of errors (empty when valid)
+    static validate(signatures) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isString = value => typeof value === 'string' && value.trim().length > 0;
+        const checkStringArray = (value, path) => {
+            if (!Array.isArray(value)) {
+                errors.push(`${path} must be an array of strings`);
+                return;
+            }
+            value.forEach((entry, index) => {
+                if (!isString(entry)) errors.push(`${path}[${index}] must be a non-empty string`);
+            });
+        };
+        const checkStringMap = (value, path) => {
+            if (!isObject(value)) {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            for (const [key, entry] of Object.entries(value)) {
+                if (!isString(entry)) errors.push(`${path}.${key} must be a non-empty string`);
+            }
+        };
+        const checkCNAMEList = (value, path) => {
+            if (!Array.isArray(value)) {
+                errors.push(`${path} must be an array`);
+                return;
+            }
+            value.forEach((entry, index) => {
+                for (const field of ['pattern', 'name', 'category', 'description']) {
+                    if (!isString(entry?.[field])) errors.push(`${path}[${index}].${field} must be a non-empty string`);
+                }
+            });
+        };
+
+        if (!isObject(signatures)) {
+            return ['Signature file must be a JSON object'];
+        }
+        if (signatures.format !== SIGNATURE_FORMAT) {
+            errors.push(`format must be "${SIGNATURE_FORMAT}"`);
+        }
+        if (signatures.schemaVersion !== SIGNATURE_SCHEMA_VERSION) {
+            errors.push(`Unsupported schemaVersion ${signatures.schemaVersion} (expected ${SIGNATURE_SCHEMA_VERSION})`);
+        }
+        if (!isString(signatures.version)) {
+            errors.push('version must be a non-empty string');
+        }
+
+        if (signatures.services !== undefined) {
+            if (!isObject(signatures.services)) {
+                errors.push('services must be an object of categories');
+            } else {
+                for (const [category, services] of Object.entries(signatures.services)) {
+                    if (!isObject(services)) {
+                        errors.push(`services.${category} must be an object of services`);
+                        continue;
+                    }
+                    for (const [serviceName, config] of Object.entries(services)) {
+                        const path = `services.${category}["${serviceName}"]`;
+                        if (!isObject(config)) {
+                            errors.push(`${path} must be an object`);
+                            continue;
+                        }
+                        if (!isString(config.description)) {
+                            errors.push(`${path}.description must be a non-empty string`);
+                        }
+                        for (const key of Object.keys(config)) {
+                            if (key === 'description') continue;
+                            if (!SERVICE_PATTERN_KEYS.includes(key)) {
+                                errors.push(`${path}.${key} is not a known pattern type (${SERVICE_PATTERN_KEYS.join(', ')})`);
+                            } else {
+                                checkStringArray(config[key], `${path}.${key}`);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        if (signatures.cnameServices !== undefined) checkCNAMEList(signatures.cnameServices, 'cnameServices');
+        if (signatures.infrastructure !== undefined) checkCNAMEList(signatures.infrastructure, 'infrastructure');
+
+        if (signatures.dkim !== undefined) {
+            if (!isObject(signatures.dkim)) {
+                errors.push('dkim must be an object');
+            } else {
+                if (signatures.dkim.probeSelectors !== undefined) {
+                    checkStringArray(signatures.dkim.probeSelectors, 'dkim.probeSelectors');
+                }
+                if (signatures.dkim.selectors !== undefined) {
+                    if (!Array.isArray(signatures.dkim.selectors)) {
+                        errors.push('dkim.selectors must be an array');
+                    } else {
+                        signatures.dkim.selectors.forEach((rule, index) => {
+                            const path = `dkim.selectors[${index}]`;
+                            if (!isString(rule?.name)) errors.push(`${path}.name must be a non-empty string`);
+                            if (!DKIM_CONFIDENCE_LEVELS.includes(rule?.confidence)) {
+                                errors.push(`${path}.confidence must be one of ${DKIM_CONFIDENCE_LEVELS.join(', ')}`);
+                            }
+                            if (!isObject(rule?.match) || !DKIM_MATCH_KEYS.some(key => rule.match[key])) {
+                                errors.push(`${path}.match needs at least one of ${DKIM_MATCH_KEYS.join(', ')}`);
+                                return;
+                            }
+                            for (const key of Object.keys(rule.match)) {
+                                if (!DKIM_MATCH_KEYS.includes(key)) {
+                                    errors.push(`${path}.match.${key} is not a known matcher`);
+                                    continue;
+                                }
+                                checkStringArray(rule.match[key], `${path}.match.${key}`);
+                            }
+                            for (const pattern of rule.match.regex || []) {
+                                try {
+                                    new RegExp(pattern);
+                                } catch (error) {
+                                    errors.push(`${path}.match.regex "${pattern}" is not a valid regular expression`);
+                                }
+                            }
+                        });
+                    }
+                }
+            }
+        }
+
+        // Takeover fingerprints: cname suffixes and/or nameserver regexes, plus NXDOMAIN and HTTP body evidence
+        if (signatures.takeovers !== undefined) {
+            if (!Array.isArray(signatures.takeovers)) {
+                errors.push('takeovers must be an array');
+            } else {
+                signatures.takeovers.forEach((fingerprint, index) => {
+                    const path = `takeovers[${index}]`;
+                    if (!isString(fingerprint?.name)) errors.push(`${path}.name must be a non-empty string`);
+                    if (!TAKEOVER_STATUSES.includes(fingerprint?.status)) {
+                        errors.push(`${path}.status must be one of ${TAKEOVER_STATUSES.join(', ')}`);
+                    }
+                    if (!fingerprint?.cname && !fingerprint?.nameserverRegex) {
+                        errors.push(`${path} needs cname or nameserverRegex`);
+                    }
+                    for (const key of ['cname', 'cnameRegex', 'nameserverRegex']) {
+                        if (fingerprint?.[key] !== undefined) checkStringArray(fingerprint[key], `${path}.${key}`);
+                    }
+                    for (const key of ['cnameRegex', 'nameserverRegex']) {
+                        for (const pattern of Array.isArray(fingerprint?.[key]) ? fingerprint[key] : []) {
+                            try {
+                                new RegExp(pattern);
+                            } catch (error) {
+                                errors.push(`${path}.${key} "${pattern}" is not a valid regular expression`);
+                            }
+                        }
+                    }
+                    if (fingerprint?.nxdomain !== undefined && typeof fingerprint.nxdomain !== 'boolean') {
+                        errors.push(`${path}.nxdomain must be a boolean`);
+                    }
+                    if (fingerprint?.http !== undefined) {
+                        if (!isObject(fingerprint.http)) {
+                            errors.push(`${path}.http must be an object`);
+                        } else {
+                            checkStringArray(fingerprint.http.body, `${path}.http.body`);
+                            if (fingerprint.http.status !== undefined && !Number.isInteger(fingerprint.http.status)) {
+                                errors.push(`${path}.http.status must be an integer`);
+                            }
+                        }
+                    }
+                });
+            }
+        }
+
+        if (signatures.certificateAuthorities !== undefined) checkStringMap(signatures.certificateAuthorities, 'certificateAuthorities');
+        if (signatures.dmarcReporters !== undefined) checkStringMap(signatures.dmarcReporters, 'dmarcReporters');
+
+        return errors;
+    }
+
+    // Validate and merge a signature file - later files take precedence over earlier ones
+    load(signatures, sourceName = null) {
+        const errors = SignatureDatabase.validate(signatures);
+        if (errors.length > 0) {
+            throw new Error(`Invalid signature file${sourceName ? ` (${sourceName})` : ''}: ${errors.join('; ')}`);
+        }
+
+        // Services are merged per category/name so a custom file can add or override single vendors
+        for (const [category, services] of Object.entries(signatures.services || {})) {
+            this.services[category] = { ...(this.services[category] || {}), ...services };
+        }
+
+        // Ordered first-match lists - custom entries go first so they win
+        this.cnameServices = [...(signatures.cnameServices || []), ...this.cnameServices];
+        this.infrastructure = [...(signatures.infrastructure || []), ...this.infrastructure];
+        this.dkimSelectors = [...(signatures.dkim?.selectors || []), ...this.dkimSelectors];
+        this.takeovers = [...(signatures.takeovers || []), ...this.takeovers];
+
+        this.dkimProbeSelectors = [...new Set([...this.dkimProbeSelectors, ...(signatures.dkim?.probeSelectors || [])])];
+        this.certificateAuthorities = { ...this.certificateAuthorities, ...(signatures.certificateAuthorities || {}) };
+        this.dmarcReporters = { ...this.dmarcReporters, ...(signatures.dmarcReporters || {}) };
+
+        this.sources.push({
+            name: sourceName || signatures.name || 'custom',
+            version: signatures.version
+        });
+        console.log(`✅ Loaded signatures: ${sourceName || signatures.name || 'custom'} v${signatures.version}`);
+        return this;
+    }
+
+    // Apply custom signatures saved from the config panel (browser only)
+    loadStoredCustomSignatures() {
+        if (typeof localStorage === 'undefined') return;
+
+        const stored = localStorage.getItem(CUSTOM_SIGNATURES_STORAGE_KEY);
+        if (!stored) return;
+
+        try {
+            const signatures = JSON.parse(stored);
+            this.load(signatures, signatures.name || 'custom signatures');
+        } catch (error) {
+            console.warn('⚠️ Ignoring stored custom signatures:', error.message);
+        }
+    }
+
+    // Validate, apply and persist a custom signature file (browser config panel)
+    saveCustomSignatures(signatures) {
+        this.load(signatures, signatures.name || 'custom signatures');
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(CUSTOM_SIGNATURES_STORAGE_KEY, JSON.stringify(signatures));
+        }
+    }
+
+    // Remove persisted custom signatures (takes effect on next page load)
+    static clearCustomSignatures() {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(CUSTOM_SIGNATURES_STORAGE_KEY);
+        }
+    }
+
+    // First CNAME service whose pattern occurs in the target
+    matchCNAMEService(target) {
+        return this.matchOrderedList(this.cnameServices, target);
+    }
+
+    // First infrastructure provider whose pattern occurs in the target
+    matchInfrastructure(target) {
+        return this.matchOrderedList(this.infrastructure, target);
+    }
+
+    matchOrderedList(list, target) {
+        if (!target) return null;
+        const lowerTarget = target.toLowerCase();
+
+        for (const entry of list) {
+            if (lowerTarget.includes(entry.pattern.toLowerCase())) {
+                return {
+                    name: entry.name,
+                    category: entry.category,
+                    description: entry.description
+                };
+            }
+        }
+        return null;
+    }
+
+    // First takeover fingerprint whose cname suffix matches the host
+    // A fingerprint with cnameRegex only applies when the host also has the claimable (e.g. regional) form;
+    // a suffix-only match is returned with claimable: false when nothing else matches
+    matchTakeoverCNAME(host) {
+        if (!host) return null;
+        const lowerHost = host.toLowerCase().replace(/\.$/, '');
+        let unclaimable = null;
+
+        for (const fingerprint of this.takeovers) {
+            const suffix = (fingerprint.cname || []).find(value =>
+                lowerHost === value.toLowerCase() || lowerHost.endsWith(`.${value.toLowerCase()}`));
+            if (!suffix) continue;
+
+            if (!fingerprint.cnameRegex || fingerprint.cnameRegex.some(pattern => new RegExp(pattern, 'i').test(lowerHost))) {
+                return { fingerprint, host: lowerHost, suffix, claimable: true };
+            }
+            unclaimable = unclaimable || { fingerprint, host: lowerHost, suffix, claimable: false };
+        }
+        return unclaimable;
+    }
+
+    // First takeover fingerprint whose nameserver regex matches one of the delegation's NS hosts
+    matchTakeoverNameservers(nameservers) {
+        const hosts = (nameservers || []).map(host => host.toLowerCase().replace(/\.$/, ''));
+
+        for (const fingerprint of this.takeovers) {
+            if (!fingerprint.nameserverRegex) continue;
+            const host = hosts.find(candidate =>
+                fingerprint.nameserverRegex.some(pattern => new RegExp(pattern, 'i').test(candidate)));
+            if (host) {
+                return { fingerprint, host };
+            }
+        }
+        return null;
+    }
+
+    // Identify the email service behind a DKIM selector
+    identifyDKIMSelector(selector) {
+        const lowerSelector = selector.toLowerCase();
+
+        for (const rule of this.dkimSelectors) {
+            const { equals = [], contains = [], startsWith = [], regex = [] } = rule.match;
+            if (equals.some(value => lowerSelector === value.toLowerCase()) ||
+                contains.some(value => lowerSelector.includes(value.toLowerCase())) ||
+                startsWith.some(value => lowerSelector.startsWith(value.toLowerCase())) ||
+                regex.some(pattern => new RegExp(pattern, 'i').test(lowerSelector))) {
+                return { name: rule.name, category: 'email-service', confidence: rule.confidence };
+            }
+        }
+        return null;
+    }
+
+    // Known certificate authority for a CAA value (exact match first, then subdomain match)
+    identifyCertificateAuthority(domain) {
+        return this.matchDomainMap(this.certificateAuthorities, domain);
+    }
+
+    // Known DMARC reporting service for a report destination domain
+    identifyDMARCReporter(domain) {
+        return this.matchDomainMap(this.dmarcReporters, domain);
+    }
+
+    matchDomainMap(map, domain) {
+        if (!domain) return null;
+        if (map[domain]) return map[domain];
+
+        for (const [knownDomain, name] of Object.entries(map)) {
+            if (domain.endsWith(knownDomain)) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    // Loaded signature files, for display and exports
+    getSources() {
+        return [...this.sources];
+    }
+}
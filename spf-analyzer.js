@@ -0,0 +1,427 @@
+// SPF Analyzer - Expands an SPF policy into its full include tree and validates it against RFC 7208
+// include, a, mx, ptr, exists and redirect each cost one DNS lookup; receivers permerror past 10 lookups (4.6.4)
+
+const SPF_LOOKUP_LIMIT = 10;
+const SPF_VOID_LOOKUP_LIMIT = 2;
+const SPF_MX_HOST_LIMIT = 10;
+// Hard stop for the expansion itself, well past the RFC limit, so a runaway policy can't flood the resolver
+const SPF_MAX_EXPANDED_LOOKUPS = 50;
+const SPF_LOOKUP_MECHANISMS = ['include', 'a', 'mx', 'ptr', 'exists'];
+const SPF_KNOWN_MECHANISMS = ['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'];
+
+class SPFAnalyzer {
+    constructor(dnsAnalyzer, serviceDetector = null) {
+        this.dnsAnalyzer = dnsAnalyzer;
+        this.serviceDetector = serviceDetector;
+    }
+
+    // Build the SPF tree for a domain from the SPF TXT records already found on it
+    async analyze(domain, spfRecords) {
+        console.log(`📧 Expanding SPF policy for ${domain}`);
+
+        const state = {
+            lookupCount: 0,
+            voidLookupCount: 0,
+            truncated: false,
+            failedLookups: [],
+            issues: [],
+            cache: new Map()
+        };
+
+        const records = (spfRecords || []).map(record => this.normalizeTXT(record.data));
+        if (records.length > 1) {
+            this.addIssue(state, {
+                type: 'spf_multiple_records',
+                risk: 'high',
+                description: `${domain} publishes ${records.length} SPF records - receivers return permerror`,
+                recommendation: 'Merge all SPF policies into a single v=spf1 TXT record',
+                record: records.join(' | ')
+            });
+        }
+
+        const root = records.length > 0 ?
+            await this.expandRecord(domain, records[0], 0, [domain], state) : null;
+
+        if (state.lookupCount > SPF_LOOKUP_LIMIT) {
+            this.addIssue(state, {
+                type: 'spf_lookup_limit',
+                risk: 'high',
+                description: `SPF policy needs ${state.lookupCount}${state.truncated ? '+' : ''} DNS lookups (RFC 7208 limit is ${SPF_LOOKUP_LIMIT}) - receivers return permerror and SPF fails`,
+                recommendation: 'Flatten or remove includes, replace a/mx mechanisms with ip4/ip6 ranges, and drop ptr',
+                record: records[0]
+            });
+        }
+
+        if (state.voidLookupCount > SPF_VOID_LOOKUP_LIMIT) {
+            this.addIssue(state, {
+                type: 'spf_void_lookups',
+                risk: 'high',
+                description: `SPF policy has ${state.voidLookupCount} void lookups (RFC 7208 limit is ${SPF_VOID_LOOKUP_LIMIT}) - receivers return permerror`,
+                recommendation: 'Remove mechanisms that point at names with no records',
+                record: records[0]
+            });
+        } else if (state.voidLookupCount > 0) {
+            this.addIssue(state, {
+                type: 'spf_void_lookups',
+                risk: 'low',
+                description: `SPF policy has ${state.voidLookupCount} void lookup${state.voidLookupCount === 1 ? '' : 's'} - names that return no records`,
+                recommendation: 'Remove mechanisms that point at names with no records',
+                record: records[0]
+            });
+        }
+
+        // Void lookups and missing include targets are only known for lookups a resolver answered
+        if (state.failedLookups.length > 0) {
+            this.addIssue(state, this.createIndeterminateIssue(domain, state.failedLookups));
+        }
+
+        const senders = this.collectSenders(root);
+        console.log(`✅ SPF tree for ${domain}: ${state.lookupCount} lookups, ${state.voidLookupCount} void, ${senders.length} included senders, ${state.issues.length} issues`);
+
+        return {
+            domain: domain,
+            root: root,
+            lookupCount: state.lookupCount,
+            lookupLimit: SPF_LOOKUP_LIMIT,
+            voidLookupCount: state.voidLookupCount,
+            truncated: state.truncated,
+            indeterminate: state.failedLookups.length > 0,
+            failedLookups: state.failedLookups,
+            senders: senders,
+            issues: state.issues
+        };
+    }
+
+    // Result for a domain whose own TXT lookup failed - whether it publishes SPF at all is unknown
+    indeterminateResult(domain, error) {
+        const failedLookups = [{ name: domain, type: 'TXT', error: error }];
+        return {
+            domain: domain,
+            root: null,
+            lookupCount: 0,
+            lookupLimit: SPF_LOOKUP_LIMIT,
+            voidLookupCount: 0,
+            truncated: false,
+            indeterminate: true,
+            failedLookups: failedLookups,
+            senders: [],
+            issues: [this.createIndeterminateIssue(domain, failedLookups)]
+        };
+    }
+
+    // Low risk - a resolver outage must not read as a broken policy (or fail a CI gate)
+    createIndeterminateIssue(domain, failedLookups) {
+        const names = failedLookups.map(lookup => `${lookup.name} (${lookup.type})`);
+        return {
+            type: 'spf_indeterminate',
+            risk: 'low',
+            description: `SPF policy for ${domain} could not be fully checked - DNS lookup${names.length === 1 ? '' : 's'} failed for ${names.join(', ')}`,
+            recommendation: 'Re-run the analysis; if the lookups keep failing, check the nameservers of the names listed',
+            record: names.join(', ')
+        };
+    }
+
+    // Expand one SPF record - depth 0 is the analyzed domain, ancestors guards against include loops
+    async expandRecord(domain, record, depth, ancestors, state) {
+        const node = {
+            domain: domain,
+            record: record,
+            depth: depth,
+            terms: [],
+            redirect: null
+        };
+
+        const tokens = record.split(/\s+/).filter(token => token.length > 0);
+        let redirectTarget = null;
+
+        for (const token of tokens.slice(1)) {
+            const modifier = token.match(/^([a-z][a-z0-9_.-]*)=(.*)$/i);
+            if (modifier) {
+                if (modifier[1].toLowerCase() === 'redirect') {
+                    redirectTarget = modifier[2];
+                }
+                // exp= is only fetched on failure and does not count towards the limit; unknown modifiers are ignored
+                continue;
+            }
+
+            const term = this.parseMechanism(token, domain);
+            term.depth = depth;
+            node.terms.push(term);
+
+            if (!SPF_KNOWN_MECHANISMS.includes(term.mechanism)) {
+                term.error = 'Unknown mechanism';
+                this.addIssue(state, {
+                    type: 'spf_unknown_mechanism',
+                    risk: 'high',
+                    description: `Unknown SPF mechanism "${token}" in ${domain} - receivers return permerror`,
+                    recommendation: 'Fix the typo or remove the mechanism',
+                    record: record
+                });
+                continue;
+            }
+
+            if (SPF_LOOKUP_MECHANISMS.includes(term.mechanism)) {
+                await this.resolveMechanism(term, domain, depth, ancestors, state);
+            }
+        }
+
+        if (redirectTarget) {
+            const hasAll = node.terms.some(term => term.mechanism === 'all');
+            if (hasAll) {
+                // RFC 7208 6.1: redirect is ignored when the record contains an "all" mechanism
+                this.addIssue(state, {
+                    type: 'spf_redirect_with_all',
+                    risk: 'low',
+                    description: `SPF record for ${domain} has both "all" and redirect=${redirectTarget} - the redirect is never used`,
+                    recommendation: 'Remove either the redirect modifier or the all mechanism',
+                    record: record
+                });
+            } else {
+                const term = { qualifier: '', mechanism: 'redirect', value: redirectTarget, target: redirectTarget.toLowerCase(), depth: depth };
+                await this.resolveMechanism(term, domain, depth, ancestors, state);
+                node.redirect = term;
+            }
+        }
+
+        return node;
+    }
+
+    // Split a mechanism into qualifier, name and value (a:host/24 -> target host)
+    parseMechanism(token, domain) {
+        let qualifier = '+';
+        let body = token;
+        if ('+-~?'.includes(body[0])) {
+            qualifier = body[0];
+            body = body.slice(1);
+        }
+
+        const separator = body.search(/[:/]/);
+        const mechanism = (separator === -1 ? body : body.slice(0, separator)).toLowerCase();
+        const value = separator === -1 ? '' : body.slice(separator);
+
+        let target = null;
+        if (['include', 'exists'].includes(mechanism)) {
+            target = value.startsWith(':') ? value.slice(1) : null;
+        } else if (['a', 'mx', 'ptr'].includes(mechanism)) {
+            const spec = value.startsWith(':') ? value.slice(1).split('/')[0] : '';
+            target = spec || domain;
+        }
+
+        return {
+            qualifier: qualifier,
+            mechanism: mechanism,
+            value: value.startsWith(':') ? value.slice(1) : value,
+            target: target ? target.toLowerCase() : null
+        };
+    }
+
+    // Perform the DNS lookup(s) behind a mechanism, recursing into include and redirect targets
+    async resolveMechanism(term, domain, depth, ancestors, state) {
+        state.lookupCount++;
+        term.lookupNumber = state.lookupCount;
+        term.overLimit = state.lookupCount > SPF_LOOKUP_LIMIT;
+
+        if (!term.target) {
+            term.error = 'Missing domain';
+            this.addIssue(state, {
+                type: 'spf_unknown_mechanism',
+                risk: 'high',
+                description: `SPF ${term.mechanism} mechanism in ${domain} has no domain - receivers return permerror`,
+                recommendation: `Use ${term.mechanism}:<domain>`,
+                record: term.mechanism
+            });
+            return;
+        }
+
+        // Macros depend on the connecting sender and can't be expanded statically
+        if (term.target.includes('%{')) {
+            term.macro = true;
+            return;
+        }
+
+        if (state.lookupCount > SPF_MAX_EXPANDED_LOOKUPS) {
+            term.skipped = true;
+            state.truncated = true;
+            return;
+        }
+
+        switch (term.mechanism) {
+            case 'include':
+            case 'redirect':
+                await this.resolveInclude(term, domain, depth, ancestors, state);
+                break;
+            case 'a': {
+                const answers = [await this.lookup(term.target, 'A', state), await this.lookup(term.target, 'AAAA', state)];
+                const addresses = answers.flatMap(answer => answer || []);
+                term.result = addresses;
+                if (addresses.length === 0 && answers.includes(null)) {
+                    term.error = 'Lookup failed';
+                    break;
+                }
+                this.checkVoid(term, addresses, state);
+                break;
+            }
+            case 'mx': {
+                const answers = await this.lookup(term.target, 'MX', state);
+                if (answers === null) {
+                    term.error = 'Lookup failed';
+                    break;
+                }
+                const hosts = answers.map(data => data.split(/\s+/).pop().replace(/\.$/, ''));
+                term.result = hosts;
+                this.checkVoid(term, hosts, state);
+                if (hosts.length > SPF_MX_HOST_LIMIT) {
+                    this.addIssue(state, {
+                        type: 'spf_mx_too_many',
+                        risk: 'medium',
+                        description: `SPF mx mechanism for ${term.target} returns ${hosts.length} MX hosts (limit is ${SPF_MX_HOST_LIMIT}) - receivers return permerror`,
+                        recommendation: 'Replace the mx mechanism with explicit ip4/ip6 ranges',
+                        record: `mx:${term.target}`
+                    });
+                }
+                break;
+            }
+            case 'exists': {
+                const addresses = await this.lookup(term.target, 'A', state);
+                if (addresses === null) {
+                    term.error = 'Lookup failed';
+                    break;
+                }
+                term.result = addresses;
+                this.checkVoid(term, addresses, state);
+                break;
+            }
+            case 'ptr':
+                // ptr is resolved against the connecting IP, so only its cost is known here
+                this.addIssue(state, {
+                    type: 'spf_ptr_mechanism',
+                    risk: 'low',
+                    description: `SPF record for ${domain} uses the ptr mechanism, which RFC 7208 says should not be used`,
+                    recommendation: 'Replace ptr with ip4/ip6 ranges or an include',
+                    record: `ptr${term.value ? `:${term.value}` : ''}`
+                });
+                break;
+        }
+    }
+
+    // Resolve an include: or redirect= target into a child node
+    async resolveInclude(term, domain, depth, ancestors, state) {
+        term.service = this.serviceDetector ? this.serviceDetector.identifySPFInclude(term.target) : null;
+
+        if (ancestors.includes(term.target)) {
+            term.error = 'Loop';
+            this.addIssue(state, {
+                type: 'spf_loop',
+                risk: 'high',
+                description: `SPF ${term.mechanism} loop: ${[...ancestors, term.target].join(' → ')}`,
+                recommendation: 'Remove the include that points back to an earlier record',
+                record: `${term.mechanism}:${term.target}`
+            });
+            return;
+        }
+
+        const txtRecords = await this.lookup(term.target, 'TXT', state);
+        if (txtRecords === null) {
+            // Unknown, not missing - reported once as spf_indeterminate
+            term.error = 'Lookup failed';
+            return;
+        }
+        const records = txtRecords
+            .map(data => this.normalizeTXT(data))
+            .filter(data => /^v=spf1(\s|$)/i.test(data));
+
+        if (records.length === 0) {
+            term.error = 'No SPF record';
+            this.checkVoid(term, txtRecords, state);
+            this.addIssue(state, {
+                type: 'spf_missing_include_target',
+                risk: 'high',
+                description: `SPF ${term.mechanism} target ${term.target} (from ${domain}) has no SPF record - receivers return permerror`,
+                recommendation: `Remove ${term.mechanism === 'redirect' ? 'redirect=' : 'include:'}${term.target} or restore its SPF record`,
+                record: `${term.mechanism}:${term.target}`
+            });
+            return;
+        }
+
+        if (records.length > 1) {
+            term.error = 'Multiple SPF records';
+            this.addIssue(state, {
+                type: 'spf_multiple_records',
+                risk: 'high',
+                description: `SPF ${term.mechanism} target ${term.target} publishes ${records.length} SPF records - receivers return permerror`,
+                recommendation: `Ask the owner of ${term.target} to publish a single SPF record`,
+                record: records.join(' | ')
+            });
+        }
+
+        term.child = await this.expandRecord(term.target, records[0], depth + 1, [...ancestors, term.target], state);
+    }
+
+    // Count a void lookup (no answers) - RFC 7208 4.6.4 allows two
+    checkVoid(term, answers, state) {
+        if (answers.length === 0) {
+            term.void = true;
+            state.voidLookupCount++;
+        }
+    }
+
+    // Query through DNSAnalyzer.lookupDNS, keeping only answers of the requested type
+    // ([] when the name has none, null when no resolver answered - a failure is not a void lookup)
+    async lookup(name, type, state) {
+        const cacheKey = `${name}:${type}`;
+        if (!state.cache.has(cacheKey)) {
+            const typeCode = DNS_RECORD_TYPES[type];
+            const promise = this.dnsAnalyzer.lookupDNS(name, type)
+                .then(answers => (answers || [])
+                    .filter(answer => answer.type === typeCode)
+                    .map(answer => answer.data))
+                .catch(error => {
+                    console.warn(`⚠️ SPF lookup failed for ${name} (${type}):`, error.message);
+                    state.failedLookups.push({ name: name, type: type, error: error.message });
+                    return null;
+                });
+            state.cache.set(cacheKey, promise);
+        }
+        return await state.cache.get(cacheKey);
+    }
+
+    // TXT answers may arrive quoted and split into 255-byte strings - SPF joins them without a separator
+    normalizeTXT(data) {
+        const text = (data || '').trim();
+        if (!text.startsWith('"')) return text;
+        return text.replace(/"\s+"/g, '').replace(/^"|"$/g, '');
+    }
+
+    // Issues are deduplicated because a shared include can be reached through several paths
+    addIssue(state, issue) {
+        const exists = state.issues.some(existing =>
+            existing.type === issue.type && existing.description === issue.description);
+        if (!exists) {
+            state.issues.push(issue);
+        }
+    }
+
+    // Flatten the tree into the list of included senders and the services they belong to
+    collectSenders(root) {
+        const senders = [];
+        const visit = node => {
+            if (!node) return;
+            const terms = node.redirect ? [...node.terms, node.redirect] : node.terms;
+            for (const term of terms) {
+                if (term.mechanism !== 'include' && term.mechanism !== 'redirect') continue;
+                senders.push({
+                    domain: term.target,
+                    includedBy: node.domain,
+                    depth: node.depth + 1,
+                    mechanism: term.mechanism,
+                    service: term.service ? term.service.name : null,
+                    category: term.service ? term.service.category : null,
+                    error: term.error || null
+                });
+                visit(term.child);
+            }
+        };
+        visit(root);
+        return senders;
+    }
+}
@@ -0,0 +1,293 @@
+// STIX Export - Discovered infrastructure and security findings as a STIX 2.1 bundle
+// Built on GraphExporter's relationship graph: hostnames, IPs and ASNs become cyber-observables with
+// deterministic ids (the same host always gets the same id), services become infrastructure objects,
+// takeover-class findings become vulnerabilities and every other finding a note on the host it concerns
+
+const STIX_SPEC_VERSION = '2.1';
+const STIX_SCO_NAMESPACE = '00abedb4-aa42-466c-9c01-fed23315a9b7'; // STIX 2.1 section 2.9
+const STIX_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const STIX_ID_PATTERN = /^([a-z][a-z0-9-]+[a-z0-9])--[0-9a-f]{8}-[0-9a-f]{4}-[1-8][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+const STIX_VULNERABILITY_TYPES = ['subdomain_takeover', 'dangling_cname', 'dangling_ns', 'lame_delegation'];
+const STIX_CONFIDENCE = { confirmed: 85, likely: 50, possible: 15 };
+
+// Required properties per object type, from the STIX 2.1 JSON schemas
+const STIX_REQUIRED_PROPERTIES = {
+    bundle: ['type', 'id', 'objects'],
+    identity: ['type', 'spec_version', 'id', 'created', 'modified', 'name'],
+    infrastructure: ['type', 'spec_version', 'id', 'created', 'modified', 'name'],
+    vulnerability: ['type', 'spec_version', 'id', 'created', 'modified', 'name'],
+    note: ['type', 'spec_version', 'id', 'created', 'modified', 'content', 'object_refs'],
+    relationship: ['type', 'spec_version', 'id', 'created', 'modified', 'relationship_type', 'source_ref', 'target_ref'],
+    'domain-name': ['type', 'id', 'value'],
+    'ipv4-addr': ['type', 'id', 'value'],
+    'ipv6-addr': ['type', 'id', 'value'],
+    'autonomous-system': ['type', 'id', 'number']
+};
+
+class StixExporter {
+    constructor(timestamp = new Date().toISOString()) {
+        this.timestamp = timestamp;
+        this.objects = new Map();
+        this.identity = this.addDomainObject('identity', {
+            name: '3rd Party Tracer',
+            identity_class: 'system',
+            description: 'Third-party service discovery from public DNS and certificate transparency data'
+        });
+    }
+
+    // Bundle for one scan; processedData and securityResults as stored by ExportManager
+    static async build(processedData, securityResults = {}, domain = processedData.domain) {
+        const exporter = new StixExporter();
+        const graph = GraphExporter.build(processedData, securityResults, domain);
+        const refs = new Map(); // graph node id → STIX id
+
+        for (const node of graph.nodes.values()) {
+            const ref = await exporter.addGraphNode(node);
+            if (ref) refs.set(node.id, ref);
+        }
+        for (const edge of graph.edges.values()) {
+            exporter.addGraphEdge(edge, refs);
+        }
+
+        const hostRef = async name => refs.get(`subdomain:${name}`) || refs.get(`domain:${name}`) ||
+            (name && !name.includes('*') ? await exporter.addObservable('domain-name', { value: name }) : null);
+        const apexRef = refs.get(`domain:${String(domain).toLowerCase()}`);
+
+        for (const finding of StixExporter.collectFindings(securityResults)) {
+            const subject = finding.subdomain || finding.domain || finding.host || finding.zone || null;
+            const ref = (subject && await hostRef(String(subject).toLowerCase())) || apexRef;
+            exporter.addFinding(finding, ref);
+        }
+
+        return exporter.toBundle();
+    }
+
+    // Every finding list in securityResults, each finding once
+    static collectFindings(securityResults) {
+        return [
+            ...(securityResults?.takeovers || []),
+            ...(securityResults?.dnsIssues || []),
+            ...(securityResults?.emailIssues || []),
+            ...(securityResults?.cloudIssues || []),
+            ...(securityResults?.wildcardCertificates || [])
+        ];
+    }
+
+    // SDOs and SROs get a random id and the export time
+    addDomainObject(type, properties) {
+        const object = {
+            type,
+            spec_version: STIX_SPEC_VERSION,
+            id: `${type}--${crypto.randomUUID()}`,
+            created: this.timestamp,
+            modified: this.timestamp,
+            ...(this.identity ? { created_by_ref: this.identity } : {}),
+            ...properties
+        };
+        this.objects.set(object.id, object);
+        return object.id;
+    }
+
+    // SCOs get a UUIDv5 id over their id-contributing properties, so re-adding the same observable is a no-op
+    async addObservable(type, properties) {
+        const id = `${type}--${await StixExporter.uuidV5(STIX_SCO_NAMESPACE, StixExporter.canonicalJSON(properties))}`;
+        if (!this.objects.has(id)) {
+            this.objects.set(id, { type, spec_version: STIX_SPEC_VERSION, id, ...properties });
+        }
+        return id;
+    }
+
+    addRelationship(relationshipType, sourceRef, targetRef, description = null) {
+        if (!sourceRef || !targetRef) return null;
+        return this.addDomainObject('relationship', {
+            relationship_type: relationshipType,
+            source_ref: sourceRef,
+            target_ref: targetRef,
+            ...(description ? { description } : {})
+        });
+    }
+
+    async addGraphNode(node) {
+        const { properties } = node;
+        switch (node.type) {
+            case 'domain':
+            case 'subdomain':
+            case 'cname':
+            case 'reporter':
+                return await this.addObservable('domain-name', { value: properties.name });
+            case 'ip':
+                return await this.addObservable(properties.version === 6 ? 'ipv6-addr' : 'ipv4-addr', { value: properties.name });
+            case 'asn':
+                if (properties.number === null) return null;
+                return await this.addObservable('autonomous-system', {
+                    number: properties.number,
+                    ...(properties.name ? { name: properties.name } : {})
+                });
+            case 'service':
+                return this.addDomainObject('infrastructure', {
+                    name: properties.name,
+                    ...(properties.description ? { description: properties.description } : {}),
+                    labels: [properties.category || 'unknown']
+                });
+            default:
+                return null;
+        }
+    }
+
+    // Graph relationships that have a STIX counterpart (subdomain membership is implied by the names)
+    addGraphEdge(edge, refs) {
+        const source = refs.get(edge.source);
+        const target = refs.get(edge.target);
+
+        switch (edge.type) {
+            case 'CNAME_TO':
+            case 'RESOLVES_TO':
+                return this.addRelationship('resolves-to', source, target);
+            case 'ANNOUNCED_BY':
+                return this.addRelationship('belongs-to', source, target);
+            case 'USES_SERVICE':
+                // A CNAME target is part of the provider's infrastructure; other records only point at it
+                return edge.properties.evidence === 'CNAME' ?
+                    this.addRelationship('consists-of', target, source) :
+                    this.addRelationship('related-to', source, target, 'DNS records reference this third-party service');
+            case 'SENDS_DMARC_REPORTS_TO':
+                return this.addRelationship('related-to', source, target,
+                    `DMARC ${edge.properties.reportTypes.join(' and ')} reports are sent to ${edge.properties.mailboxes.join(', ')}`);
+            default:
+                return null;
+        }
+    }
+
+    // Takeover-class findings are vulnerabilities of the host; everything else is a note on it
+    addFinding(finding, objectRef) {
+        const text = [finding.description, finding.recommendation && `Recommendation: ${finding.recommendation}`]
+            .filter(Boolean).join('\n');
+        const custom = {
+            x_3ptracer_finding_type: finding.type,
+            ...(finding.risk ? { x_3ptracer_risk: finding.risk } : {})
+        };
+
+        if (STIX_VULNERABILITY_TYPES.includes(finding.type)) {
+            const vulnerability = this.addDomainObject('vulnerability', {
+                name: `${finding.type.replace(/_/g, ' ')}: ${finding.subdomain || finding.domain || 'unknown host'}`,
+                description: text,
+                ...(STIX_CONFIDENCE[finding.confidence] ? { confidence: STIX_CONFIDENCE[finding.confidence] } : {}),
+                ...custom
+            });
+            this.addRelationship('related-to', vulnerability, objectRef);
+            return vulnerability;
+        }
+
+        if (!objectRef) return null;
+        return this.addDomainObject('note', {
+            abstract: finding.description || finding.type,
+            content: text || finding.type,
+            object_refs: [objectRef],
+            ...custom
+        });
+    }
+
+    toBundle() {
+        return {
+            type: 'bundle',
+            id: `bundle--${crypto.randomUUID()}`,
+            objects: Array.from(this.objects.values())
+        };
+    }
+
+    // RFC 8785 canonical JSON for the flat objects used as SCO id inputs
+    static canonicalJSON(properties) {
+        return JSON.stringify(Object.keys(properties).sort().reduce((sorted, key) => {
+            sorted[key] = properties[key];
+            return sorted;
+        }, {}));
+    }
+
+    // RFC 4122 name-based UUID (SHA-1)
+    static async uuidV5(namespace, name) {
+        const namespaceBytes = namespace.replace(/-/g, '').match(/../g).map(byte => parseInt(byte, 16));
+        const input = new Uint8Array([...namespaceBytes, ...new TextEncoder().encode(name)]);
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-1', input)).slice(0, 16);
+
+        hash[6] = (hash[6] & 0x0f) | 0x50;
+        hash[8] = (hash[8] & 0x3f) | 0x80;
+        const hex = Array.from(hash, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // Check a bundle against the STIX 2.1 schema rules for the object types this exporter emits
+    // (required properties, identifier and timestamp formats, property names, resolvable references)
+    static validate(bundle) {
+        const errors = [];
+        const check = (condition, message) => {
+            if (!condition) errors.push(message);
+        };
+
+        check(bundle?.type === 'bundle' && STIX_ID_PATTERN.test(bundle.id || '') && bundle.id.startsWith('bundle--'),
+            'bundle must have type "bundle" and a bundle--<uuid> id');
+        const objects = Array.isArray(bundle?.objects) ? bundle.objects : [];
+        check(objects.length > 0, 'bundle must contain at least one object');
+        const ids = new Set(objects.map(object => object.id));
+
+        for (const object of objects) {
+            const label = object.id || `<${object.type} without id>`;
+            const required = STIX_REQUIRED_PROPERTIES[object.type];
+            if (!required) {
+                errors.push(`${label}: unsupported object type "${object.type}"`);
+                continue;
+            }
+
+            required.filter(property => object[property] === undefined)
+                .forEach(property => errors.push(`${label}: missing required property "${property}"`));
+            check(STIX_ID_PATTERN.test(object.id || '') && object.id.startsWith(`${object.type}--`),
+                `${label}: id must be ${object.type}--<uuid>`);
+            check(object.spec_version === undefined || object.spec_version === STIX_SPEC_VERSION,
+                `${label}: spec_version must be "${STIX_SPEC_VERSION}"`);
+
+            for (const property of ['created', 'modified']) {
+                check(object[property] === undefined || STIX_TIMESTAMP_PATTERN.test(object[property]),
+                    `${label}: ${property} must be an RFC 3339 UTC timestamp`);
+            }
+            check(!object.created || !object.modified || object.modified >= object.created,
+                `${label}: modified must not be earlier than created`);
+
+            for (const [property, value] of Object.entries(object)) {
+                check(/^[a-z0-9_]{3,250}$/.test(property) || property === 'id',
+                    `${label}: property name "${property}" is not valid`);
+
+                const references = property.endsWith('_ref') ? [value] : property.endsWith('_refs') ? value : null;
+                if (!references) continue;
+                check(Array.isArray(references) && references.length > 0, `${label}: ${property} must not be empty`);
+                for (const reference of Array.isArray(references) ? references : []) {
+                    check(STIX_ID_PATTERN.test(reference || ''), `${label}: ${property} "${reference}" is not an identifier`);
+                    check(ids.has(reference), `${label}: ${property} "${reference}" is not in the bundle`);
+                }
+            }
+
+            if (object.type === 'relationship') {
+                check(/^[a-z0-9-]+$/.test(object.relationship_type || ''), `${label}: relationship_type must be lowercase with hyphens`);
+            }
+            if (object.type === 'ipv4-addr') {
+                check(/^\d{1,3}(\.\d{1,3}){3}(\/\d{1,2})?$/.test(object.value || ''), `${label}: value is not an IPv4 address`);
+            }
+            if (object.type === 'ipv6-addr') {
+                check(/^[0-9a-f:.]+(\/\d{1,3})?$/i.test(object.value || '') && object.value.includes(':'), `${label}: value is not an IPv6 address`);
+            }
+            if (object.type === 'autonomous-system') {
+                check(Number.isInteger(object.number) && object.number >= 0, `${label}: number must be a non-negative integer`);
+            }
+            if (object.type === 'identity' || object.type === 'infrastructure' || object.type === 'vulnerability') {
+                check(typeof object.name === 'string' && object.name.length > 0, `${label}: name must be a non-empty string`);
+            }
+            if (object.type === 'note') {
+                check(typeof object.content === 'string' && object.content.length > 0, `${label}: content must be a non-empty string`);
+            }
+            if (object.confidence !== undefined) {
+                check(Number.isInteger(object.confidence) && object.confidence >= 0 && object.confidence <= 100,
+                    `${label}: confidence must be an integer from 0 to 100`);
+            }
+        }
+
+        return errors;
+    }
+}
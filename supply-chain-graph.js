@@ -0,0 +1,510 @@
+// Supply-Chain Graph - Vendor-centric graph of one scan: domain → subdomains → CNAME hops → services → vendors/ASNs → countries
+// SupplyChainGraph turns processedData into a plain node/edge model (no DOM, so Node tools can reuse it);
+// SupplyChainGraphView draws that model as a layered SVG with filtering, zoom/pan and SVG/PNG export
+
+const SUPPLY_CHAIN_NODE_TYPES = {
+    domain: { layer: 0, label: 'Domain', color: '#2c3e50' },
+    subdomain: { layer: 1, label: 'Subdomains', color: '#3498db' },
+    cname: { layer: 2, label: 'CNAME hops', color: '#9b59b6' },
+    service: { layer: 3, label: 'Services', color: '#27ae60' },
+    vendor: { layer: 4, label: 'Vendors / ASNs', color: '#e67e22' },
+    country: { layer: 5, label: 'Countries', color: '#e74c3c' }
+};
+
+class SupplyChainGraph {
+    constructor(domain) {
+        this.domain = domain;
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.entryPointCount = 0;
+    }
+
+    // Build the graph of a finished scan; dataProcessor (optional) marks CNAME targets no service signature claimed
+    static build(processedData, dataProcessor = processedData.dataProcessor) {
+        const domain = processedData.domain || 'domain';
+        const graph = new SupplyChainGraph(domain);
+        const rootId = graph.addNode('domain', domain, domain);
+
+        const subdomains = Array.from(processedData.subdomains?.values() || [])
+            .filter(subdomain => subdomain.status !== 'historical' && subdomain.subdomain !== domain);
+        const unattributed = new Set((dataProcessor?.getCNAMEMappings() || []).map(subdomain => subdomain.subdomain));
+        const endpoints = new Map(); // subdomain → last node of its CNAME path
+
+        for (const subdomain of subdomains) {
+            const subdomainId = graph.addNode('subdomain', subdomain.subdomain, subdomain.subdomain, {
+                ipAddresses: subdomain.ipAddresses || [],
+                takeover: subdomain.takeover?.confidence || null
+            });
+            graph.addEdge(rootId, subdomainId, 'subdomain');
+
+            let endpointId = subdomainId;
+            for (const hop of SupplyChainGraph.getCNAMEHops(subdomain)) {
+                const hopId = graph.addNode('cname', hop, hop);
+                graph.addEdge(endpointId, hopId, 'cname');
+                endpointId = hopId;
+            }
+            if (endpointId !== subdomainId && unattributed.has(subdomain.subdomain)) {
+                graph.nodes.get(endpointId).meta.unattributed = true;
+            }
+            endpoints.set(subdomain.subdomain, { subdomainId, endpointId });
+
+            const vendorId = graph.addVendor(subdomain.vendor, subdomain.asnInfo);
+            if (vendorId) {
+                graph.addEdge(endpointId, vendorId, 'hosted-by');
+            }
+        }
+
+        for (const service of processedData.services?.values() || []) {
+            // IP-classification entries duplicate the vendor layer
+            if (service.category === 'infrastructure' && (service.recordTypes || []).every(type => type === 'A')) continue;
+
+            const serviceId = graph.addNode('service', `${service.name}|${service.category}`, service.name, {
+                category: service.category,
+                description: service.description || ''
+            });
+
+            const sources = service.sourceSubdomains?.length ? service.sourceSubdomains : [service.metadata?.sourceSubdomain];
+            for (const source of sources) {
+                const endpoint = endpoints.get(source);
+                if (!endpoint) {
+                    graph.addEdge(rootId, serviceId, 'uses');
+                    continue;
+                }
+                // Services matched on a CNAME target hang off the end of the chain, record-based ones off the subdomain
+                const viaCNAME = (service.records || []).some(record =>
+                    record.subdomain === source && (record.type === 5 || record.type === 'CNAME'));
+                graph.addEdge(viaCNAME ? endpoint.endpointId : endpoint.subdomainId, serviceId, 'uses');
+            }
+
+            const vendor = dataProcessor ? dataProcessor.getVendorFromService(service) : 'Other';
+            if (vendor !== 'Other') {
+                graph.addEdge(serviceId, graph.addVendor({ vendor, category: service.category }, null), 'provided-by');
+            }
+        }
+
+        graph.computeReach();
+        return graph;
+    }
+
+    // Hostnames a subdomain's CNAME chain passes through, in order
+    static getCNAMEHops(subdomain) {
+        const hops = (subdomain.cnameChain || []).length > 0 ?
+            subdomain.cnameChain.map(link => link.to) :
+            [subdomain.cnameTarget];
+
+        return Array.from(new Set(hops
+            .filter(hop => hop)
+            .map(hop => hop.toLowerCase().replace(/\.$/, ''))
+            .filter(hop => hop !== subdomain.subdomain)));
+    }
+
+    // Add (or return the existing) node; ids are "<type>:<key>"
+    addNode(type, key, label, meta = {}) {
+        const id = `${type}:${key.toLowerCase()}`;
+        if (!this.nodes.has(id)) {
+            this.nodes.set(id, { id, type, label, layer: SUPPLY_CHAIN_NODE_TYPES[type].layer, meta, reach: 0 });
+        }
+        return id;
+    }
+
+    addEdge(source, target, relation) {
+        const id = `${source}->${target}`;
+        if (source !== target && !this.edges.has(id)) {
+            this.edges.set(id, { id, source, target, relation });
+        }
+    }
+
+    // Vendor node (named vendor, otherwise the ASN) with its country; null when nothing is known
+    addVendor(vendor, asnInfo) {
+        const named = vendor?.vendor && vendor.vendor !== 'Unknown';
+        const name = named ? vendor.vendor : (asnInfo?.asn && asnInfo.asn !== 'Unknown' ? asnInfo.asn : null);
+        if (!name) return null;
+
+        const vendorId = this.addNode('vendor', name, name, { category: named ? vendor.category : 'infrastructure', asns: [] });
+        const meta = this.nodes.get(vendorId).meta;
+        if (asnInfo?.asn && asnInfo.asn !== 'Unknown' && !meta.asns.includes(asnInfo.asn)) {
+            meta.asns.push(asnInfo.asn);
+        }
+
+        if (asnInfo?.country && asnInfo.country !== 'Unknown') {
+            const countryId = this.addNode('country', asnInfo.country, asnInfo.countryName || asnInfo.country, { code: asnInfo.country });
+            this.addEdge(vendorId, countryId, 'located-in');
+        }
+        return vendorId;
+    }
+
+    // reach = how many entry points (subdomains, plus the apex for its own records) depend on a node
+    computeReach() {
+        const outgoing = this.getAdjacency('source');
+        const rootId = `domain:${this.domain.toLowerCase()}`;
+        const entryPoints = Array.from(this.nodes.values()).filter(node => node.type === 'subdomain').map(node => node.id);
+
+        const mark = (startId, skipSubdomains) => {
+            const seen = new Set([startId]);
+            const stack = [startId];
+            while (stack.length > 0) {
+                for (const edge of outgoing.get(stack.pop()) || []) {
+                    if (skipSubdomains && edge.relation === 'subdomain') continue;
+                    if (!seen.has(edge.target)) {
+                        seen.add(edge.target);
+                        stack.push(edge.target);
+                    }
+                }
+            }
+            seen.forEach(id => this.nodes.get(id).reach++);
+        };
+
+        entryPoints.forEach(id => mark(id, false));
+        mark(rootId, true);
+        this.nodes.get(rootId).reach = entryPoints.length + 1;
+        this.entryPointCount = entryPoints.length + 1;
+    }
+
+    // Map of node id → edges, keyed on the edge's `from` end
+    getAdjacency(from = 'source') {
+        const adjacency = new Map();
+        for (const edge of this.edges.values()) {
+            if (!adjacency.has(edge[from])) adjacency.set(edge[from], []);
+            adjacency.get(edge[from]).push(edge);
+        }
+        return adjacency;
+    }
+
+    // Vendors ordered by how many entry points depend on them - the concentration risk view
+    getVendorConcentration() {
+        return Array.from(this.nodes.values())
+            .filter(node => node.type === 'vendor')
+            .map(node => ({ name: node.label, reach: node.reach, share: node.reach / (this.entryPointCount || 1) }))
+            .sort((a, b) => b.reach - a.reach || a.name.localeCompare(b.name));
+    }
+
+    toJSON() {
+        return {
+            domain: this.domain,
+            nodes: Array.from(this.nodes.values()),
+            edges: Array.from(this.edges.values())
+        };
+    }
+}
+
+// Interactive SVG view of a SupplyChainGraph: one column per node type, wheel zoom, drag pan,
+// type filters and search; clicking a node highlights everything upstream and downstream of it
+class SupplyChainGraphView {
+    constructor(container, graph) {
+        this.container = container;
+        this.graph = graph;
+        this.hiddenTypes = new Set();
+        this.searchTerm = '';
+        this.focusId = null;
+        this.layout = null;
+        this.viewBox = null;
+    }
+
+    // Build the toolbar, canvas and details panel, then draw
+    render() {
+        const escape = escapeMarkup;
+        const counts = {};
+        this.graph.nodes.forEach(node => counts[node.type] = (counts[node.type] || 0) + 1);
+
+        const filters = Object.entries(SUPPLY_CHAIN_NODE_TYPES)
+            .filter(([type]) => type !== 'domain')
+            .map(([type, style]) => `
+                <label class="graph-filter">
+                    <input type="checkbox" data-type="${type}" checked>
+                    <span class="graph-swatch" style="background: ${style.color}"></span>${style.label} (${counts[type] || 0})
+                </label>`)
+            .join('');
+
+        const topVendors = this.graph.getVendorConcentration().slice(0, 5)
+            .map(vendor => `<strong>${escape(vendor.name)}</strong> ${Math.round(vendor.share * 100)}%`)
+            .join(' · ');
+
+        this.container.innerHTML = `
+            <div class="graph-toolbar">
+                <div class="graph-filters">${filters}</div>
+                <div class="graph-actions">
+                    <input type="search" class="graph-search" placeholder="Filter by name or category...">
+                    <button type="button" class="graph-btn" data-action="zoom-in" title="Zoom in">+</button>
+                    <button type="button" class="graph-btn" data-action="zoom-out" title="Zoom out">−</button>
+                    <button type="button" class="graph-btn" data-action="reset" title="Fit to view">⤢</button>
+                    <button type="button" class="graph-btn" data-action="export-svg">SVG</button>
+                    <button type="button" class="graph-btn" data-action="export-png">PNG</button>
+                </div>
+            </div>
+            ${topVendors ? `<div class="graph-concentration">Share of entry points per vendor: ${topVendors}</div>` : ''}
+            <div class="graph-canvas"><svg class="graph-svg" xmlns="http://www.w3.org/2000/svg"></svg></div>
+            <div class="graph-details">Click a node to highlight its dependency path. Scroll to zoom, drag to pan.</div>
+        `;
+
+        this.svg = this.container.querySelector('.graph-svg');
+        this.details = this.container.querySelector('.graph-details');
+        this.bindEvents();
+        this.draw(true);
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('.graph-filter input').forEach(input => {
+            input.addEventListener('change', () => {
+                input.checked ? this.hiddenTypes.delete(input.dataset.type) : this.hiddenTypes.add(input.dataset.type);
+                this.draw(true);
+            });
+        });
+
+        this.container.querySelector('.graph-search').addEventListener('input', event => {
+            this.searchTerm = event.target.value.trim().toLowerCase();
+            this.draw(false);
+        });
+
+        this.container.querySelector('.graph-actions').addEventListener('click', event => {
+            const action = event.target.dataset?.action;
+            if (action === 'zoom-in') this.zoom(0.8);
+            if (action === 'zoom-out') this.zoom(1.25);
+            if (action === 'reset') this.fit();
+            if (action === 'export-svg') this.exportSVG();
+            if (action === 'export-png') this.exportPNG();
+        });
+
+        this.svg.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.zoom(event.deltaY < 0 ? 0.9 : 1.1, this.toGraphPoint(event));
+        }, { passive: false });
+
+        // Drag pans; a press that did not move is a click on a node (or on the background to clear the focus)
+        let drag = null;
+        this.svg.addEventListener('mousedown', event => {
+            drag = { x: event.clientX, y: event.clientY, viewBox: { ...this.viewBox }, moved: false };
+        });
+        this.svg.addEventListener('mousemove', event => {
+            if (!drag) return;
+            const dx = event.clientX - drag.x;
+            const dy = event.clientY - drag.y;
+            if (Math.abs(dx) + Math.abs(dy) > 3) drag.moved = true;
+            const scale = this.viewBox.width / (this.svg.clientWidth || this.viewBox.width);
+            this.setViewBox({ ...drag.viewBox, x: drag.viewBox.x - dx * scale, y: drag.viewBox.y - dy * scale });
+        });
+        this.svg.addEventListener('mouseleave', () => drag = null);
+        this.svg.addEventListener('mouseup', event => {
+            if (drag && !drag.moved) {
+                const nodeId = event.target.closest('[data-node]')?.dataset.node || null;
+                this.focusId = nodeId === this.focusId ? null : nodeId;
+                this.draw(false);
+                this.showDetails(this.focusId);
+            }
+            drag = null;
+        });
+    }
+
+    // Visible nodes and edges; edges through hidden types are collapsed onto the next visible node
+    getVisibleGraph() {
+        const nodes = Array.from(this.graph.nodes.values()).filter(node => !this.hiddenTypes.has(node.type));
+        const visible = new Set(nodes.map(node => node.id));
+        const outgoing = this.graph.getAdjacency('source');
+        const edges = new Map();
+
+        for (const node of nodes) {
+            const seen = new Set();
+            const stack = (outgoing.get(node.id) || []).map(edge => edge.target);
+            while (stack.length > 0) {
+                const target = stack.pop();
+                if (seen.has(target)) continue;
+                seen.add(target);
+                if (visible.has(target)) {
+                    edges.set(`${node.id}->${target}`, { source: node.id, target });
+                } else {
+                    (outgoing.get(target) || []).forEach(edge => stack.push(edge.target));
+                }
+            }
+        }
+
+        return { nodes, edges: Array.from(edges.values()) };
+    }
+
+    // Column per layer, nodes sorted by reach so the heaviest dependencies sit at the top
+    computeLayout(nodes) {
+        const columnWidth = 240;
+        const rowHeight = 26;
+        const layers = Array.from(new Set(nodes.map(node => node.layer))).sort((a, b) => a - b);
+        const columns = layers.map(layer => nodes
+            .filter(node => node.layer === layer)
+            .sort((a, b) => b.reach - a.reach || a.label.localeCompare(b.label)));
+        const tallest = Math.max(1, ...columns.map(column => column.length));
+
+        const positions = new Map();
+        columns.forEach((column, index) => {
+            const offset = (tallest - column.length) * rowHeight / 2;
+            column.forEach((node, row) => {
+                positions.set(node.id, { x: 40 + index * columnWidth, y: 40 + offset + row * rowHeight });
+            });
+        });
+
+        return { positions, width: 40 + layers.length * columnWidth, height: 80 + tallest * rowHeight };
+    }
+
+    // Nodes connected to any of the given nodes (upstream and downstream), or null when nothing is selected
+    getHighlighted(edges) {
+        const term = this.searchTerm;
+        const seeds = this.focusId ? [this.focusId] :
+            (term ? Array.from(this.graph.nodes.values())
+                .filter(node => !this.hiddenTypes.has(node.type) &&
+                    (node.label.toLowerCase().includes(term) || (node.meta.category || '').toLowerCase().includes(term)))
+                .map(node => node.id) : null);
+        if (!seeds) return null;
+
+        const highlighted = new Set(seeds);
+        for (const [from, to] of [['source', 'target'], ['target', 'source']]) {
+            const neighbours = new Map();
+            edges.forEach(edge => {
+                if (!neighbours.has(edge[from])) neighbours.set(edge[from], []);
+                neighbours.get(edge[from]).push(edge[to]);
+            });
+
+            const stack = [...seeds];
+            const seen = new Set(seeds);
+            while (stack.length > 0) {
+                for (const id of neighbours.get(stack.pop()) || []) {
+                    if (seen.has(id)) continue;
+                    seen.add(id);
+                    highlighted.add(id);
+                    stack.push(id);
+                }
+            }
+        }
+        return highlighted;
+    }
+
+    // Redraw the SVG; styling is inline so an exported file renders the same outside the page
+    draw(refit) {
+        const escape = escapeMarkup;
+        const { nodes, edges } = this.getVisibleGraph();
+        this.layout = this.computeLayout(nodes);
+        const { positions } = this.layout;
+        const highlighted = this.getHighlighted(edges);
+        const opacity = id => !highlighted || highlighted.has(id) ? 1 : 0.12;
+
+        let markup = '<g class="graph-edges">';
+        for (const edge of edges) {
+            const from = positions.get(edge.source);
+            const to = positions.get(edge.target);
+            const middle = (from.x + to.x) / 2;
+            const active = !highlighted || (highlighted.has(edge.source) && highlighted.has(edge.target));
+            markup += `<path d="M${from.x},${from.y} C${middle},${from.y} ${middle},${to.y} ${to.x},${to.y}" fill="none" stroke="#95a5a6" stroke-width="1" opacity="${active ? 0.7 : 0.06}"/>`;
+        }
+        markup += '</g><g class="graph-nodes">';
+
+        for (const node of nodes) {
+            const { x, y } = positions.get(node.id);
+            const style = SUPPLY_CHAIN_NODE_TYPES[node.type];
+            const radius = Math.min(14, 4 + Math.sqrt(node.reach) * 2);
+            const label = node.label.length > 34 ? `${node.label.slice(0, 33)}…` : node.label;
+            const dashed = node.meta.unattributed ? ' stroke-dasharray="2,2"' : '';
+            markup += `<g data-node="${escape(node.id)}" opacity="${opacity(node.id)}" style="cursor: pointer">
+                <title>${escape(node.label)} - ${node.reach} of ${this.graph.entryPointCount} entry points</title>
+                <circle cx="${x}" cy="${y}" r="${radius}" fill="${style.color}" stroke="${node.id === this.focusId ? '#000' : '#fff'}" stroke-width="1.5"${dashed}/>
+                <text x="${x + radius + 4}" y="${y + 4}" font-family="Segoe UI, Arial, sans-serif" font-size="11" fill="#2c3e50">${escape(label)}</text>
+            </g>`;
+        }
+        markup += '</g>';
+
+        this.svg.innerHTML = markup;
+        if (refit || !this.viewBox) this.fit();
+    }
+
+    // Details panel for the focused node
+    showDetails(nodeId) {
+        const escape = escapeMarkup;
+        const node = nodeId ? this.graph.nodes.get(nodeId) : null;
+        if (!node) {
+            this.details.textContent = 'Click a node to highlight its dependency path. Scroll to zoom, drag to pan.';
+            return;
+        }
+
+        const facts = [
+            `<strong>${escape(node.label)}</strong> <span class="drift-meta">${SUPPLY_CHAIN_NODE_TYPES[node.type].label}</span>`,
+            `${node.reach} of ${this.graph.entryPointCount} entry points (${Math.round(node.reach / this.graph.entryPointCount * 100)}%) depend on it`
+        ];
+        if (node.meta.category) facts.push(`Category: ${escape(node.meta.category)}`);
+        if (node.meta.asns?.length) facts.push(`ASN: ${node.meta.asns.map(escape).join(', ')}`);
+        if (node.meta.ipAddresses?.length) facts.push(`IPs: ${node.meta.ipAddresses.map(escape).join(', ')}`);
+        if (node.meta.takeover) facts.push(`⚠️ Takeover candidate (${escape(node.meta.takeover)} confidence)`);
+        if (node.meta.unattributed) facts.push('CNAME target not matched to a known service');
+        this.details.innerHTML = facts.join(' · ');
+    }
+
+    setViewBox(viewBox) {
+        this.viewBox = viewBox;
+        this.svg.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
+    }
+
+    fit() {
+        this.setViewBox({ x: 0, y: 0, width: this.layout.width, height: this.layout.height });
+    }
+
+    // Scale the view box around a graph point (the centre when none is given)
+    zoom(factor, point = null) {
+        const { x, y, width, height } = this.viewBox;
+        const center = point || { x: x + width / 2, y: y + height / 2 };
+        this.setViewBox({
+            x: center.x - (center.x - x) * factor,
+            y: center.y - (center.y - y) * factor,
+            width: width * factor,
+            height: height * factor
+        });
+    }
+
+    toGraphPoint(event) {
+        const matrix = this.svg.getScreenCTM()?.inverse();
+        if (!matrix) return null;
+        const point = new DOMPoint(event.clientX, event.clientY).matrixTransform(matrix);
+        return { x: point.x, y: point.y };
+    }
+
+    // Standalone SVG of the whole graph (current filters and highlight), on a white background
+    serializeSVG() {
+        const { width, height } = this.layout;
+        const clone = this.svg.cloneNode(true);
+        clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.insertAdjacentHTML('afterbegin', `<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`);
+        return new XMLSerializer().serializeToString(clone);
+    }
+
+    exportSVG() {
+        this.download(new Blob([this.serializeSVG()], { type: 'image/svg+xml' }), 'svg');
+    }
+
+    // Rasterize the serialized SVG at twice its size
+    exportPNG() {
+        const { width, height } = this.layout;
+        const image = new Image();
+        const url = URL.createObjectURL(new Blob([this.serializeSVG()], { type: 'image/svg+xml' }));
+
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * 2;
+            canvas.height = height * 2;
+            const context = canvas.getContext('2d');
+            context.scale(2, 2);
+            context.drawImage(image, 0, 0);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => this.download(blob, 'png'), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            console.error('❌ PNG export of the supply-chain graph failed');
+            alert('Failed to export PNG. Please try the SVG export instead.');
+        };
+        image.src = url;
+    }
+
+    download(blob, extension) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `3rd-party-supply-chain-${this.graph.domain}-${new Date().toISOString().split('T')[0]}.${extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
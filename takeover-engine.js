@@ -0,0 +1,146 @@
+// Takeover Engine - Verifies subdomain takeover candidates against per-provider fingerprints
+// Evidence comes from NXDOMAIN answers and HTTP body signatures (fetched through the worker);
+// every finding carries a confidence level instead of a blanket risk. NS delegations are checked by DelegationAnalyzer.
+
+const TAKEOVER_HTTP_TIMEOUT = 10000;
+
+class TakeoverEngine {
+    constructor(dnsAnalyzer, signatures) {
+        this.dnsAnalyzer = dnsAnalyzer;
+        this.signatures = signatures;
+        this.probeCache = new Map();
+    }
+
+    // Check one analyzed subdomain - returns a finding or null
+    async check(subdomain, analysis) {
+        const targets = analysis.cnameChain?.length > 0 ?
+            analysis.cnameChain.map(hop => hop.to) :
+            analysis.cnameTarget ? [analysis.cnameTarget] : [];
+
+        return targets.length > 0 ? await this.checkCNAME(subdomain, targets) : null;
+    }
+
+    // CNAME chain: fingerprint the hops, then look for NXDOMAIN or HTTP evidence that the target is unclaimed
+    async checkCNAME(subdomain, targets) {
+        const finalTarget = targets[targets.length - 1];
+        const matches = targets.map(target => this.signatures.matchTakeoverCNAME(target)).filter(result => result);
+        const match = matches.find(result => result.claimable) || matches[0];
+
+        if (match?.claimable && match.fingerprint.status === 'not-vulnerable') {
+            console.log(`  ✅ ${subdomain} → ${match.host}: ${match.fingerprint.name} verifies domain ownership`);
+            return null;
+        }
+
+        const response = await this.dnsAnalyzer.queryDNSResponse(finalTarget, 'A');
+        const nxdomain = response?.Status === 3;
+        const evidence = [`CNAME ${[subdomain, ...targets].join(' → ')}`];
+        if (nxdomain) evidence.push(`${finalTarget} returns NXDOMAIN`);
+
+        // No provider fingerprint (or not in a claimable form) - a dead target is still worth reporting
+        if (!match?.claimable) {
+            if (!nxdomain) return null;
+            if (match) evidence.push(`${match.host} is not in ${match.fingerprint.name}'s claimable name format`);
+            return this.createFinding({
+                type: 'dangling_cname',
+                confidence: match ? 'possible' : 'likely',
+                subdomain,
+                cname: finalTarget,
+                service: match?.fingerprint.name,
+                description: `${subdomain} points to ${finalTarget}, which does not exist`,
+                recommendation: 'Remove the stale CNAME record, or check whether the target domain can be registered by someone else',
+                evidence
+            });
+        }
+
+        const { fingerprint } = match;
+        if (fingerprint.nxdomain && nxdomain) {
+            return this.createTakeover(subdomain, finalTarget, fingerprint, 'confirmed', evidence);
+        }
+
+        if (fingerprint.http && !nxdomain) {
+            const probe = await this.probeHTTP(subdomain, fingerprint.http.body);
+            if (!probe) {
+                evidence.push('HTTP fingerprint could not be checked');
+                return this.createTakeover(subdomain, finalTarget, fingerprint, 'possible', evidence);
+            }
+
+            if (this.matchHTTPFingerprint(fingerprint.http, probe)) {
+                evidence.push(`${probe.url} answered HTTP ${probe.status} with "${probe.signature}"`);
+                return this.createTakeover(subdomain, finalTarget, fingerprint, 'confirmed', evidence);
+            }
+            return null;
+        }
+
+        // Dead target on a provider whose fingerprint relies on HTTP evidence
+        if (nxdomain) {
+            return this.createTakeover(subdomain, finalTarget, fingerprint, 'likely', evidence);
+        }
+
+        return null;
+    }
+
+    // Look for the body signatures on the subdomain's front page - through the worker when it is usable, which only
+    // answers with the matched signature, otherwise directly (HTTPS first, unclaimed hosts often have no certificate)
+    async probeHTTP(host, signatures) {
+        if (!this.probeCache.has(host)) {
+            this.probeCache.set(host, this.dnsAnalyzer.fixtures.wrap('http-probe', host, async () => {
+                const viaWorker = await this.dnsAnalyzer.getAPIClient()?.fetchHTTPProbe(host, signatures);
+                if (viaWorker) return viaWorker;
+
+                let lastError = null;
+                for (const url of [`https://${host}/`, `http://${host}/`]) {
+                    try {
+                        const response = await fetchWithTimeout(url, { redirect: 'manual' }, TAKEOVER_HTTP_TIMEOUT);
+                        const body = (await response.text()).slice(0, 65536);
+                        return {
+                            url: url,
+                            status: response.status,
+                            contentType: response.headers.get('content-type'),
+                            location: response.headers.get('location'),
+                            signature: signatures.find(signature => body.includes(signature)) || null
+                        };
+                    } catch (error) {
+                        lastError = error;
+                    }
+                }
+                throw lastError;
+            }).catch(error => {
+                console.warn(`  ⚠️  HTTP probe for ${host} failed: ${error.message}`);
+                return null;
+            }));
+        }
+        return await this.probeCache.get(host);
+    }
+
+    // The probe found one of the fingerprint's body signatures (with the expected status, when the fingerprint has one)
+    matchHTTPFingerprint(http, probe) {
+        if (http.status !== undefined && probe.status !== http.status) return false;
+        return http.body.includes(probe.signature);
+    }
+
+    createTakeover(subdomain, cname, fingerprint, confidence, evidence) {
+        return this.createFinding({
+            type: 'subdomain_takeover',
+            confidence,
+            subdomain,
+            cname,
+            service: fingerprint.name,
+            providerStatus: fingerprint.status,
+            description: confidence === 'possible' ?
+                `${subdomain} points to ${fingerprint.name} (${cname}) - takeover could not be verified` :
+                `${subdomain} points to an unclaimed ${fingerprint.name} resource (${cname}) - takeover possible`,
+            recommendation: `Remove the DNS record or claim ${cname} on ${fingerprint.name}`,
+            evidence
+        });
+    }
+
+    // Risk follows the confidence, downgraded for providers where claiming is an edge case
+    createFinding(finding) {
+        const riskByConfidence = { confirmed: 'high', likely: 'medium', possible: 'low' };
+        let risk = riskByConfidence[finding.confidence];
+        if (finding.providerStatus === 'edge-case' && risk === 'high') risk = 'medium';
+
+        console.log(`  🎯 ${finding.type} on ${finding.subdomain} (${finding.confidence})`);
+        return { ...finding, risk };
+    }
+}
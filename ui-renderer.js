@@ -1,4 +1,5 @@
 // UI Rendering Engine
+// Scan data and imported or linked results are untrusted - every value goes into the markup through escapeMarkup
 class UIRenderer {
     constructor() {
         this.progressSection = document.getElementById('progressSection');
@@ -22,16 +23,23 @@ class UIRenderer {
             this.resultsDiv.style.display = 'block';
             this.resultsDiv.innerHTML = `
                 <div class="error-message">
-                    <strong>Error:</strong> ${message}
+                    <strong>Error:</strong> ${escapeMarkup(message)}
                 </div>
             `;
         }
     }
 
+    // Remove the rendered result sections (stats and export controls stay in place)
+    clearResults() {
+        if (!this.resultsDiv) return;
+
+        this.resultsDiv.querySelectorAll(':scope > .collapsible-section').forEach(section => section.remove());
+    }
+
     // Create a collapsible section
     createCollapsibleSection(title, content, isExpanded = true, itemCount = null) {
         const sectionId = `section-${++this.sectionCounter}`;
-        const itemCountText = itemCount ? ` (${itemCount})` : '';
+        const itemCountText = itemCount ? ` (${escapeMarkup(itemCount)})` : '';
         const expandedClass = isExpanded ? 'expanded' : '';
         const displayStyle = isExpanded ? 'block' : 'none';
         
@@ -113,6 +121,11 @@ class UIRenderer {
         this.displayStats(processedData.stats, securityResults);
         this.displayAPINotifications(apiNotifications);
         
+        // Drift is only known once the scan has finished and been compared with the stored snapshot
+        this.displayCollapsibleSection('Changes Since Last Scan', () => {
+            this.displayScanDrift(isProgressive ? null : processedData.drift);
+        }, true, processedData.drift?.totalChanges || 0);
+        
         // Wrap major sections in collapsible containers
         this.displayCollapsibleSection('Third-Party Services', () => {
             this.displayServicesByVendor(processedData.services);
@@ -125,6 +138,11 @@ class UIRenderer {
             }, false); 
         }
         
+        // The graph is built once the scan is complete - redrawing it on every progressive update would reset zoom and filters
+        this.displayCollapsibleSection('Supply-Chain Graph', () => {
+            this.displaySupplyChainGraph(isProgressive ? null : processedData);
+        }, false);
+        
         this.displayCollapsibleSection('Security Issues', () => {
             this.displaySecurity(securityResults);
         }, true, this.calculateTotalSecurityIssues(securityResults));
@@ -142,9 +160,13 @@ class UIRenderer {
         }, false, processedData.cnameCount || 0);
         
         this.displayCollapsibleSection('DNS Records', () => {
-            this.displayDNSRecords(processedData.dnsRecords);
+            this.displayDNSRecords(processedData.dnsRecords, securityResults?.dmarcAnalysis, securityResults?.mailPolicies);
         }, false, processedData.dnsRecords?.length || 0);
         
+        this.displayCollapsibleSection('SPF Authorization Tree', () => {
+            this.displaySPFTree(securityResults?.spfTree);
+        }, false, securityResults?.spfTree?.lookupCount || 0);
+        
         this.displayCollapsibleSection('Subdomains', () => {
             this.displaySubdomains(processedData);
         }, true, processedData.stats.totalSubdomains || 0);
@@ -162,7 +184,7 @@ class UIRenderer {
 
         this.statsDiv.innerHTML = `
             <div class="stat-card">
-                <div class="stat-number">${stats.totalServices}</div>
+                <div class="stat-number">${escapeMarkup(stats.totalServices)}</div>
                 <div class="stat-label">Services Found</div>
                 <div class="tooltip">
                     Third-party services detected from DNS records including email providers (Gmail, Outlook), 
@@ -171,7 +193,7 @@ class UIRenderer {
                 </div>
             </div>
             <div class="stat-card">
-                <div class="stat-number">${stats.totalSubdomains}</div>
+                <div class="stat-number">${escapeMarkup(stats.totalSubdomains)}</div>
                 <div class="stat-label">Subdomains</div>
                 <div class="tooltip">
                     Active subdomains discovered from certificate transparency logs and DNS analysis. 
@@ -180,7 +202,7 @@ class UIRenderer {
                 </div>
             </div>
             <div class="stat-card">
-                <div class="stat-number">${stats.totalProviders || 0}</div>
+                <div class="stat-number">${escapeMarkup(stats.totalProviders || 0)}</div>
                 <div class="stat-label">Hosting Providers</div>
                 <div class="tooltip">
                     Unique hosting and infrastructure providers identified through service detection and 
@@ -189,7 +211,7 @@ class UIRenderer {
                 </div>
             </div>
             <div class="stat-card">
-                <div class="stat-number">${totalSecurityIssues}</div>
+                <div class="stat-number">${escapeMarkup(totalSecurityIssues)}</div>
                 <div class="stat-label">Security Issues</div>
                 <div class="tooltip">
                     Potential security concerns including missing SPF/DMARC records, weak email policies, 
@@ -198,7 +220,7 @@ class UIRenderer {
                 </div>
             </div>
             <div class="stat-card">
-                <div class="stat-number">${stats.totalHistoricalRecords || 0}</div>
+                <div class="stat-number">${escapeMarkup(stats.totalHistoricalRecords || 0)}</div>
                 <div class="stat-label">Historical Records</div>
                 <div class="tooltip">
                     Subdomains found in certificate transparency logs but no longer have active DNS records. 
@@ -341,9 +363,9 @@ class UIRenderer {
         let html = `
             <div class="${cardClass}">
                 <div class="service-header">
-                    <h3>${service.name}${recordTypesText}</h3>
+                    <h3>${escapeMarkup(service.name)}${escapeMarkup(recordTypesText)}</h3>
                 </div>
-                <p class="service-description">${service.description}</p>
+                <p class="service-description">${escapeMarkup(service.description)}</p>
         `;
         
         // Add third-party DMARC warning
@@ -357,9 +379,9 @@ class UIRenderer {
                 <div style="${alertStyle}">
                     <strong>${warningIcon} ${warningText}</strong><br>
                     <span style="color: #666; font-size: 0.9em;">
-                        ${service.securityImplication || 'Email authentication data is shared externally.'}
-                        ${service.reportingEmail ? `<br>📧 Reports sent to: ${service.reportingEmail}` : ''}
-                        ${service.domain ? `<br>🌐 External domain: ${service.domain}` : ''}
+                        ${escapeMarkup(service.securityImplication || 'Email authentication data is shared externally.')}
+                        ${service.reportingEmail ? `<br>📧 Reports sent to: ${escapeMarkup(service.reportingEmail)}` : ''}
+                        ${service.domain ? `<br>🌐 External domain: ${escapeMarkup(service.domain)}` : ''}
                     </span>
                 </div>
             `;
@@ -376,10 +398,10 @@ class UIRenderer {
                 <div style="${alertStyle}">
                     <strong>${warningIcon} ${warningText}</strong><br>
                     <span style="color: #666; font-size: 0.9em;">
-                        ${service.securityImplication || 'Email delivery handled by external service.'}
-                        ${service.selector ? `<br>🔑 DKIM Selector: ${service.selector}` : ''}
-                        ${service.keyType ? `<br>🔐 Key Type: ${service.keyType}` : ''}
-                        ${service.confidence ? `<br>📊 Confidence: ${service.confidence}` : ''}
+                        ${escapeMarkup(service.securityImplication || 'Email delivery handled by external service.')}
+                        ${service.selector ? `<br>🔑 DKIM Selector: ${escapeMarkup(service.selector)}` : ''}
+                        ${service.keyType ? `<br>🔐 Key Type: ${escapeMarkup(service.keyType)}` : ''}
+                        ${service.confidence ? `<br>📊 Confidence: ${escapeMarkup(service.confidence)}` : ''}
                     </span>
                 </div>
             `;
@@ -389,8 +411,8 @@ class UIRenderer {
         if (service.infrastructure) {
             html += `
                 <div class="service-infrastructure" style="background: #f8f9fa; padding: 8px; margin: 8px 0; border-radius: 4px; border-left: 3px solid #007bff;">
-                    <strong>🏗️ Infrastructure:</strong> ${service.infrastructure.name}<br>
-                    <span style="color: #666; font-size: 0.9em;">${service.infrastructure.description}</span>
+                    <strong>🏗️ Infrastructure:</strong> ${escapeMarkup(service.infrastructure.name)}<br>
+                    <span style="color: #666; font-size: 0.9em;">${escapeMarkup(service.infrastructure.description)}</span>
                 </div>
             `;
         }
@@ -404,7 +426,7 @@ class UIRenderer {
             const uniqueSubdomains = new Set(records.map(r => r.subdomain).filter(Boolean));
             const countText = uniqueSubdomains.size > 1 ? ` (${uniqueSubdomains.size} records)` : '';
             
-            html += `<strong>${recordType}${countText}:</strong><br>`;
+            html += `<strong>${escapeMarkup(recordType)}${countText}:</strong><br>`;
             
             // Group by subdomain
             const subdomainGroups = this.groupRecordsBySubdomain(records);
@@ -415,18 +437,18 @@ class UIRenderer {
                     if (recordType === 'CNAME') {
                         const chain = [this.createSubdomainLink(subdomain)];
                         subdomainRecords.forEach(record => {
-                            chain.push(record.data);
+                            chain.push(escapeMarkup(record.data));
                         });
                         html += `• ${chain.join(' → ')}<br>`;
                     } else {
                         // All other record types (TXT, MX, NS, etc.) should be separate line items
                         subdomainRecords.forEach(record => {
-                            let recordText = `• ${this.createSubdomainLink(subdomain)} → ${record.data}`;
+                            let recordText = `• ${this.createSubdomainLink(subdomain)} → ${escapeMarkup(record.data)}`;
                             if (record.TTL) {
-                                recordText += ` (TTL: ${record.TTL}s)`;
+                                recordText += ` (TTL: ${escapeMarkup(record.TTL)}s)`;
                             }
                             if (record.priority !== null && record.priority !== undefined) {
-                                recordText += ` (Priority: ${record.priority})`;
+                                recordText += ` (Priority: ${escapeMarkup(record.priority)})`;
                             }
                             html += `${recordText}<br>`;
                         });
@@ -434,12 +456,12 @@ class UIRenderer {
                 } else {
                     // Single record
                     const record = subdomainRecords[0];
-                    let recordText = `• ${this.createSubdomainLink(subdomain)} → ${record.data}`;
+                    let recordText = `• ${this.createSubdomainLink(subdomain)} → ${escapeMarkup(record.data)}`;
                     if (record.TTL) {
-                        recordText += ` (TTL: ${record.TTL}s)`;
+                        recordText += ` (TTL: ${escapeMarkup(record.TTL)}s)`;
                     }
                     if (record.priority !== null && record.priority !== undefined) {
-                        recordText += ` (Priority: ${record.priority})`;
+                        recordText += ` (Priority: ${escapeMarkup(record.priority)})`;
                     }
                     html += `${recordText}<br>`;
                 }
@@ -476,11 +498,6 @@ class UIRenderer {
         return grouped;
     }
 
-    // Create subdomain link
-    createSubdomainLink(subdomain) {
-        return `<a href="https://${subdomain}" target="_blank" style="color: #2196f3; text-decoration: underline;">${subdomain}</a>`;
-    }
-
     // Get DNS record type name
     getDNSRecordTypeName(typeNumber) {
         const recordTypes = {
@@ -508,7 +525,7 @@ class UIRenderer {
             ...(securityResults.wildcardCertificates || []).map(issue => ({ ...issue, category: 'certificate' }))
         ];
         
-        if (allIssues.length === 0) {
+        if (allIssues.length === 0 && !securityResults.dnssec) {
             if (section) section.style.display = 'none';
             return;   
         }
@@ -522,7 +539,7 @@ class UIRenderer {
             low: allIssues.filter(issue => issue.risk === 'low')
         };
         
-        let html = '';
+        let html = this.renderDNSSECChain(securityResults.dnssec);
         
         if (riskGroups.high.length > 0) {
             html += `<div class="risk-section"><h4>🚨 High Risk Issues (${riskGroups.high.length})</h4>`;
@@ -551,6 +568,41 @@ class UIRenderer {
         container.innerHTML = html;
     }
 
+    // Render the DNSSEC chain of trust as one row per zone cut, root first
+    renderDNSSECChain(dnssec) {
+        if (!dnssec || !dnssec.chain) return '';
+
+        const statusIcons = { secure: '🔒', insecure: '🔓', bogus: '❌', indeterminate: '❔', nodata: '➖' };
+        let html = `<div class="dnssec-summary dnssec-${escapeMarkup(dnssec.status)}">
+            <div class="dnssec-status"><strong>DNSSEC:</strong> ${statusIcons[dnssec.status] || ''} ${escapeMarkup(dnssec.status)}</div>
+            <ul class="dnssec-chain">`;
+
+        dnssec.chain.forEach(link => {
+            const keys = link.keys.map(key =>
+                `<span class="spf-badge">${escapeMarkup(key.role)} ${escapeMarkup(key.keyTag)} ${escapeMarkup(key.algorithmName)}${key.keySize ? ` ${escapeMarkup(key.keySize)}-bit` : ''}</span>`).join(' ');
+            const ds = link.ds.map(entry =>
+                `<span class="spf-badge ${entry.matched ? '' : 'dnssec-unmatched'}">${entry.trustAnchor ? 'anchor' : 'DS'} ${escapeMarkup(entry.keyTag)}/${escapeMarkup(entry.digestType)}</span>`).join(' ');
+            html += `<li class="dnssec-link dnssec-${escapeMarkup(link.status)}">
+                <span class="dnssec-zone">${statusIcons[link.status] || ''} ${escapeMarkup(link.zone)}</span>
+                <span class="dnssec-reason">${escapeMarkup(link.reason || '')}</span>
+                <div>${ds} ${keys}</div>
+            </li>`;
+        });
+        html += '</ul>';
+
+        const checked = (dnssec.rrsets || []).filter(rrset => rrset.status !== 'nodata');
+        if (checked.length > 0) {
+            html += '<ul class="dnssec-rrsets">';
+            checked.forEach(rrset => {
+                const expires = rrset.signature?.expiration ? ` (signature expires ${escapeMarkup(String(rrset.signature.expiration).slice(0, 10))})` : '';
+                html += `<li class="dnssec-${escapeMarkup(rrset.status)}">${statusIcons[rrset.status] || ''} <code>${escapeMarkup(rrset.name)} ${escapeMarkup(rrset.type)}</code> ${escapeMarkup(rrset.status)}${rrset.status === 'secure' ? expires : ` - ${escapeMarkup(rrset.reason)}`}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        return `${html}</div>`;
+    }
+
     // Format security issue
     formatSecurityIssue(issue) {
         const riskColors = {
@@ -568,21 +620,24 @@ class UIRenderer {
         
         let html = `
             <div class="service-item security-issues" style="border-left: 4px solid ${color};">
-                <div class="service-name">${icon} ${issue.description}</div>
+                <div class="service-name">${icon} ${escapeMarkup(issue.description)}</div>
                 <div class="service-description">
-                    <strong>Risk:</strong> ${issue.risk.toUpperCase()}<br>
-                    <strong>Type:</strong> ${issue.type}<br>
-                    ${issue.recommendation ? `<strong>Recommendation:</strong> ${issue.recommendation}<br>` : ''}
+                    <strong>Risk:</strong> ${escapeMarkup(String(issue.risk).toUpperCase())}<br>
+                    <strong>Type:</strong> ${escapeMarkup(issue.type)}<br>
+                    ${issue.confidence ? `<strong>Confidence:</strong> ${escapeMarkup(issue.confidence)}<br>` : ''}
+                    ${issue.recommendation ? `<strong>Recommendation:</strong> ${escapeMarkup(issue.recommendation)}<br>` : ''}
                 </div>
         `;
         
         // Add specific details
         if (issue.subdomain) html += `<div class="service-records"><strong>Subdomain:</strong> ${this.createSubdomainLink(issue.subdomain)}<br>`;
-        if (issue.cname) html += `<strong>CNAME:</strong> ${issue.cname}<br>`;
-        if (issue.service) html += `<strong>Service:</strong> ${issue.service}<br>`;
-        if (issue.ip) html += `<strong>IP:</strong> ${issue.ip}<br>`;
-        if (issue.record) html += `<strong>Record:</strong> ${issue.record}<br>`;
-        if (issue.pattern) html += `<strong>Pattern:</strong> ${issue.pattern}<br>`;
+        if (issue.cname) html += `<strong>CNAME:</strong> ${escapeMarkup(issue.cname)}<br>`;
+        if (issue.service) html += `<strong>Service:</strong> ${escapeMarkup(issue.service)}<br>`;
+        if (issue.nameservers?.length) html += `<strong>Nameservers:</strong> ${escapeMarkup(issue.nameservers.join(', '))}<br>`;
+        if (issue.ip) html += `<strong>IP:</strong> ${escapeMarkup(issue.ip)}<br>`;
+        if (issue.record) html += `<strong>Record:</strong> ${escapeMarkup(issue.record)}<br>`;
+        if (issue.pattern) html += `<strong>Pattern:</strong> ${escapeMarkup(issue.pattern)}<br>`;
+        if (issue.evidence) html += `<strong>Evidence:</strong><ul class="takeover-evidence">${issue.evidence.map(item => `<li>${escapeMarkup(item)}</li>`).join('')}</ul>`;
         
         html += '</div></div>';
         return html;
@@ -632,24 +687,24 @@ class UIRenderer {
     formatInterestingFinding(finding) {
         let html = `
             <div class="service-item" style="border-left: 4px solid #17a2b8;">
-                <div class="service-name">🔍 ${finding.description}</div>
+                <div class="service-name">🔍 ${escapeMarkup(finding.description)}</div>
                 <div class="service-description">
         `;
         
         if (finding.type === 'interesting_subdomain') {
             html += `
-                    <strong>Pattern:</strong> ${finding.pattern}<br>
+                    <strong>Pattern:</strong> ${escapeMarkup(finding.pattern)}<br>
                     <strong>Subdomain:</strong> ${this.createSubdomainLink(finding.subdomain)}<br>
             `;
         } else if (finding.type === 'service_subdomain') {
             html += `
-                    <strong>Service:</strong> ${finding.service.toUpperCase()}<br>
+                    <strong>Service:</strong> ${escapeMarkup(String(finding.service).toUpperCase())}<br>
                     <strong>Subdomain:</strong> ${this.createSubdomainLink(finding.subdomain)}<br>
-                    <strong>IP:</strong> ${finding.ip}<br>
+                    <strong>IP:</strong> ${escapeMarkup(finding.ip)}<br>
             `;
         }
         
-        html += `${finding.recommendation ? `<strong>Note:</strong> ${finding.recommendation}<br>` : ''}
+        html += `${finding.recommendation ? `<strong>Note:</strong> ${escapeMarkup(finding.recommendation)}<br>` : ''}
                 </div>
             </div>
         `;
@@ -712,7 +767,7 @@ class UIRenderer {
             
             html += `
                 <div class="service-item">
-                    <div class="service-name">🎯 ${domainName}</div>
+                    <div class="service-name">🎯 ${escapeMarkup(domainName)}</div>
                     <div class="service-description">
                         ${subdomains.length} subdomain${subdomains.length > 1 ? 's' : ''} pointing to this service
                     </div>
@@ -728,7 +783,7 @@ class UIRenderer {
                             } else if (sub.ipAddresses[0]) {
                                 info = ` → ${sub.ipAddresses[0]}`;
                             }
-                            return `• ${this.createSubdomainLink(sub.subdomain)}${info}`;
+                            return `• ${this.createSubdomainLink(sub.subdomain)}${escapeMarkup(info)}`;
                         }).join('<br>')}
                     </div>
                 </div>
@@ -814,9 +869,9 @@ class UIRenderer {
         providerGroups.forEach(provider => {
             html += `
                 <div class="service-item">
-                    <div class="service-name">🏢 ${provider.vendor}</div>
+                    <div class="service-name">🏢 ${escapeMarkup(provider.vendor)}</div>
                     <div class="service-description">
-                        ${provider.totalSubdomains} subdomains • ${provider.uniqueIPs} unique IPs
+                        ${escapeMarkup(provider.totalSubdomains)} subdomains • ${escapeMarkup(provider.uniqueIPs)} unique IPs
                     </div>
                     <div class="service-records">
                         <strong>Subdomains:</strong><br>
@@ -834,9 +889,9 @@ class UIRenderer {
                                     info = `CNAME → ${sub.cnameTarget}`;
                                 }
                             }
-                            return `• ${this.createSubdomainLink(sub.subdomain)} (${info})`;
+                            return `• ${this.createSubdomainLink(sub.subdomain)} (${escapeMarkup(info)})`;
                         }).join('<br>')}
-                        ${provider.uniqueIPs > 1 ? `<br><br><strong>IPs:</strong><br>${provider.ips.join(', ')}` : ''}
+                        ${provider.uniqueIPs > 1 ? `<br><br><strong>IPs:</strong><br>${escapeMarkup(provider.ips.join(', '))}` : ''}
                     </div>
                 </div>
             `;
@@ -848,7 +903,7 @@ class UIRenderer {
 
 
     // Display DNS records (SPF, DMARC, etc.)
-    displayDNSRecords(dnsRecords) {
+    displayDNSRecords(dnsRecords, dmarcAnalysis = null, mailPolicies = null) {
         const container = document.getElementById('dnsRecords');
         const section = container?.closest('.service-category');
         if (!container) return;
@@ -875,25 +930,51 @@ class UIRenderer {
         Object.keys(recordsByCategory).forEach(category => {
             const categoryName = category === 'email-security' ? 'Email Security' : category.toUpperCase();
             html += `<div class="dns-category">
-                <h4 class="dns-category-title">${categoryName}</h4>`;
+                <h4 class="dns-category-title">${escapeMarkup(categoryName)}</h4>`;
 
             recordsByCategory[category].forEach(record => {
                 html += `<div class="dns-record">
                     <div class="dns-record-header">
-                        <span class="dns-record-type">${record.type}</span>
-                        <span class="dns-record-name">${record.name}</span>
+                        <span class="dns-record-type">${escapeMarkup(record.type)}</span>
+                        <span class="dns-record-name">${escapeMarkup(record.name)}</span>
                     </div>
-                    <div class="dns-record-description">${record.description}</div>
+                    <div class="dns-record-description">${escapeMarkup(record.description)}</div>
                     <div class="dns-record-data">
-                        <code>${this.truncateText(record.data, 100)}</code>
+                        <code>${escapeMarkup(this.truncateText(record.data, 100))}</code>
                     </div>`;
 
                 // Show parsed DMARC info if available
                 if (record.parsed && record.type === 'DMARC') {
                     html += `<div class="dmarc-parsed">
-                        <strong>Policy:</strong> ${record.parsed.policy} | 
-                        <strong>Reporting:</strong> ${record.parsed.reporting || 'None configured'}
+                        <strong>Policy:</strong> ${escapeMarkup(record.parsed.policy)} | 
+                        <strong>Reporting:</strong> ${escapeMarkup(record.parsed.reporting || 'None configured')}
                     </div>`;
+
+                    if (record.parsed.explicitTags) {
+                        html += `<div class="dmarc-parsed">
+                            <strong>Subdomains:</strong> sp=${escapeMarkup(record.parsed.sp || 'n/a')}${record.parsed.explicitTags.includes('sp') ? '' : ' (inherited)'} |
+                            <strong>pct:</strong> ${escapeMarkup(record.parsed.pct)} |
+                            <strong>Alignment:</strong> DKIM ${record.parsed.adkim === 's' ? 'strict' : 'relaxed'}, SPF ${record.parsed.aspf === 's' ? 'strict' : 'relaxed'} |
+                            <strong>fo:</strong> ${escapeMarkup(record.parsed.fo.join(':'))} |
+                            <strong>ri:</strong> ${escapeMarkup(record.parsed.ri)}s |
+                            <strong>rf:</strong> ${escapeMarkup(record.parsed.rf.join(':'))}
+                        </div>`;
+                    }
+
+                    if (dmarcAnalysis) {
+                        const gradeColor = ['A', 'B'].includes(dmarcAnalysis.grade) ? '#28a745' :
+                                           dmarcAnalysis.grade === 'C' ? '#ffc107' : '#dc3545';
+                        const destinations = dmarcAnalysis.destinations.filter(destination => destination.external);
+                        html += `<div class="dmarc-parsed">
+                            <strong>Score:</strong> <span style="color: ${gradeColor};">${escapeMarkup(dmarcAnalysis.score)}/100 (${escapeMarkup(dmarcAnalysis.grade)})</span> |
+                            <strong>Findings:</strong> ${escapeMarkup(dmarcAnalysis.findings.length)}
+                            ${destinations.map(destination => {
+                                const status = destination.authorized === true ? '✅ authorized' :
+                                               destination.authorized === false ? '❌ not authorized' : '⚠️ unknown';
+                                return `<br><strong>External ${escapeMarkup(destination.type)} reports:</strong> ${escapeMarkup(destination.email)} (${status})`;
+                            }).join('')}
+                        </div>`;
+                    }
                 }
 
                 // Show parsed DKIM info if available
@@ -904,10 +985,10 @@ class UIRenderer {
                                            confidence === 'low' ? '#fd7e14' : '#6c757d';
                     
                     html += `<div class="dkim-parsed">
-                        <strong>Selector:</strong> ${record.parsed.selector} | 
-                        <strong>Service:</strong> <span style="color: ${confidenceColor};">${record.parsed.service}</span> |
-                        <strong>Key:</strong> ${record.parsed.keyType} |
-                        <strong>Confidence:</strong> <span style="color: ${confidenceColor};">${confidence}</span>
+                        <strong>Selector:</strong> ${escapeMarkup(record.parsed.selector)} | 
+                        <strong>Service:</strong> <span style="color: ${confidenceColor};">${escapeMarkup(record.parsed.service)}</span> |
+                        <strong>Key:</strong> ${escapeMarkup(record.parsed.keyType)} |
+                        <strong>Confidence:</strong> <span style="color: ${confidenceColor};">${escapeMarkup(confidence)}</span>
                     </div>`;
                 }
 
@@ -916,21 +997,49 @@ class UIRenderer {
                     const trustColor = record.parsed.isKnownCA ? '#28a745' : '#ffc107';
                     
                     html += `<div class="caa-parsed">
-                        <strong>Tag:</strong> ${record.parsed.tag} | 
-                        <strong>Authority:</strong> <span style="color: ${trustColor};">${record.parsed.authority}</span> |
-                        <strong>Flags:</strong> ${record.parsed.flags} |
+                        <strong>Tag:</strong> ${escapeMarkup(record.parsed.tag)} | 
+                        <strong>Authority:</strong> <span style="color: ${trustColor};">${escapeMarkup(record.parsed.authority)}</span> |
+                        <strong>Flags:</strong> ${escapeMarkup(record.parsed.flags)} |
                         <strong>Trust Level:</strong> <span style="color: ${trustColor};">${record.parsed.isKnownCA ? 'Known CA' : 'Unknown CA'}</span>
                     </div>`;
                 }
 
+                // Show MTA-STS policy (fetched separately from the TXT record) if available
+                if (record.parsed && record.type === 'MTA-STS') {
+                    const policy = mailPolicies?.mtaSts?.policy;
+                    const unmatched = mailPolicies?.mtaSts?.unmatchedMX || [];
+                    html += `<div class="dmarc-parsed">
+                        <strong>Policy ID:</strong> ${escapeMarkup(record.parsed.id || 'missing')} |
+                        ${policy ? `<strong>Mode:</strong> ${escapeMarkup(policy.mode)} |
+                        <strong>max_age:</strong> ${escapeMarkup(policy.maxAge)}s |
+                        <strong>MX patterns:</strong> ${escapeMarkup(policy.mx.join(', ') || 'none')}
+                        ${unmatched.length > 0 ? `<br><strong>MX hosts not covered:</strong> <span style="color: #dc3545;">${escapeMarkup(unmatched.join(', '))}</span>` : ''}` :
+                        `<strong>Policy file:</strong> ${mailPolicies?.mtaSts?.fetch ? `HTTP ${escapeMarkup(mailPolicies.mtaSts.fetch.status)}` : 'not verified'}`}
+                    </div>`;
+                }
+
+                if (record.parsed && record.type === 'TLSRPT') {
+                    html += `<div class="dmarc-parsed">
+                        <strong>Reports to:</strong> ${escapeMarkup(record.parsed.destinations.join(', ') || 'None configured')}
+                    </div>`;
+                }
+
+                if (record.parsed && record.type === 'BIMI') {
+                    html += `<div class="dmarc-parsed">
+                        ${record.parsed.declined ? '<strong>Declined:</strong> domain opts out of BIMI' :
+                        `<strong>Logo:</strong> ${escapeMarkup(record.parsed.logo || 'none')} |
+                        <strong>Mark certificate:</strong> ${escapeMarkup(record.parsed.certificate || 'none')}`}
+                    </div>`;
+                }
+
                 // Show parsed SRV info if available
                 if (record.parsed && record.type === 'SRV') {
                     html += `<div class="srv-parsed">
-                        <strong>Service:</strong> ${record.parsed.service} | 
-                        <strong>Target:</strong> ${record.parsed.target}:${record.parsed.port} |
-                        <strong>Priority:</strong> ${record.parsed.priority} |
-                        <strong>Weight:</strong> ${record.parsed.weight} |
-                        <strong>Type:</strong> ${record.parsed.serviceType}
+                        <strong>Service:</strong> ${escapeMarkup(record.parsed.service)} | 
+                        <strong>Target:</strong> ${escapeMarkup(record.parsed.target)}:${escapeMarkup(record.parsed.port)} |
+                        <strong>Priority:</strong> ${escapeMarkup(record.parsed.priority)} |
+                        <strong>Weight:</strong> ${escapeMarkup(record.parsed.weight)} |
+                        <strong>Type:</strong> ${escapeMarkup(record.parsed.serviceType)}
                     </div>`;
                 }
 
@@ -962,7 +1071,7 @@ class UIRenderer {
                 <span class="status-icon">⏳</span>
                 <span class="status-text">
                     <strong>Analysis in progress...</strong> 
-                    Showing ${serviceCount} services and ${subdomainCount} subdomains discovered so far.
+                    Showing ${escapeMarkup(serviceCount)} services and ${escapeMarkup(subdomainCount)} subdomains discovered so far.
                     Additional results will appear as external APIs respond.
                 </span>
             </div>
@@ -976,6 +1085,65 @@ class UIRenderer {
         }, 10000);
     }
 
+    // Display the expanded SPF include tree with its lookup budget
+    displaySPFTree(spfTree) {
+        const container = document.getElementById('spfTree');
+        const section = container?.closest('.service-category');
+        if (!container) return;
+
+        if (!spfTree || !spfTree.root) {
+            if (section) section.style.display = 'none';
+            return;
+        }
+
+        if (section) section.style.display = 'block';
+
+        const overLimit = spfTree.lookupCount > spfTree.lookupLimit;
+        const attributed = spfTree.senders.filter(sender => sender.service);
+        let html = `<div class="spf-summary ${overLimit ? 'spf-over-limit' : ''}">
+            <strong>DNS lookups:</strong> ${escapeMarkup(spfTree.lookupCount)}${spfTree.truncated ? '+' : ''} / ${escapeMarkup(spfTree.lookupLimit)} |
+            <strong>Void lookups:</strong> ${escapeMarkup(spfTree.voidLookupCount)} |
+            <strong>Included senders:</strong> ${escapeMarkup(spfTree.senders.length)} (${attributed.length} attributed)
+        </div>`;
+
+        html += `<div class="spf-tree">${this.renderSPFNode(spfTree.root)}</div>`;
+        container.innerHTML = html;
+    }
+
+    // Render one SPF record and its mechanisms, recursing into include/redirect targets
+    renderSPFNode(node) {
+        const terms = node.redirect ? [...node.terms, node.redirect] : node.terms;
+        let html = `<div class="spf-node">
+            <div class="spf-node-domain">${escapeMarkup(node.domain)}</div>
+            <div class="dns-record-data"><code>${escapeMarkup(this.truncateText(node.record, 200))}</code></div>
+            <ul class="spf-terms">`;
+
+        terms.forEach(term => {
+            const label = term.mechanism === 'redirect' ?
+                `redirect=${term.value}` :
+                `${term.qualifier === '+' ? '' : term.qualifier}${term.mechanism}${term.value ? `:${term.value}` : ''}`;
+            const badges = [];
+            if (term.lookupNumber) badges.push(`<span class="spf-badge ${term.overLimit ? 'spf-badge-error' : ''}">lookup #${escapeMarkup(term.lookupNumber)}</span>`);
+            if (term.service) badges.push(`<span class="spf-badge spf-badge-service">${escapeMarkup(term.service.name)}</span>`);
+            if (term.void) badges.push('<span class="spf-badge spf-badge-error">void</span>');
+            if (term.macro) badges.push('<span class="spf-badge">macro</span>');
+            if (term.skipped) badges.push('<span class="spf-badge">not expanded</span>');
+            if (term.error) badges.push(`<span class="spf-badge spf-badge-error">${escapeMarkup(term.error)}</span>`);
+
+            html += `<li><code>${escapeMarkup(label)}</code> ${badges.join(' ')}`;
+            if (term.result && term.result.length > 0 && !term.child) {
+                html += ` <span class="spf-result">→ ${escapeMarkup(this.truncateText(term.result.join(', '), 120))}</span>`;
+            }
+            if (term.child) {
+                html += this.renderSPFNode(term.child);
+            }
+            html += '</li>';
+        });
+
+        html += '</ul></div>';
+        return html;
+    }
+
     // Display historical records
     displayHistoricalRecords(historicalRecords) {
         const container = document.getElementById('historicalRecords');
@@ -990,7 +1158,7 @@ class UIRenderer {
         if (section) section.style.display = 'block';
         
         let html = '<h3>📜 Historical/Obsolete Records</h3>';
-        html += '<p style="color: #666; margin-bottom: 15px;">These subdomains were found in certificate transparency logs but have no active DNS records.</p>';
+        html += '<p style="color: #666; margin-bottom: 15px;">These subdomains were reported by the discovery sources (certificate transparency logs, web archives, passive DNS) but have no active DNS records.</p>';
         
         html += `
             <div style="overflow-x: auto; margin-top: 15px;">
@@ -1036,10 +1204,10 @@ class UIRenderer {
                     <td style="padding: 12px 8px; color: #495057; word-break: break-all;">
                         ${this.createSubdomainLink(record.subdomain)}
                     </td>
-                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${record.source}</td>
-                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${discoveredDate}</td>
-                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${issuer}</td>
-                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${expiryDate}</td>
+                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${escapeMarkup(record.source)}</td>
+                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${escapeMarkup(discoveredDate)}</td>
+                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${escapeMarkup(issuer)}</td>
+                    <td style="padding: 12px 8px; color: #6c757d; font-size: 0.8rem;">${escapeMarkup(expiryDate)}</td>
                 </tr>
             `;
         });
@@ -1048,6 +1216,142 @@ class UIRenderer {
         container.innerHTML = html;
     }
 
+    // Display what changed since the previous scan of the same domain
+    displayScanDrift(drift) {
+        const container = document.getElementById('scanDrift');
+        const section = container?.closest('.service-category');
+        if (!container) return;
+        
+        if (!drift) {
+            if (section) section.style.display = 'none';
+            return;
+        }
+        
+        if (section) section.style.display = 'block';
+        
+        const previousScan = new Date(drift.previousScan).toLocaleString();
+        if (drift.totalChanges === 0) {
+            container.innerHTML = `<p class="drift-summary">✅ No changes since the last scan on ${previousScan}.</p>`;
+            return;
+        }
+        
+        const dimensions = [
+            { key: 'subdomains', label: '🌐 Subdomains', format: entry => this.createSubdomainLink(entry) },
+            { key: 'services', label: '🧩 Services', format: entry => `${escapeMarkup(entry.name)} <span class="drift-meta">${escapeMarkup(entry.category)}</span>` },
+            { key: 'vendors', label: '🏢 Vendors', format: entry => escapeMarkup(entry) },
+            { key: 'ips', label: '🖥️ IP Addresses', format: entry => `<code>${escapeMarkup(entry)}</code>` },
+            { key: 'countries', label: '🌍 Countries', format: entry => `${this.getCountryFlag(entry.key)} ${escapeMarkup(entry.name)}` },
+            { key: 'issues', label: '🔒 Security Issues', format: entry => `<span class="drift-risk drift-risk-${escapeMarkup(entry.risk)}">${escapeMarkup(entry.risk)}</span> ${escapeMarkup(entry.description)}` }
+        ];
+        
+        let html = `<p class="drift-summary">${escapeMarkup(drift.totalChanges)} change${drift.totalChanges === 1 ? '' : 's'} since the last scan on ${previousScan}.</p>`;
+        dimensions.forEach(({ key, label, format }) => {
+            const { added, removed } = drift.changes[key];
+            if (added.length === 0 && removed.length === 0) return;
+            
+            html += `<div class="drift-dimension"><h4>${label} <span class="drift-meta">+${escapeMarkup(added.length)} / -${escapeMarkup(removed.length)}</span></h4><ul class="drift-list">`;
+            added.forEach(entry => {
+                html += `<li class="drift-added">➕ ${format(entry)}</li>`;
+            });
+            removed.forEach(entry => {
+                html += `<li class="drift-removed">➖ ${format(entry)}</li>`;
+            });
+            html += '</ul></div>';
+        });
+        
+        container.innerHTML = html;
+    }
+
+    // Interactive domain → subdomain → CNAME → service → vendor → country graph
+    displaySupplyChainGraph(processedData) {
+        const container = document.getElementById('supplyChainGraph');
+        const section = container?.closest('.service-category');
+        if (!container) return;
+        
+        const graph = processedData ? SupplyChainGraph.build(processedData, processedData.dataProcessor) : null;
+        if (!graph || graph.edges.size === 0) {
+            if (section) section.style.display = 'none';
+            return;
+        }
+        
+        if (section) section.style.display = 'block';
+        new SupplyChainGraphView(container, graph).render();
+        console.log(`🕸️ Supply-chain graph: ${graph.nodes.size} nodes, ${graph.edges.size} edges`);
+    }
+
+    // Show the per-domain table while a batch is still running
+    displayBatchProgress(results, total) {
+        const container = document.getElementById('batchResults');
+        if (!container) return;
+        
+        container.style.display = 'block';
+        container.innerHTML = `
+            <h2>📋 Batch Analysis (${results.length}/${total})</h2>
+            ${this.renderBatchDomainTable(results)}
+        `;
+    }
+
+    // Portfolio report: vendors shared across domains, then every domain's summary
+    displayBatchReport(report) {
+        const container = document.getElementById('batchResults');
+        if (!container) return;
+        
+        const { stats } = report;
+        const cache = stats.lookupCache;
+        let html = `
+            <h2>📋 Portfolio Report</h2>
+            <div class="batch-summary">
+                ${escapeMarkup(stats.completed)} of ${escapeMarkup(stats.total)} domains analyzed${stats.failed ? `, ${escapeMarkup(stats.failed)} failed` : ''}${stats.skipped ? `, ${escapeMarkup(stats.skipped)} skipped` : ''}
+                in ${(stats.durationMs / 1000).toFixed(1)}s - ${report.vendors.length} vendors, ${report.sharedVendors.length} shared by more than one domain
+                <span class="drift-meta">(${cache.hits} of ${cache.hits + cache.misses} DNS/ASN lookups answered from the shared cache)</span>
+            </div>
+            <button type="button" class="batch-btn batch-export" onclick="exportBatchReport()">Export Report (JSON)</button>
+        `;
+        
+        html += '<h3>🔗 Shared Vendors</h3>';
+        if (report.sharedVendors.length === 0) {
+            html += '<p class="batch-summary">No vendor is used by more than one domain.</p>';
+        } else {
+            html += `<table class="batch-table">
+                <thead><tr><th>Vendor</th><th>Category</th><th>Domains</th><th>Used by</th></tr></thead>
+                <tbody>`;
+            report.sharedVendors.forEach(vendor => {
+                html += `<tr>
+                    <td><strong>${escapeMarkup(vendor.name)}</strong></td>
+                    <td>${escapeMarkup(vendor.category)}</td>
+                    <td><span class="batch-share" style="width: ${Math.max(4, Math.round(vendor.share * 60))}px"></span> ${escapeMarkup(vendor.count)} (${Math.round(vendor.share * 100)}%)</td>
+                    <td>${escapeMarkup(vendor.domains.join(', '))}</td>
+                </tr>`;
+            });
+            html += '</tbody></table>';
+        }
+        
+        html += `<h3>🌐 Domains</h3>${this.renderBatchDomainTable(report.domains)}`;
+        
+        container.style.display = 'block';
+        container.innerHTML = html;
+    }
+
+    // One row per batch domain: status, counts and issues by risk
+    renderBatchDomainTable(results) {
+        let html = `<table class="batch-table">
+            <thead><tr><th>Domain</th><th>Status</th><th>Subdomains</th><th>Services</th><th>Vendors</th><th>Issues (H/M/L)</th><th>Time</th></tr></thead>
+            <tbody>`;
+        results.forEach(result => {
+            const issues = result.issues ? `${escapeMarkup(result.issues.high)} / ${escapeMarkup(result.issues.medium)} / ${escapeMarkup(result.issues.low)}` : '-';
+            html += `<tr class="batch-${escapeMarkup(result.status)}">
+                <td><strong>${escapeMarkup(result.domain)}</strong></td>
+                <td>${escapeMarkup(result.status)}${result.error ? ` <span class="drift-meta">${escapeMarkup(result.error)}</span>` : ''}</td>
+                <td>${escapeMarkup(result.subdomains ?? '-')}</td>
+                <td>${escapeMarkup(result.services ?? '-')}</td>
+                <td>${result.vendors ? result.vendors.length : '-'}</td>
+                <td>${issues}</td>
+                <td>${result.durationMs !== undefined ? `${(result.durationMs / 1000).toFixed(1)}s` : '-'}</td>
+            </tr>`;
+        });
+        return `${html}</tbody></table>`;
+    }
+
     // Display API notifications
     displayAPINotifications(apiNotifications) {
         const container = document.getElementById('apiNotifications');
@@ -1070,9 +1374,9 @@ class UIRenderer {
             
             html += `
                 <div class="api-notification ${statusClass}">
-                    <span class="api-name">${statusIcon} ${notification.api}</span>
-                    <span class="api-message">${notification.message}</span>
-                    <span class="api-time">${notification.timestamp}</span>
+                    <span class="api-name">${statusIcon} ${escapeMarkup(notification.api)}</span>
+                    <span class="api-message">${escapeMarkup(notification.message)}</span>
+                    <span class="api-time">${escapeMarkup(notification.timestamp)}</span>
                 </div>
             `;
         });
@@ -1082,7 +1386,7 @@ class UIRenderer {
 
     // Create subdomain link (for consistent linking behavior)
     createSubdomainLink(subdomain) {
-        return `<a href="https://${subdomain}" target="_blank" rel="noopener" class="subdomain-link">${subdomain}</a>`;
+        return `<a href="https://${escapeMarkup(subdomain)}" target="_blank" rel="noopener" class="subdomain-link">${escapeMarkup(subdomain)}</a>`;
     }
 
     // Truncate text for display
@@ -1136,19 +1440,19 @@ class UIRenderer {
             
             <div class="sovereignty-summary">
                 <div class="sovereignty-stat">
-                    <div class="stat-number">${sovereigntyData.statistics.uniqueCountries}</div>
+                    <div class="stat-number">${escapeMarkup(sovereigntyData.statistics.uniqueCountries)}</div>
                     <div class="stat-label">Countries</div>
                 </div>
                 <div class="sovereignty-stat">
-                    <div class="stat-number">${sovereigntyData.statistics.totalIPs}</div>
+                    <div class="stat-number">${escapeMarkup(sovereigntyData.statistics.totalIPs)}</div>
                     <div class="stat-label">IP Addresses</div>
                 </div>
                 <div class="sovereignty-stat">
-                    <div class="stat-number">${sovereigntyData.riskAssessment.high.length}</div>
+                    <div class="stat-number">${escapeMarkup(sovereigntyData.riskAssessment.high.length)}</div>
                     <div class="stat-label">High Risk</div>
                 </div>
                 <div class="sovereignty-stat">
-                    <div class="stat-number">${sovereigntyData.statistics.complianceAlerts.length}</div>
+                    <div class="stat-number">${escapeMarkup(sovereigntyData.statistics.complianceAlerts.length)}</div>
                     <div class="stat-label">Compliance Alerts</div>
                 </div>
             </div>
@@ -1166,9 +1470,9 @@ class UIRenderer {
                 const alertClass = alert.severity === 'high' ? 'alert-high' : alert.severity === 'medium' ? 'alert-medium' : 'alert-low';
                 html += `
                     <div class="sovereignty-alert ${alertClass}">
-                        <div class="alert-severity">${alert.severity.toUpperCase()}</div>
-                        <div class="alert-message">${alert.message}</div>
-                        <div class="alert-type">${alert.type.replace('-', ' ').toUpperCase()}</div>
+                        <div class="alert-severity">${escapeMarkup(String(alert.severity).toUpperCase())}</div>
+                        <div class="alert-message">${escapeMarkup(alert.message)}</div>
+                        <div class="alert-type">${escapeMarkup(String(alert.type).replace('-', ' ').toUpperCase())}</div>
                     </div>
                 `;
             });
@@ -1197,12 +1501,12 @@ class UIRenderer {
                     <div class="location-card">
                         <div class="location-header">
                             <span class="country-flag">${flag}</span>
-                            <span class="country-name">${location.country}</span>
+                            <span class="country-name">${escapeMarkup(location.country)}</span>
                         </div>
                         <div class="location-stats">
-                            <span class="location-stat">${location.services} services</span>
-                            <span class="location-stat">${location.subdomains} subdomains</span>
-                            <span class="location-stat">${location.totalIPs} IPs</span>
+                            <span class="location-stat">${escapeMarkup(location.services)} services</span>
+                            <span class="location-stat">${escapeMarkup(location.subdomains)} subdomains</span>
+                            <span class="location-stat">${escapeMarkup(location.totalIPs)} IPs</span>
                         </div>
                 `;
                 
@@ -1213,7 +1517,7 @@ class UIRenderer {
                             <strong>Services:</strong>
                             <ul class="location-list">
                                 ${countryData.services.map(service => 
-                                    `<li><span class="service-name">${service.name}</span> <span class="service-provider">(${service.provider})</span></li>`
+                                    `<li><span class="service-name">${escapeMarkup(service.name)}</span> <span class="service-provider">(${escapeMarkup(service.provider)})</span></li>`
                                 ).join('')}
                             </ul>
                         </div>
@@ -1227,7 +1531,7 @@ class UIRenderer {
                             <strong>Subdomains:</strong>
                             <ul class="location-list">
                                 ${countryData.subdomains.map(subdomain => 
-                                    `<li><span class="subdomain-name">${subdomain.name}</span> <span class="service-provider">(${subdomain.provider})</span></li>`
+                                    `<li><span class="subdomain-name">${escapeMarkup(subdomain.name)}</span> <span class="service-provider">(${escapeMarkup(subdomain.provider)})</span></li>`
                                 ).join('')}
                             </ul>
                         </div>
@@ -1242,7 +1546,7 @@ class UIRenderer {
                             <strong>Providers:</strong>
                             <div class="provider-tags">
                                 ${providers.map(provider => 
-                                    `<span class="provider-tag">${provider}</span>`
+                                    `<span class="provider-tag">${escapeMarkup(provider)}</span>`
                                 ).join('')}
                             </div>
                         </div>
@@ -1279,29 +1583,29 @@ class UIRenderer {
                         <div class="risk-card risk-${riskLevel}">
                             <div class="risk-header">
                                 <span class="country-flag">${flag}</span>
-                                <span class="country-name">${risk.country}</span>
+                                <span class="country-name">${escapeMarkup(risk.country)}</span>
                                 <span class="risk-level">${riskLevel.toUpperCase()}</span>
                             </div>
                             <div class="risk-stats">
-                                <span class="risk-stat">${risk.totalServices} services</span>
-                                <span class="risk-stat">${risk.totalSubdomains} subdomains</span>
-                                <span class="risk-stat">${risk.totalIPs} IPs</span>
+                                <span class="risk-stat">${escapeMarkup(risk.totalServices)} services</span>
+                                <span class="risk-stat">${escapeMarkup(risk.totalSubdomains)} subdomains</span>
+                                <span class="risk-stat">${escapeMarkup(risk.totalIPs)} IPs</span>
                             </div>
-                            ${risk.details.region !== 'Unknown' ? `<div class="risk-region">Region: ${risk.details.region}</div>` : ''}
-                            ${risk.details.timezone !== 'Unknown' ? `<div class="risk-timezone">Timezone: ${risk.details.timezone}</div>` : ''}
+                            ${risk.details.region !== 'Unknown' ? `<div class="risk-region">Region: ${escapeMarkup(risk.details.region)}</div>` : ''}
+                            ${risk.details.timezone !== 'Unknown' ? `<div class="risk-timezone">Timezone: ${escapeMarkup(risk.details.timezone)}</div>` : ''}
                             
                             ${risk.issues.length > 0 ? `
                                 <div class="risk-issues">
                                     <strong>Issues:</strong>
                                     <ul>
-                                        ${risk.issues.map(issue => `<li>${issue}</li>`).join('')}
+                                        ${risk.issues.map(issue => `<li>${escapeMarkup(issue)}</li>`).join('')}
                                     </ul>
                                 </div>
                             ` : ''}
                             
                             ${risk.providers.length > 0 ? `
                                 <div class="risk-providers">
-                                    <strong>Providers:</strong> ${risk.providers.slice(0, 3).join(', ')}${risk.providers.length > 3 ? `... (+${risk.providers.length - 3} more)` : ''}
+                                    <strong>Providers:</strong> ${escapeMarkup(risk.providers.slice(0, 3).join(', '))}${risk.providers.length > 3 ? `... (+${risk.providers.length - 3} more)` : ''}
                                 </div>
                             ` : ''}
                         </div>
@@ -1346,13 +1650,13 @@ class UIRenderer {
                     <tr>
                         <td>
                             <span class="country-flag">${flag}</span>
-                            ${countryData.countryName}
+                            ${escapeMarkup(countryData.countryName)}
                         </td>
-                        <td>${countryData.region}</td>
-                        <td>${countryData.services.length}</td>
-                        <td>${countryData.subdomains.length}</td>
-                        <td>${countryData.totalIPs}</td>
-                        <td>${providers.slice(0, 2).join(', ')}${providers.length > 2 ? ` (+${providers.length - 2})` : ''}</td>
+                        <td>${escapeMarkup(countryData.region)}</td>
+                        <td>${escapeMarkup(countryData.services.length)}</td>
+                        <td>${escapeMarkup(countryData.subdomains.length)}</td>
+                        <td>${escapeMarkup(countryData.totalIPs)}</td>
+                        <td>${escapeMarkup(providers.slice(0, 2).join(', '))}${providers.length > 2 ? ` (+${providers.length - 2})` : ''}</td>
                     </tr>
                 `;
             });
@@ -0,0 +1,222 @@
+/**
+ * NS delegation check for the 3ptracer worker (/api/delegation)
+ * Resolvers only report SERVFAIL for a lame zone, so the referral is read from a parent zone server and every
+ * delegated nameserver is asked for the zone's SOA (RD=0, over TCP) to see whether it answers authoritatively.
+ * The socket API (cloudflare:sockets connect) and fetch are passed in, so the check can run against fake
+ * nameservers (cli/check-delegation.js).
+ */
+
+// DNS record type codes used by the delegation check
+const DNS_TYPE_A = 1;
+const DNS_TYPE_NS = 2;
+const DNS_TYPE_SOA = 6;
+const DNS_QUERY_TIMEOUT = 5000;
+
+/**
+ * Parent zone, referral and per-nameserver status for name - throws when no parent server answers
+ */
+export async function checkDelegation(name, { connect, fetch = globalThis.fetch }) {
+  const parent = await findParentZone(name, fetch);
+  if (!parent) {
+    throw new Error(`No parent zone found for ${name}`);
+  }
+
+  // Referral from the first parent server that answers
+  let referral = null;
+  let parentServer = null;
+  for (const host of parent.nameservers) {
+    const address = await resolveAddress(host, fetch);
+    if (!address.ip) continue;
+    try {
+      referral = await queryAuthoritative(connect, address.ip, name, DNS_TYPE_NS);
+      parentServer = host;
+      break;
+    } catch (error) {
+      console.warn(`Parent server ${host} failed:`, error.message);
+    }
+  }
+  if (!referral) {
+    throw new Error(`No server for ${parent.zone} answered`);
+  }
+
+  // A referral is a non-authoritative answer with the child's NS set in the authority section
+  const nameservers = referral.aa ? [] : referral.authority
+    .filter(record => record.type === DNS_TYPE_NS && record.name === name)
+    .map(record => record.data);
+
+  const servers = [];
+  for (const host of nameservers) {
+    const address = await resolveAddress(host, fetch);
+    if (!address.ip) {
+      servers.push({ host, ip: null, status: address.nxdomain ? 'nxdomain' : 'unresolvable' });
+      continue;
+    }
+
+    try {
+      const response = await queryAuthoritative(connect, address.ip, name, DNS_TYPE_SOA);
+      const rcodeStatus = { 2: 'servfail', 3: 'nxdomain-answer', 5: 'refused' }[response.rcode];
+      servers.push({
+        host,
+        ip: address.ip,
+        status: rcodeStatus || (response.aa ? 'authoritative' : 'not-authoritative'),
+        rcode: response.rcode,
+        authoritative: response.aa
+      });
+    } catch (error) {
+      servers.push({ host, ip: address.ip, status: 'unreachable', error: error.message });
+    }
+  }
+
+  return {
+    name,
+    parent: parent.zone,
+    parentServer,
+    delegated: nameservers.length > 0,
+    nameservers: servers
+  };
+}
+
+/**
+ * Closest enclosing zone of a name (first ancestor with its own NS set) and its nameservers
+ */
+async function findParentZone(name, fetch) {
+  const labels = name.split('.');
+  for (let i = 1; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    const response = await fetchDoH(fetch, candidate, 'NS');
+    const nameservers = (response.Answer || [])
+      .filter(record => record.type === DNS_TYPE_NS && record.name.toLowerCase().replace(/\.$/, '') === candidate)
+      .map(record => record.data.toLowerCase().replace(/\.$/, ''));
+    if (nameservers.length > 0) {
+      return { zone: candidate, nameservers };
+    }
+  }
+  return null;
+}
+
+/**
+ * First IPv4 address of a host - nxdomain is set when the host name does not exist at all
+ */
+async function resolveAddress(host, fetch) {
+  const response = await fetchDoH(fetch, host, 'A');
+  const record = (response.Answer || []).find(answer => answer.type === DNS_TYPE_A);
+  return { ip: record ? record.data : null, nxdomain: response.Status === 3 };
+}
+
+async function fetchDoH(fetch, name, type) {
+  const response = await fetch(`https://cloudflare-dns.com/dns-query?name=${encodeURIComponent(name)}&type=${type}`, {
+    headers: { 'Accept': 'application/dns-json' },
+  });
+  if (!response.ok) {
+    throw new Error(`DoH query failed: ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Send one non-recursive query over TCP (RFC 7766) and parse the header flags and records - a response to some other
+ * query (ID mismatch) is rejected
+ */
+async function queryAuthoritative(connect, ip, name, type) {
+  const socket = connect({ hostname: ip, port: 53 });
+  const query = encodeDNSQuery(name, type);
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('DNS query timed out')), DNS_QUERY_TIMEOUT);
+  });
+
+  try {
+    return await Promise.race([timeout, (async () => {
+      const writer = socket.writable.getWriter();
+      await writer.write(new Uint8Array([query.length >> 8, query.length & 0xff, ...query]));
+      writer.releaseLock();
+
+      const reader = socket.readable.getReader();
+      let buffer = new Uint8Array(0);
+      while (buffer.length < 2 || buffer.length < 2 + ((buffer[0] << 8) | buffer[1])) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('Connection closed before the full response');
+        const next = new Uint8Array(buffer.length + value.length);
+        next.set(buffer);
+        next.set(value, buffer.length);
+        buffer = next;
+      }
+      reader.releaseLock();
+
+      const response = parseDNSResponse(buffer.subarray(2, 2 + ((buffer[0] << 8) | buffer[1])));
+      if (response.id !== ((query[0] << 8) | query[1])) {
+        throw new Error('DNS response ID does not match the query');
+      }
+      return response;
+    })()]);
+  } finally {
+    clearTimeout(timer);
+    socket.close();
+  }
+}
+
+export function encodeDNSQuery(name, type) {
+  const id = Math.floor(Math.random() * 0xffff);
+  // Header: ID, flags 0 (RD off), QDCOUNT 1
+  const bytes = [id >> 8, id & 0xff, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0];
+  for (const label of name.split('.')) {
+    bytes.push(label.length, ...new TextEncoder().encode(label));
+  }
+  bytes.push(0, type >> 8, type & 0xff, 0, 1);
+  return bytes;
+}
+
+export function parseDNSResponse(message) {
+  const view = new DataView(message.buffer, message.byteOffset, message.byteLength);
+  const flags = view.getUint16(2);
+  const counts = [view.getUint16(4), view.getUint16(6), view.getUint16(8), view.getUint16(10)];
+
+  const readName = (offset) => {
+    const labels = [];
+    let position = offset;
+    let nextOffset = null;
+    for (let jumps = 0; jumps < 64; jumps++) {
+      const length = message[position];
+      if (length === 0) {
+        return { name: labels.join('.').toLowerCase(), nextOffset: nextOffset ?? position + 1 };
+      }
+      if ((length & 0xc0) === 0xc0) {
+        nextOffset = nextOffset ?? position + 2;
+        position = ((length & 0x3f) << 8) | message[position + 1];
+        continue;
+      }
+      labels.push(new TextDecoder().decode(message.subarray(position + 1, position + 1 + length)));
+      position += length + 1;
+    }
+    throw new Error('Malformed name in DNS response');
+  };
+
+  let offset = 12;
+  for (let i = 0; i < counts[0]; i++) {
+    offset = readName(offset).nextOffset + 4;
+  }
+
+  const sections = [[], [], []];
+  for (let section = 0; section < 3; section++) {
+    for (let i = 0; i < counts[section + 1]; i++) {
+      const owner = readName(offset);
+      const type = view.getUint16(owner.nextOffset);
+      const length = view.getUint16(owner.nextOffset + 8);
+      const dataOffset = owner.nextOffset + 10;
+      sections[section].push({
+        name: owner.name,
+        type,
+        data: type === DNS_TYPE_NS ? readName(dataOffset).name : null
+      });
+      offset = dataOffset + length;
+    }
+  }
+
+  return {
+    id: view.getUint16(0),
+    aa: (flags & 0x0400) !== 0,
+    rcode: flags & 0x000f,
+    answer: sections[0],
+    authority: sections[1]
+  };
+}
@@ -2,8 +2,16 @@
  * Cloudflare Worker for 3ptracer API Proxy
  * Handles DNS queries, Certificate Transparency lookups, and other API calls
  * Provides CORS support and caching for better performance
+ * On its cron trigger it re-scans the monitoring watch-list and reports changes to a webhook
+ * API-key-backed discovery sources use keys held as worker secrets (see worker/keyed-sources.js)
  */
 
+import { connect } from 'cloudflare:sockets';
+import { runMonitoring } from './monitor.js';
+import { KEYED_SOURCES, keyedSourceStatus, isKeyedSourceEnabled, authorizeKeyedSourceRequest, queryKeyedSource } from './keyed-sources.js';
+import { checkDelegation } from './delegation.js';
+import { PASSIVE_SOURCES, passiveSourceRequest } from './passive-sources.js';
+
 // CORS headers
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -29,14 +37,20 @@ export default {
       // Route API requests
       if (path.startsWith('/api/dns')) {
         return await handleDNSQuery(request, env);
-      } else if (path.startsWith('/api/ct/crtsh')) {
-        return await handleCrtShQuery(request, env);
-      } else if (path.startsWith('/api/ct/certspotter')) {
-        return await handleCertSpotterQuery(request, env);
-      } else if (path.startsWith('/api/ct/otx')) {
-        return await handleOTXQuery(request, env);
-      } else if (path.startsWith('/api/ct/hackertarget')) {
-        return await handleHackerTargetQuery(request, env);
+      } else if (path.startsWith('/api/ct/') && PASSIVE_SOURCES[path.slice('/api/ct/'.length)]) {
+        return await handlePassiveSourceQuery(request, env, path.slice('/api/ct/'.length));
+      } else if (path.startsWith('/api/ct/') && KEYED_SOURCES[path.slice('/api/ct/'.length)]) {
+        return await handleKeyedSourceQuery(request, env, path.slice('/api/ct/'.length));
+      } else if (path === '/api/sources') {
+        return new Response(JSON.stringify({ keyed: keyedSourceStatus(env) }), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+        });
+      } else if (path.startsWith('/api/mta-sts')) {
+        return await handleMTASTSPolicy(request, env);
+      } else if (path.startsWith('/api/http-probe')) {
+        return await handleHTTPProbe(request, env);
+      } else if (path.startsWith('/api/delegation')) {
+        return await handleDelegationCheck(request, env);
       } else if (path === '/api/health') {
         return new Response(JSON.stringify({
           status: 'ok',
@@ -63,6 +77,15 @@ export default {
       });
     }
   },
+
+  /**
+   * Cron trigger - re-scan the monitoring watch-list (see worker/monitor.js)
+   */
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runMonitoring(env).then(results => {
+      console.log(`Monitoring run (${event.cron}):`, JSON.stringify(results));
+    }));
+  },
 };
 
 /**
@@ -137,50 +160,49 @@ async function handleDNSQuery(request, env) {
 }
 
 /**
- * Handle Certificate Transparency crt.sh queries
+ * Handle the keyless passive subdomain sources (worker/passive-sources.js) - the upstream body is passed through unparsed
+ * Optional API keys (urlscan.io) spend the deployment's quota, so they are only sent for requests that may use the
+ * keyed sources (authorizeKeyedSourceRequest); everyone else gets the source's keyless answer.
  */
-async function handleCrtShQuery(request, env) {
+async function handlePassiveSourceQuery(request, env, id) {
+  const source = PASSIVE_SOURCES[id];
   const url = new URL(request.url);
-  const domain = url.searchParams.get('domain');
+  const domain = (url.searchParams.get('domain') || '').toLowerCase().replace(/\.$/, '');
 
-  if (!domain) {
-    return new Response(JSON.stringify({ error: 'Domain parameter required' }), {
+  if (!domain || !/^([a-z0-9_-]+\.)+[a-z0-9-]+$/.test(domain)) {
+    return new Response(JSON.stringify({ error: 'Valid domain parameter required' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
+  const keyEnv = source.headers && authorizeKeyedSourceRequest(request, env).allowed ? env : {};
 
-  const cacheKey = `crtsh:${domain}`;
+  const cacheKey = `${id}:${domain}`;
   const cached = await env.CACHE?.get(cacheKey);
   if (cached) {
     return new Response(cached, {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      headers: { ...corsHeaders, 'Content-Type': source.contentType },
     });
   }
 
   try {
-    const response = await fetch(`https://crt.sh/?q=%25.${domain}&output=json`, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': '3ptracer-worker/1.0'
-      },
-    });
+    const response = await fetch(await source.url(domain, env), passiveSourceRequest(source, keyEnv));
 
     if (!response.ok) {
-      throw new Error(`crt.sh query failed: ${response.status}`);
+      throw new Error(`${id} query failed: ${response.status}`);
     }
 
     const data = await response.text();
-    
+
     // Cache for 1 hour
     await env.CACHE?.put(cacheKey, data, { expirationTtl: 3600 });
 
     return new Response(data, {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      headers: { ...corsHeaders, 'Content-Type': source.contentType },
     });
   } catch (error) {
     return new Response(JSON.stringify({
-      error: 'crt.sh query failed',
+      error: `${id} query failed`,
       message: error.message
     }), {
       status: 500,
@@ -190,73 +212,88 @@ async function handleCrtShQuery(request, env) {
 }
 
 /**
- * Handle CertSpotter queries
+ * Handle the API-key-backed sources (KEYED_SOURCES) - answers { subdomains: [...] }, 403 for requests that may not
+ * spend the quota (authorizeKeyedSourceRequest), 503 when the secrets are not set
  */
-async function handleCertSpotterQuery(request, env) {
+async function handleKeyedSourceQuery(request, env, id) {
+  const access = authorizeKeyedSourceRequest(request, env);
+  if (!access.allowed) {
+    return new Response(JSON.stringify({ error: access.error }), {
+      status: 403,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  const headers = {
+    ...corsHeaders,
+    'Access-Control-Allow-Origin': access.origin,
+    'Vary': 'Origin',
+    'Content-Type': 'application/json',
+  };
+
   const url = new URL(request.url);
-  const domain = url.searchParams.get('domain');
+  const domain = (url.searchParams.get('domain') || '').toLowerCase().replace(/\.$/, '');
 
-  if (!domain) {
-    return new Response(JSON.stringify({ error: 'Domain parameter required' }), {
+  if (!domain || !/^([a-z0-9_-]+\.)+[a-z0-9-]+$/.test(domain)) {
+    return new Response(JSON.stringify({ error: 'Valid domain parameter required' }), {
       status: 400,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      headers,
+    });
+  }
+
+  if (!isKeyedSourceEnabled(id, env)) {
+    return new Response(JSON.stringify({
+      error: `${KEYED_SOURCES[id].name} is not configured`,
+      message: `Set the ${KEYED_SOURCES[id].secrets.join(' and ')} worker secret(s)`
+    }), {
+      status: 503,
+      headers,
     });
   }
 
-  const cacheKey = `certspotter:${domain}`;
+  // Cached for a day - the keyed APIs have small monthly quotas
+  const cacheKey = `${id}:${domain}`;
   const cached = await env.CACHE?.get(cacheKey);
   if (cached) {
     return new Response(cached, {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      headers,
     });
   }
 
   try {
-    const response = await fetch(`https://certspotter.com/api/v0/certs?domain=${domain}`, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': '3ptracer-worker/1.0'
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`CertSpotter query failed: ${response.status}`);
-    }
-
-    const data = await response.text();
-    
-    // Cache for 1 hour
-    await env.CACHE?.put(cacheKey, data, { expirationTtl: 3600 });
+    const data = JSON.stringify({ subdomains: await queryKeyedSource(id, domain, env) });
+    await env.CACHE?.put(cacheKey, data, { expirationTtl: 86400 });
 
     return new Response(data, {
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      headers,
     });
   } catch (error) {
     return new Response(JSON.stringify({
-      error: 'CertSpotter query failed',
+      error: `${KEYED_SOURCES[id].name} query failed`,
       message: error.message
     }), {
-      status: 500,
-      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      status: 502,
+      headers,
     });
   }
 }
 
 /**
- * Handle OTX AlienVault queries
+ * Fetch a domain's MTA-STS policy file (RFC 8461 3.3)
+ * Browsers can't read it cross-origin, so the status, content type and body are returned as JSON
+ * for the client to validate. Redirects are not followed - the RFC forbids them.
  */
-async function handleOTXQuery(request, env) {
+async function handleMTASTSPolicy(request, env) {
   const url = new URL(request.url);
-  const domain = url.searchParams.get('domain');
+  const domain = (url.searchParams.get('domain') || '').toLowerCase();
 
-  if (!domain) {
-    return new Response(JSON.stringify({ error: 'Domain parameter required' }), {
+  if (!domain || !/^([a-z0-9-]+\.)+[a-z0-9-]+$/.test(domain)) {
+    return new Response(JSON.stringify({ error: 'Valid domain parameter required' }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  const cacheKey = `otx:${domain}`;
+  const cacheKey = `mta-sts:${domain}`;
   const cached = await env.CACHE?.get(cacheKey);
   if (cached) {
     return new Response(cached, {
@@ -264,20 +301,26 @@ async function handleOTXQuery(request, env) {
     });
   }
 
+  const policyUrl = `https://mta-sts.${domain}/.well-known/mta-sts.txt`;
+
   try {
-    const response = await fetch(`https://otx.alienvault.com/api/v1/indicators/domain/${domain}/passive_dns`, {
+    const response = await fetch(policyUrl, {
+      redirect: 'manual',
       headers: {
-        'Accept': 'application/json',
         'User-Agent': '3ptracer-worker/1.0'
       },
     });
 
-    if (!response.ok) {
-      throw new Error(`OTX query failed: ${response.status}`);
-    }
+    const body = await response.text();
+    const data = JSON.stringify({
+      url: policyUrl,
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      location: response.headers.get('location'),
+      // RFC 8461 caps policies at 64KB
+      body: body.slice(0, 65536)
+    });
 
-    const data = await response.text();
-    
     // Cache for 1 hour
     await env.CACHE?.put(cacheKey, data, { expirationTtl: 3600 });
 
@@ -285,64 +328,136 @@ async function handleOTXQuery(request, env) {
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   } catch (error) {
+    // The policy host being unreachable is an answer, not a worker failure - 200 keeps the client's worker healthy
     return new Response(JSON.stringify({
-      error: 'OTX query failed',
+      url: policyUrl,
+      error: 'MTA-STS policy fetch failed',
       message: error.message
     }), {
-      status: 500,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 }
 
+// Body signatures a single probe may look for (each takeover fingerprint lists one or two)
+const HTTP_PROBE_MAX_SIGNATURES = 5;
+const HTTP_PROBE_MAX_SIGNATURE_LENGTH = 200;
+
 /**
- * Handle HackerTarget queries
+ * Look for takeover fingerprint signatures on the front page of a host
+ * Tries HTTPS first and falls back to plain HTTP - unclaimed hosts often have no valid certificate.
+ * Answers with the status and the first requested signature found in the first 64KB of the body, never the body
+ * itself, so the endpoint can't be used as an open fetch proxy; redirects are not followed. An unreachable host is
+ * reported as { error, message } with HTTP 200 - it says nothing about the worker's health.
  */
-async function handleHackerTargetQuery(request, env) {
+async function handleHTTPProbe(request, env) {
   const url = new URL(request.url);
-  const domain = url.searchParams.get('domain');
+  const host = (url.searchParams.get('host') || '').toLowerCase();
+  const signatures = url.searchParams.getAll('signature');
 
-  if (!domain) {
-    return new Response(JSON.stringify({ error: 'Domain parameter required' }), {
+  if (!host || !/^([a-z0-9_-]+\.)+[a-z0-9-]+$/.test(host)) {
+    return new Response(JSON.stringify({ error: 'Valid host parameter required' }), {
+      status: 400,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+  }
+  if (signatures.length === 0 || signatures.length > HTTP_PROBE_MAX_SIGNATURES ||
+      signatures.some(signature => !signature || signature.length > HTTP_PROBE_MAX_SIGNATURE_LENGTH)) {
+    return new Response(JSON.stringify({ error: `1 to ${HTTP_PROBE_MAX_SIGNATURES} signature parameters required` }), {
       status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  const cacheKey = `hackertarget:${domain}`;
+  const cacheKey = `http-probe:${host}`;
+  let page = null;
   const cached = await env.CACHE?.get(cacheKey);
   if (cached) {
-    return new Response(cached, {
+    page = JSON.parse(cached);
+  } else {
+    let lastError = null;
+    for (const probeUrl of [`https://${host}/`, `http://${host}/`]) {
+      try {
+        const response = await fetch(probeUrl, {
+          redirect: 'manual',
+          headers: {
+            'User-Agent': '3ptracer-worker/1.0'
+          },
+        });
+
+        page = {
+          url: probeUrl,
+          status: response.status,
+          contentType: response.headers.get('content-type'),
+          location: response.headers.get('location'),
+          body: (await response.text()).slice(0, 65536)
+        };
+        break;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    if (!page) {
+      return new Response(JSON.stringify({
+        error: 'HTTP probe failed',
+        message: lastError?.message
+      }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+      });
+    }
+
+    // Cache for 1 hour
+    await env.CACHE?.put(cacheKey, JSON.stringify(page), { expirationTtl: 3600 });
+  }
+
+  const { body, ...probe } = page;
+  return new Response(JSON.stringify({
+    ...probe,
+    signature: signatures.find(signature => body.includes(signature)) || null
+  }), {
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Check a subdomain's NS delegation against the authoritative servers (see worker/delegation.js)
+ */
+async function handleDelegationCheck(request, env) {
+  const url = new URL(request.url);
+  const name = (url.searchParams.get('name') || '').toLowerCase().replace(/\.$/, '');
+
+  if (!name || !/^([a-z0-9_-]+\.)+[a-z0-9-]+$/.test(name)) {
+    return new Response(JSON.stringify({ error: 'Valid name parameter required' }), {
+      status: 400,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
 
-  try {
-    const response = await fetch(`https://api.hackertarget.com/hostsearch/?q=${domain}`, {
-      headers: {
-        'User-Agent': '3ptracer-worker/1.0'
-      },
+  const cacheKey = `delegation:${name}`;
+  const cached = await env.CACHE?.get(cacheKey);
+  if (cached) {
+    return new Response(cached, {
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
+  }
 
-    if (!response.ok) {
-      throw new Error(`HackerTarget query failed: ${response.status}`);
-    }
+  try {
+    const data = JSON.stringify(await checkDelegation(name, { connect }));
 
-    const data = await response.text();
-    
     // Cache for 1 hour
     await env.CACHE?.put(cacheKey, data, { expirationTtl: 3600 });
 
     return new Response(data, {
-      headers: { ...corsHeaders, 'Content-Type': 'text/plain' },
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   } catch (error) {
     return new Response(JSON.stringify({
-      error: 'HackerTarget query failed',
+      error: 'Delegation check failed',
       message: error.message
     }), {
-      status: 500,
+      status: 502,
       headers: { ...corsHeaders, 'Content-Type': 'application/json' },
     });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,162 @@
+/**
+ * API-key-backed discovery sources for the 3ptracer worker (SecurityTrails, VirusTotal, Shodan, Censys)
+ * The keys are worker secrets and never reach the browser: /api/ct/<id> answers with the subdomain names only,
+ * and /api/sources reports which sources have their secrets set. Queries spend paid quota, so they are only answered
+ * for the app's own origins or holders of a shared token (authorizeKeyedSourceRequest).
+ * Each upstream base URL can be overridden (<SOURCE>_API_URL) to run the adapters against a local mock server
+ * (cli/mock-keyed-sources.js, exercised by cli/check-keyed-sources.js).
+ */
+
+// Pages fetched per query from paginated APIs - the free VirusTotal tier allows 4 requests a minute
+const KEYED_SOURCE_MAX_PAGES = 3;
+
+// Same host name check as the other worker endpoints - the domain goes into the upstream URL paths
+const KEYED_SOURCE_DOMAIN = /^([a-z0-9_-]+\.)+[a-z0-9-]+$/;
+
+export const KEYED_SOURCES = {
+  securitytrails: {
+    name: 'SecurityTrails',
+    secrets: ['SECURITYTRAILS_API_KEY'],
+    baseUrl: 'https://api.securitytrails.com',
+    urlVar: 'SECURITYTRAILS_API_URL',
+    // Answers with the labels below the domain
+    async query(domain, [key], { base, fetch }) {
+      const body = await fetchJSON(fetch, `${base}/v1/domain/${domain}/subdomains?children_only=false`, { 'APIKEY': key });
+      return (body.subdomains || []).map(label => `${label}.${domain}`);
+    },
+  },
+  virustotal: {
+    name: 'VirusTotal',
+    secrets: ['VIRUSTOTAL_API_KEY'],
+    baseUrl: 'https://www.virustotal.com',
+    urlVar: 'VIRUSTOTAL_API_URL',
+    // Domain relations, 40 per page with a cursor in meta
+    async query(domain, [key], { base, fetch }) {
+      const names = [];
+      let cursor = null;
+      for (let page = 0; page < KEYED_SOURCE_MAX_PAGES; page++) {
+        const url = `${base}/api/v3/domains/${domain}/relationships/subdomains?limit=40${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+        const body = await fetchJSON(fetch, url, { 'x-apikey': key });
+        names.push(...(body.data || []).map(item => item.id));
+        cursor = body.meta?.cursor;
+        if (!cursor) break;
+      }
+      return names;
+    },
+  },
+  shodan: {
+    name: 'Shodan',
+    secrets: ['SHODAN_API_KEY'],
+    baseUrl: 'https://api.shodan.io',
+    urlVar: 'SHODAN_API_URL',
+    // Shodan only takes the key as a query parameter; answers with labels like SecurityTrails
+    async query(domain, [key], { base, fetch }) {
+      const body = await fetchJSON(fetch, `${base}/dns/domain/${domain}?key=${encodeURIComponent(key)}`);
+      return (body.subdomains || []).map(label => `${label}.${domain}`);
+    },
+  },
+  censys: {
+    name: 'Censys',
+    secrets: ['CENSYS_API_ID', 'CENSYS_API_SECRET'],
+    baseUrl: 'https://search.censys.io',
+    urlVar: 'CENSYS_API_URL',
+    // Certificate search (v2) with HTTP basic auth, names of every matching certificate
+    async query(domain, [id, secret], { base, fetch }) {
+      const names = [];
+      let cursor = null;
+      for (let page = 0; page < KEYED_SOURCE_MAX_PAGES; page++) {
+        const query = encodeURIComponent(`names: ${domain}`);
+        const url = `${base}/api/v2/certificates/search?q=${query}&per_page=100${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+        const body = await fetchJSON(fetch, url, { 'Authorization': `Basic ${btoa(`${id}:${secret}`)}` });
+        names.push(...(body.result?.hits || []).flatMap(hit => hit.names || []));
+        cursor = body.result?.links?.next;
+        if (!cursor) break;
+      }
+      return names;
+    },
+  },
+};
+
+/**
+ * Which keyed sources have all their secrets set - names of the secrets, never their values
+ */
+export function keyedSourceStatus(env) {
+  return Object.entries(KEYED_SOURCES).map(([id, source]) => ({
+    id,
+    name: source.name,
+    enabled: isKeyedSourceEnabled(id, env),
+    secrets: source.secrets,
+  }));
+}
+
+export function isKeyedSourceEnabled(id, env) {
+  return KEYED_SOURCES[id].secrets.every(secret => Boolean(env[secret]));
+}
+
+/**
+ * Whether a request may spend keyed-source quota: a browser on one of the CORS_ORIGIN origins (comma-separated, "*"
+ * allows any - development only) or a client sending the KEYED_SOURCES_TOKEN secret as a bearer token. Nothing is
+ * allowed until one of the two is set.
+ * Answers { allowed, origin } with the Access-Control-Allow-Origin value to send, or { allowed: false, error }.
+ * Only browsers are held to their Origin header, so deployments that want to keep scripts out set the token and leave
+ * CORS_ORIGIN empty.
+ */
+export function authorizeKeyedSourceRequest(request, env) {
+  const origin = request.headers.get('Origin');
+  const token = env.KEYED_SOURCES_TOKEN;
+  if (token && request.headers.get('Authorization') === `Bearer ${token}`) {
+    return { allowed: true, origin: origin || '*' };
+  }
+
+  const allowedOrigins = String(env.CORS_ORIGIN || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (allowedOrigins.includes('*')) {
+    return { allowed: true, origin: '*' };
+  }
+  if (origin && allowedOrigins.includes(origin)) {
+    return { allowed: true, origin };
+  }
+
+  return {
+    allowed: false,
+    error: allowedOrigins.length > 0 || token ?
+      'Keyed sources are only available to the 3ptracer app or with the worker token' :
+      'Keyed sources are disabled until CORS_ORIGIN or the KEYED_SOURCES_TOKEN secret is set',
+  };
+}
+
+/**
+ * Subdomains of domain from a keyed source (lowercased, unique, no wildcards) - throws for a domain that is not a
+ * plain host name and when the upstream fails
+ */
+export async function queryKeyedSource(id, domain, env, { fetch = globalThis.fetch } = {}) {
+  if (!KEYED_SOURCE_DOMAIN.test(domain)) {
+    throw new Error(`Invalid domain: ${domain}`);
+  }
+
+  const source = KEYED_SOURCES[id];
+  const keys = source.secrets.map(secret => env[secret]);
+  const base = (env[source.urlVar] || source.baseUrl).replace(/\/$/, '');
+
+  const names = await source.query(domain, keys, { base, fetch });
+  return Array.from(new Set(names
+    .filter(name => typeof name === 'string')
+    .map(name => name.trim().toLowerCase().replace(/\.$/, ''))
+    .filter(name => name.endsWith(`.${domain}`) && !name.startsWith('*.'))));
+}
+
+async function fetchJSON(fetch, url, headers = {}) {
+  const response = await fetch(url, {
+    headers: { 'Accept': 'application/json', 'User-Agent': '3ptracer-worker/1.0', ...headers },
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`API key rejected (${response.status})`);
+  }
+  if (response.status === 429) {
+    throw new Error('API quota exceeded (429)');
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return await response.json();
+}
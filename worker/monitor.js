@@ -0,0 +1,309 @@
+/**
+ * Continuous monitoring for the 3ptracer worker (cron trigger)
+ * Each run re-discovers the subdomains of the domains on the KV watch-list (CT logs and passive DNS, see
+ * worker/passive-sources.js), fingerprints their third-party services from DNS (apex MX, NS and SPF includes,
+ * subdomain CNAME targets), diffs both sets against the previous run and POSTs the changes to a webhook.
+ * A run gets one subrequest budget for all domains; domains that don't fit are left for the next run, which starts
+ * with them. KV, fetch and the clock are passed in, so a run can be exercised locally with stubs (cli/check-monitor.js).
+ */
+
+import { PASSIVE_SOURCES, passiveSourceRequest } from './passive-sources.js';
+
+export const MONITOR_WATCHLIST_KEY = 'monitor:watchlist';
+export const MONITOR_STATE_PREFIX = 'monitor:state:';
+// Domain the next run starts with
+export const MONITOR_CURSOR_KEY = 'monitor:cursor';
+
+const MONITOR_SOURCE_IDS = ['crtsh', 'certspotter', 'otx', 'hackertarget'];
+// Discovery sources, apex MX/NS/TXT lookups and the webhook - the CNAME lookups come on top
+const MONITOR_FIXED_SUBREQUESTS = MONITOR_SOURCE_IDS.length + 3 + 1;
+// Free Workers allow 50 subrequests per invocation, for the whole run
+const MONITOR_DEFAULT_MAX_SUBREQUESTS = 50;
+const MONITOR_DEFAULT_MAX_LOOKUPS = 40;
+const MONITOR_DOH_URL = 'https://cloudflare-dns.com/dns-query';
+
+/**
+ * Run one monitoring pass over the watch-list and return a per-domain summary
+ * env.MONITOR is the KV namespace holding the watch-list and per-domain state;
+ * env.MONITOR_WEBHOOK_URL (or a per-domain `webhook`) receives the change events
+ */
+export async function runMonitoring(env, { fetch = globalThis.fetch, now = () => new Date() } = {}) {
+  if (!env.MONITOR) {
+    console.warn('Monitoring skipped: no MONITOR KV namespace bound');
+    return [];
+  }
+
+  const watchlist = await readWatchlist(env.MONITOR);
+  if (watchlist.length === 0) return [];
+
+  // A domain with the full CNAME allowance always fits into a fresh budget
+  const maxSubrequests = parseInt(env.MONITOR_MAX_SUBREQUESTS, 10) || MONITOR_DEFAULT_MAX_SUBREQUESTS;
+  const maxLookups = Math.min(parseInt(env.MONITOR_MAX_LOOKUPS, 10) || MONITOR_DEFAULT_MAX_LOOKUPS, maxSubrequests - MONITOR_FIXED_SUBREQUESTS);
+  const budget = createBudget(maxSubrequests, fetch);
+
+  const cursor = await env.MONITOR.get(MONITOR_CURSOR_KEY);
+  const start = Math.max(0, watchlist.findIndex(entry => entry.domain === cursor));
+  const ordered = [...watchlist.slice(start), ...watchlist.slice(0, start)];
+  const results = [];
+
+  for (const [index, entry] of ordered.entries()) {
+    let result;
+    try {
+      result = await monitorDomain(entry, env, { fetch: budget.fetch, budget, now, maxLookups });
+    } catch (error) {
+      console.error(`Monitoring ${entry.domain} failed:`, error.message);
+      result = { domain: entry.domain, status: 'error', error: error.message };
+    }
+    results.push(result);
+
+    if (result.status === 'deferred') {
+      results.push(...ordered.slice(index + 1).map(rest => ({ domain: rest.domain, status: 'deferred' })));
+      break;
+    }
+  }
+
+  const deferred = results.find(result => result.status === 'deferred');
+  await env.MONITOR.put(MONITOR_CURSOR_KEY, deferred ? deferred.domain : watchlist[0].domain);
+  return results;
+}
+
+/**
+ * fetch that counts subrequests against the run's budget and refuses them once it is used up
+ */
+function createBudget(limit, fetch) {
+  const budget = {
+    remaining: limit,
+    fetch: async (url, options) => {
+      if (budget.remaining <= 0) {
+        throw new Error('Subrequest budget of this run used up');
+      }
+      budget.remaining--;
+      return await fetch(url, options);
+    }
+  };
+  return budget;
+}
+
+/**
+ * Watch-list entries are domain names or { domain, webhook } objects
+ */
+async function readWatchlist(kv) {
+  const stored = await kv.get(MONITOR_WATCHLIST_KEY);
+  if (!stored) return [];
+
+  const entries = JSON.parse(stored);
+  if (!Array.isArray(entries)) {
+    throw new Error(`${MONITOR_WATCHLIST_KEY} must be a JSON array`);
+  }
+
+  return entries
+    .map(entry => typeof entry === 'string' ? { domain: entry } : entry)
+    .filter(entry => entry?.domain)
+    .map(entry => ({ ...entry, domain: entry.domain.toLowerCase().replace(/\.$/, '') }));
+}
+
+/**
+ * Snapshot one domain, diff it against the stored state and notify the webhook about changes
+ * The first run only records a baseline. The state is not advanced when a lookup failed - a partial snapshot would
+ * report subdomains and services as removed - or when the webhook fails, so the changes are re-sent.
+ * A domain whose lookups may not fit into what is left of the budget is deferred to the next run.
+ */
+async function monitorDomain(entry, env, options) {
+  const { domain } = entry;
+  const { budget, maxLookups } = options;
+  const stateKey = `${MONITOR_STATE_PREFIX}${domain}`;
+
+  const stored = await env.MONITOR.get(stateKey);
+  const previous = stored ? JSON.parse(stored) : null;
+
+  // The previous subdomain count estimates the CNAME lookups
+  if (budget.remaining < MONITOR_FIXED_SUBREQUESTS + Math.min(previous ? previous.subdomains.length : maxLookups, maxLookups)) {
+    return { domain, status: 'deferred' };
+  }
+
+  const failed = [];
+  const subdomains = await discoverSubdomains(domain, env, options.fetch, failed);
+  if (budget.remaining < MONITOR_FIXED_SUBREQUESTS - MONITOR_SOURCE_IDS.length + Math.min(subdomains.length, maxLookups)) {
+    return { domain, status: 'deferred' };
+  }
+
+  const lookups = selectLookups(subdomains, previous, maxLookups);
+  const current = {
+    domain,
+    timestamp: options.now().toISOString(),
+    subdomains,
+    lookups,
+    services: await collectServices(domain, lookups, options, failed)
+  };
+
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} lookups failed (${failed.join('; ')}) - keeping the previous state`);
+  }
+  if (previous && current.subdomains.length === 0 && previous.subdomains.length > 0) {
+    throw new Error('No subdomains discovered - keeping the previous state');
+  }
+
+  if (!previous) {
+    await env.MONITOR.put(stateKey, JSON.stringify(current));
+    return { domain, status: 'baseline', subdomains: current.subdomains.length, services: current.services.length };
+  }
+
+  const changes = {
+    subdomains: diffSets(previous.subdomains, current.subdomains),
+    services: diffSets(previous.services, current.services)
+  };
+  const total = Object.values(changes).reduce((sum, change) => sum + change.added.length + change.removed.length, 0);
+  if (total === 0) {
+    await env.MONITOR.put(stateKey, JSON.stringify(current));
+    return { domain, status: 'unchanged' };
+  }
+
+  const event = {
+    event: 'domain.changed',
+    domain,
+    previousRun: previous.timestamp,
+    currentRun: current.timestamp,
+    changes
+  };
+
+  const webhook = entry.webhook || env.MONITOR_WEBHOOK_URL;
+  const delivered = webhook ? await postWebhook(webhook, event, env.MONITOR_WEBHOOK_SECRET, options.fetch) : false;
+  if (delivered || !webhook) {
+    await env.MONITOR.put(stateKey, JSON.stringify(current));
+  }
+
+  return { domain, status: 'changed', changes: total, delivered };
+}
+
+/**
+ * Subdomains whose CNAMEs are looked up, at most maxLookups of them
+ * The ones looked up last run come first, so a new name sorting earlier doesn't push one out of the window and
+ * report its services as removed (states from before `lookups` was stored looked up the first names in order)
+ */
+function selectLookups(subdomains, previous, maxLookups) {
+  const carried = previous ? previous.lookups || previous.subdomains.slice(0, maxLookups) : [];
+  const kept = carried.filter(subdomain => subdomains.includes(subdomain));
+  return [...kept, ...subdomains.filter(subdomain => !kept.includes(subdomain))].slice(0, maxLookups).sort();
+}
+
+/**
+ * Third-party services of a domain: apex records plus the CNAME targets of the subdomains in lookups - failed
+ * lookups are added to failed
+ */
+async function collectServices(domain, lookups, { fetch }, failed) {
+  const services = new Set();
+  const lookup = async (name, type) => {
+    try {
+      return await queryDoH(name, type, fetch);
+    } catch (error) {
+      failed.push(`${type} ${name}: ${error.message}`);
+      return [];
+    }
+  };
+
+  // Apex records: mail, DNS hosting and SPF-authorized senders
+  const [mx, ns, txt] = await Promise.all(['MX', 'NS', 'TXT'].map(type => lookup(domain, type)));
+  mx.forEach(record => services.add(`MX ${providerOf(record.split(' ').pop())}`));
+  ns.forEach(record => services.add(`NS ${providerOf(record)}`));
+  txt.filter(record => record.includes('v=spf1')).forEach(record => {
+    for (const match of record.matchAll(/include:([^\s"]+)/g)) {
+      services.add(`SPF ${match[1].toLowerCase()}`);
+    }
+  });
+
+  // Subdomains pointing at a third party
+  for (const subdomain of lookups) {
+    const cnames = await lookup(subdomain, 'CNAME');
+    cnames.forEach(target => services.add(`CNAME ${providerOf(target)}`));
+  }
+
+  // Records pointing back into the domain itself are not third parties
+  return Array.from(services).filter(service => !service.endsWith(` ${providerOf(domain)}`)).sort();
+}
+
+/**
+ * Union of the monitoring sources - a failing source is added to failed
+ */
+async function discoverSubdomains(domain, env, fetch, failed) {
+  const names = new Set();
+  for (const id of MONITOR_SOURCE_IDS) {
+    const source = PASSIVE_SOURCES[id];
+    try {
+      const response = await fetch(await source.url(domain, env), passiveSourceRequest(source, env));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const body = await response.text();
+      for (const name of source.parse(source.contentType === 'application/json' ? JSON.parse(body) : body, domain)) {
+        const subdomain = (name || '').trim().toLowerCase().replace(/\.$/, '');
+        if (subdomain.endsWith(`.${domain}`) && !subdomain.startsWith('*.')) {
+          names.add(subdomain);
+        }
+      }
+    } catch (error) {
+      console.warn(`${source.name} discovery for ${domain} failed:`, error.message);
+      failed.push(`${source.name}: ${error.message}`);
+    }
+  }
+
+  return Array.from(names).sort();
+}
+
+/**
+ * Record data of one RRset - throws when the resolver can't be reached
+ */
+async function queryDoH(name, type, fetch) {
+  const response = await fetch(`${MONITOR_DOH_URL}?name=${encodeURIComponent(name)}&type=${type}`, {
+    headers: { 'Accept': 'application/dns-json' },
+  });
+  if (!response.ok) {
+    throw new Error(`DoH query failed: ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.Answer || [])
+    .filter(record => record.name.toLowerCase().replace(/\.$/, '') === name)
+    .map(record => record.data.toLowerCase().replace(/\.$/, ''));
+}
+
+/**
+ * Provider a DNS target belongs to - its last two labels (three under short second-level labels such as co.uk)
+ */
+function providerOf(host) {
+  const labels = host.toLowerCase().replace(/\.$/, '').replace(/^"|"$/g, '').split('.');
+  const size = labels.length > 2 && labels[labels.length - 2].length <= 3 && labels[labels.length - 1].length === 2 ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+function diffSets(before, after) {
+  const beforeSet = new Set(before);
+  const afterSet = new Set(after);
+  return {
+    added: after.filter(value => !beforeSet.has(value)),
+    removed: before.filter(value => !afterSet.has(value))
+  };
+}
+
+/**
+ * POST a change event, signed with HMAC-SHA256 when a secret is configured (X-3ptracer-Signature: sha256=<hex>)
+ */
+async function postWebhook(url, event, secret, fetch) {
+  const body = JSON.stringify(event);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': '3ptracer-worker/1.0' };
+
+  if (secret) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body)));
+    headers['X-3ptracer-Signature'] = `sha256=${Array.from(signature, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  try {
+    const response = await fetch(url, { method: 'POST', headers, body });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return true;
+  } catch (error) {
+    console.error(`Webhook delivery for ${event.domain} failed:`, error.message);
+    return false;
+  }
+}
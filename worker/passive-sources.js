@@ -0,0 +1,98 @@
+/**
+ * Keyless passive subdomain sources of the 3ptracer worker
+ * Proxied at /api/ct/<id> and queried directly by scheduled monitoring (worker/monitor.js). url may be async and
+ * gets env for index lookups and optional API keys; parse turns the decoded response (JSON for application/json,
+ * text otherwise) into host names - only the sources monitoring uses have one.
+ * A copy of the keyless sources in discovery-sources.js, which stays the source of truth - change both, and
+ * npm run check:sources compares ids, names, URLs, response types, key secrets and parsers.
+ */
+
+export const PASSIVE_SOURCES = {
+  crtsh: {
+    name: 'crt.sh',
+    contentType: 'application/json',
+    url: domain => `https://crt.sh/?q=%25.${encodeURIComponent(domain)}&output=json`,
+    // name_value holds one or more names separated by newlines
+    parse: data => (Array.isArray(data) ? data : []).flatMap(entry => String(entry.name_value || '').split(/\n|,/)),
+  },
+  certspotter: {
+    name: 'Cert Spotter',
+    contentType: 'application/json',
+    url: domain => `https://certspotter.com/api/v0/certs?domain=${encodeURIComponent(domain)}`,
+    parse: data => (Array.isArray(data) ? data : []).flatMap(cert => cert.dns_names || []),
+  },
+  otx: {
+    name: 'OTX AlienVault',
+    contentType: 'application/json',
+    url: domain => `https://otx.alienvault.com/api/v1/indicators/domain/${encodeURIComponent(domain)}/passive_dns`,
+    parse: data => (data?.passive_dns || []).map(entry => entry.hostname),
+  },
+  hackertarget: {
+    name: 'HackerTarget',
+    contentType: 'text/plain',
+    url: domain => `https://api.hackertarget.com/hostsearch/?q=${encodeURIComponent(domain)}`,
+    // One "host,ip" line per result
+    parse: data => String(data || '').split('\n').map(line => line.split(',')[0]),
+  },
+  wayback: {
+    name: 'Wayback Machine',
+    contentType: 'application/json',
+    url: domain => `https://web.archive.org/cdx/search/cdx?url=*.${encodeURIComponent(domain)}&output=json&fl=original&collapse=urlkey&limit=10000`,
+  },
+  urlscan: {
+    name: 'urlscan.io',
+    contentType: 'application/json',
+    url: domain => `https://urlscan.io/api/v1/search/?q=${encodeURIComponent(`domain:${domain}`)}&size=1000`,
+    headers: env => (env.URLSCAN_API_KEY ? { 'API-Key': env.URLSCAN_API_KEY } : {}),
+  },
+  rapiddns: {
+    name: 'RapidDNS',
+    contentType: 'text/html',
+    url: domain => `https://rapiddns.io/subdomain/${encodeURIComponent(domain)}?full=1`,
+  },
+  anubis: {
+    name: 'Anubis',
+    contentType: 'application/json',
+    url: domain => `https://jldc.me/anubis/subdomains/${encodeURIComponent(domain)}`,
+  },
+  commoncrawl: {
+    name: 'CommonCrawl',
+    contentType: 'text/plain', // one JSON object per line
+    url: async (domain, env) => `${await latestCommonCrawlIndex(env)}?url=*.${encodeURIComponent(domain)}&output=json&fl=url&limit=10000`,
+  },
+};
+
+/**
+ * Fetch options for a source request (Accept by response type, optional API key headers from the secrets in env -
+ * /api/ct/<id> passes an empty env for requests that may not spend the keyed quota)
+ */
+export function passiveSourceRequest(source, env) {
+  return {
+    headers: {
+      'Accept': source.contentType === 'application/json' ? 'application/json' : '*/*',
+      'User-Agent': '3ptracer-worker/1.0',
+      ...(source.headers ? source.headers(env) : {})
+    },
+  };
+}
+
+/**
+ * CDX API of the newest Common Crawl index (collinfo.json lists them newest first; cached for a day)
+ */
+async function latestCommonCrawlIndex(env) {
+  const cached = await env.CACHE?.get('commoncrawl:latest');
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch('https://index.commoncrawl.org/collinfo.json', {
+    headers: { 'User-Agent': '3ptracer-worker/1.0' },
+  });
+  if (!response.ok) {
+    throw new Error(`Common Crawl index list failed: ${response.status}`);
+  }
+
+  const [latest] = await response.json();
+  await env.CACHE?.put('commoncrawl:latest', latest['cdx-api'], { expirationTtl: 86400 });
+  return latest['cdx-api'];
+}